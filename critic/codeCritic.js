@@ -4,23 +4,29 @@
  */
 
 const { CODE_CRITIC_PROMPT } = require('./prompts');
+const { parseJsonResponse } = require('./jsonResponse');
 
 /**
  * Critique generated HTML code
- * @param {Function} callLLM - LLM caller function
+ * @param {Function} callLLM - LLM caller function (model, prompt, { role })
  * @param {string} userPrompt - Original user prompt
  * @param {object} planJSON - The plan being implemented
  * @param {string} html - Generated HTML to critique
  * @param {string} modelName - Model to use for critique
- * @returns {Promise<{approved: boolean, missing: Array, issues: Array, fixInstructions?: string}>}
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the critic call
+ * @returns {Promise<{approved: boolean, missing: Array, issues: Array, fixInstructions?: string, cancelled?: boolean}>}
  */
-async function critiqueCode(callLLM, userPrompt, planJSON, html, modelName) {
+async function critiqueCode(callLLM, userPrompt, planJSON, html, modelName, { signal } = {}) {
     const prompt = CODE_CRITIC_PROMPT(userPrompt, planJSON, html);
 
     let raw;
     try {
-        raw = await callLLM(modelName, prompt);
+        raw = await callLLM(modelName, prompt, { role: 'critic', signal });
     } catch (err) {
+        if (err.code === 'CANCELLED') {
+            // Never auto-approve a cancelled run
+            return { approved: false, cancelled: true, missing: [], issues: [] };
+        }
         console.error('[CodeCritic] LLM call failed:', err.message);
         return {
             approved: true,
@@ -36,7 +42,8 @@ async function critiqueCode(callLLM, userPrompt, planJSON, html, modelName) {
         console.warn('[CodeCritic] Failed to parse response, retrying...');
         try {
             const retryRaw = await callLLM(modelName,
-                'You MUST return valid JSON only. ' + prompt
+                'You MUST return valid JSON only. ' + prompt,
+                { role: 'critic', signal }
             );
             const retryResult = parseJsonResponse(retryRaw);
             if (retryResult) return retryResult;
@@ -57,31 +64,4 @@ async function critiqueCode(callLLM, userPrompt, planJSON, html, modelName) {
     return result;
 }
 
-/**
- * Parse JSON from LLM response with fallbacks
- */
-function parseJsonResponse(raw) {
-    if (!raw || typeof raw !== 'string') return null;
-
-    try {
-        return JSON.parse(raw.trim());
-    } catch (e) { }
-
-    const jsonMatch = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-        try {
-            return JSON.parse(jsonMatch[1].trim());
-        } catch (e) { }
-    }
-
-    const objMatch = raw.match(/\{[\s\S]*\}/);
-    if (objMatch) {
-        try {
-            return JSON.parse(objMatch[0]);
-        } catch (e) { }
-    }
-
-    return null;
-}
-
 module.exports = { critiqueCode };
@@ -0,0 +1,167 @@
+/**
+ * Content Security Policy
+ * The server's CSP is the only one a generated page may carry: model-written
+ * CSP meta tags are stripped before the server's is added, and deployed apps
+ * also get it as a response header (which a meta tag can't loosen).
+ *
+ * The smoke test checks every request the page makes against the same policy
+ * (see requestAllowed), so a page that gets a request past the browser's CSP
+ * enforcement fails the run instead of passing silently.
+ *
+ * Tests: test/csp.test.js (npm test)
+ */
+
+// <meta http-equiv="Content-Security-Policy"> (or -Report-Only), attributes in any order
+const CSP_META = /<meta\b[^>]*?\bhttp-equiv\s*=\s*(["']?)\s*content-security-policy(?:-report-only)?\s*\1(?=[\s/>])[^>]*>[ \t]*\r?\n?/gi;
+
+// Playwright resource types → the directive that governs them (default-src when unset)
+const RESOURCE_DIRECTIVES = {
+    script: 'script-src',
+    stylesheet: 'style-src',
+    image: 'img-src',
+    font: 'font-src',
+    media: 'media-src',
+    texttrack: 'media-src',
+    manifest: 'manifest-src',
+    fetch: 'connect-src',
+    xhr: 'connect-src',
+    eventsource: 'connect-src',
+    websocket: 'connect-src',
+    ping: 'connect-src' // navigator.sendBeacon
+};
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' };
+
+/**
+ * Remove every CSP meta tag from the page
+ * @param {string} html
+ * @returns {{html: string, removed: number}}
+ */
+function stripCspMeta(html) {
+    let removed = 0;
+    const stripped = String(html || '').replace(CSP_META, () => {
+        removed++;
+        return '';
+    });
+    return { html: stripped, removed };
+}
+
+/**
+ * Split a policy string into its directives
+ * @param {string} policy - e.g. "default-src 'none'; img-src data: https:"
+ * @returns {Object<string, string[]>} - Directive name → source expressions
+ */
+function parseCsp(policy) {
+    const directives = {};
+    String(policy || '').split(';').forEach(part => {
+        const [name, ...sources] = part.trim().split(/\s+/);
+        // The first occurrence of a directive wins, as in browsers
+        if (name && !directives[name.toLowerCase()]) directives[name.toLowerCase()] = sources;
+    });
+    return directives;
+}
+
+/**
+ * Whether a URL is on the 'self' origin, or on its host upgraded to https/wss
+ * @param {URL} url
+ * @param {string|null} selfOrigin
+ */
+function selfMatches(url, selfOrigin) {
+    if (selfOrigin === null) return false;
+    if (url.origin === selfOrigin) return true;
+    const self = new URL(selfOrigin);
+    if (url.hostname !== self.hostname) return false;
+
+    const port = url.port || DEFAULT_PORTS[url.protocol] || '';
+    const selfPort = self.port || DEFAULT_PORTS[self.protocol] || '';
+    const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+    if (self.protocol === 'http:') {
+        // ws: on the same port, or https:/wss: on the default port when self is on its default
+        if (url.protocol === 'ws:') return port === selfPort;
+        return secure && (port === selfPort || (port === '443' && selfPort === '80'));
+    }
+    return self.protocol === 'https:' && url.protocol === 'wss:' && port === selfPort;
+}
+
+/**
+ * Whether a URL matches one source expression
+ * @param {URL} url
+ * @param {string} source - 'self', *, a scheme (https:) or a host source (https://*.example.com:*\/path)
+ * @param {string|null} selfOrigin - Origin 'self' stands for (null: matches nothing)
+ */
+function sourceMatches(url, source, selfOrigin) {
+    const expr = source.toLowerCase();
+    if (expr === "'self'") return selfMatches(url, selfOrigin);
+    if (expr.startsWith("'")) return false; // 'none', 'unsafe-inline', nonces and hashes allow no URLs
+    if (expr === '*') return /^(?:https?|wss?):$/.test(url.protocol);
+    if (/^[a-z][a-z0-9+.-]*:$/.test(expr)) {
+        return url.protocol === expr || (expr === 'http:' && url.protocol === 'https:') || (expr === 'ws:' && url.protocol === 'wss:');
+    }
+
+    // Scheme and host are case-insensitive, the path is not
+    const match = source.match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[a-z0-9.-]+)(?::(\*|\d+))?(\/.*)?$/i);
+    if (!match) return false;
+    const [, schemePart = '', hostPart, port, pathPart] = match;
+    const scheme = schemePart.toLowerCase();
+    const host = hostPart.toLowerCase();
+
+    const protocol = url.protocol;
+    if (scheme) {
+        const allowed = scheme === 'http' ? ['http:', 'https:'] : scheme === 'ws' ? ['ws:', 'wss:'] : [`${scheme}:`];
+        if (!allowed.includes(protocol)) return false;
+    } else if (!/^(?:https?|wss?):$/.test(protocol)) {
+        return false;
+    }
+
+    const hostname = url.hostname.toLowerCase();
+    if (host.startsWith('*.')) {
+        if (!hostname.endsWith(host.slice(1))) return false;
+    } else if (host !== '*' && hostname !== host) {
+        return false;
+    }
+
+    const urlPort = url.port || DEFAULT_PORTS[protocol] || '';
+    if (port !== '*') {
+        const expected = port || DEFAULT_PORTS[scheme ? `${scheme}:` : protocol] || '';
+        // http://host also covers the same host upgraded to https on its default port
+        const upgraded = !port && scheme === 'http' && protocol === 'https:' && urlPort === '443';
+        if (urlPort !== expected && !upgraded) return false;
+    }
+
+    if (pathPart && pathPart !== '/') {
+        return pathPart.endsWith('/') ? url.pathname.startsWith(pathPart) : url.pathname === pathPart;
+    }
+    return true;
+}
+
+/**
+ * Whether the policy lets a page request a URL
+ * Documents (navigations and frames) must stay on the page's own origin.
+ * @param {string} rawUrl
+ * @param {string} resourceType - Playwright request.resourceType()
+ * @param {Object<string, string[]>} directives - From parseCsp
+ * @param {{selfOrigin?: string|null}} [options]
+ * @returns {{allowed: boolean, directive: string}}
+ */
+function requestAllowed(rawUrl, resourceType, directives, { selfOrigin = null } = {}) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (err) {
+        return { allowed: false, directive: 'url' };
+    }
+
+    if (resourceType === 'document') {
+        return { allowed: selfOrigin !== null && url.origin === selfOrigin, directive: 'navigation' };
+    }
+    const directive = directives[RESOURCE_DIRECTIVES[resourceType]] ? RESOURCE_DIRECTIVES[resourceType] : 'default-src';
+    const sources = directives[directive];
+    // Without the directive or default-src the policy doesn't restrict this kind of request
+    if (!sources) return { allowed: true, directive };
+    return { allowed: sources.some(source => sourceMatches(url, source, selfOrigin)), directive };
+}
+
+module.exports = {
+    stripCspMeta,
+    parseCsp,
+    requestAllowed
+};
@@ -0,0 +1,40 @@
+/**
+ * JSON Responses
+ * Critics and the acceptance test writer (tests/acceptanceTests.js) ask for
+ * JSON only, but models still wrap it in markdown fences or prose.
+ * parseJsonResponse recovers the object.
+ */
+
+/**
+ * Parse JSON from LLM response with fallbacks
+ * @param {string} raw - Raw LLM output
+ * @returns {*} - Parsed value, or null when no JSON could be recovered
+ */
+function parseJsonResponse(raw) {
+    if (!raw || typeof raw !== 'string') return null;
+
+    // Try direct parse
+    try {
+        return JSON.parse(raw.trim());
+    } catch (e) { }
+
+    // Try extracting JSON from markdown code block
+    const jsonMatch = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (jsonMatch) {
+        try {
+            return JSON.parse(jsonMatch[1].trim());
+        } catch (e) { }
+    }
+
+    // Try finding JSON object in response
+    const objMatch = raw.match(/\{[\s\S]*\}/);
+    if (objMatch) {
+        try {
+            return JSON.parse(objMatch[0]);
+        } catch (e) { }
+    }
+
+    return null;
+}
+
+module.exports = { parseJsonResponse };
@@ -4,22 +4,28 @@
  */
 
 const { PLAN_CRITIC_PROMPT } = require('./prompts');
+const { parseJsonResponse } = require('./jsonResponse');
 
 /**
  * Critique a generated plan
- * @param {Function} callLLM - LLM caller function
+ * @param {Function} callLLM - LLM caller function (model, prompt, { role })
  * @param {string} userPrompt - Original user prompt
  * @param {object} planJSON - Generated plan to critique
  * @param {string} modelName - Model to use for critique
- * @returns {Promise<{approved: boolean, issues: Array, suggestedPatchPrompt?: string}>}
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the critic call
+ * @returns {Promise<{approved: boolean, issues: Array, suggestedPatchPrompt?: string, cancelled?: boolean}>}
  */
-async function critiquePlan(callLLM, userPrompt, planJSON, modelName) {
+async function critiquePlan(callLLM, userPrompt, planJSON, modelName, { signal } = {}) {
     const prompt = PLAN_CRITIC_PROMPT(userPrompt, planJSON);
 
     let raw;
     try {
-        raw = await callLLM(modelName, prompt);
+        raw = await callLLM(modelName, prompt, { role: 'critic', signal });
     } catch (err) {
+        if (err.code === 'CANCELLED') {
+            // Never auto-approve a cancelled run
+            return { approved: false, cancelled: true, issues: [] };
+        }
         console.error('[PlanCritic] LLM call failed:', err.message);
         // If LLM fails, approve by default to not block pipeline
         return {
@@ -37,7 +43,8 @@ async function critiquePlan(callLLM, userPrompt, planJSON, modelName) {
         // Retry once with stricter instruction
         try {
             const retryRaw = await callLLM(modelName,
-                'You MUST return valid JSON only. ' + prompt
+                'You MUST return valid JSON only. ' + prompt,
+                { role: 'critic', signal }
             );
             const retryResult = parseJsonResponse(retryRaw);
             if (retryResult) return retryResult;
@@ -56,34 +63,4 @@ async function critiquePlan(callLLM, userPrompt, planJSON, modelName) {
     return result;
 }
 
-/**
- * Parse JSON from LLM response with fallbacks
- */
-function parseJsonResponse(raw) {
-    if (!raw || typeof raw !== 'string') return null;
-
-    // Try direct parse
-    try {
-        return JSON.parse(raw.trim());
-    } catch (e) { }
-
-    // Try extracting JSON from markdown code block
-    const jsonMatch = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (jsonMatch) {
-        try {
-            return JSON.parse(jsonMatch[1].trim());
-        } catch (e) { }
-    }
-
-    // Try finding JSON object in response
-    const objMatch = raw.match(/\{[\s\S]*\}/);
-    if (objMatch) {
-        try {
-            return JSON.parse(objMatch[0]);
-        } catch (e) { }
-    }
-
-    return null;
-}
-
 module.exports = { critiquePlan };
@@ -90,6 +90,7 @@ If NONE of the FAIL conditions are met → set approved: true
 
 IMPORTANT: window.geaRuntimeLLM() is ALLOWED
 IMPORTANT: window.geaRuntimeStore is ALLOWED
+IMPORTANT: window.geaRuntimeDB is ALLOWED
 
 === RESPONSE SCHEMA ===
 {
@@ -112,7 +113,8 @@ Now output ONLY the JSON validation result:`;
 
 
 
-const PATCH_CODE_PROMPT = (currentHtml, fixInstructions, testErrors = [], attemptHistory = []) => `
+// mode 'diff' asks for SEARCH/REPLACE hunks (applied by dsstar/patch.js), 'full' for the whole document
+const PATCH_CODE_PROMPT = (currentHtml, fixInstructions, testErrors = [], attemptHistory = [], { bundle = false, mode = 'full' } = {}) => `
 ╔═══════════════════════════════════════════════════════════════════╗
 ║  🛑🛑🛑 STOP! READ THIS FIRST OR YOUR CODE WILL BE REJECTED 🛑🛑🛑  ║
 ╚════════════════════════════════════════════════════════════════════╝
@@ -130,7 +132,8 @@ ${attemptHistory.length > 0 ? attemptHistory.join('\n') : 'No previous failures.
 
 === ✅ THE ONLY ALLOWED NETWORK CALLS ===
 • window.geaRuntimeLLM('prompt') - For AI features ONLY
-• window.geaRuntimeStore.get/set - For persistent storage ONLY
+• window.geaRuntimeStore.get/set/list/delete/update/append - For persistent storage ONLY
+• window.geaRuntimeDB.collection(name).insert/find/count/update/remove - For record collections ONLY
 
 === 🔧 FIX INSTRUCTIONS FOR THIS ATTEMPT ===
 ${fixInstructions}
@@ -143,20 +146,129 @@ ${testErrors.join('\n')}` : ''}
 2. If you see "Forbidden: fetch", DO NOT USE FETCH again. Use geaRuntimeLLM.
 3. If you see "Forbidden: iframe", DO NOT USE IFRAME again.
 4. Apply the fixes requested in 'FIX INSTRUCTIONS'.
-5. Output the COMPLETE corrected HTML document.
+5. ${mode === 'diff'
+        ? 'Output ONLY the edits needed, as SEARCH/REPLACE blocks. Do NOT output the whole document.'
+        : `Output the COMPLETE corrected ${bundle ? 'bundle (every file, even unchanged ones)' : 'HTML document'}.`}
 
 === OUTPUT FORMAT ===
-Output ONLY the complete HTML document starting with <!DOCTYPE html>.
+${mode === 'diff'
+        ? `One or more blocks, exactly like this:
+<<<<<<< SEARCH
+lines copied EXACTLY from the current ${bundle ? 'bundle' : 'HTML'} (including indentation)
+=======
+the new lines that replace them
+>>>>>>> REPLACE
+Rules:
+• Each SEARCH must match exactly one place. Include a few surrounding lines if needed to make it unique.
+• Keep blocks small; only include the lines that change plus minimal context.
+• To insert code, SEARCH for the neighbouring line and repeat it in REPLACE with the new code added.
+• Blocks are applied in order.${bundle ? '\n• The current code is a multi-page bundle; never change or remove the "=== FILE: name ===" marker lines.' : ''}`
+        : bundle
+        ? `This is a multi-page bundle. Output EVERY file, each starting with its marker line exactly as below:
+=== FILE: index.html ===
+Keep the same file names. Pages load shared files with <script src="shared.js"></script> / <link rel="stylesheet" href="shared.css">.`
+        : 'Output ONLY the complete HTML document starting with <!DOCTYPE html>.'}
 No markdown, no explanations, no code fences.
 
-=== CURRENT HTML ===
+=== CURRENT ${bundle ? 'BUNDLE' : 'HTML'} ===
 ${currentHtml}
 
-Now output the FIXED HTML (and nothing else):`;
+${mode === 'diff'
+    ? 'Now output the SEARCH/REPLACE blocks (and nothing else):'
+    : `Now output the FIXED ${bundle ? 'BUNDLE' : 'HTML'} (and nothing else):`}`;
+
+
+const VISUAL_CRITIC_PROMPT = (planJSON, screenshotNames) => `You are a VISUAL QA REVIEWER for a generated web app.
+You are given ${screenshotNames.length} screenshot(s) of the running app, in this order:
+${screenshotNames.map((name, i) => `${i + 1}. ${name}`).join('\n')}
+File names are <page>-<viewport>.png (desktop is 1280px wide, mobile is 390px wide).
+
+=== CRITICAL: OUTPUT FORMAT ===
+Output ONLY valid JSON. No markdown, no code fences, no explanations.
+
+=== WHAT TO LOOK FOR ===
+Report only problems you can SEE in the screenshots:
+❌ Blank or nearly blank page, or a section that should have content but is empty
+❌ Charts, tables or lists that render with no data, zero size, or overlapping labels
+❌ Broken layout: overlapping elements, content cut off, horizontal overflow on mobile
+❌ Unreadable text (contrast, tiny font, text over text)
+❌ A visible error message, stack trace or "undefined"/"NaN"/"[object Object]" shown to the user
+❌ An acceptance criterion below that visibly cannot be met
+
+Do NOT judge colors, fonts or style preferences.
+
+=== ACCEPTANCE CRITERIA ===
+${(planJSON?.acceptance_criteria || []).map(c => `- ${c}`).join('\n') || '- (none listed)'}
+
+=== EXPECTED UI COMPONENTS ===
+${(planJSON?.ui_components || []).map(c => `- ${c}`).join('\n') || '- (none listed)'}
+
+=== RESPONSE SCHEMA ===
+{
+  "approved": boolean,
+  "issues": [
+    {
+      "severity": "high" | "medium" | "low",
+      "screenshot": "file name the issue is visible in",
+      "message": "what is visibly wrong",
+      "suggestedFix": "concrete HTML/CSS/JS change that would fix it"
+    }
+  ]
+}
+Use "high" only for problems a user would notice immediately (blank page, empty chart, broken layout).
+
+Now output ONLY the JSON review:`;
+
+
+// Long documents are cut; selectors near the end may be missed, which is reported as a failing step
+const ACCEPTANCE_TEST_PROMPT = (criteria, html, { bundle = false } = {}) => `You are an ACCEPTANCE TEST WRITER for a generated web app.
+Turn each acceptance criterion into a short browser scenario that proves it using the CURRENT code below.
+
+=== CRITICAL: OUTPUT FORMAT ===
+Output ONLY valid JSON. No markdown, no code fences, no explanations.
+
+=== ACCEPTANCE CRITERIA ===
+${criteria.map((c, i) => `${i + 1}. ${c}`).join('\n')}
+
+=== STEP ACTIONS ===
+- {"action": "click", "selector": "..."}
+- {"action": "fill", "selector": "...", "value": "text to type"}
+- {"action": "select", "selector": "...", "value": "option value"}
+- {"action": "check", "selector": "..."}
+- {"action": "press", "selector": "... (optional)", "value": "Enter"}
+- {"action": "wait", "ms": 500}
+- {"action": "expectVisible", "selector": "..."}
+- {"action": "expectHidden", "selector": "..."}
+- {"action": "expectText", "selector": "...", "text": "text the element must contain"}
+- {"action": "expectCount", "selector": "...", "count": 3}
+
+=== RULES ===
+✅ Use CSS selectors that exist in the code (prefer ids)
+✅ Every scenario ends with at least one expect* step that checks the OUTCOME, not just that a control exists
+✅ Each scenario starts from a freshly loaded page
+✅ Keep scenarios under 10 steps; use the criterion text exactly as given
+${bundle ? '✅ The code is a bundle of files; set "page" to the HTML file the scenario runs on (e.g. "index.html")\n' : ''}❌ Don't rely on network data, timers longer than 2 seconds or random values
+
+=== CURRENT CODE ===
+${String(html || '').slice(0, 12000)}
+
+=== RESPONSE SCHEMA ===
+{
+  "tests": [
+    {
+      "criterion": "exact criterion text",${bundle ? '\n      "page": "index.html",' : ''}
+      "steps": [ { "action": "...", ... } ]
+    }
+  ]
+}
+
+Now output ONLY the JSON:`;
 
 
 module.exports = {
   PLAN_CRITIC_PROMPT,
   CODE_CRITIC_PROMPT,
-  PATCH_CODE_PROMPT
+  PATCH_CODE_PROMPT,
+  VISUAL_CRITIC_PROMPT,
+  ACCEPTANCE_TEST_PROMPT
 };
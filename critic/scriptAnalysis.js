@@ -0,0 +1,463 @@
+/**
+ * Script Analysis
+ * Parses JavaScript from generated pages with acorn and walks the AST for
+ * network, exfiltration and dynamic-code vectors. Comments, strings and
+ * regex literals can't cause false positives, and the usual disguises are
+ * resolved:
+ * - global objects and their aliases: window.fetch, globalThis.fetch, const w = self; w.fetch,
+ *   document.defaultView.fetch
+ * - constant computed keys: window['fe' + 'tch'], window[`eval`]
+ * - destructuring: const { fetch: f } = window
+ *
+ * Findings carry the security policy's rule id, offsets into the analysed
+ * code (the scanner turns them into page line/column) and, where a constant
+ * tells it, a subject for the policy's allow-list: the fetch URL, created tag,
+ * image src or navigation target (location or window.open URL).
+ *
+ * Tests: test/scriptAnalysis.test.js (npm test)
+ */
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const GLOBAL_OBJECTS = new Set(['window', 'globalThis', 'self', 'top', 'parent', 'frames']);
+
+// Globals whose every use is a violation, keyed to the rule they break
+const BANNED_GLOBALS = {
+    fetch: 'no-fetch',
+    XMLHttpRequest: 'no-xhr',
+    WebSocket: 'no-websocket',
+    EventSource: 'no-eventsource',
+    axios: 'no-axios',
+    eval: 'no-eval'
+};
+const JQUERY = new Set(['$', 'jQuery']);
+const JQUERY_NETWORK = new Set(['ajax', 'get', 'post', 'getJSON', 'getScript']);
+const TIMERS = new Set(['setTimeout', 'setInterval']);
+const HTML_SINKS = new Set(['innerHTML', 'outerHTML']);
+const HTML_WRITERS = new Set(['insertAdjacentHTML', 'write', 'writeln']);
+const LOCATION_METHODS = new Set(['assign', 'replace']);
+// Reflection that reads a global object's properties without naming them in a member expression
+const REFLECTION = {
+    Reflect: new Set(['get', 'apply', 'construct', 'getOwnPropertyDescriptor']),
+    Object: new Set(['getOwnPropertyDescriptor', 'getOwnPropertyDescriptors', 'values', 'entries'])
+};
+
+// Elements that must not be created from script, keyed to their rule
+const CREATED_ELEMENTS = {
+    script: 'no-script-injection',
+    iframe: 'no-iframe',
+    embed: 'no-embed',
+    object: 'no-object'
+};
+const MARKUP_RULES = [
+    { re: /<\s*script\b/i, ruleId: 'no-script-injection' },
+    { re: /<\s*iframe\b/i, ruleId: 'no-iframe' },
+    { re: /<\s*embed\b/i, ruleId: 'no-embed' },
+    { re: /<\s*object\b/i, ruleId: 'no-object' },
+    { re: /<\s*meta\b[^>]*http-equiv\s*=\s*["']?refresh/i, ruleId: 'no-meta-refresh' }
+];
+
+// Text matching for scripts acorn can't parse (the browser won't run them either, but don't let them through unchecked)
+const FALLBACK_PATTERNS = [
+    { re: /\bfetch\s*\(/g, ruleId: 'no-fetch' },
+    { re: /\bXMLHttpRequest\b/g, ruleId: 'no-xhr' },
+    { re: /\bWebSocket\b/g, ruleId: 'no-websocket' },
+    { re: /\bEventSource\b/g, ruleId: 'no-eventsource' },
+    { re: /\bsendBeacon\b/g, ruleId: 'no-send-beacon' },
+    { re: /\baxios\b/g, ruleId: 'no-axios' },
+    { re: /\beval\s*\(/g, ruleId: 'no-eval' },
+    { re: /\bnew\s+Function\s*\(/g, ruleId: 'no-function-constructor' },
+    { re: /\bimport\s*\(/g, ruleId: 'no-import' },
+    { re: /\blocation\s*=[^=]/g, ruleId: 'no-location-assignment' },
+    { re: /\b(?:window|self|globalThis|top|parent)\s*\.\s*open\s*\(/g, ruleId: 'no-window-open' }
+];
+
+/**
+ * Value of an expression built only from constants ('fe' + 'tch', `ev${'al'}`), else null
+ */
+function constantString(node) {
+    if (!node) return null;
+    switch (node.type) {
+        case 'Literal':
+            return typeof node.value === 'string' || typeof node.value === 'number' ? String(node.value) : null;
+        case 'TemplateLiteral': {
+            let out = node.quasis[0].value.cooked ?? '';
+            for (let i = 0; i < node.expressions.length; i++) {
+                const part = constantString(node.expressions[i]);
+                if (part === null) return null;
+                out += part + (node.quasis[i + 1].value.cooked ?? '');
+            }
+            return out;
+        }
+        case 'BinaryExpression': {
+            if (node.operator !== '+') return null;
+            const left = constantString(node.left);
+            const right = constantString(node.right);
+            return left === null || right === null ? null : left + right;
+        }
+        case 'CallExpression': {
+            const callee = node.callee;
+            if (callee.type !== 'MemberExpression' || callee.computed) return null;
+            // String.fromCharCode(102, 101, ...)
+            if (callee.object.type === 'Identifier' && callee.object.name === 'String' && callee.property.name === 'fromCharCode') {
+                const codes = node.arguments.map(arg => (arg.type === 'Literal' && typeof arg.value === 'number' ? arg.value : null));
+                return codes.includes(null) ? null : String.fromCharCode(...codes);
+            }
+            // ['fe', 'tch'].join('')
+            if (callee.object.type === 'ArrayExpression' && callee.property.name === 'join') {
+                const parts = callee.object.elements.map(constantString);
+                const separator = node.arguments.length ? constantString(node.arguments[0]) : ',';
+                return parts.includes(null) || separator === null ? null : parts.join(separator);
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Property name of a member expression (constant computed keys resolved), else null
+ */
+function propertyName(member) {
+    if (!member.computed) return member.property.type === 'Identifier' ? member.property.name : null;
+    return constantString(member.property);
+}
+
+/**
+ * Whether a node is a global object: window, self, their aliases, window.top, document.defaultView
+ * (only documents have a defaultView, so el.ownerDocument.defaultView counts too)
+ * @param {object} node
+ * @param {Set<string>} aliases - Names bound to global objects
+ */
+function isGlobalObject(node, aliases) {
+    if (!node) return false;
+    if (node.type === 'Identifier') return GLOBAL_OBJECTS.has(node.name) || aliases.has(node.name);
+    if (node.type !== 'MemberExpression') return false;
+    const property = propertyName(node);
+    return property === 'defaultView' || (GLOBAL_OBJECTS.has(property) && isGlobalObject(node.object, aliases));
+}
+
+/**
+ * Whether an expression creates an image element: new Image(), document.createElement('img')
+ */
+function createsImage(node) {
+    if (node?.type === 'NewExpression') {
+        const callee = node.callee;
+        return callee.type === 'Identifier' ? callee.name === 'Image' : callee.type === 'MemberExpression' && propertyName(callee) === 'Image';
+    }
+    if (node?.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return false;
+    const method = propertyName(node.callee);
+    if (method !== 'createElement' && method !== 'createElementNS') return false;
+    const tag = constantString(node.arguments[method === 'createElement' ? 0 : 1]);
+    return tag !== null && tag.toLowerCase() === 'img';
+}
+
+/**
+ * Whether an Identifier is a variable reference rather than a property name, key or label
+ */
+function isReference(node, parent) {
+    if (!parent) return true;
+    switch (parent.type) {
+        case 'MemberExpression':
+            return parent.object === node || parent.computed;
+        case 'Property':
+        case 'MethodDefinition':
+        case 'PropertyDefinition':
+            return parent.key !== node || parent.computed;
+        case 'LabeledStatement':
+        case 'BreakStatement':
+        case 'ContinueStatement':
+            return false;
+        case 'ImportSpecifier':
+        case 'ExportSpecifier':
+        case 'ImportDefaultSpecifier':
+        case 'ImportNamespaceSpecifier':
+            return false;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Does the expression (possibly a string concatenation) evaluate to a string?
+ */
+function isStringExpression(node) {
+    if (node.type === 'Literal') return typeof node.value === 'string';
+    if (node.type === 'TemplateLiteral') return true;
+    if (node.type === 'BinaryExpression' && node.operator === '+') return isStringExpression(node.left) || isStringExpression(node.right);
+    return false;
+}
+
+/**
+ * Text of every string literal and template chunk inside an expression
+ */
+function stringParts(node) {
+    const parts = [];
+    walk.simple(node, {
+        Literal(n) {
+            if (typeof n.value === 'string') parts.push(n.value);
+        },
+        TemplateElement(n) {
+            parts.push(n.value.cooked ?? n.value.raw);
+        }
+    });
+    return parts.join('');
+}
+
+/**
+ * Constant start of a string expression ('https://x/?d=' + data → 'https://x/?d='), else null
+ */
+function leadingText(node) {
+    const value = constantString(node);
+    if (value !== null) return value;
+    if (node.type === 'BinaryExpression' && node.operator === '+') return leadingText(node.left);
+    if (node.type === 'TemplateLiteral') return node.quasis[0].value.cooked || null;
+    return null;
+}
+
+/**
+ * An image src that can't carry data off the page: a data:/blob: URL or a relative path.
+ * Anything absolute, or computed with no constant prefix that pins it down, can.
+ */
+function isSafeImageSource(node) {
+    if (!node) return true;
+    // canvas.toDataURL(), URL.createObjectURL(blob)
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+        ['toDataURL', 'createObjectURL'].includes(propertyName(node.callee))) return true;
+    const value = constantString(node);
+    if (value !== null) return /^\s*(?:data|blob):/i.test(value) || !/^\s*(?:[a-z][\w+.-]*:|\/\/)/i.test(value);
+    const prefix = leadingText(node);
+    return prefix !== null && /^\s*(?:(?:data|blob):|\.{1,2}\/|\/(?!\/)|[\w-]+\/)/i.test(prefix);
+}
+
+function parse(code, { module = false, handler = false } = {}) {
+    return acorn.parse(code, {
+        ecmaVersion: 'latest',
+        sourceType: module ? 'module' : 'script',
+        allowReturnOutsideFunction: handler,
+        allowAwaitOutsideFunction: !module,
+        allowHashBang: true
+    });
+}
+
+/**
+ * Names bound to global objects (const w = window), to images (new Image(), createElement('img')),
+ * and every variable/parameter/function the script declares (a declared `location` isn't window.location)
+ */
+function collectBindings(ast) {
+    const globalAliases = new Set();
+    const images = new Set();
+    const declared = new Set();
+    const declare = (pattern) => {
+        if (pattern?.type === 'Identifier') declared.add(pattern.name);
+        else if (pattern?.type === 'AssignmentPattern') declare(pattern.left);
+    };
+    walk.simple(ast, {
+        VariableDeclarator: node => declare(node.id),
+        Function: node => {
+            if (node.type === 'FunctionDeclaration') declare(node.id);
+            node.params.forEach(declare);
+        }
+    });
+    const isGlobal = (node) => isGlobalObject(node, globalAliases);
+
+    // Repeat so aliases of aliases (const a = window, b = a) are found whatever their order
+    for (let pass = 0; pass < 3; pass++) {
+        const before = globalAliases.size;
+        walk.simple(ast, {
+            VariableDeclarator(node) {
+                if (node.id.type !== 'Identifier') return;
+                if (isGlobal(node.init)) globalAliases.add(node.id.name);
+                if (createsImage(node.init)) images.add(node.id.name);
+            },
+            AssignmentExpression(node) {
+                if (node.left.type !== 'Identifier') return;
+                if (isGlobal(node.right)) globalAliases.add(node.left.name);
+                if (createsImage(node.right)) images.add(node.left.name);
+            }
+        });
+        if (globalAliases.size === before) break;
+    }
+    return { globalAliases, images, declared };
+}
+
+/**
+ * Find network, exfiltration and dynamic-code vectors in a script
+ * @param {string} code
+ * @param {{module?: boolean, handler?: boolean}} [options] - module: <script type="module">; handler: an on* attribute body
+ * @returns {{findings: Array<{ruleId: string, start: number, end: number, code: string, subject: string|null}>, parseError: string|null}}
+ */
+function analyzeScript(code, options = {}) {
+    const findings = [];
+    const add = (ruleId, node, subject = null) => {
+        findings.push({ ruleId, start: node.start, end: node.end, code: code.slice(node.start, node.end), subject });
+    };
+
+    let ast;
+    try {
+        ast = parse(code, options);
+    } catch (err) {
+        for (const { re, ruleId } of FALLBACK_PATTERNS) {
+            for (const match of code.matchAll(re)) {
+                findings.push({ ruleId, start: match.index, end: match.index + match[0].length, code: match[0], subject: null });
+            }
+        }
+        return { findings, parseError: err.message };
+    }
+
+    const { globalAliases, images, declared } = collectBindings(ast);
+    const isGlobal = (node) => isGlobalObject(node, globalAliases);
+    // The global a node names: fetch, window.fetch, self['fe' + 'tch']; undefined for window[someVariable]
+    const globalName = (node) => {
+        if (node.type === 'Identifier') return node.name;
+        if (node.type === 'MemberExpression' && isGlobal(node.object)) return propertyName(node) ?? undefined;
+        return null;
+    };
+    // window.location, document.location, location
+    const isLocation = (node) => {
+        if (node.type === 'Identifier') return node.name === 'location' && !declared.has('location');
+        return node.type === 'MemberExpression' && propertyName(node) === 'location' &&
+            (isGlobal(node.object) || globalName(node.object) === 'document');
+    };
+    const checkBanned = (name, node, parent) => {
+        const rule = BANNED_GLOBALS[name];
+        if (!rule) return;
+        // A called API's first argument (the URL) is the subject, e.g. fetch('') for the allow-list
+        const called = (parent?.type === 'CallExpression' || parent?.type === 'NewExpression') && parent.callee === node;
+        add(rule, node, called && parent.arguments[0] ? constantString(parent.arguments[0]) : null);
+    };
+    // window.open(url), open(url), const o = self.open: new windows are outside the CSP
+    const checkWindowOpen = (node, parent) => {
+        if (parent?.type === 'AssignmentExpression' && parent.left === node) return;
+        const called = parent?.type === 'CallExpression' && parent.callee === node;
+        add('no-window-open', node, called && parent.arguments[0] ? constantString(parent.arguments[0]) : null);
+    };
+    const checkMarkup = (node) => {
+        const html = stringParts(node);
+        MARKUP_RULES.filter(({ re }) => re.test(html)).forEach(({ ruleId }) => add(ruleId, node));
+    };
+
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+        const parent = ancestors[ancestors.length - 2];
+
+        switch (node.type) {
+            case 'Identifier':
+                if (isReference(node, parent) && !GLOBAL_OBJECTS.has(node.name)) checkBanned(node.name, node, parent);
+                if (node.name === 'open' && !declared.has('open') && isReference(node, parent)) checkWindowOpen(node, parent);
+                break;
+
+            case 'MemberExpression': {
+                const property = propertyName(node);
+                if (isGlobal(node.object)) {
+                    if (property === null) {
+                        // Writing window[key] = value can't reach a banned API; reading it might
+                        if (!(parent?.type === 'AssignmentExpression' && parent.left === node)) add('no-dynamic-global', node);
+                    } else {
+                        checkBanned(property, node, parent);
+                        if (property === 'open') checkWindowOpen(node, parent);
+                    }
+                }
+                if (property === 'sendBeacon') add('no-send-beacon', node);
+                if (JQUERY_NETWORK.has(property) && JQUERY.has(globalName(node.object))) add('no-jquery-ajax', node);
+                break;
+            }
+
+            case 'ObjectPattern': {
+                // const { fetch } = window
+                const source = parent?.type === 'VariableDeclarator' ? parent.init
+                    : parent?.type === 'AssignmentExpression' ? parent.right : null;
+                if (!source || !isGlobal(source)) break;
+                node.properties.forEach(prop => {
+                    if (prop.type !== 'Property') return;
+                    const key = prop.computed ? constantString(prop.key) : prop.key.name;
+                    if (key === null) add('no-dynamic-global', prop);
+                    else if (BANNED_GLOBALS[key]) add(BANNED_GLOBALS[key], prop);
+                    else if (key === 'open') add('no-window-open', prop);
+                });
+                break;
+            }
+
+            case 'ArrayExpression':
+            case 'ObjectExpression': {
+                // [window], { w: self }, [...frames]: destructured or passed on, its properties are out of sight
+                const values = node.type === 'ArrayExpression' ? node.elements
+                    : node.properties.map(prop => (prop.type === 'Property' ? prop.value : prop));
+                values.forEach(value => {
+                    const target = value?.type === 'SpreadElement' ? value.argument : value;
+                    if (target && isGlobal(target)) add('no-dynamic-global', target);
+                });
+                break;
+            }
+
+            case 'ImportExpression':
+            case 'ImportDeclaration':
+                add('no-import', node, constantString(node.source));
+                break;
+
+            case 'ExportAllDeclaration':
+            case 'ExportNamedDeclaration':
+                if (node.source) add('no-import', node, constantString(node.source));
+                break;
+
+            case 'NewExpression':
+            case 'CallExpression': {
+                const callee = node.callee;
+                const name = globalName(callee);
+                if (name === 'Function') add('no-function-constructor', node);
+                if (TIMERS.has(name) && node.arguments[0] && isStringExpression(node.arguments[0])) add('no-string-timer', node);
+                if (node.type === 'NewExpression' || callee.type !== 'MemberExpression') break;
+
+                const method = propertyName(callee);
+                // Reflect.get(window, 'fetch'), Object.getOwnPropertyDescriptor(self, 'fetch')
+                if (callee.object.type === 'Identifier' && REFLECTION[callee.object.name]?.has(method) &&
+                    node.arguments.some(arg => isGlobal(arg))) {
+                    add('no-dynamic-global', node);
+                }
+                // (function(){}).constructor('code') reaches Function without naming it
+                if (method === 'constructor' && node.arguments.length > 0) add('no-function-constructor', node);
+                if (method === 'createElement' || method === 'createElementNS') {
+                    const tag = constantString(node.arguments[method === 'createElement' ? 0 : 1]);
+                    const rule = tag && CREATED_ELEMENTS[tag.toLowerCase()];
+                    if (rule) add(rule, node, tag.toLowerCase());
+                }
+                if (HTML_WRITERS.has(method) && node.arguments.length > 0) checkMarkup(node.arguments[node.arguments.length - 1]);
+                if (method === 'setAttribute' && (createsImage(callee.object) || callee.object.type === 'Identifier' && images.has(callee.object.name)) &&
+                    /^src(set)?$/i.test(constantString(node.arguments[0]) || '') && !isSafeImageSource(node.arguments[1])) {
+                    add('no-image-beacon', node, node.arguments[1] ? constantString(node.arguments[1]) : null);
+                }
+                if (LOCATION_METHODS.has(method) && isLocation(callee.object)) {
+                    add('no-location-assignment', node, node.arguments[0] ? constantString(node.arguments[0]) : null);
+                }
+                break;
+            }
+
+            case 'AssignmentExpression': {
+                const target = node.left;
+                // location = url, window.location = url, location.href = url
+                if (isLocation(target) || target.type === 'MemberExpression' && propertyName(target) === 'href' && isLocation(target.object)) {
+                    add('no-location-assignment', node, constantString(node.right));
+                }
+                if (target.type !== 'MemberExpression') break;
+                const property = propertyName(target);
+                if (HTML_SINKS.has(property)) checkMarkup(node.right);
+                const image = createsImage(target.object) || target.object.type === 'Identifier' && images.has(target.object.name);
+                if (image && (property === 'src' || property === 'srcset') && !isSafeImageSource(node.right)) {
+                    add('no-image-beacon', node, constantString(node.right));
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+    });
+
+    return { findings, parseError: null };
+}
+
+module.exports = {
+    analyzeScript,
+    constantString
+};
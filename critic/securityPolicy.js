@@ -0,0 +1,229 @@
+/**
+ * Security Policy
+ * One rule set for every security check of generated pages (the legacy
+ * endpoints and the DS-Star gate). security-policy.json configures each rule
+ * the scanner implements:
+ *
+ *   { id, name, category, severity, fix, enabled? }
+ *
+ * failOn is the lowest severity that rejects a page; lower ones are warnings.
+ * allow entries ({ rule, subject, reason }) exempt findings whose subject - the
+ * fetch URL, script src, created tag or navigation target - matches the regex.
+ *
+ * Usage: npm run policy:check
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const POLICY_PATH = path.join(__dirname, '..', 'security-policy.json');
+
+// Rules the scanner detects (see securityScanner.js and scriptAnalysis.js); the policy must configure each
+const RULE_IDS = [
+    'no-fetch', 'no-xhr', 'no-axios', 'no-jquery-ajax', 'no-websocket', 'no-eventsource', 'no-send-beacon',
+    'no-image-beacon', 'no-import', 'no-script-injection',
+    'no-eval', 'no-function-constructor', 'no-string-timer', 'no-dynamic-global',
+    'no-iframe', 'no-embed', 'no-object',
+    'no-meta-refresh', 'no-location-assignment', 'no-window-open',
+    'non-catalog-script'
+];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const CATEGORIES = ['network', 'dynamic-code', 'markup', 'navigation', 'libraries'];
+const MAX_LOCATIONS = 10;
+
+class SecurityPolicyError extends Error {
+    constructor(issues) {
+        super(`security policy is invalid: ${issues.join('; ')}`);
+        this.code = 'INVALID_SECURITY_POLICY';
+        this.issues = issues;
+    }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check a parsed policy file and compile it for the scanner
+ * @param {object} raw
+ * @returns {{failOn: string, rules: Object<string, object>, allow: Array<{rule: string, subject: RegExp, reason: string}>}}
+ * @throws {SecurityPolicyError} - Listing every problem found
+ */
+function validatePolicy(raw) {
+    const issues = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new SecurityPolicyError(['must be a JSON object']);
+    if (!SEVERITIES.includes(raw.failOn)) issues.push(`failOn must be one of ${SEVERITIES.join(', ')}`);
+
+    const rules = {};
+    if (!Array.isArray(raw.rules)) {
+        issues.push('rules must be an array');
+    } else {
+        raw.rules.forEach((rule, index) => {
+            const where = `rules[${index}]${isNonEmptyString(rule?.id) ? ` (${rule.id})` : ''}`;
+            if (!rule || typeof rule !== 'object') return issues.push(`${where}: must be an object`);
+            if (!RULE_IDS.includes(rule.id)) return issues.push(`${where}: unknown rule id (known: ${RULE_IDS.join(', ')})`);
+            if (rules[rule.id]) return issues.push(`${where}: duplicate rule`);
+            if (!isNonEmptyString(rule.name)) issues.push(`${where}: name is required`);
+            if (!CATEGORIES.includes(rule.category)) issues.push(`${where}: category must be one of ${CATEGORIES.join(', ')}`);
+            if (!SEVERITIES.includes(rule.severity)) issues.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+            if (!isNonEmptyString(rule.fix)) issues.push(`${where}: fix is required`);
+            if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') issues.push(`${where}: enabled must be true or false`);
+            rules[rule.id] = { ...rule, enabled: rule.enabled !== false };
+        });
+        RULE_IDS.filter(id => !rules[id]).forEach(id => issues.push(`rule ${id} is missing`));
+    }
+
+    const allow = [];
+    if (raw.allow !== undefined && !Array.isArray(raw.allow)) {
+        issues.push('allow must be an array');
+    } else {
+        (raw.allow || []).forEach((entry, index) => {
+            const where = `allow[${index}]`;
+            if (!entry || typeof entry !== 'object') return issues.push(`${where}: must be an object`);
+            if (!RULE_IDS.includes(entry.rule)) issues.push(`${where}: unknown rule "${entry.rule}"`);
+            if (!isNonEmptyString(entry.reason)) issues.push(`${where}: reason is required`);
+            let subject = null;
+            try {
+                if (typeof entry.subject !== 'string') throw new Error('must be a string');
+                subject = new RegExp(entry.subject, 'i');
+            } catch (err) {
+                issues.push(`${where}: subject is not a valid regex (${err.message})`);
+            }
+            if (subject) allow.push({ rule: entry.rule, subject, reason: entry.reason });
+        });
+    }
+
+    if (issues.length > 0) throw new SecurityPolicyError(issues);
+    return { failOn: raw.failOn, rules, allow };
+}
+
+const policyCache = { file: null, mtimeMs: 0, policy: null };
+
+/**
+ * Read and compile the policy (cached until the file changes)
+ * @param {string} [file]
+ * @returns {object} - From validatePolicy
+ * @throws {SecurityPolicyError|Error} - Invalid policy, or the fs error if it can't be read
+ */
+function readPolicy(file = POLICY_PATH) {
+    const { mtimeMs } = fs.statSync(file);
+    if (policyCache.file === file && policyCache.mtimeMs === mtimeMs) return policyCache.policy;
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code) throw err;
+        throw new SecurityPolicyError([`not valid JSON (${err.message})`]);
+    }
+    const policy = validatePolicy(raw);
+    Object.assign(policyCache, { file, mtimeMs, policy });
+    return policy;
+}
+
+/**
+ * Whether a severity rejects the page under the policy
+ */
+function isBlocking(policy, severity) {
+    return SEVERITIES.indexOf(severity) <= SEVERITIES.indexOf(policy.failOn);
+}
+
+/**
+ * Turn scanner findings into violation objects, one per rule
+ * @param {Array<{ruleId: string, line: number, column: number, source: string, snippet: string, subject?: string|null}>} findings
+ * @param {object} policy - From readPolicy
+ * @returns {{violations: object[], warnings: object[], allowed: Array<{ruleId: string, subject: string, reason: string, line: number, column: number}>}}
+ *   - violations block the page, warnings don't; allowed lists the exceptions that applied
+ */
+function applyPolicy(findings, policy) {
+    const byRule = new Map();
+    const allowed = [];
+
+    for (const finding of findings) {
+        const rule = policy.rules[finding.ruleId];
+        if (!rule || !rule.enabled) continue;
+        const subject = finding.subject ?? null;
+        const exception = subject !== null && policy.allow.find(a => a.rule === rule.id && a.subject.test(subject));
+        if (exception) {
+            allowed.push({ ruleId: rule.id, subject, reason: exception.reason, line: finding.line, column: finding.column });
+            continue;
+        }
+
+        let violation = byRule.get(rule.id);
+        if (!violation) {
+            violation = {
+                ruleId: rule.id,
+                pattern: rule.name,
+                category: rule.category,
+                severity: rule.severity,
+                blocking: isBlocking(policy, rule.severity),
+                fix: rule.fix,
+                message: '',
+                count: 0,
+                line: finding.line,
+                column: finding.column,
+                snippet: finding.snippet,
+                subjects: [],
+                locations: []
+            };
+            byRule.set(rule.id, violation);
+        }
+        violation.count++;
+        if (subject && !violation.subjects.includes(subject) && violation.subjects.length < MAX_LOCATIONS) violation.subjects.push(subject);
+        if (violation.locations.length < MAX_LOCATIONS) {
+            violation.locations.push({ line: finding.line, column: finding.column, source: finding.source });
+        }
+    }
+
+    const all = [...byRule.values()];
+    all.forEach(v => {
+        v.message = `${v.pattern} at line ${v.line}:${v.column}` +
+            (v.count > 1 ? ` (${v.count} occurrences)` : '') +
+            (v.subjects.length ? `: ${v.subjects.join(', ')}` : '');
+    });
+    return {
+        violations: all.filter(v => v.blocking),
+        warnings: all.filter(v => !v.blocking),
+        allowed
+    };
+}
+
+/**
+ * Prompt lines telling the coder/planner which rules were broken and how to fix them
+ * @param {Array<{pattern: string, fix: string}>} violations - Violations or accumulated security errors
+ * @returns {string[]}
+ */
+function formatViolationsForPrompt(violations) {
+    return violations.map(v => `❌ ${v.pattern} IS BANNED → ${v.fix}`);
+}
+
+/**
+ * One-line summary of violations for error messages
+ * @param {Array<object>} violations - From applyPolicy
+ * @returns {string}
+ */
+function describeViolations(violations) {
+    return violations.map(v => `Forbidden: ${v.message}. ${v.fix}`).join(' ');
+}
+
+module.exports = {
+    POLICY_PATH,
+    RULE_IDS,
+    SEVERITIES,
+    SecurityPolicyError,
+    validatePolicy,
+    readPolicy,
+    applyPolicy,
+    formatViolationsForPrompt,
+    describeViolations
+};
+
+if (require.main === module) {
+    try {
+        const policy = readPolicy(process.argv[2] ? path.resolve(process.argv[2]) : POLICY_PATH);
+        const enabled = Object.values(policy.rules).filter(r => r.enabled);
+        const blocking = enabled.filter(r => isBlocking(policy, r.severity));
+        console.log(`[Policy] ${enabled.length} rules enabled (${blocking.length} blocking at failOn=${policy.failOn}), ${policy.allow.length} exceptions`);
+    } catch (err) {
+        (err.issues || [err.message]).forEach(issue => console.error(`[Policy] ✗ ${issue}`));
+        process.exit(1);
+    }
+}
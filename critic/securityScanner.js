@@ -1,179 +1,164 @@
 /**
  * Deterministic Security Scanner
- * Replaces LLM-based security checks with fast regex pattern detection
+ * Replaces LLM-based security checks with fast, parser-based detection
  * Acts as a CI/CD gate - only fails on objective violations
+ *
+ * The page is parsed with parse5 (a spec-compliant HTML parser), so markup
+ * inside scripts or comments isn't mistaken for tags. Inline scripts, on*
+ * handlers and javascript: URLs are parsed into ASTs (see scriptAnalysis.js).
+ * What counts as a violation, its severity and fix text, and the allowed
+ * exceptions come from the security policy (see securityPolicy.js); each
+ * violation reports the page line/column of its first occurrence.
+ *
+ * The server's runtime helper (<script id="gea-runtime-helper">, the one
+ * script allowed to call the runtime API) is skipped, but only while the page
+ * has a single script with that id: injectRuntimeHelpers replaces the first,
+ * so any other is the model's.
  */
 
-const BANNED_PATTERNS = [
-    { pattern: /\bfetch\s*\(/g, name: 'fetch()', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /\baxios\./g, name: 'axios', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /\baxios\s*\(/g, name: 'axios()', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /\bXMLHttpRequest\b/g, name: 'XMLHttpRequest', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /\$\.ajax\s*\(/g, name: '$.ajax()', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /jQuery\.ajax\s*\(/g, name: 'jQuery.ajax()', fix: 'Use window.geaRuntimeLLM() for AI calls' },
-    { pattern: /\beval\s*\(/g, name: 'eval()', fix: 'Remove eval, use safe alternatives' },
-    { pattern: /new\s+Function\s*\(/g, name: 'new Function()', fix: 'Remove dynamic function creation' },
-];
-
-// Patterns that are checked globally (in HTML tags)
-const BANNED_TAGS = [
-    { pattern: /<iframe\b/gi, name: '<iframe>', fix: 'Remove iframe, use <div> containers' },
-    { pattern: /<embed\b/gi, name: '<embed>', fix: 'Remove embed tag' },
-    { pattern: /<object\b/gi, name: '<object>', fix: 'Remove object tag' },
-];
+const { parse } = require('parse5');
+const { analyzeScript } = require('./scriptAnalysis');
+const { readPolicy, applyPolicy } = require('./securityPolicy');
+
+// Elements that are banned wherever they appear, keyed to their policy rule (createElement/innerHTML are caught in scriptAnalysis)
+const BANNED_TAGS = {
+    iframe: 'no-iframe',
+    embed: 'no-embed',
+    object: 'no-object'
+};
+
+const JS_TYPES = /^(?:|module|(?:text|application)\/(?:x-)?(?:java|ecma)script|text\/jscript|text\/javascript1\.[0-5])$/i;
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'data']);
+const RUNTIME_HELPER_ID = 'gea-runtime-helper';
 
 /**
- * Remove comments and string literals from code to prevent false positives
- * e.g. // fetch() or console.log("fetch") should not trigger violations
+ * Line/column (both 1-based) of an offset in the page
  */
-function stripCommentsAndStrings(code) {
-    let output = '';
-    let i = 0;
-    const len = code.length;
-
-    while (i < len) {
-        const char = code[i];
-        const next = code[i + 1];
-
-        // Single line comment //
-        if (char === '/' && next === '/') {
-            i += 2;
-            while (i < len && code[i] !== '\n') i++;
-            output += '\n'; // Keep line breaks for line counting ideally, but simple stripping is safer for now
-        }
-        // Multi line comment /* ... */
-        else if (char === '/' && next === '*') {
-            i += 2;
-            while (i < len && !(code[i] === '*' && code[i + 1] === '/')) i++;
-            i += 2;
-        }
-        // String literal "..."
-        else if (char === '"') {
-            i++;
-            output += '""'; // Replace with empty string
-            while (i < len) {
-                if (code[i] === '"' && code[i - 1] !== '\\') break;
-                i++;
-            }
-            i++;
-        }
-        // String literal '...'
-        else if (char === "'") {
-            i++;
-            output += "''"; // Replace with empty string
-            while (i < len) {
-                if (code[i] === "'" && code[i - 1] !== '\\') break;
-                i++;
-            }
-            i++;
-        }
-        // Template literal `...`
-        else if (char === '`') {
-            i++;
-            output += '``'; // Replace with empty string
-            while (i < len) {
-                if (code[i] === '`' && code[i - 1] !== '\\') break;
-                i++;
-            }
-            i++;
-        }
-        else {
-            output += char;
-            i++;
-        }
+function createLocator(html) {
+    const lineStarts = [0];
+    for (let i = 0; i < html.length; i++) {
+        if (html[i] === '\n') lineStarts.push(i + 1);
     }
-    return output;
+    return (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
 }
 
 /**
- * Extract executable code from HTML (scripts and event handlers)
+ * Visit every element, including the contents of <template>
  */
-function extractExecutableCode(html) {
-    let combinedCode = '';
-
-    // 1. Extract <script> content
-    const scriptRegex = /<script\b[^>]*>([\s\S]*?)<\/script>/gi;
-    let match;
-    while ((match = scriptRegex.exec(html)) !== null) {
-        combinedCode += match[1] + '\n';
+function walkElements(node, visit) {
+    for (const child of node.childNodes || []) {
+        if (child.tagName) visit(child);
+        walkElements(child.tagName === 'template' ? child.content : child, visit);
     }
+}
 
-    // 2. Extract inline event handlers (onclick, onmouseover, etc)
-    const handlerRegex = /\son[a-z]+\s*=\s*(?:"([^"]*)"|'([^']*)'|([^>\s]*))/gi;
-    while ((match = handlerRegex.exec(html)) !== null) {
-        // match[1] = double quoted, match[2] = single quoted, match[3] = unquoted
-        const handlerCode = match[1] || match[2] || match[3] || '';
-        combinedCode += handlerCode + '\n';
-    }
+const attribute = (element, name) => element.attrs.find(a => a.name === name && !a.prefix)?.value;
 
-    return combinedCode;
+/**
+ * Page offset where an attribute's value starts
+ */
+function attributeValueOffset(html, element, attr) {
+    const key = attr.prefix ? `${attr.prefix}:${attr.name}` : attr.name;
+    const loc = element.sourceCodeLocation?.attrs?.[key];
+    if (!loc) return element.sourceCodeLocation?.startOffset ?? 0;
+    const raw = html.slice(loc.startOffset, loc.endOffset);
+    const equals = raw.match(/^[^=]*=\s*["']?/);
+    return loc.startOffset + (equals ? equals[0].length : 0);
+}
+
+/**
+ * Every piece of executable code in the page with the offset it starts at
+ * @returns {Array<{code: string, offset: number, module?: boolean, handler?: boolean, source: string}>}
+ */
+function collectCode(html, document) {
+    const helpers = [];
+    walkElements(document, element => {
+        if (element.tagName === 'script' && attribute(element, 'id') === RUNTIME_HELPER_ID) helpers.push(element);
+    });
+    const trusted = helpers.length === 1 ? helpers[0] : null;
+
+    const chunks = [];
+    walkElements(document, element => {
+        if (element.tagName === 'script' && attribute(element, 'src') === undefined && element !== trusted) {
+            const type = (attribute(element, 'type') || '').trim();
+            const text = element.childNodes[0];
+            if (JS_TYPES.test(type) && text?.value) {
+                chunks.push({ code: text.value, offset: text.sourceCodeLocation.startOffset, module: type.toLowerCase() === 'module', source: '<script>' });
+            }
+        }
+        for (const attr of element.attrs) {
+            if (/^on/i.test(attr.name) && !attr.prefix) {
+                chunks.push({ code: attr.value, offset: attributeValueOffset(html, element, attr), handler: true, source: `${attr.name} handler` });
+            } else if (URL_ATTRIBUTES.has(attr.name) && /^\s*javascript:/i.test(attr.value)) {
+                let code = attr.value.replace(/^\s*javascript:/i, '');
+                try {
+                    code = decodeURIComponent(code);
+                } catch (e) { /* leave malformed escapes as written */ }
+                chunks.push({ code, offset: attributeValueOffset(html, element, attr), handler: true, source: 'javascript: URL' });
+            }
+        }
+    });
+    return chunks;
 }
 
 /**
  * Scan HTML for security violations
  * @param {string} html - The HTML content to scan
- * @returns {{ passed: boolean, violations: Array<{pattern: string, fix: string, line?: number}> }}
+ * @param {{allowedScripts?: string[]|null, policy?: object}} [options] - allowedScripts: script URLs from the library
+ *   catalog (null skips the check); policy: from readPolicy (default: security-policy.json)
+ * @returns {{ passed: boolean, violations: Array<object>, warnings: Array<object>, allowed: Array<object> }}
+ *   - violations block (see applyPolicy for their shape), warnings are below the policy's failOn, allowed are exempted findings
  */
-function scanForSecurityViolations(html) {
-    const violations = [];
-
-    // 1. Check for BANNED TAGS in raw HTML (iframe, embed, object)
-    for (const { pattern, name, fix } of BANNED_TAGS) {
-        const matches = html.match(pattern);
-        if (matches && matches.length > 0) {
-            violations.push({ pattern: name, fix, count: matches.length });
+function scanForSecurityViolations(html, { allowedScripts = null, policy = readPolicy() } = {}) {
+    html = String(html || '');
+    const document = parse(html, { sourceCodeLocationInfo: true });
+    const locate = createLocator(html);
+    const lines = html.split('\n');
+    const findings = [];
+
+    const report = (ruleId, offset, source, subject = null) => {
+        const { line, column } = locate(offset);
+        const text = (lines[line - 1] || '').trim();
+        findings.push({ ruleId, line, column, source, subject, snippet: text.length > 160 ? `${text.slice(0, 160)}...` : text });
+    };
+
+    const allowed = allowedScripts ? new Set(allowedScripts) : null;
+    walkElements(document, element => {
+        const offset = element.sourceCodeLocation?.startOffset ?? 0;
+        if (BANNED_TAGS[element.tagName]) report(BANNED_TAGS[element.tagName], offset, 'markup', element.tagName);
+        if (element.tagName === 'meta' && /^\s*refresh\s*$/i.test(attribute(element, 'http-equiv') || '')) {
+            report('no-meta-refresh', offset, 'markup', attribute(element, 'content') ?? null);
         }
-    }
 
-    // 2. Extract and sanitize executable code
-    const rawCode = extractExecutableCode(html);
-    const safeCode = stripCommentsAndStrings(rawCode);
-
-    // 3. Check for BANNED PATTERNS in sanitized code (fetch, axios, eval, etc)
-    for (const { pattern, name, fix } of BANNED_PATTERNS) {
-        const matches = safeCode.match(pattern);
-        if (matches && matches.length > 0) {
-            // SPECIAL CASE: Ignore fetch/axios with empty string URLs (harmless placeholder code)
-            if (name === 'fetch()' || name === 'axios' || name === 'axios()') {
-                // After string stripping, empty URLs appear as '' or "" or ``
-                // Look for the pattern: fetch( followed by empty quotes
-                // Being very lenient: if all occurrences have empty string as first arg, ignore
-                let allEmpty = true;
-                const codeMatches = Array.from(safeCode.matchAll(new RegExp(pattern.source, 'g')));
-                for (const match of codeMatches) {
-                    const afterMatch = safeCode.substring(match.index);
-                    // Check if within 10 characters we see '', "", or ``
-                    const snippet = afterMatch.substring(0, 20);
-                    if (!snippet.includes("''") && !snippet.includes('""') && !snippet.includes('``')) {
-                        allEmpty = false;
-                        break;
-                    }
-                }
-
-                if (allEmpty) {
-                    console.log(`[Security Scanner] ✓ Ignoring ${matches.length}x ${name} with empty URL`);
-                    continue;
-                }
-            }
+        // External scripts must come from the library catalog
+        const src = element.tagName === 'script' ? attribute(element, 'src') : undefined;
+        if (allowed && src !== undefined && !allowed.has(src.trim())) report('non-catalog-script', offset, 'markup', src.trim());
+    });
 
-            // Find context around first match for logging
-            const firstMatch = safeCode.search(pattern);
-            const contextStart = Math.max(0, firstMatch - 50);
-            const contextEnd = Math.min(safeCode.length, firstMatch + 100);
-            const snippet = safeCode.slice(contextStart, contextEnd).replace(/\n/g, ' ').trim();
-
-            violations.push({
-                pattern: name,
-                fix,
-                count: matches.length,
-                snippet: snippet ? `...${snippet}...` : 'N/A'
-            });
+    for (const chunk of collectCode(html, document)) {
+        const { findings: found, parseError } = analyzeScript(chunk.code, chunk);
+        if (parseError) {
+            const { line, column } = locate(chunk.offset);
+            console.warn(`[Security Scanner] ⚠️ ${chunk.source} at ${line}:${column} did not parse (${parseError}); matched as text instead`);
         }
+        found.forEach(f => report(f.ruleId, chunk.offset + f.start, chunk.source, f.subject));
     }
 
+    const { violations, warnings, allowed: exempted } = applyPolicy(findings, policy);
     return {
         passed: violations.length === 0,
-        violations
+        violations,
+        warnings,
+        allowed: exempted
     };
 }
 
@@ -203,10 +188,11 @@ function checkBasicStructure(html) {
  * Run all deterministic security and structure checks
  * This is the main CI/CD gate function
  * @param {string} html 
- * @returns {{ passed: boolean, securityViolations: Array, structureErrors: Array, summary: string }}
+ * @param {{allowedScripts?: string[]|null, policy?: object}} [options] - See scanForSecurityViolations
+ * @returns {{ passed: boolean, securityViolations: Array, securityWarnings: Array, structureErrors: Array, summary: string }}
  */
-function runSecurityGate(html) {
-    const security = scanForSecurityViolations(html);
+function runSecurityGate(html, options = {}) {
+    const security = scanForSecurityViolations(html, options);
     const structure = checkBasicStructure(html);
 
     const passed = security.passed && structure.valid;
@@ -228,16 +214,51 @@ function runSecurityGate(html) {
     return {
         passed,
         securityViolations: security.violations,
+        securityWarnings: security.warnings,
         structureErrors: structure.errors,
         summary
     };
 }
 
+/**
+ * Run the gate on every page of a multi-page bundle and merge the results
+ * @param {Array<{name: string, html: string}>} pages - Rendered pages (shared JS/CSS inlined)
+ * @param {{allowedScripts?: string[]|null, policy?: object}} [options] - See scanForSecurityViolations
+ * @returns {{ passed: boolean, securityViolations: Array, securityWarnings: Array, structureErrors: Array, summary: string, pages: object }}
+ */
+function runBundleSecurityGate(pages, options = {}) {
+    const perPage = {};
+    const securityViolations = [];
+    const securityWarnings = [];
+    const structureErrors = [];
+
+    for (const { name, html } of pages) {
+        const gate = runSecurityGate(html, options);
+        perPage[name] = gate.summary;
+        gate.securityViolations.forEach(v => securityViolations.push({ ...v, page: name }));
+        gate.securityWarnings.forEach(v => securityWarnings.push({ ...v, page: name }));
+        gate.structureErrors.forEach(e => structureErrors.push(`${name}: ${e}`));
+    }
+
+    const passed = pages.length > 0 && securityViolations.length === 0 && structureErrors.length === 0;
+    const failedPages = Object.keys(perPage).filter(name => !perPage[name].startsWith('✅'));
+
+    return {
+        passed,
+        securityViolations,
+        securityWarnings,
+        structureErrors,
+        summary: passed
+            ? `✅ PASSED: ${pages.length} page(s) clean`
+            : `❌ FAILED: ${securityViolations.length} security violation(s), ${structureErrors.length} structure error(s) in ${failedPages.join(', ') || 'bundle'}`,
+        pages: perPage
+    };
+}
+
 module.exports = {
     scanForSecurityViolations,
     checkBasicStructure,
     runSecurityGate,
-    BANNED_PATTERNS,
-    // Export for testing
-    _stripCommentsAndStrings: stripCommentsAndStrings
+    runBundleSecurityGate,
+    BANNED_TAGS
 };
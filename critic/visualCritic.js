@@ -0,0 +1,89 @@
+/**
+ * Visual Critic Module
+ * Shows smoke-test screenshots to a multimodal model to catch what the text
+ * critics can't: broken layouts, empty charts, blank pages
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { VISUAL_CRITIC_PROMPT } = require('./prompts');
+const { parseJsonResponse } = require('./jsonResponse');
+
+// Vision requests get large quickly; desktop shots come first so they are kept
+const MAX_SCREENSHOTS = 4;
+
+/**
+ * Critique screenshots of the generated app
+ * @param {Function} callLLM - LLM caller function (model, prompt, { role, images })
+ * @param {object} planJSON - The plan being implemented (acceptance_criteria, ui_components)
+ * @param {Array<{file: string, viewport?: string}>} screenshots - From smoke test results
+ * @param {string} screenshotDir - Folder holding the screenshot files
+ * @param {string} modelName - Multimodal model to use
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the critic call
+ * @returns {Promise<{approved: boolean, issues: Array, screenshots: string[], cancelled?: boolean, error?: string}>}
+ */
+async function critiqueScreenshots(callLLM, planJSON, screenshots, screenshotDir, modelName, { signal } = {}) {
+    const chosen = [...screenshots]
+        .sort((a, b) => (a.viewport === 'desktop' ? 0 : 1) - (b.viewport === 'desktop' ? 0 : 1))
+        .slice(0, MAX_SCREENSHOTS);
+    const names = chosen.map(s => s.file);
+
+    let images;
+    try {
+        images = await Promise.all(chosen.map(async s => ({
+            mimeType: 'image/png',
+            data: (await fs.readFile(path.join(screenshotDir, s.file))).toString('base64')
+        })));
+    } catch (err) {
+        console.error('[VisualCritic] Could not read screenshots:', err.message);
+        return { approved: true, issues: [], screenshots: names, error: err.message };
+    }
+
+    const prompt = VISUAL_CRITIC_PROMPT(planJSON, names);
+    const options = { role: 'vision', images, signal };
+
+    let raw;
+    try {
+        raw = await callLLM(modelName, prompt, options);
+    } catch (err) {
+        if (err.code === 'CANCELLED') {
+            return { approved: false, cancelled: true, issues: [], screenshots: names };
+        }
+        console.error('[VisualCritic] LLM call failed:', err.message);
+        return {
+            approved: true,
+            issues: [{ severity: 'low', message: 'Visual critic unavailable, auto-approved' }],
+            screenshots: names,
+            error: err.message
+        };
+    }
+
+    let result = parseJsonResponse(raw);
+    if (!result) {
+        console.warn('[VisualCritic] Failed to parse response, retrying...');
+        try {
+            result = parseJsonResponse(await callLLM(modelName, 'You MUST return valid JSON only. ' + prompt, options));
+        } catch (err) {
+            console.error('[VisualCritic] Retry failed:', err.message);
+        }
+    }
+    if (!result) {
+        return {
+            approved: true,
+            issues: [{ severity: 'low', message: 'Could not parse visual critic response' }],
+            screenshots: names,
+            raw
+        };
+    }
+
+    const issues = (Array.isArray(result.issues) ? result.issues : []).map(issue => ({
+        severity: ['high', 'medium', 'low'].includes(issue?.severity) ? issue.severity : 'medium',
+        screenshot: issue?.screenshot || null,
+        message: String(issue?.message || 'Unspecified visual issue'),
+        suggestedFix: issue?.suggestedFix || null
+    }));
+
+    return { approved: Boolean(result.approved) && issues.every(i => i.severity !== 'high'), issues, screenshots: names };
+}
+
+module.exports = { critiqueScreenshots };
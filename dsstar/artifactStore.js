@@ -18,6 +18,19 @@ async function createRunDir(runsDir, runId) {
     return runDir;
 }
 
+/**
+ * Save the settings a run was started with (used to resume it later)
+ * @param {string} runDir - Run directory path
+ * @param {object} config - { runId, prompt, models, maxIters, availableModels }
+ */
+async function saveRunConfig(runDir, config) {
+    await fs.writeFile(
+        path.join(runDir, 'run.json'),
+        JSON.stringify(config, null, 2),
+        'utf8'
+    );
+}
+
 /**
  * Save iteration artifacts
  * @param {string} runDir - Run directory path
@@ -62,6 +75,22 @@ async function saveIterationArtifacts(runDir, iteration, artifacts) {
         ));
     }
 
+    if (artifacts.patch) {
+        writes.push(fs.writeFile(
+            path.join(iterDir, 'patch.diff'),
+            artifacts.patch,
+            'utf8'
+        ));
+    }
+
+    if (artifacts.securityScan) {
+        writes.push(fs.writeFile(
+            path.join(iterDir, 'security_scan.json'),
+            JSON.stringify(artifacts.securityScan, null, 2),
+            'utf8'
+        ));
+    }
+
     if (artifacts.codeCritique) {
         writes.push(fs.writeFile(
             path.join(iterDir, 'code_critique.json'),
@@ -78,6 +107,30 @@ async function saveIterationArtifacts(runDir, iteration, artifacts) {
         ));
     }
 
+    if (artifacts.acceptanceTests) {
+        writes.push(fs.writeFile(
+            path.join(iterDir, 'acceptance_tests.json'),
+            JSON.stringify(artifacts.acceptanceTests, null, 2),
+            'utf8'
+        ));
+    }
+
+    if (artifacts.a11y) {
+        writes.push(fs.writeFile(
+            path.join(iterDir, 'a11y.json'),
+            JSON.stringify(artifacts.a11y, null, 2),
+            'utf8'
+        ));
+    }
+
+    if (artifacts.visualCritique) {
+        writes.push(fs.writeFile(
+            path.join(iterDir, 'visual_critique.json'),
+            JSON.stringify(artifacts.visualCritique, null, 2),
+            'utf8'
+        ));
+    }
+
     if (artifacts.meta) {
         writes.push(fs.writeFile(
             path.join(iterDir, 'meta.json'),
@@ -130,9 +183,72 @@ async function saveSummary(runDir, summary) {
     );
 }
 
+/**
+ * Read a JSON file, returning null if it is missing
+ * @param {string} filePath
+ * @returns {Promise<object|null>}
+ */
+async function readJsonIfExists(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw new Error(`Invalid artifact ${filePath}: ${err.message}`);
+    }
+}
+
+/**
+ * Load everything a run has saved so far
+ * @param {string} runDir - Run directory path
+ * @returns {Promise<{config: object|null, iterations: Array<object>}>} - Iterations sorted by number
+ */
+async function loadRunArtifacts(runDir) {
+    const entries = await fs.readdir(runDir, { withFileTypes: true });
+    const iterationNumbers = entries
+        .filter(e => e.isDirectory() && /^iter_\d+$/.test(e.name))
+        .map(e => Number(e.name.slice(5)))
+        .sort((a, b) => a - b);
+
+    const iterations = [];
+    for (const iteration of iterationNumbers) {
+        const iterDir = path.join(runDir, `iter_${iteration}`);
+        const [prompt, plan, planCritique, html, securityScan, codeCritique, smokeTest, acceptanceTests, a11y, visualCritique, meta] = await Promise.all([
+            fs.readFile(path.join(iterDir, 'prompt.txt'), 'utf8').catch(() => null),
+            readJsonIfExists(path.join(iterDir, 'plan.json')),
+            readJsonIfExists(path.join(iterDir, 'plan_critique.json')),
+            fs.readFile(path.join(iterDir, 'html.html'), 'utf8').catch(() => null),
+            readJsonIfExists(path.join(iterDir, 'security_scan.json')),
+            readJsonIfExists(path.join(iterDir, 'code_critique.json')),
+            readJsonIfExists(path.join(iterDir, 'smoke_test.json')),
+            readJsonIfExists(path.join(iterDir, 'acceptance_tests.json')),
+            readJsonIfExists(path.join(iterDir, 'a11y.json')),
+            readJsonIfExists(path.join(iterDir, 'visual_critique.json')),
+            readJsonIfExists(path.join(iterDir, 'meta.json'))
+        ]);
+        iterations.push({ iteration, prompt, plan, planCritique, html, securityScan, codeCritique, smokeTest, acceptanceTests, a11y, visualCritique, meta });
+    }
+
+    return {
+        config: await readJsonIfExists(path.join(runDir, 'run.json')),
+        iterations
+    };
+}
+
+/**
+ * Delete an iteration folder (an interrupted iteration is re-run from scratch)
+ * @param {string} runDir - Run directory path
+ * @param {number} iteration - Iteration number
+ */
+async function removeIterationArtifacts(runDir, iteration) {
+    await fs.rm(path.join(runDir, `iter_${iteration}`), { recursive: true, force: true });
+}
+
 module.exports = {
     createRunDir,
+    saveRunConfig,
     saveIterationArtifacts,
     saveFinalOutputs,
-    saveSummary
+    saveSummary,
+    loadRunArtifacts,
+    removeIterationArtifacts
 };
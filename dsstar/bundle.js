@@ -0,0 +1,209 @@
+/**
+ * Multi-Page Bundles
+ * A bundle is the coder's multi-file output for plans with several pages:
+ * one HTML file per page plus shared JS/CSS, written as
+ *
+ *   === FILE: index.html ===
+ *   <!DOCTYPE html>...
+ *   === FILE: shared.js ===
+ *   ...
+ *
+ * The orchestrator keeps that text as its "current HTML" so critics, patch
+ * prompts and resume work unchanged. Pages are rendered standalone (shared
+ * files inlined) for smoke tests, previews and deployed apps.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const FILE_MARKER = /^[ \t]*=== FILE: ([^\s=]+) ===[ \t]*$/m;
+const FILE_NAME = /^[a-z0-9][a-z0-9_-]*\.(html|js|css)$/i;
+
+/**
+ * @param {object} plan
+ * @returns {boolean} - true when the plan asks for more than one page
+ */
+function isMultiPagePlan(plan) {
+    return Array.isArray(plan?.pages) && plan.pages.length > 1;
+}
+
+/**
+ * File name for each planned page; the first page is always index.html
+ * @param {object} plan
+ * @returns {Array<{name: string, file: string}>}
+ */
+function planPageFiles(plan) {
+    const used = new Set();
+    return (plan?.pages || []).map((page, i) => {
+        const name = String(page?.name || `Page ${i + 1}`);
+        let base = i === 0 ? 'index' : name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `page-${i + 1}`;
+        while (used.has(base)) base = `${base}-${i + 1}`;
+        used.add(base);
+        return { name, file: `${base}.html` };
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} - true when text is in bundle format
+ */
+function isBundle(text) {
+    return FILE_MARKER.test(String(text || ''));
+}
+
+function stripFences(content) {
+    return content
+        .replace(/^\s*```[a-z]*\s*\n/i, '')
+        .replace(/\n\s*```\s*$/, '')
+        .trim();
+}
+
+/**
+ * Split bundle text into files
+ * @param {string} text
+ * @returns {{files: Array<{name: string, content: string}>, pages: string[]}|null} - null unless it has an HTML page
+ */
+function parseBundle(text) {
+    const source = String(text || '');
+    const markers = Array.from(source.matchAll(new RegExp(FILE_MARKER.source, 'gm')));
+    if (markers.length === 0) return null;
+
+    const files = [];
+    markers.forEach((match, i) => {
+        const name = match[1];
+        const end = i + 1 < markers.length ? markers[i + 1].index : source.length;
+        const content = stripFences(source.slice(match.index + match[0].length, end));
+        if (!FILE_NAME.test(name) || files.some(f => f.name === name)) return;
+        files.push({ name, content });
+    });
+
+    const pages = files.filter(f => f.name.toLowerCase().endsWith('.html')).map(f => f.name);
+    if (pages.length === 0) return null;
+
+    // index.html first so it is the landing page
+    const indexAt = pages.indexOf('index.html');
+    if (indexAt > 0) pages.unshift(pages.splice(indexAt, 1)[0]);
+
+    return { files, pages };
+}
+
+/**
+ * @param {{files: Array<{name: string, content: string}>}} bundle
+ * @returns {string}
+ */
+function serializeBundle(bundle) {
+    return bundle.files.map(f => `=== FILE: ${f.name} ===\n${f.content}`).join('\n\n') + '\n';
+}
+
+/**
+ * Apply a transform to every HTML page of a bundle
+ * @param {string} text - Bundle text
+ * @param {Function} fn - (html, fileName) => html
+ * @returns {string} - Bundle text
+ */
+function mapBundlePages(text, fn) {
+    const bundle = parseBundle(text);
+    if (!bundle) return text;
+    bundle.files = bundle.files.map(f => (
+        bundle.pages.includes(f.name) ? { ...f, content: fn(f.content, f.name) } : f
+    ));
+    return serializeBundle(bundle);
+}
+
+/**
+ * Render one page as a standalone document by inlining the bundle's JS/CSS
+ * @param {object} bundle - From parseBundle
+ * @param {string} fileName - Page file
+ * @returns {string|null}
+ */
+function renderBundlePage(bundle, fileName) {
+    const page = bundle.files.find(f => f.name === fileName && bundle.pages.includes(f.name));
+    if (!page) return null;
+
+    const assets = new Map(bundle.files.map(f => [f.name, f.content]));
+    const local = (ref) => assets.get(String(ref || '').replace(/^\.\//, ''));
+    // Inlined code must not close the tag it is placed in
+    const escapeTag = (code, tag) => code.replace(new RegExp(`</${tag}`, 'gi'), `<\\/${tag}`);
+
+    return page.content
+        .replace(/<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["'][^>]*>\s*<\/script>/gi, (tag, src) => {
+            const code = local(src);
+            return code === undefined ? tag : `<script>\n${escapeTag(code, 'script')}\n</script>`;
+        })
+        .replace(/<link\b[^>]*\bhref\s*=\s*["']([^"']+\.css)["'][^>]*>/gi, (tag, href) => {
+            const css = local(href);
+            return css === undefined ? tag : `<style>\n${escapeTag(css, 'style')}\n</style>`;
+        });
+}
+
+/**
+ * Render every page of bundle text
+ * @param {string} text - Bundle text
+ * @returns {Array<{name: string, html: string}>} - Landing page first
+ */
+function renderBundlePages(text) {
+    const bundle = parseBundle(text);
+    if (!bundle) return [];
+    return bundle.pages.map(name => ({ name, html: renderBundlePage(bundle, name) }));
+}
+
+/**
+ * Save a bundle as <dir>/app/<file> plus a <dir>/bundle.json manifest
+ * @param {string} dir - Run or deployment directory
+ * @param {string} text - Bundle text
+ * @param {object} [plan] - Used for page titles
+ * @returns {Promise<object|null>} - The manifest
+ */
+async function writeBundle(dir, text, plan = null) {
+    const bundle = parseBundle(text);
+    if (!bundle) return null;
+
+    const titles = new Map(planPageFiles(plan).map(p => [p.file, p.name]));
+    const manifest = {
+        pages: bundle.pages.map(file => ({ file, title: titles.get(file) || file.replace(/\.html$/i, '') })),
+        files: bundle.files.map(f => f.name)
+    };
+
+    const appDir = path.join(dir, 'app');
+    await fs.rm(appDir, { recursive: true, force: true });
+    await fs.mkdir(appDir, { recursive: true });
+    await Promise.all(bundle.files.map(f => fs.writeFile(path.join(appDir, f.name), f.content, 'utf8')));
+    await fs.writeFile(path.join(dir, 'bundle.json'), JSON.stringify(manifest, null, 2), 'utf8');
+    return manifest;
+}
+
+/**
+ * Load a bundle saved by writeBundle
+ * @param {string} dir - Run or deployment directory
+ * @returns {Promise<{manifest: object, bundle: object}|null>} - null when the app is single-page
+ */
+async function readBundle(dir) {
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(path.join(dir, 'bundle.json'), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+
+    const names = (manifest.files || []).filter(name => FILE_NAME.test(name));
+    const files = await Promise.all(names.map(async name => ({
+        name,
+        content: await fs.readFile(path.join(dir, 'app', name), 'utf8')
+    })));
+    const pages = (manifest.pages || []).map(p => p.file).filter(name => names.includes(name));
+    return { manifest, bundle: { files, pages } };
+}
+
+module.exports = {
+    isMultiPagePlan,
+    planPageFiles,
+    isBundle,
+    parseBundle,
+    serializeBundle,
+    mapBundlePages,
+    renderBundlePage,
+    renderBundlePages,
+    writeBundle,
+    readBundle
+};
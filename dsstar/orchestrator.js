@@ -6,14 +6,57 @@
  * - Iterates until ALL steps pass or hits max iterations
  * - Accumulates security failures to prevent repeated mistakes
  * - Supports onProgress callback for SSE streaming
+ * - Optionally streams planner/coder tokens
+ * - Stops between phases when `signal` aborts and records status 'cancelled'
+ * - Continues an interrupted run when given `resumeState` (see runState.js)
+ * - Plans with several pages produce a multi-file bundle (see bundle.js)
+ * - Fixes are requested as search/replace hunks, falling back to full regeneration (see patch.js)
+ * - Optional visual critique of smoke-test screenshots when a vision model is configured
+ * - Acceptance criteria become generated browser scenarios run with the smoke tests
+ * - Accessibility audit after the smoke tests, blocking or advisory (a11yMode)
+ * - The coder is offered only the catalog libraries the plan needs (see libraries/selection.js)
  */
 
 
 const { critiquePlan } = require('../critic/planCritic');
 const { critiqueCode } = require('../critic/codeCritic');
-const { runSmokeTests } = require('../tests/smokeTest');
-const { runSecurityGate, BANNED_PATTERNS } = require('../critic/securityScanner');
-const { createRunDir, saveIterationArtifacts, saveFinalOutputs, saveSummary } = require('./artifactStore');
+const { critiqueScreenshots } = require('../critic/visualCritic');
+const { generateAcceptanceTests, summarizeAcceptance } = require('../tests/acceptanceTests');
+const { runA11yAudit } = require('../tests/a11y');
+const { runSmokeTests, runBundleSmokeTests } = require('../tests/smokeTest');
+const { runSecurityGate, runBundleSecurityGate } = require('../critic/securityScanner');
+const { formatViolationsForPrompt } = require('../critic/securityPolicy');
+const { selectLibraries } = require('../libraries/selection');
+const {
+    createRunDir,
+    saveRunConfig,
+    saveIterationArtifacts,
+    saveFinalOutputs,
+    saveSummary,
+    loadRunArtifacts,
+    removeIterationArtifacts
+} = require('./artifactStore');
+const {
+    collectPlanIssues,
+    collectCodeIssues,
+    collectVisualIssues,
+    isVisualBlocking,
+    buildVisualFailure,
+    collectA11yIssues,
+    buildA11yFailure,
+    buildSmokeFailure,
+    summarizeIterations
+} = require('./runState');
+const {
+    isMultiPagePlan,
+    isBundle,
+    parseBundle,
+    serializeBundle,
+    mapBundlePages,
+    renderBundlePages,
+    writeBundle
+} = require('./bundle');
+const { parseSearchReplace, applySearchReplace, createUnifiedDiff } = require('./patch');
 const { PATCH_CODE_PROMPT } = require('../critic/prompts');
 const { writeFile } = require('fs/promises');
 const path = require('path');
@@ -23,11 +66,19 @@ async function runDSStarPipeline({
     plannerModel = 'llama-3.3-70b-versatile',
     coderModel = 'llama-3.3-70b-versatile',
     criticModel = 'llama-3.1-8b-instant',
+    visionModel = null,
     availableModels = [],
     maxIters = 8,
     deps,
     runsDir,
-    onProgress = null
+    onProgress = null,
+    streamTokens = false,
+    signal = null,
+    runId = null,
+    resumeState = null,
+    patchMode = 'diff',
+    smokeDevices = undefined,
+    a11yMode = 'advisory'
 }) {
     const {
         callLLM,
@@ -37,6 +88,9 @@ async function runDSStarPipeline({
         injectRuntimeHelpers,
         loadLibraries,
         formatLibrariesForPrompt,
+        allowedScriptSources,
+        securityPolicy,
+        activeCsp,
         timestampId,
         buildCoderPrompt
     } = deps;
@@ -55,9 +109,29 @@ async function runDSStarPipeline({
         } catch (e) { /* ignore */ }
     };
 
-    const runId = `dsstar_${timestampId()}`;
+    // Token events skip emit() so every chunk doesn't carry the models block
+    const tokenStream = (phase, iteration) => {
+        if (!onProgress || !streamTokens) return undefined;
+        return (token) => {
+            try {
+                onProgress({ type: 'token', phase, iteration, token });
+            } catch (e) { /* ignore */ }
+        };
+    };
+
+    runId = runId || `dsstar_${timestampId()}`;
     const runDir = await createRunDir(runsDir, runId);
-    let runtimeModel = 'llama-3.1-8b-instant'; // Fixed runtime model for now
+    const restored = resumeState || {};
+    let runtimeModel = restored.runtimeModel || 'llama-3.1-8b-instant'; // Fixed runtime model for now
+
+    await saveRunConfig(runDir, {
+        runId,
+        prompt,
+        models: { planner: plannerModel, coder: coderModel, critic: criticModel, vision: visionModel },
+        availableModels,
+        maxIters,
+        patchMode
+    });
 
     console.log(`[DS-Star] Starting run ${runId} with:`);
     console.log(`- Planner: ${plannerModel}`);
@@ -66,36 +140,46 @@ async function runDSStarPipeline({
 
 
 
-    const history = [];
-    const failureReports = [];
+    const history = restored.history || [];
+    const failureReports = restored.failureReports || [];
 
     // ACCUMULATED ERROR MEMORY - passed to subsequent iterations
-    const securityErrors = [];  // All security failures encountered
-    const codeCritiqueIssues = []; // All code critique issues
-    const planCritiqueIssues = []; // All plan critique issues
-
-    let currentPlan = null;
-    let currentHtml = null;
-    let planApprovedAt = null;
-    let codeApprovedAt = null;
-    let testsPassedAt = null;
+    const securityErrors = restored.securityErrors || [];  // All security failures encountered
+    const codeCritiqueIssues = restored.codeCritiqueIssues || []; // All code critique issues
+    const planCritiqueIssues = restored.planCritiqueIssues || []; // All plan critique issues
+
+    let currentPlan = restored.currentPlan || null;
+    let currentHtml = restored.currentHtml || null;
+    let planApprovedAt = restored.planApprovedAt || null;
+    let codeApprovedAt = restored.codeApprovedAt || null;
+    let testsPassedAt = restored.testsPassedAt || null;
     let success = false;
+    let cancelled = false;
 
 
 
     let lastFailurePhase = '';
-    let lastFailureReason = '';
+    let lastFailureReason = restored.lastFailureReason || '';
     let sameFailureCount = 0;
 
+    // Interrupted iterations are re-run from scratch
+    for (const iteration of restored.discardIterations || []) {
+        await removeIterationArtifacts(runDir, iteration);
+    }
+    const firstIter = restored.nextIteration || 1;
+
 
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`[DS-Star] Starting pipeline: ${runId}`);
+    console.log(`[DS-Star] ${resumeState ? `Resuming pipeline at iteration ${firstIter}` : 'Starting pipeline'}: ${runId}`);
     console.log(`${'='.repeat(60)}\n`);
 
-    emit({ type: 'start', runId, maxIters });
-
-    for (let iter = 1; iter <= maxIters; iter++) {
+    emit({ type: 'start', runId, maxIters, resumedFrom: resumeState ? firstIter : undefined });
 
+    for (let iter = firstIter; iter <= maxIters; iter++) {
+        if (signal?.aborted) {
+            cancelled = true;
+            break;
+        }
 
         console.log(`\n[DS-Star] ITERATION ${iter}/${maxIters}`);
         emit({ type: 'iteration', iteration: iter, maxIters, phase: 'start' });
@@ -121,7 +205,7 @@ async function runDSStarPipeline({
                         planCritiqueIssues.map(i => `- ${i}`).join('\n');
                 }
                 extraDirections += '\n\nSECURITY RESTRICTIONS - DO NOT VIOLATE:\n' +
-                    securityErrors.map(e => `❌ ${e}`).join('\n');
+                    formatViolationsForPrompt(securityErrors).join('\n');
 
 
                 if (extraDirections) {
@@ -129,7 +213,9 @@ async function runDSStarPipeline({
                 }
 
                 const planResult = await requestPlan(prompt, extraDirections, plannerModel, {
-                    availableModels
+                    availableModels,
+                    onToken: tokenStream('plan', iter),
+                    signal
                 });
                 currentPlan = planResult.plan;
                 iterArtifacts.plan = currentPlan;
@@ -154,6 +240,8 @@ async function runDSStarPipeline({
                 failureReports.push({ iter, phase: 'plan', error: err.message });
                 emit({ type: 'iteration', iteration: iter, maxIters, phase: 'plan', status: 'failed', error: err.message });
                 history.push({ iter, phase: 'plan', error: err.message });
+                iterArtifacts.meta.outcome = signal?.aborted ? 'cancelled' : 'plan_failed';
+                iterArtifacts.meta.error = err.message;
                 await saveIterationArtifacts(runDir, iter, iterArtifacts);
                 continue;
             }
@@ -163,9 +251,16 @@ async function runDSStarPipeline({
             console.log('[Phase 2] 🔍 CRITIQUING PLAN...');
             emit({ type: 'iteration', iteration: iter, maxIters, phase: 'plan_critique', status: 'working' });
 
-            const planCritique = await critiquePlan(callLLM, prompt, currentPlan, criticModel);
+            const planCritique = await critiquePlan(callLLM, prompt, currentPlan, criticModel, { signal });
             iterArtifacts.planCritique = planCritique;
 
+            if (signal?.aborted) {
+                cancelled = true;
+                iterArtifacts.meta.outcome = 'cancelled';
+                await saveIterationArtifacts(runDir, iter, iterArtifacts);
+                break;
+            }
+
             if (planCritique.approved) {
                 planApprovedAt = iter;
                 console.log('[Phase 2] ✓ Plan APPROVED');
@@ -180,10 +275,7 @@ async function runDSStarPipeline({
 
             } else {
                 // Accumulate plan issues for next iteration
-                (planCritique.issues || []).forEach(issue => {
-                    const msg = `[${issue.severity}] ${issue.area}: ${issue.message}`;
-                    if (!planCritiqueIssues.includes(msg)) planCritiqueIssues.push(msg);
-                });
+                collectPlanIssues(planCritiqueIssues, planCritique);
 
                 const issues = planCritique.issues || [];
                 failureReason = `PLAN_CRITIQUE: ${issues.length} issues. ${issues.slice(0, 2).map(i => i.message).join(', ')}`;
@@ -192,6 +284,7 @@ async function runDSStarPipeline({
                 console.log(`[Phase 2] ❌ Plan REJECTED - ${planCritique.issues?.length || 0} issues`);
                 emit({ type: 'iteration', iteration: iter, maxIters, phase: 'plan', status: 'rejected', issues: planCritique.issues });
                 history.push({ iter, phase: 'plan_critique', planCritique });
+                iterArtifacts.meta.outcome = 'plan_rejected';
                 await saveIterationArtifacts(runDir, iter, iterArtifacts);
                 continue;
             }
@@ -202,9 +295,11 @@ async function runDSStarPipeline({
         emit({ type: 'iteration', iteration: iter, maxIters, phase: 'code', status: 'working' });
 
         try {
+            let previousHtml = null; // set when patching, for patch.diff
+
             // Build accumulated error context for patching
             const accumulatedErrors = [
-                ...securityErrors.map(e => `SECURITY: ${e}`),
+                ...securityErrors.map(e => `SECURITY: ${e.pattern}`),
                 ...codeCritiqueIssues.slice(-10) // Last 10 code issues
             ];
 
@@ -232,26 +327,7 @@ async function runDSStarPipeline({
                 }
 
                 fixLines.push('', 'SECURITY RULES (MUST FOLLOW):');
-                securityErrors.forEach(e => {
-                    // Normalize legacy errors to match our keys
-                    let key = e;
-                    if (e.includes('fetch')) key = 'fetch()';
-                    else if (e.includes('iframe')) key = '<iframe>';
-                    else if (e.includes('axios')) key = 'axios';
-                    else if (e.includes('XMLHttpRequest')) key = 'XMLHttpRequest';
-                    else if (e.includes('embed')) key = '<embed>';
-                    else if (e.includes('object')) key = '<object>';
-
-                    const patternDef = BANNED_PATTERNS.find(p => p.name === key);
-                    const fix = patternDef ? patternDef.fix : '';
-
-                    if (patternDef) {
-                        fixLines.push(`❌ ${key} IS BANNED → ${fix}`);
-                    } else {
-                        // Fallback for unknown errors
-                        fixLines.push(`❌ CORRECT THIS SECURITY ERROR: ${e}`);
-                    }
-                });
+                fixLines.push(...formatViolationsForPrompt(securityErrors));
 
                 const attemptHistory = failureReports.map(r =>
                     `Iteration ${r.iter}: Phase ${r.phase} failed with ${r.error || (r.issues ? r.issues.length + ' issues' : 'unknown error')}`
@@ -260,46 +336,51 @@ async function runDSStarPipeline({
                 // Get console errors from last test
                 const testErrors = lastSmoke?.results?.consoleErrors || [];
 
-                const patchPrompt = PATCH_CODE_PROMPT(
-                    currentHtml,
-                    fixLines.join('\n'),
-                    testErrors,
-                    attemptHistory
+                const bundle = isBundle(currentHtml);
+                const requestPatch = (mode) => callLLM(
+                    coderModel,
+                    PATCH_CODE_PROMPT(currentHtml, fixLines.join('\n'), testErrors, attemptHistory, { bundle, mode }),
+                    { role: 'coder', onToken: tokenStream('code', iter), signal }
                 );
-                const patched = await callLLM(coderModel, patchPrompt);
-                currentHtml = extractHtml(patched);
+                previousHtml = currentHtml;
+
+                let patchedHtml = null;
+                if (patchMode === 'diff') {
+                    const hunks = parseSearchReplace(await requestPatch('diff'));
+                    const applied = applySearchReplace(currentHtml, hunks);
+                    iterArtifacts.meta.patch = { mode: 'diff', hunks: hunks.length, applied: applied.applied };
+                    if (applied.ok) {
+                        patchedHtml = applied.text;
+                        console.log(`[Phase 3] ✓ Applied ${hunks.length} patch hunk(s)`);
+                    } else {
+                        iterArtifacts.meta.patch.fallback = applied.error;
+                        console.warn(`[Phase 3] ⚠️ Patch failed (${applied.error}), regenerating full document...`);
+                    }
+                }
+                if (patchedHtml === null) {
+                    patchedHtml = extractCode(await requestPatch('full'));
+                    if (!iterArtifacts.meta.patch) iterArtifacts.meta.patch = { mode: 'full' };
+                }
+                currentHtml = patchedHtml;
 
             } else {
                 console.log('[Phase 3] Generating fresh HTML...');
                 const libs = await loadLibraries();
-                const librariesText = formatLibrariesForPrompt(libs);
+                const librarySelection = selectLibraries(currentPlan, libs);
+                if (librarySelection) {
+                    iterArtifacts.meta.libraries = librarySelection;
+                    console.log(`[Phase 3] 📚 Libraries: ${librarySelection.libraries.join(', ') || 'none'}`);
+                }
+                const librariesText = formatLibrariesForPrompt(libs, librarySelection);
 
                 // Add accumulated security errors as extra context WITH FIX INSTRUCTIONS
                 let extra = '';
                 if (securityErrors.length > 0) {
                     extra = '\n⚠️ SECURITY RESTRICTIONS - DO NOT VIOLATE:\n';
-                    securityErrors.forEach(e => {
-                        // Normalize and find fix instruction
-                        let key = e;
-                        if (e.includes('fetch')) key = 'fetch()';
-                        else if (e.includes('iframe')) key = '<iframe>';
-                        else if (e.includes('axios')) key = 'axios';
-                        else if (e.includes('XMLHttpRequest')) key = 'XMLHttpRequest';
-                        else if (e.includes('embed')) key = '<embed>';
-                        else if (e.includes('object')) key = '<object>';
-
-                        const patternDef = BANNED_PATTERNS.find(p => p.name === key);
-                        const fix = patternDef ? patternDef.fix : '';
-
-                        if (patternDef) {
-                            extra += `❌ ${key} IS BANNED → ${fix}\n`;
-                        } else {
-                            extra += `❌ ${e}\n`;
-                        }
-                    });
+                    extra += formatViolationsForPrompt(securityErrors).map(line => `${line}\n`).join('');
 
                     // Add concrete code example for LLM calls
-                    if (securityErrors.some(e => e.includes('fetch') || e.includes('axios') || e.includes('XMLHttpRequest'))) {
+                    if (securityErrors.some(e => e.category === 'network')) {
                         extra += '\n✅ CORRECT WAY TO MAKE LLM CALLS:\n';
                         extra += '```javascript\n';
                         extra += '// Use window.geaRuntimeLLM() instead of fetch/axios\n';
@@ -313,48 +394,68 @@ async function runDSStarPipeline({
                     extra += '\n';
                 }
 
-                const codePrompt = buildCoderPrompt(prompt, currentPlan, extra, librariesText);
+                const multiPage = isMultiPagePlan(currentPlan);
+                const codePrompt = buildCoderPrompt(prompt, currentPlan, extra, librariesText, { multiPage });
                 console.log(`[Phase 3] 🎯 Sending to Coder:`);
-                console.log(`[Phase 3]    Plan: ${currentPlan.title || 'Untitled'}`);
+                console.log(`[Phase 3]    Plan: ${currentPlan.title || 'Untitled'}${multiPage ? ` (${currentPlan.pages.length} pages)` : ''}`);
                 if (extra) {
                     console.log(`[Phase 3]    Security Constraints: ${extra.slice(0, 150)}...`);
                 }
-                const raw = await callLLM(coderModel, codePrompt);
-                currentHtml = extractHtml(raw);
+                const raw = await callLLM(coderModel, codePrompt, {
+                    role: 'coder',
+                    onToken: tokenStream('code', iter),
+                    signal
+                });
+                currentHtml = extractCode(raw);
             }
 
-            currentHtml = ensureCspMeta(currentHtml);
-            currentHtml = ensureCspMeta(currentHtml);
             // Legacy security check removed. We rely on deterministic Phase 4a gate.
-
-            currentHtml = injectRuntimeHelpers(currentHtml, runtimeModel, runId);
+            const finishPage = (html) => injectRuntimeHelpers(ensureCspMeta(html), runtimeModel, runId);
+            currentHtml = isBundle(currentHtml) ? mapBundlePages(currentHtml, finishPage) : finishPage(currentHtml);
             iterArtifacts.html = currentHtml;
-            console.log(`[Phase 3] ✓ HTML generated (${currentHtml.length} chars)`);
+            if (previousHtml !== null) {
+                iterArtifacts.patch = createUnifiedDiff(previousHtml, currentHtml, {
+                    fileName: isBundle(currentHtml) ? 'bundle.txt' : 'html.html'
+                });
+            }
+            console.log(isBundle(currentHtml)
+                ? `[Phase 3] ✓ Bundle generated (${parseBundle(currentHtml).pages.join(', ')}; ${currentHtml.length} chars)`
+                : `[Phase 3] ✓ HTML generated (${currentHtml.length} chars)`);
         } catch (err) {
             failureReason = `HTML_GENERATION: ${err.message}`;
             lastFailureReason = failureReason;
             failureReports.push({ iter, phase: 'codegen', error: err.message });
             emit({ type: 'iteration', iteration: iter, maxIters, phase: 'code', status: 'failed', error: err.message });
             history.push({ iter, phase: 'codegen', error: err.message });
+            iterArtifacts.meta.outcome = signal?.aborted ? 'cancelled' : 'codegen_failed';
+            iterArtifacts.meta.error = err.message;
             await saveIterationArtifacts(runDir, iter, iterArtifacts);
             continue;
         }
 
         // ============ PHASE 4a: DETERMINISTIC SECURITY SCAN (CI/CD GATE) ============
         console.log('[Phase 4a] 🔒 RUNNING SECURITY SCAN (deterministic)...');
-        const securityScan = runSecurityGate(currentHtml);
+        const scanOptions = {
+            allowedScripts: allowedScriptSources ? allowedScriptSources() : null,
+            policy: securityPolicy ? securityPolicy() : undefined
+        };
+        const securityScan = isBundle(currentHtml)
+            ? runBundleSecurityGate(renderBundlePages(currentHtml), scanOptions)
+            : runSecurityGate(currentHtml, scanOptions);
         iterArtifacts.securityScan = securityScan;
+        // Below the policy's failOn: reported, never blocking
+        securityScan.securityWarnings.forEach(v => console.log(`[Phase 4a] ⚠️ Warning: ${v.message} - ${v.fix}`));
 
         if (!securityScan.passed) {
             // Deterministic security failures ALWAYS block
             console.log(`[Phase 4a] ❌ SECURITY SCAN FAILED:${securityScan.summary}`);
             securityScan.securityViolations.forEach(v => {
-                console.log(`[Phase 4a]    Violation: ${v.pattern} - ${v.fix}`);
+                console.log(`[Phase 4a]    Violation: ${v.pattern}${v.line ? ` at ${v.line}:${v.column}` : ''} - ${v.fix}`);
                 if (v.snippet) {
                     console.log(`[Phase 4a]    Code: ${v.snippet}`);
                 }
-                if (!securityErrors.includes(v.pattern)) {
-                    securityErrors.push(v.pattern);
+                if (!securityErrors.some(e => e.ruleId === v.ruleId)) {
+                    securityErrors.push({ ruleId: v.ruleId, pattern: v.pattern, category: v.category, fix: v.fix });
                 }
             });
 
@@ -372,6 +473,7 @@ async function runDSStarPipeline({
 
             emit({ type: 'iteration', iteration: iter, maxIters, phase: 'security_scan', status: 'failed', violations: securityScan.securityViolations });
             history.push({ iter, phase: 'security_scan', securityScan });
+            iterArtifacts.meta.outcome = 'security_failed';
             await saveIterationArtifacts(runDir, iter, iterArtifacts);
             continue;
         }
@@ -383,23 +485,23 @@ async function runDSStarPipeline({
         console.log('[Phase 4b] 🔍 LLM CODE CRITIQUE (advisory)...');
         emit({ type: 'iteration', iteration: iter, maxIters, phase: 'code_critique', status: 'working' });
 
-        const codeCritique = await critiqueCode(callLLM, prompt, currentPlan, currentHtml, criticModel);
+        const codeCritique = await critiqueCode(callLLM, prompt, currentPlan, currentHtml, criticModel, { signal });
         iterArtifacts.codeCritique = codeCritique;
 
+        if (signal?.aborted) {
+            cancelled = true;
+            iterArtifacts.meta.outcome = 'cancelled';
+            await saveIterationArtifacts(runDir, iter, iterArtifacts);
+            break;
+        }
+
         if (codeCritique.approved) {
             codeApprovedAt = iter;
             console.log('[Phase 4b] ✓ Code APPROVED by critic');
             emit({ type: 'iteration', iteration: iter, maxIters, phase: 'code', status: 'approved' });
         } else {
             // Accumulate code issues for potential patching, but DON'T block
-            (codeCritique.issues || []).forEach(issue => {
-                const msg = `[${issue.severity}] ${issue.message}`;
-                if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
-            });
-            (codeCritique.missing || []).forEach(m => {
-                const msg = `Missing: ${m}`;
-                if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
-            });
+            collectCodeIssues(codeCritiqueIssues, codeCritique);
 
             const missing = codeCritique.missing || [];
             const issues = codeCritique.issues || [];
@@ -414,34 +516,59 @@ async function runDSStarPipeline({
         console.log('[Phase 5] 🧪 RUNNING SMOKE TESTS...');
         emit({ type: 'iteration', iteration: iter, maxIters, phase: 'tests', status: 'working' });
 
-        const smokeTest = await runSmokeTests(currentHtml, currentPlan);
+        // Scenarios are regenerated each iteration so their selectors match the current code
+        const acceptanceTests = await generateAcceptanceTests(callLLM, currentPlan, currentHtml, criticModel, {
+            signal,
+            bundle: isBundle(currentHtml)
+        });
+        if (acceptanceTests.tests.length > 0) {
+            console.log(`[Phase 5] Generated ${acceptanceTests.tests.length}/${acceptanceTests.criteria.length} acceptance scenarios`);
+        }
+
+        const screenshotDir = path.join(runDir, `iter_${iter}`, 'screenshots');
+        const smokeOptions = {
+            signal,
+            screenshotDir,
+            acceptanceTests: acceptanceTests.tests,
+            devices: smokeDevices,
+            csp: activeCsp ? activeCsp() : null
+        };
+        const smokeTest = isBundle(currentHtml)
+            ? await runBundleSmokeTests(renderBundlePages(currentHtml), currentPlan, smokeOptions)
+            : await runSmokeTests(currentHtml, currentPlan, smokeOptions);
         iterArtifacts.smokeTest = smokeTest;
 
+        if (acceptanceTests.criteria.length > 0) {
+            iterArtifacts.acceptanceTests = {
+                ...acceptanceTests,
+                results: summarizeAcceptance(acceptanceTests.criteria, acceptanceTests.tests, smokeTest.results)
+            };
+        }
+        const acceptance = iterArtifacts.acceptanceTests?.results;
+
+        if (signal?.aborted) {
+            cancelled = true;
+            iterArtifacts.meta.outcome = 'cancelled';
+            await saveIterationArtifacts(runDir, iter, iterArtifacts);
+            break;
+        }
+
         if (smokeTest.passed || smokeTest.results?.skipped) {
             testsPassedAt = iter;
             success = true;
             console.log('[Phase 5] ✓ Smoke tests PASSED');
-            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'tests', status: 'passed' });
+            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'tests', status: 'passed', acceptance });
         } else {
             const errors = smokeTest.results?.consoleErrors || [];
             const missing = smokeTest.results?.missingSelectors || [];
             const structured = smokeTest.structuredErrors || [];
-            const fatal = smokeTest.results?.fatalError ? ` FATAL: ${smokeTest.results.fatalError}` : '';
 
-            // Format missing as strings for backward compatibility
-            const missingStrs = missing.map(m => typeof m === 'string' ? m : m.selector);
-            failureReason = `SMOKE_TESTS: ${errors.length} errors, ${missing.length} missing elements.${fatal}`;
+            const smokeFailure = buildSmokeFailure(iter, smokeTest);
+            const missingStrs = smokeFailure.report.missingSelectors;
+            failureReason = smokeFailure.failureReason;
             lastFailureReason = failureReason;
 
-            failureReports.push({
-                iter,
-                phase: 'smoke_tests',
-                consoleErrors: errors,
-                missingSelectors: missingStrs,
-                structuredErrors: structured,
-                fatalError: smokeTest.results?.fatalError,
-                error: failureReason
-            });
+            failureReports.push(smokeFailure.report);
 
             // Store in history for patching to access
             history.push({ iter, phase: 'smoke_tests', smokeTest });
@@ -466,11 +593,96 @@ async function runDSStarPipeline({
                     console.log(`[Phase 5]    ${i + 1}. [${err.severity}] ${err.type}: ${err.message}`);
                 });
             }
-            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'tests', status: 'failed', errors, missing: missingStrs, fatalError: smokeTest.results?.fatalError });
+            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'tests', status: 'failed', errors, missing: missingStrs, fatalError: smokeTest.results?.fatalError, acceptance });
+        }
+
+        // ============ PHASE 5a: ACCESSIBILITY ============
+        // Violations always become patch instructions; in blocking mode high ones fail the iteration
+        let a11yFailed = false;
+        if (success && a11yMode !== 'off') {
+            console.log('[Phase 5a] ♿ ACCESSIBILITY AUDIT...');
+            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'a11y', status: 'working' });
+
+            const auditPages = isBundle(currentHtml) ? renderBundlePages(currentHtml) : [{ name: 'index.html', html: currentHtml }];
+            let a11y;
+            try {
+                a11y = { mode: a11yMode, ...await runA11yAudit(auditPages, { signal }) };
+            } catch (err) {
+                // A blocking gate that never ran doesn't pass; advisory mode carries on
+                console.warn(`[Phase 5a] ⚠️ Accessibility audit failed to run: ${err.message}`);
+                a11y = { mode: a11yMode, passed: a11yMode !== 'blocking', error: err.message, violations: [], counts: { high: 0, medium: 0, low: 0 } };
+            }
+            iterArtifacts.a11y = a11y;
+
+            if (signal?.aborted) {
+                success = false;
+                cancelled = true;
+                iterArtifacts.meta.outcome = 'cancelled';
+                await saveIterationArtifacts(runDir, iter, iterArtifacts);
+                break;
+            }
+
+            collectA11yIssues(codeCritiqueIssues, a11y);
+            if (a11y.skipped) {
+                console.log(`[Phase 5a] ⏭️ Skipped: ${a11y.skipped}`);
+            } else if (!a11y.error) {
+                console.log(`[Phase 5a] ${a11y.passed ? '✓' : '⚠️'} ${a11y.counts.high} high, ${a11y.counts.medium} medium, ${a11y.counts.low} low`);
+            }
+
+            if (!a11y.passed && a11yMode === 'blocking') {
+                success = false;
+                a11yFailed = true;
+                const a11yFailure = buildA11yFailure(iter, a11y);
+                failureReason = a11yFailure.failureReason;
+                lastFailureReason = failureReason;
+                failureReports.push(a11yFailure.report);
+                history.push({ iter, phase: 'a11y', a11y });
+                console.log(`[Phase 5a] ❌ Accessibility gate FAILED: ${failureReason}`);
+                emit({ type: 'iteration', iteration: iter, maxIters, phase: 'a11y', status: 'failed', violations: a11y.violations });
+            } else {
+                emit({ type: 'iteration', iteration: iter, maxIters, phase: 'a11y', status: a11y.passed ? 'passed' : 'advisory_issues', violations: a11y.violations });
+            }
+        }
+
+        // ============ PHASE 5b: VISUAL CRITIQUE (optional) ============
+        // Only high-severity issues (blank page, empty chart, broken layout) block
+        const screenshots = smokeTest.results?.screenshots || [];
+        let visualFailed = false;
+        if (success && visionModel && screenshots.length > 0) {
+            console.log(`[Phase 5b] 👁️ VISUAL CRITIQUE (${screenshots.length} screenshots)...`);
+            emit({ type: 'iteration', iteration: iter, maxIters, phase: 'visual', status: 'working' });
+
+            const visualCritique = await critiqueScreenshots(callLLM, currentPlan, screenshots, screenshotDir, visionModel, { signal });
+            iterArtifacts.visualCritique = visualCritique;
+
+            if (signal?.aborted) {
+                success = false;
+                cancelled = true;
+                iterArtifacts.meta.outcome = 'cancelled';
+                await saveIterationArtifacts(runDir, iter, iterArtifacts);
+                break;
+            }
+
+            if (isVisualBlocking(visualCritique)) {
+                success = false;
+                visualFailed = true;
+                collectVisualIssues(codeCritiqueIssues, visualCritique);
+                const visualFailure = buildVisualFailure(iter, visualCritique);
+                failureReason = visualFailure.failureReason;
+                lastFailureReason = failureReason;
+                failureReports.push(visualFailure.report);
+                history.push({ iter, phase: 'visual_critique', visualCritique });
+                console.log(`[Phase 5b] ❌ Visual critique FAILED: ${failureReason}`);
+                emit({ type: 'iteration', iteration: iter, maxIters, phase: 'visual', status: 'failed', issues: visualCritique.issues });
+            } else {
+                console.log(`[Phase 5b] ✓ Visual critique passed (${visualCritique.issues.length} advisory issues)`);
+                emit({ type: 'iteration', iteration: iter, maxIters, phase: 'visual', status: 'approved', issues: visualCritique.issues });
+            }
         }
 
         iterArtifacts.meta.endTime = new Date().toISOString();
         iterArtifacts.meta.success = success;
+        iterArtifacts.meta.outcome = success ? 'passed' : (a11yFailed ? 'a11y_failed' : (visualFailed ? 'visual_failed' : 'tests_failed'));
         await saveIterationArtifacts(runDir, iter, iterArtifacts);
         history.push({ iter, success, planApprovedAt, codeApprovedAt, testsPassedAt });
 
@@ -501,11 +713,27 @@ async function runDSStarPipeline({
 
     }
 
+    // An LLM call aborted in the last iteration ends the loop without reaching the top-of-loop check
+    if (!success && signal?.aborted) cancelled = true;
+
+    if (cancelled) {
+        const reason = typeof signal.reason === 'string' ? signal.reason : 'cancelled';
+        lastFailureReason = `CANCELLED: ${reason}`;
+        console.log(`\n[DS-Star] ⏹️ Run cancelled (${reason})`);
+        emit({ type: 'cancelled', runId, reason });
+    }
+
+    // Bundles keep final.html as the landing page so single-page consumers still work
+    const bundlePages = isBundle(currentHtml) ? renderBundlePages(currentHtml) : [];
+    const finalHtml = bundlePages.length > 0 ? bundlePages[0].html : currentHtml;
+    const bundleManifest = bundlePages.length > 0 ? await writeBundle(runDir, currentHtml, currentPlan) : null;
 
-    await saveFinalOutputs(runDir, { plan: currentPlan, html: currentHtml });
+    await saveFinalOutputs(runDir, { plan: currentPlan, html: finalHtml });
 
+    const { iterations } = await loadRunArtifacts(runDir);
     const summary = {
         runId,
+        status: cancelled ? 'cancelled' : (success ? 'succeeded' : 'failed'),
         success,
         totalIterations: history.length,
         planApprovedAt,
@@ -514,31 +742,38 @@ async function runDSStarPipeline({
         lastFailure: lastFailureReason,
         accumulatedSecurityErrors: securityErrors,
         failureReports,
+        // Per-criterion status from the latest iteration that ran scenarios
+        acceptance: [...iterations].reverse().find(it => it.acceptanceTests)?.acceptanceTests.results || [],
+        // Libraries offered to the coder for the latest fresh generation (patches keep them)
+        libraries: [...iterations].reverse().find(it => it.meta?.libraries)?.meta.libraries || null,
+        iterations: summarizeIterations(iterations),
         timestamp: new Date().toISOString()
     };
 
     await saveSummary(runDir, summary);
 
     // Save the most recent HTML (even on failure) so user can see what was generated
-    if (currentHtml) {
+    if (finalHtml) {
         try {
-            await writeFile(path.join(runDir, 'final.html'), currentHtml, 'utf8');
-            console.log(`[DS-Star] Saved last HTML to final.html (${currentHtml.length} chars)`);
+            await writeFile(path.join(runDir, 'final.html'), finalHtml, 'utf8');
+            console.log(`[DS-Star] Saved last HTML to final.html (${finalHtml.length} chars)`);
         } catch (err) {
             console.error(`[DS-Star] Failed to save final HTML: ${err.message}`);
         }
     }
 
-    console.log(`\n[DS-Star] Pipeline complete. Success: ${success}`);
+    console.log(`\n[DS-Star] Pipeline complete. Status: ${summary.status}`);
     if (securityErrors.length > 0) {
-        console.log(`[DS-Star] Security errors encountered: ${securityErrors.join(', ')}`);
+        console.log(`[DS-Star] Security errors encountered: ${securityErrors.map(e => e.pattern).join(', ')}`);
     }
 
     return {
         runId,
         success,
+        cancelled,
         finalPlan: currentPlan,
         finalHtmlPath: `/api/run/${runId}/final.html`,
+        pages: bundleManifest ? bundleManifest.pages : null,
         summary,
         history,
         failureReports,
@@ -546,6 +781,15 @@ async function runDSStarPipeline({
     };
 }
 
+/**
+ * Pull the coder's output out of an LLM response: a multi-page bundle when it
+ * uses FILE markers, otherwise a single HTML document
+ */
+function extractCode(raw) {
+    const bundle = parseBundle(raw);
+    return bundle ? serializeBundle(bundle) : extractHtml(raw);
+}
+
 function extractHtml(raw) {
     if (!raw) return '';
     if (raw.trim().startsWith('<!DOCTYPE') || raw.trim().startsWith('<html')) return raw.trim();
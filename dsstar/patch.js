@@ -0,0 +1,263 @@
+/**
+ * Code Patches
+ * In patch mode the coder answers with search/replace hunks instead of a
+ * complete document:
+ *
+ *   <<<<<<< SEARCH
+ *   exact lines from the current code
+ *   =======
+ *   replacement lines
+ *   >>>>>>> REPLACE
+ *
+ * Hunks are applied to the current HTML (or bundle text). If any hunk cannot
+ * be located the orchestrator falls back to full regeneration. Applied
+ * changes are recorded as a unified diff (iter_N/patch.diff).
+ *
+ * Tests: test/patch.test.js (npm test)
+ */
+
+const HUNK = /^[ \t]*<{5,9} ?SEARCH[ \t]*\r?\n([\s\S]*?)^[ \t]*={5,9}[ \t]*\r?\n([\s\S]*?)^[ \t]*>{5,9} ?REPLACE[ \t]*$/gm;
+
+// Above this many line comparisons the diff falls back to one replaced block
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Extract search/replace hunks from a coder response
+ * @param {string} text - Raw LLM output
+ * @returns {Array<{search: string, replace: string}>}
+ */
+function parseSearchReplace(text) {
+    const hunks = [];
+    for (const match of String(text || '').matchAll(HUNK)) {
+        hunks.push({
+            search: match[1].replace(/\r?\n$/, ''),
+            replace: match[2].replace(/\r?\n$/, '')
+        });
+    }
+    return hunks;
+}
+
+function countOccurrences(source, needle) {
+    let count = 0;
+    let at = source.indexOf(needle);
+    while (at !== -1) {
+        count++;
+        at = source.indexOf(needle, at + needle.length);
+    }
+    return count;
+}
+
+/**
+ * Locate a hunk whose indentation, trailing whitespace or line endings differ from the source
+ * @returns {{start: number, end: number}|{ambiguous: true}|null} - Character range of the only match
+ *   (without the last line's \r), or null when nothing matches
+ */
+function findLooseMatch(source, search) {
+    const wanted = search.split('\n').map(line => line.trim());
+    const lines = source.split('\n');
+    const offsets = [];
+    let offset = 0;
+    for (const line of lines) {
+        offsets.push(offset);
+        offset += line.length + 1;
+    }
+
+    let found = null;
+    for (let i = 0; i + wanted.length <= lines.length; i++) {
+        if (!wanted.every((w, k) => lines[i + k].trim() === w)) continue;
+        if (found) return { ambiguous: true };
+        const last = i + wanted.length - 1;
+        found = { start: offsets[i], end: offsets[last] + lines[last].replace(/\r$/, '').length };
+    }
+    return found;
+}
+
+/**
+ * Replace text[start, end) with replace; an empty replacement of whole lines removes the lines
+ */
+function splice(text, start, end, replace) {
+    if (replace === '' && (start === 0 || text[start - 1] === '\n')) {
+        const lineEnd = text.slice(end).match(/^\r?\n/);
+        if (lineEnd) end += lineEnd[0].length;
+    }
+    return text.slice(0, start) + replace + text.slice(end);
+}
+
+/**
+ * Apply hunks in order; stops at the first one that cannot be located unambiguously
+ * @param {string} source - Current code
+ * @param {Array<{search: string, replace: string}>} hunks
+ * @returns {{ok: boolean, text: string, applied: number, error?: string}}
+ */
+function applySearchReplace(source, hunks) {
+    if (hunks.length === 0) {
+        return { ok: false, text: source, applied: 0, error: 'No SEARCH/REPLACE hunks found in response' };
+    }
+
+    let text = source;
+    for (let i = 0; i < hunks.length; i++) {
+        const { search, replace } = hunks[i];
+        if (!search.trim()) {
+            return { ok: false, text: source, applied: i, error: `Hunk ${i + 1} has an empty SEARCH block` };
+        }
+
+        const exact = countOccurrences(text, search);
+        if (exact === 1) {
+            const at = text.indexOf(search);
+            text = splice(text, at, at + search.length, replace);
+            continue;
+        }
+        if (exact > 1) {
+            return { ok: false, text: source, applied: i, error: `Hunk ${i + 1} matches ${exact} places; SEARCH must be unique` };
+        }
+
+        const loose = findLooseMatch(text, search);
+        if (!loose) {
+            return { ok: false, text: source, applied: i, error: `Hunk ${i + 1} SEARCH text not found` };
+        }
+        if (loose.ambiguous) {
+            return { ok: false, text: source, applied: i, error: `Hunk ${i + 1} matches several places when whitespace is ignored; SEARCH must be unique` };
+        }
+        text = splice(text, loose.start, loose.end, replace);
+    }
+
+    return { ok: true, text, applied: hunks.length };
+}
+
+/**
+ * Line edit script between two line arrays (LCS)
+ * @returns {Array<{op: string, line: string}>} - op is ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const n = midA.length;
+    const m = midB.length;
+
+    if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+        midA.forEach(line => ops.push({ op: '-', line }));
+        midB.forEach(line => ops.push({ op: '+', line }));
+    } else {
+        const width = m + 1;
+        const lcs = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * width + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && midA[i] === midB[j]) {
+                ops.push({ op: ' ', line: midA[i++] });
+                j++;
+            } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+                ops.push({ op: '-', line: midA[i++] });
+            } else {
+                ops.push({ op: '+', line: midB[j++] });
+            }
+        }
+    }
+
+    a.slice(endA).forEach(line => ops.push({ op: ' ', line }));
+    return ops;
+}
+
+/**
+ * Unified diff between two versions of the code
+ * @param {string} before
+ * @param {string} after
+ * @param {{fileName?: string, context?: number}} [options]
+ * @returns {string} - Empty string when nothing changed
+ */
+function createUnifiedDiff(before, after, { fileName = 'html.html', context = 3 } = {}) {
+    const ops = diffLines(String(before || '').split('\n'), String(after || '').split('\n'));
+    const changed = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i !== -1);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows touch
+    const groups = [];
+    for (const i of changed) {
+        const last = groups[groups.length - 1];
+        if (last && i - last.to <= context * 2 + 1) last.to = i;
+        else groups.push({ from: i, to: i });
+    }
+
+    const out = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    for (const { from, to } of groups) {
+        const start = Math.max(0, from - context);
+        const end = Math.min(ops.length, to + context + 1);
+        const preceding = ops.slice(0, start);
+        const body = ops.slice(start, end);
+
+        const oldLen = body.filter(o => o.op !== '+').length;
+        const newLen = body.filter(o => o.op !== '-').length;
+        const oldStart = preceding.filter(o => o.op !== '+').length + (oldLen ? 1 : 0);
+        const newStart = preceding.filter(o => o.op !== '-').length + (newLen ? 1 : 0);
+
+        out.push(`@@ -${oldStart},${oldLen} +${newStart},${newLen} @@`);
+        body.forEach(o => out.push(`${o.op}${o.line}`));
+    }
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Side-by-side rows for comparing two versions of the code
+ * @param {string} before
+ * @param {string} after
+ * @returns {{rows: Array<{type: string, left: object|null, right: object|null}>, added: number, removed: number}}
+ *   - type is 'same', 'changed', 'removed' or 'added'; left/right are { line, text }
+ */
+function createSideBySideDiff(before, after) {
+    const ops = diffLines(String(before || '').split('\n'), String(after || '').split('\n'));
+    const rows = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let added = 0;
+    let removed = 0;
+
+    for (let i = 0; i < ops.length;) {
+        if (ops[i].op === ' ') {
+            oldLine++;
+            newLine++;
+            rows.push({ type: 'same', left: { line: oldLine, text: ops[i].line }, right: { line: newLine, text: ops[i].line } });
+            i++;
+            continue;
+        }
+
+        // Pair a run of removals with the additions that follow it
+        const dels = [];
+        const adds = [];
+        while (i < ops.length && ops[i].op === '-') dels.push(ops[i++].line);
+        while (i < ops.length && ops[i].op === '+') adds.push(ops[i++].line);
+        removed += dels.length;
+        added += adds.length;
+
+        for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+            const left = k < dels.length ? { line: ++oldLine, text: dels[k] } : null;
+            const right = k < adds.length ? { line: ++newLine, text: adds[k] } : null;
+            rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+        }
+    }
+
+    return { rows, added, removed };
+}
+
+module.exports = {
+    parseSearchReplace,
+    applySearchReplace,
+    createUnifiedDiff,
+    createSideBySideDiff
+};
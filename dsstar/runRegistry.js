@@ -0,0 +1,56 @@
+/**
+ * DS-Star Run Registry
+ * Tracks in-flight pipeline runs so they can be cancelled by id
+ */
+
+const activeRuns = new Map();
+
+/**
+ * Register a run and get the controller whose signal the pipeline listens to
+ * @param {string} runId - Run identifier
+ * @returns {AbortController}
+ */
+function registerRun(runId) {
+    const controller = new AbortController();
+    activeRuns.set(runId, { controller, startedAt: new Date().toISOString() });
+    return controller;
+}
+
+/**
+ * Abort a running pipeline
+ * @param {string} runId - Run identifier
+ * @param {string} [reason] - Recorded in summary.json as the cancellation reason
+ * @returns {boolean} - false if the run is unknown or already finished
+ */
+function cancelRun(runId, reason = 'cancelled by user') {
+    const run = activeRuns.get(runId);
+    if (!run || run.controller.signal.aborted) return false;
+    run.controller.abort(reason);
+    return true;
+}
+
+/**
+ * Drop a run from the registry once the pipeline returns
+ * @param {string} runId - Run identifier
+ */
+function finishRun(runId) {
+    activeRuns.delete(runId);
+}
+
+/**
+ * @returns {Array<{runId: string, startedAt: string, cancelling: boolean}>}
+ */
+function listActiveRuns() {
+    return Array.from(activeRuns.entries()).map(([runId, run]) => ({
+        runId,
+        startedAt: run.startedAt,
+        cancelling: run.controller.signal.aborted
+    }));
+}
+
+module.exports = {
+    registerRun,
+    cancelRun,
+    finishRun,
+    listActiveRuns
+};
@@ -0,0 +1,347 @@
+/**
+ * DS-Star Run State
+ * Rebuilds orchestrator state from saved iter_N folders so an interrupted run
+ * can continue where it stopped. Also holds the issue/failure bookkeeping the
+ * orchestrator shares with the replay, so both produce identical state.
+ */
+
+const path = require('path');
+const { loadRunArtifacts } = require('./artifactStore');
+
+const LAYOUT_ERROR_TYPES = ['HORIZONTAL_OVERFLOW', 'OFFSCREEN_ELEMENT', 'OVERLAPPING_CONTROLS'];
+
+/**
+ * Add a rejected plan's issues to the accumulated list (deduplicated)
+ * @param {string[]} planCritiqueIssues - Accumulated issues (mutated)
+ * @param {object} planCritique - Plan critic result
+ */
+function collectPlanIssues(planCritiqueIssues, planCritique) {
+    (planCritique.issues || []).forEach(issue => {
+        const msg = `[${issue.severity}] ${issue.area}: ${issue.message}`;
+        if (!planCritiqueIssues.includes(msg)) planCritiqueIssues.push(msg);
+    });
+}
+
+/**
+ * Add a code critique's issues and missing features to the accumulated list (deduplicated)
+ * @param {string[]} codeCritiqueIssues - Accumulated issues (mutated)
+ * @param {object} codeCritique - Code critic result
+ */
+function collectCodeIssues(codeCritiqueIssues, codeCritique) {
+    (codeCritique.issues || []).forEach(issue => {
+        const msg = `[${issue.severity}] ${issue.message}`;
+        if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
+    });
+    (codeCritique.missing || []).forEach(m => {
+        const msg = `Missing: ${m}`;
+        if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
+    });
+}
+
+/**
+ * Add visual critique issues to the accumulated code issues so patches address them
+ * @param {string[]} codeCritiqueIssues - Accumulated issues (mutated)
+ * @param {object} visualCritique - Visual critic result
+ */
+function collectVisualIssues(codeCritiqueIssues, visualCritique) {
+    (visualCritique.issues || []).forEach(issue => {
+        const where = issue.screenshot ? ` (${issue.screenshot})` : '';
+        const fix = issue.suggestedFix ? ` → FIX: ${issue.suggestedFix}` : '';
+        const msg = `[${issue.severity}] VISUAL${where}: ${issue.message}${fix}`;
+        if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
+    });
+}
+
+/**
+ * @param {object} visualCritique - Visual critic result
+ * @returns {boolean} - true when the critique should fail the iteration
+ */
+function isVisualBlocking(visualCritique) {
+    return !visualCritique.approved && !visualCritique.cancelled &&
+        (visualCritique.issues || []).some(issue => issue.severity === 'high');
+}
+
+/**
+ * Build the failure report for a blocking visual critique
+ * @param {number} iter - Iteration number
+ * @param {object} visualCritique - Visual critic result
+ * @returns {{failureReason: string, report: object}}
+ */
+function buildVisualFailure(iter, visualCritique) {
+    const issues = visualCritique.issues || [];
+    const failureReason = `VISUAL_CRITIQUE: ${issues.length} issues. ${issues.slice(0, 2).map(i => i.message).join(', ')}`;
+    return {
+        failureReason,
+        report: { iter, phase: 'visual_critique', issues, error: failureReason }
+    };
+}
+
+/**
+ * Add accessibility violations to the accumulated code issues so patches address them
+ * @param {string[]} codeCritiqueIssues - Accumulated issues (mutated)
+ * @param {object} a11y - Accessibility audit result
+ */
+function collectA11yIssues(codeCritiqueIssues, a11y) {
+    (a11y.violations || []).filter(v => v.severity !== 'low').forEach(v => {
+        const where = v.nodes?.[0]?.element ? ` e.g. ${v.nodes[0].element}` : '';
+        const msg = `[${v.severity}] A11Y ${v.rule} (${v.count}x${where}): ${v.message} → FIX: ${v.suggestedFix}`;
+        if (!codeCritiqueIssues.includes(msg)) codeCritiqueIssues.push(msg);
+    });
+}
+
+/**
+ * Build the failure report for a blocking accessibility audit
+ * @param {number} iter - Iteration number
+ * @param {object} a11y - Accessibility audit result
+ * @returns {{failureReason: string, report: object}}
+ */
+function buildA11yFailure(iter, a11y) {
+    if (a11y.error) {
+        // An audit that never ran counts as high severity, so the fallback approval doesn't wave it through
+        const failureReason = `A11Y: audit failed to run (${a11y.error})`;
+        return {
+            failureReason,
+            report: { iter, phase: 'a11y', issues: [{ rule: 'audit-error', severity: 'high', message: a11y.error }], error: failureReason }
+        };
+    }
+    const high = (a11y.violations || []).filter(v => v.severity === 'high');
+    const failureReason = `A11Y: ${a11y.counts?.high || 0} high-severity violations (${high.map(v => v.rule).join(', ')})`;
+    return {
+        failureReason,
+        report: { iter, phase: 'a11y', issues: a11y.violations || [], error: failureReason }
+    };
+}
+
+/**
+ * Build the failure report for a failed smoke test
+ * @param {number} iter - Iteration number
+ * @param {object} smokeTest - Smoke test result
+ * @returns {{failureReason: string, report: object}}
+ */
+function buildSmokeFailure(iter, smokeTest) {
+    const errors = smokeTest.results?.consoleErrors || [];
+    const missing = smokeTest.results?.missingSelectors || [];
+    const fatal = smokeTest.results?.fatalError ? ` FATAL: ${smokeTest.results.fatalError}` : '';
+
+    // Format missing as strings for backward compatibility
+    const missingStrs = missing.map(m => typeof m === 'string' ? m : m.selector);
+    const failedCriteria = (smokeTest.results?.acceptance || []).filter(r => !r.passed).map(r => r.criterion);
+    const acceptance = failedCriteria.length > 0 ? ` ${failedCriteria.length} acceptance criteria failed.` : '';
+    const layoutIssues = (smokeTest.structuredErrors || []).filter(e => LAYOUT_ERROR_TYPES.includes(e.type)).length;
+    const layout = layoutIssues > 0 ? ` ${layoutIssues} layout issues.` : '';
+    const failureReason = `SMOKE_TESTS: ${errors.length} errors, ${missing.length} missing elements.${acceptance}${layout}${fatal}`;
+
+    return {
+        failureReason,
+        report: {
+            iter,
+            phase: 'smoke_tests',
+            consoleErrors: errors,
+            missingSelectors: missingStrs,
+            failedCriteria,
+            structuredErrors: smokeTest.structuredErrors || [],
+            fatalError: smokeTest.results?.fatalError,
+            error: failureReason
+        }
+    };
+}
+
+/**
+ * How an iteration ended. Runs saved before meta.outcome existed are inferred
+ * from which artifacts are present.
+ * @param {object} it - Iteration artifacts from loadRunArtifacts
+ * @returns {string|null} - null when the iteration was interrupted
+ */
+function iterationOutcome(it) {
+    if (it.meta?.outcome) return it.meta.outcome;
+    if (it.meta?.endTime) return it.meta.success ? 'passed' : 'tests_failed';
+    if (it.planCritique && !it.planCritique.approved && !it.planCritique.cancelled && !it.html) {
+        return 'plan_rejected';
+    }
+    return null;
+}
+
+/**
+ * Per-iteration phase results for summary.json and the run-detail view
+ * @param {Array<object>} iterations - From loadRunArtifacts
+ * @returns {Array<object>} - { iteration, outcome, error, phases, acceptance, patch, screenshots }
+ */
+function summarizeIterations(iterations) {
+    const verdict = (result, ok, bad) => (result ? (result.approved || result.passed ? ok : bad) : null);
+
+    return iterations.map(it => ({
+        iteration: it.iteration,
+        outcome: iterationOutcome(it) || 'interrupted',
+        error: it.meta?.error || null,
+        phases: {
+            plan: it.plan ? 'generated' : (it.meta?.outcome === 'plan_failed' ? 'failed' : null),
+            planCritique: it.planCritique?.cancelled ? 'cancelled' : verdict(it.planCritique, 'approved', 'rejected'),
+            code: it.html ? 'generated' : (it.meta?.outcome === 'codegen_failed' ? 'failed' : null),
+            security: verdict(it.securityScan, 'passed', 'failed'),
+            codeCritique: verdict(it.codeCritique, 'approved', 'issues'),
+            smokeTest: it.smokeTest?.results?.skipped ? 'skipped' : verdict(it.smokeTest, 'passed', 'failed'),
+            a11y: it.a11y?.skipped ? 'skipped' : verdict(it.a11y, 'passed', 'failed'),
+            visualCritique: it.visualCritique?.cancelled ? 'cancelled' : verdict(it.visualCritique, 'approved', 'issues')
+        },
+        acceptance: it.acceptanceTests?.results || null,
+        patch: it.meta?.patch || null,
+        screenshots: it.smokeTest?.results?.screenshots || []
+    }));
+}
+
+/**
+ * Replay saved iterations into the orchestrator's accumulated state
+ * @param {{config: object|null, iterations: Array<object>}} artifacts - From loadRunArtifacts
+ * @returns {object} - State accepted by runDSStarPipeline({ resumeState })
+ */
+function reconstructState({ config, iterations }) {
+    const state = {
+        prompt: config?.prompt || iterations.find(it => it.prompt)?.prompt || '',
+        runtimeModel: null,
+        history: [],
+        failureReports: [],
+        securityErrors: [],
+        codeCritiqueIssues: [],
+        planCritiqueIssues: [],
+        currentPlan: null,
+        currentHtml: null,
+        planApprovedAt: null,
+        codeApprovedAt: null,
+        testsPassedAt: null,
+        success: false,
+        lastFailureReason: '',
+        nextIteration: 1,
+        discardIterations: []
+    };
+
+    for (const it of iterations) {
+        const iter = it.iteration;
+        const outcome = iterationOutcome(it);
+
+        // Everything from the first interrupted iteration on is re-run
+        if (!outcome || outcome === 'cancelled' || state.discardIterations.length > 0) {
+            state.discardIterations.push(iter);
+            continue;
+        }
+        state.nextIteration = iter + 1;
+
+        if (it.plan && !state.planApprovedAt) {
+            state.currentPlan = it.plan;
+            if (it.plan.recommended_models?.runtime) state.runtimeModel = it.plan.recommended_models.runtime;
+        }
+
+        if (outcome === 'plan_failed') {
+            const error = it.meta?.error || 'unknown error';
+            state.lastFailureReason = `PLAN_GENERATION: ${error}`;
+            state.failureReports.push({ iter, phase: 'plan', error });
+            state.history.push({ iter, phase: 'plan', error });
+            continue;
+        }
+
+        if (outcome === 'plan_rejected') {
+            collectPlanIssues(state.planCritiqueIssues, it.planCritique);
+            const issues = it.planCritique.issues || [];
+            state.lastFailureReason = `PLAN_CRITIQUE: ${issues.length} issues. ${issues.slice(0, 2).map(i => i.message).join(', ')}`;
+            state.failureReports.push({ iter, phase: 'plan_critique', issues, error: state.lastFailureReason });
+            state.history.push({ iter, phase: 'plan_critique', planCritique: it.planCritique });
+            continue;
+        }
+
+        if (it.planCritique?.approved) state.planApprovedAt = iter;
+
+        if (outcome === 'codegen_failed') {
+            const error = it.meta?.error || 'unknown error';
+            state.lastFailureReason = `HTML_GENERATION: ${error}`;
+            state.failureReports.push({ iter, phase: 'codegen', error });
+            state.history.push({ iter, phase: 'codegen', error });
+            continue;
+        }
+
+        if (it.html) state.currentHtml = it.html;
+
+        if (outcome === 'security_failed') {
+            const securityScan = it.securityScan || { securityViolations: [], structureErrors: [], summary: '' };
+            (securityScan.securityViolations || []).forEach(v => {
+                // Runs saved before the policy engine have no ruleId/category; the pattern name stands in
+                const ruleId = v.ruleId || v.pattern;
+                if (!state.securityErrors.some(e => e.ruleId === ruleId)) {
+                    state.securityErrors.push({ ruleId, pattern: v.pattern, category: v.category || null, fix: v.fix || '' });
+                }
+            });
+            // Mirrors the orchestrator: a security failure forces a new plan and fresh code
+            state.planApprovedAt = null;
+            state.currentPlan = null;
+            state.currentHtml = null;
+            state.lastFailureReason = `SECURITY_SCAN: ${securityScan.summary}`;
+            state.failureReports.push({ iter, phase: 'security_scan', violations: securityScan.securityViolations, errors: securityScan.structureErrors });
+            state.history.push({ iter, phase: 'security_scan', securityScan });
+            continue;
+        }
+
+        if (it.codeCritique?.approved) {
+            state.codeApprovedAt = iter;
+        } else if (it.codeCritique) {
+            collectCodeIssues(state.codeCritiqueIssues, it.codeCritique);
+        }
+
+        if (outcome === 'passed') {
+            state.testsPassedAt = iter;
+            state.success = true;
+        } else if (outcome === 'a11y_failed' && it.a11y) {
+            state.testsPassedAt = iter;
+            collectA11yIssues(state.codeCritiqueIssues, it.a11y);
+            const { failureReason, report } = buildA11yFailure(iter, it.a11y);
+            state.lastFailureReason = failureReason;
+            state.failureReports.push(report);
+            state.history.push({ iter, phase: 'a11y', a11y: it.a11y });
+        } else if (outcome === 'visual_failed' && it.visualCritique) {
+            state.testsPassedAt = iter;
+            collectVisualIssues(state.codeCritiqueIssues, it.visualCritique);
+            const { failureReason, report } = buildVisualFailure(iter, it.visualCritique);
+            state.lastFailureReason = failureReason;
+            state.failureReports.push(report);
+            state.history.push({ iter, phase: 'visual_critique', visualCritique: it.visualCritique });
+        } else if (it.smokeTest) {
+            const { failureReason, report } = buildSmokeFailure(iter, it.smokeTest);
+            state.lastFailureReason = failureReason;
+            state.failureReports.push(report);
+            state.history.push({ iter, phase: 'smoke_tests', smokeTest: it.smokeTest });
+        }
+
+        state.history.push({
+            iter,
+            success: state.success,
+            planApprovedAt: state.planApprovedAt,
+            codeApprovedAt: state.codeApprovedAt,
+            testsPassedAt: state.testsPassedAt
+        });
+    }
+
+    return state;
+}
+
+/**
+ * Load a run from disk and rebuild its state
+ * @param {string} runsDir - Base runs directory
+ * @param {string} runId - Run identifier
+ * @returns {Promise<{config: object|null, state: object}>}
+ */
+async function loadResumeState(runsDir, runId) {
+    const artifacts = await loadRunArtifacts(path.join(runsDir, runId));
+    return { config: artifacts.config, state: reconstructState(artifacts) };
+}
+
+module.exports = {
+    collectPlanIssues,
+    collectCodeIssues,
+    collectVisualIssues,
+    isVisualBlocking,
+    collectA11yIssues,
+    buildA11yFailure,
+    buildVisualFailure,
+    buildSmokeFailure,
+    iterationOutcome,
+    summarizeIterations,
+    reconstructState,
+    loadResumeState
+};
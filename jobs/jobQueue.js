@@ -0,0 +1,289 @@
+/**
+ * Job Queue
+ * File-backed FIFO queue that runs pipeline work with a fixed number of workers.
+ *
+ * Jobs are persisted to a JSON file so queued work survives a restart:
+ * - queued jobs of resumable types are picked up again on start()
+ * - jobs that were running (or queued, for non-resumable types) are marked failed
+ *
+ * Subscribers receive queue events ({ type: 'queue', status, position }) and
+ * whatever the handler emits, which is how SSE routes report queue position.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a job queue
+ * @param {object} config
+ * @param {string} config.file - JSON file the queue is persisted to
+ * @param {number} [config.concurrency] - Jobs allowed to run at once
+ * @param {number} [config.maxHistory] - Finished jobs kept in the listing
+ * @returns {object} - Queue API (register, start, enqueue, wait, subscribe, cancel, get, list, stats)
+ */
+function createJobQueue({ file, concurrency = 2, maxHistory = 200 }) {
+    const handlers = new Map();    // type -> { handler, resumable }
+    const jobs = new Map();        // id -> job record (insertion order = queue order)
+    const listeners = new Map();   // id -> Set<fn>
+    const deferreds = new Map();   // id -> { promise, resolve, reject }
+    const controllers = new Map(); // id -> AbortController for running jobs
+    let running = 0;
+    let saving = Promise.resolve();
+
+    /**
+     * Register the function that executes jobs of a type
+     * @param {string} type - Job type (e.g. 'pipeline', 'dsstar', 'smoke')
+     * @param {Function} handler - async (payload, { job, signal, emit }) => result
+     * @param {{resumable?: boolean}} [options] - resumable jobs are re-queued after a restart
+     */
+    function register(type, handler, { resumable = false } = {}) {
+        handlers.set(type, { handler, resumable });
+    }
+
+    function createDeferred(id) {
+        let resolve;
+        let reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        promise.catch(() => { }); // nobody may be waiting (e.g. restored jobs)
+        deferreds.set(id, { promise, resolve, reject });
+    }
+
+    function queuedIds() {
+        return Array.from(jobs.values()).filter(j => j.status === 'queued').map(j => j.id);
+    }
+
+    function position(id) {
+        const index = queuedIds().indexOf(id);
+        return index === -1 ? null : index + 1;
+    }
+
+    function publicView(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            position: job.status === 'queued' ? position(job.id) : null,
+            meta: job.meta,
+            error: job.error || null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt || null,
+            finishedAt: job.finishedAt || null
+        };
+    }
+
+    function notify(id, event) {
+        const set = listeners.get(id);
+        if (!set) return;
+        for (const fn of set) {
+            try {
+                fn(event);
+            } catch (e) { /* ignore */ }
+        }
+    }
+
+    function notifyPositions() {
+        queuedIds().forEach((id, index) => {
+            notify(id, { type: 'queue', jobId: id, status: 'queued', position: index + 1 });
+        });
+    }
+
+    function prune() {
+        const finished = Array.from(jobs.values()).filter(j => j.status !== 'queued' && j.status !== 'running');
+        finished.slice(0, Math.max(finished.length - maxHistory, 0)).forEach(j => jobs.delete(j.id));
+    }
+
+    // Writes are chained so concurrent state changes never interleave on disk
+    function persist() {
+        prune();
+        const snapshot = JSON.stringify({ jobs: Array.from(jobs.values()) }, null, 2);
+        saving = saving
+            .then(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                const tmp = `${file}.tmp`;
+                await fs.writeFile(tmp, snapshot, 'utf8');
+                await fs.rename(tmp, file);
+            })
+            .catch(err => console.error('[JobQueue] Failed to persist queue:', err.message));
+        return saving;
+    }
+
+    function finish(job, status, error) {
+        job.status = status;
+        job.error = error || null;
+        job.finishedAt = new Date().toISOString();
+        delete job.payload; // inputs can be large (HTML); not needed once done
+    }
+
+    async function runJob(job) {
+        const { handler } = handlers.get(job.type);
+        const controller = new AbortController();
+        controllers.set(job.id, controller);
+        running++;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        persist();
+        notify(job.id, { type: 'queue', jobId: job.id, status: 'running', position: null });
+        notifyPositions();
+
+        const deferred = deferreds.get(job.id);
+        try {
+            const result = await handler(job.payload, {
+                job: publicView(job),
+                signal: controller.signal,
+                emit: (event) => notify(job.id, event)
+            });
+            finish(job, result?.cancelled || controller.signal.aborted ? 'cancelled' : 'completed');
+            deferred.resolve(result);
+        } catch (err) {
+            finish(job, err.code === 'CANCELLED' ? 'cancelled' : 'failed', err.message);
+            deferred.reject(err);
+        } finally {
+            running--;
+            controllers.delete(job.id);
+            listeners.delete(job.id);
+            deferreds.delete(job.id);
+            persist();
+            drain();
+        }
+    }
+
+    function drain() {
+        for (const id of queuedIds()) {
+            if (running >= concurrency) break;
+            runJob(jobs.get(id));
+        }
+    }
+
+    /**
+     * Load persisted jobs and start workers
+     */
+    async function start() {
+        let saved = [];
+        try {
+            saved = JSON.parse(await fs.readFile(file, 'utf8')).jobs || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn('[JobQueue] Ignoring unreadable queue file:', err.message);
+        }
+
+        for (const job of saved) {
+            if (job.status === 'running') {
+                finish(job, 'failed', 'Interrupted by server restart');
+            } else if (job.status === 'queued' && !handlers.get(job.type)?.resumable) {
+                finish(job, 'failed', 'Dropped on server restart');
+            } else if (job.status === 'queued') {
+                createDeferred(job.id);
+            }
+            jobs.set(job.id, job);
+        }
+
+        const requeued = queuedIds().length;
+        if (requeued > 0) console.log(`[JobQueue] Re-queued ${requeued} job(s) from ${file}`);
+        await persist();
+        drain();
+    }
+
+    /**
+     * Add a job to the end of the queue
+     * @param {string} type - Registered job type
+     * @param {object} payload - JSON-serializable handler input
+     * @param {{meta?: object}} [options] - meta is shown in listings (e.g. { runId })
+     * @returns {object} - Public job view including its queue position
+     */
+    function enqueue(type, payload, { meta = {} } = {}) {
+        if (!handlers.has(type)) {
+            throw new Error(`Unknown job type "${type}"`);
+        }
+
+        const job = {
+            id: `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            status: 'queued',
+            meta,
+            payload,
+            createdAt: new Date().toISOString()
+        };
+        jobs.set(job.id, job);
+        createDeferred(job.id);
+
+        persist();
+        drain();
+        return publicView(job); // may already be running if a worker was free
+    }
+
+    /**
+     * Wait for a job's handler result (rejects with the handler's error)
+     * @param {string} id - Job id
+     * @returns {Promise<any>}
+     */
+    function wait(id) {
+        const deferred = deferreds.get(id);
+        if (!deferred) return Promise.reject(new Error(`Job ${id} is not pending`));
+        return deferred.promise;
+    }
+
+    /**
+     * Listen to a job's queue and handler events
+     * @param {string} id - Job id
+     * @param {Function} fn - Called with each event
+     * @returns {Function} - Unsubscribe
+     */
+    function subscribe(id, fn) {
+        if (!listeners.has(id)) listeners.set(id, new Set());
+        listeners.get(id).add(fn);
+        return () => listeners.get(id)?.delete(fn);
+    }
+
+    /**
+     * Cancel a job: queued jobs are dropped, running jobs get their signal aborted
+     * @param {string} id - Job id
+     * @param {string} [reason]
+     * @returns {boolean} - false if the job is unknown or already finished
+     */
+    function cancel(id, reason = 'cancelled by user') {
+        const job = jobs.get(id);
+        if (!job) return false;
+
+        if (job.status === 'queued') {
+            finish(job, 'cancelled', reason);
+            const deferred = deferreds.get(id);
+            const err = new Error(`Job cancelled: ${reason}`);
+            err.code = 'CANCELLED';
+            deferred?.reject(err);
+            deferreds.delete(id);
+            listeners.delete(id);
+            persist();
+            notifyPositions();
+            return true;
+        }
+
+        const controller = controllers.get(id);
+        if (!controller || controller.signal.aborted) return false;
+        controller.abort(reason);
+        return true;
+    }
+
+    function get(id) {
+        const job = jobs.get(id);
+        return job ? publicView(job) : null;
+    }
+
+    /**
+     * @returns {Array<object>} - Newest first
+     */
+    function list() {
+        return Array.from(jobs.values()).map(publicView).reverse();
+    }
+
+    function stats() {
+        return { concurrency, running, queued: queuedIds().length };
+    }
+
+    return { register, start, enqueue, wait, subscribe, cancel, get, list, stats };
+}
+
+module.exports = { createJobQueue };
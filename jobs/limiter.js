@@ -0,0 +1,84 @@
+/**
+ * Concurrency Limiter
+ * Counting semaphore for work that has to stay under a limit whichever job
+ * runs it. The job queue bounds how many jobs run at once, but one job can
+ * start several Chromium instances in turn (DS-Star smoke tests, acceptance
+ * tests, accessibility audit), and smoke/library test jobs start their own.
+ * Every browser launch takes a slot here, so browsers stay within the limit.
+ *
+ * Waiters are served first come, first served; an aborted waiter leaves the
+ * line and rejects with code CANCELLED.
+ */
+
+/**
+ * Create a limiter
+ * @param {number} [max] - Slots that may be held at once
+ * @returns {{acquire: Function, setMax: Function, stats: Function}}
+ */
+function createLimiter(max = 1) {
+    let active = 0;
+    const waiting = []; // grant functions, in arrival order
+
+    function pump() {
+        while (active < max && waiting.length > 0) {
+            active++;
+            waiting.shift()();
+        }
+    }
+
+    /**
+     * Wait for a free slot
+     * @param {{signal?: AbortSignal}} [options] - signal gives up waiting
+     * @returns {Promise<Function>} - Releases the slot (extra calls do nothing)
+     */
+    function acquire({ signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const cancelled = () => {
+                const err = new Error('Cancelled while waiting for a free slot');
+                err.code = 'CANCELLED';
+                return err;
+            };
+            if (signal?.aborted) return reject(cancelled());
+
+            let released = false;
+            const release = () => {
+                if (released) return;
+                released = true;
+                active--;
+                pump();
+            };
+            const onAbort = () => {
+                const index = waiting.indexOf(grant);
+                if (index >= 0) waiting.splice(index, 1);
+                reject(cancelled());
+            };
+            const grant = () => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve(release);
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            waiting.push(grant);
+            pump();
+        });
+    }
+
+    /**
+     * Change the number of slots (waiters are let in if it grew)
+     * @param {number} value
+     */
+    function setMax(value) {
+        max = value;
+        pump();
+    }
+
+    function stats() {
+        return { active, waiting: waiting.length, max };
+    }
+
+    return { acquire, setMax, stats };
+}
+
+module.exports = {
+    createLimiter
+};
@@ -0,0 +1,397 @@
+/**
+ * Library Catalog
+ * Loads and validates libraries.json. Every library the coder may load is an
+ * entry of its "libraries" array:
+ *
+ *   { name, category, version, description,
+ *     url, type?: 'script'|'style', integrity,       main file (script by default)
+ *     css?, cssIntegrity?,                            companion stylesheet
+ *     globals, keywords?, example?, note?, requires?, defer?, disabled?, default? }
+ *
+ * URLs must be https on a CDN the generated-page CSP allows, and package CDN
+ * URLs must contain the exact version. integrity holds the file's SRI hash
+ * (filled in by --pin) and is added to the <script>/<link> tags of generated
+ * pages; scripts whose URL isn't in the catalog fail the security scan. Script
+ * entries must have one, unless sriExempt gives the reason they can't yet
+ * (--pin drops it once the file is hashed; libraries:check lists exemptions).
+ * Disabled entries stay in the file but aren't offered to the coder. keywords
+ * are plan words the library answers ("chart", "csv") and default entries are
+ * offered for every plan (see selection.js).
+ *
+ * Usage: npm run libraries:check | npm run libraries:pin
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LIBRARIES_PATH = path.join(__dirname, '..', 'libraries.json');
+
+// Prompt sections, in the order the coder sees them
+const CATEGORIES = {
+    charts: { emoji: '📊', label: 'CHARTS' },
+    tables: { emoji: '📋', label: 'TABLES' },
+    analysis: { emoji: '📈', label: 'ANALYSIS & STATISTICS' },
+    styling: { emoji: '🎨', label: 'STYLING' },
+    icons: { emoji: '🔣', label: 'ICONS' },
+    utilities: { emoji: '🛠️', label: 'UTILITIES' },
+    ui_components: { emoji: '✨', label: 'UI COMPONENTS' },
+    maps: { emoji: '🗺️', label: 'MAPS' }
+};
+
+// Hosts allowed by the generated-page CSP
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com', 'cdnjs.cloudflare.com', 'cdn.plot.ly', 'cdn.tailwindcss.com', 'd3js.org', 'fonts.googleapis.com'];
+// Google Fonts has no versions and tailors its CSS to the browser, so it can't be pinned or hashed
+const UNVERSIONED_HOSTS = ['fonts.googleapis.com'];
+
+const EXACT_VERSION = /^\d+\.\d+\.\d+(?:[-+][\w.]+)?$/;
+const SRI_HASH = /^sha(?:256|384|512)-[A-Za-z0-9+/]+={0,2}$/;
+const GLOBAL_NAME = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*$/;
+const TYPES = ['script', 'style'];
+const LIBRARY_FIELDS = ['name', 'category', 'version', 'description', 'type', 'url', 'integrity', 'sriExempt', 'css', 'cssIntegrity',
+    'defer', 'requires', 'globals', 'keywords', 'example', 'note', 'disabled', 'default'];
+
+class LibraryCatalogError extends Error {
+    constructor(issues) {
+        super(`libraries.json is invalid: ${issues.join('; ')}`);
+        this.code = 'INVALID_LIBRARY_CATALOG';
+        this.issues = issues;
+    }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * @param {string} version
+ * @returns {boolean} - true for an exact x.y.z version
+ */
+function isPinnedVersion(version) {
+    return EXACT_VERSION.test(String(version || ''));
+}
+
+/**
+ * Problems with one CDN URL of an entry
+ */
+function urlIssues(url, version, field) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return [`${field} is not a valid URL`];
+    }
+    if (parsed.protocol !== 'https:') return [`${field} must use https`];
+    if (!CDN_HOSTS.includes(parsed.hostname)) return [`${field} host ${parsed.hostname} is not an allowed CDN (${CDN_HOSTS.join(', ')})`];
+    if (UNVERSIONED_HOSTS.includes(parsed.hostname)) return [];
+    if (!isPinnedVersion(version)) return [`version "${version}" must be exact (x.y.z) for ${parsed.hostname}`];
+    if (!url.includes(version)) return [`${field} must pin version ${version}`];
+    return [];
+}
+
+/**
+ * Check every catalog entry and throw if any is malformed
+ * @param {object} raw - Parsed libraries.json
+ * @returns {object} - The same object, for chaining
+ * @throws {LibraryCatalogError} - Lists every problem found, not just the first
+ */
+function validateCatalog(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.libraries)) {
+        throw new LibraryCatalogError(['expected an object with a "libraries" array']);
+    }
+
+    const issues = [];
+    const names = new Set(raw.libraries.map(lib => String(lib?.name || '').toLowerCase()));
+    const seen = new Set();
+
+    raw.libraries.forEach((lib, i) => {
+        const where = `libraries[${i}]${isNonEmptyString(lib?.name) ? ` (${lib.name})` : ''}`;
+        const problems = [];
+        if (!lib || typeof lib !== 'object') {
+            issues.push(`${where}: must be an object`);
+            return;
+        }
+
+        if (!isNonEmptyString(lib.name)) problems.push('name is required');
+        else if (seen.has(lib.name.toLowerCase())) problems.push('duplicate name');
+        else seen.add(lib.name.toLowerCase());
+
+        if (!CATEGORIES[lib.category]) problems.push(`category must be one of ${Object.keys(CATEGORIES).join(', ')}`);
+        if (!isNonEmptyString(lib.description)) problems.push('description is required');
+        if (!isNonEmptyString(lib.version)) problems.push('version is required');
+        if (lib.type !== undefined && !TYPES.includes(lib.type)) problems.push(`type must be ${TYPES.join(' or ')}`);
+
+        if (lib.url === undefined) {
+            // Inline-only entries (copy-paste SVG etc.) just explain themselves
+            if (!isNonEmptyString(lib.note)) problems.push('url or note is required');
+        } else if (!isNonEmptyString(lib.url)) {
+            problems.push('url must be a string');
+        } else if (isNonEmptyString(lib.version)) {
+            problems.push(...urlIssues(lib.url, lib.version, 'url'));
+        }
+
+        if (lib.css !== undefined) {
+            if (!isNonEmptyString(lib.css)) problems.push('css must be a string');
+            else if (isNonEmptyString(lib.version)) problems.push(...urlIssues(lib.css, lib.version, 'css'));
+        }
+        if (lib.integrity !== undefined && !SRI_HASH.test(String(lib.integrity))) problems.push('integrity must look like sha384-<base64>');
+        if (lib.sriExempt !== undefined && !isNonEmptyString(lib.sriExempt)) problems.push('sriExempt must give the reason the script has no integrity');
+        if (lib.sriExempt !== undefined && lib.integrity !== undefined) problems.push('sriExempt with integrity (remove sriExempt)');
+        if (isNonEmptyString(lib.url) && (lib.type || 'script') === 'script' && lib.integrity === undefined && lib.sriExempt === undefined) {
+            problems.push('integrity is required for scripts (npm run libraries:pin)');
+        }
+        if (lib.cssIntegrity !== undefined && !SRI_HASH.test(String(lib.cssIntegrity))) problems.push('cssIntegrity must look like sha384-<base64>');
+        if (lib.cssIntegrity !== undefined && lib.css === undefined) problems.push('cssIntegrity without css');
+
+        if (lib.url !== undefined && (lib.type || 'script') === 'script') {
+            if (!Array.isArray(lib.globals)) problems.push('globals must list the names the script defines ([] if none)');
+        }
+        if (lib.globals !== undefined && (!Array.isArray(lib.globals) || !lib.globals.every(g => GLOBAL_NAME.test(String(g))))) {
+            problems.push('globals must be an array of identifiers');
+        }
+        if (lib.keywords !== undefined && (!Array.isArray(lib.keywords) || !lib.keywords.every(isNonEmptyString))) {
+            problems.push('keywords must be an array of words');
+        }
+
+        if (lib.example !== undefined && !isNonEmptyString(lib.example)) problems.push('example must be a string');
+        if (lib.example === undefined && !isNonEmptyString(lib.note)) problems.push('example or note is required');
+        if (lib.defer !== undefined && typeof lib.defer !== 'boolean') problems.push('defer must be true or false');
+        if (lib.disabled !== undefined && typeof lib.disabled !== 'boolean') problems.push('disabled must be true or false');
+        if (lib.default !== undefined && typeof lib.default !== 'boolean') problems.push('default must be true or false');
+        if (lib.requires !== undefined) {
+            if (!Array.isArray(lib.requires)) problems.push('requires must be an array of library names');
+            else lib.requires.filter(name => !names.has(String(name).toLowerCase()))
+                .forEach(name => problems.push(`requires unknown library "${name}"`));
+        }
+
+        new Set(problems).forEach(problem => issues.push(`${where}: ${problem}`));
+    });
+
+    if (issues.length > 0) throw new LibraryCatalogError(issues);
+    return raw;
+}
+
+const catalogCache = { file: null, mtimeMs: 0, catalog: null };
+
+/**
+ * Read and validate the catalog (cached until the file changes)
+ * @param {string} [file]
+ * @returns {object}
+ * @throws {LibraryCatalogError} - on invalid JSON or entries; fs errors (ENOENT) pass through
+ */
+function readCatalog(file = LIBRARIES_PATH) {
+    const { mtimeMs } = fs.statSync(file);
+    if (catalogCache.file === file && catalogCache.mtimeMs === mtimeMs) return catalogCache.catalog;
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code) throw err;
+        throw new LibraryCatalogError([`not valid JSON (${err.message})`]);
+    }
+    const catalog = validateCatalog(raw);
+    Object.assign(catalogCache, { file, mtimeMs, catalog });
+    return catalog;
+}
+
+/**
+ * Validate and save the catalog
+ * @param {object} catalog
+ * @param {string} [file]
+ * @returns {object}
+ * @throws {LibraryCatalogError}
+ */
+function writeCatalog(catalog, file = LIBRARIES_PATH) {
+    validateCatalog(catalog);
+    // Write then rename so a reader never sees half a file
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(catalog, null, 4), 'utf8');
+    fs.renameSync(tmp, file);
+    catalogCache.file = null;
+    return catalog;
+}
+
+/**
+ * Copy only catalog fields from user input, dropping empty optional values
+ * @param {object} input - e.g. a request body
+ * @returns {object}
+ */
+function pickLibraryFields(input) {
+    const lib = {};
+    LIBRARY_FIELDS.forEach(field => {
+        const value = input?.[field];
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value) && value.length === 0 && field !== 'globals') return;
+        lib[field] = typeof value === 'string' ? value.trim() : value;
+    });
+    return lib;
+}
+
+/**
+ * Libraries offered to the coder
+ */
+function enabledLibraries(catalog) {
+    return (catalog?.libraries || []).filter(lib => !lib.disabled);
+}
+
+function findLibrary(catalog, name) {
+    const lower = String(name).toLowerCase();
+    return (catalog?.libraries || []).find(lib => lib.name.toLowerCase() === lower) || null;
+}
+
+const sriAttrs = (integrity) => integrity ? ` integrity="${integrity}" crossorigin="anonymous"` : '';
+
+/**
+ * The tags that load a library, dependencies first
+ * @param {object} lib - Catalog entry
+ * @param {object} [catalog] - Needed to resolve `requires`
+ * @param {{sri?: boolean}} [options] - sri: false leaves out integrity attributes
+ * @returns {string}
+ */
+function libraryTags(lib, catalog, { sri = true } = {}, seen = new Set()) {
+    if (!lib?.url || seen.has(lib.name)) return '';
+    seen.add(lib.name);
+
+    const hash = (integrity) => sriAttrs(sri && integrity);
+    const deps = (lib.requires || []).map(name => libraryTags(findLibrary(catalog, name), catalog, { sri }, seen)).join('');
+    const css = lib.css ? `<link href="${lib.css}" rel="stylesheet"${hash(lib.cssIntegrity)}>` : '';
+    const main = lib.type === 'style'
+        ? `<link href="${lib.url}" rel="stylesheet"${hash(lib.integrity)}>`
+        : `<script${lib.defer ? ' defer' : ''} src="${lib.url}"${hash(lib.integrity)}></script>`;
+    return deps + css + main;
+}
+
+/**
+ * Every URL the catalog loads
+ * @param {object} catalog
+ * @returns {Map<string, {library: string, type: string, integrity?: string}>}
+ */
+function catalogUrls(catalog) {
+    const urls = new Map();
+    (catalog?.libraries || []).forEach(lib => {
+        if (lib.url) urls.set(lib.url, { library: lib.name, type: lib.type || 'script', integrity: lib.integrity });
+        if (lib.css) urls.set(lib.css, { library: lib.name, type: 'style', integrity: lib.cssIntegrity });
+    });
+    return urls;
+}
+
+/**
+ * Script URLs generated pages may load: enabled libraries and what they require
+ * @param {object} catalog
+ * @returns {string[]}
+ */
+function catalogScriptUrls(catalog) {
+    const included = new Map();
+    const include = (lib) => {
+        if (!lib || included.has(lib.name)) return;
+        included.set(lib.name, lib);
+        (lib.requires || []).forEach(name => include(findLibrary(catalog, name)));
+    };
+    enabledLibraries(catalog).forEach(include);
+    return Array.from(included.values())
+        .filter(lib => lib.url && (lib.type || 'script') === 'script')
+        .map(lib => lib.url);
+}
+
+/**
+ * Add the catalog's SRI hashes to <script src>/<link href> tags that load catalog URLs.
+ * Integrity attributes the model wrote on those tags are replaced, since a
+ * guessed hash blocks the library.
+ * @param {string} html
+ * @param {object} catalog
+ * @returns {{html: string, tagged: string[]}} - tagged lists the URLs that got a hash
+ */
+function applySri(html, catalog) {
+    const urls = catalogUrls(catalog);
+    const tagged = [];
+    const out = String(html || '').replace(/<(script|link)\b([^>]*?)(\s*\/?)>/gi, (whole, tag, attrs, close) => {
+        const match = attrs.match(/\b(?:src|href)\s*=\s*(["'])([^"']+)\1/i);
+        const entry = match && urls.get(match[2]);
+        if (!entry) return whole;
+        const rest = attrs.replace(/\s+(?:integrity|crossorigin)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/gi, '');
+        if (entry.integrity) tagged.push(match[2]);
+        return `<${tag}${rest}${sriAttrs(entry.integrity)}${close}>`;
+    });
+    return { html: out, tagged };
+}
+
+/**
+ * Download every catalog file and write its SRI hash into libraries.json
+ * @param {string} [file]
+ * @returns {Promise<{pinned: number, failed: Array<{url: string, error: string}>}>}
+ */
+async function pinIntegrity(file = LIBRARIES_PATH) {
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateCatalog(raw);
+    let pinned = 0;
+    const failed = [];
+
+    const hash = async (url) => {
+        const response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(30000) });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const body = Buffer.from(await response.arrayBuffer());
+        return `sha384-${crypto.createHash('sha384').update(body).digest('base64')}`;
+    };
+
+    for (const lib of raw.libraries) {
+        for (const [urlField, hashField] of [['url', 'integrity'], ['css', 'cssIntegrity']]) {
+            const url = lib[urlField];
+            if (!url || UNVERSIONED_HOSTS.includes(new URL(url).hostname)) continue;
+            try {
+                lib[hashField] = await hash(url);
+                if (hashField === 'integrity') delete lib.sriExempt;
+                pinned++;
+                console.log(`[Catalog] ✓ ${lib.name}: ${url}`);
+            } catch (err) {
+                failed.push({ url, error: err.message });
+                console.warn(`[Catalog] ✗ ${lib.name}: ${url} (${err.message})`);
+            }
+        }
+    }
+
+    fs.writeFileSync(file, JSON.stringify(raw, null, 4), 'utf8');
+    return { pinned, failed };
+}
+
+module.exports = {
+    LIBRARIES_PATH,
+    CATEGORIES,
+    LibraryCatalogError,
+    isPinnedVersion,
+    validateCatalog,
+    readCatalog,
+    writeCatalog,
+    pickLibraryFields,
+    enabledLibraries,
+    findLibrary,
+    libraryTags,
+    catalogUrls,
+    catalogScriptUrls,
+    applySri
+};
+
+if (require.main === module) {
+    if (process.argv.includes('--pin')) {
+        pinIntegrity()
+            .then(({ pinned, failed }) => {
+                console.log(`[Catalog] ${pinned} hashes written to ${LIBRARIES_PATH}, ${failed.length} failed`);
+                process.exit(failed.length > 0 ? 1 : 0);
+            })
+            .catch(err => {
+                console.error('[Catalog] Failed:', err.message);
+                process.exit(1);
+            });
+    } else {
+        try {
+            const catalog = readCatalog();
+            const unhashed = catalog.libraries.filter(lib => lib.url && !lib.integrity && !lib.sriExempt &&
+                !UNVERSIONED_HOSTS.includes(new URL(lib.url).hostname));
+            const exempt = catalog.libraries.filter(lib => lib.sriExempt);
+            console.log(`[Catalog] ${catalog.libraries.length} libraries OK` +
+                (unhashed.length ? ` (${unhashed.length} stylesheet(s) without integrity; run npm run libraries:pin)` : ''));
+            exempt.forEach(lib => console.warn(`[Catalog] ! ${lib.name} has no integrity: ${lib.sriExempt}`));
+        } catch (err) {
+            (err.issues || [err.message]).forEach(issue => console.error(`[Catalog] ✗ ${issue}`));
+            process.exit(1);
+        }
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * Offline CDN Mirror
+ * Downloads every script and stylesheet URL in the library catalog into a versioned
+ * local directory so generated apps work on an air-gapped network:
+ *
+ *   vendor/<library>/<version>/<file>
+ *   vendor/<library>/<version>/assets/<font or image referenced by CSS>
+ *   vendor/manifest.json   (CDN URL → local /vendor/... path)
+ *
+ * Generated HTML has its CDN URLs rewritten to the mirror (rewriteCdnUrls),
+ * and the server then sends a CSP without the CDN hosts.
+ *
+ * Usage: npm run vendor [-- --force]
+ */
+
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readCatalog, isPinnedVersion } = require('./catalog');
+
+const MIRROR_DIR = path.join(__dirname, '..', 'vendor');
+const MIRROR_PREFIX = '/vendor/';
+const MANIFEST_FILE = 'manifest.json';
+
+// Google Fonts only serves woff2 to browsers it recognises
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_CSS_ASSETS = 200;
+
+/**
+ * @param {object} catalog - From readCatalog
+ * @returns {Array<{library: string, version: string, url: string, type: string}>}
+ */
+function collectLibraryUrls(catalog) {
+    const seen = new Set();
+    const out = [];
+    (catalog?.libraries || []).forEach(lib => {
+        [[lib.url, lib.type || 'script'], [lib.css, 'style']].forEach(([url, type]) => {
+            if (!url || seen.has(url)) return;
+            seen.add(url);
+            out.push({ library: lib.name, version: lib.version, url, type });
+        });
+    });
+    return out;
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'lib';
+}
+
+/**
+ * Version in a CDN URL: npm@1.2.3, plotly-2.27.0, d3.v7; null when the URL has none
+ */
+function versionFromUrl(url) {
+    const { pathname } = new URL(url);
+    const match = pathname.match(/@(\d[\w.-]*|latest)(?=\/|$)/) ||
+        pathname.match(/-(\d+\.\d+\.\d+)(?=[./])/) ||
+        pathname.match(/\.v(\d+)(?=[./])/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Local file name for a downloaded URL
+ */
+function fileNameFor(url, type) {
+    const ext = type === 'script' ? '.js' : '.css';
+    const base = decodeURIComponent(new URL(url).pathname.split('/').filter(Boolean).pop() || 'index')
+        .replace(/@.*$/, '')
+        .replace(/[^\w.-]+/g, '-') || 'index';
+    return /\.(m?js|css)$/i.test(base) ? base : `${base}${ext}`;
+}
+
+async function download(url) {
+    const response = await fetch(url, {
+        headers: { 'User-Agent': USER_AGENT },
+        redirect: 'follow',
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return { body: Buffer.from(await response.arrayBuffer()), finalUrl: response.url, headers: response.headers };
+}
+
+/**
+ * Download fonts/images a stylesheet references and point the CSS at the local copies
+ * @returns {Promise<{css: string, assets: number}>}
+ */
+async function mirrorCssAssets(css, cssUrl, assetDir) {
+    const refs = new Map();
+    for (const match of css.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi)) {
+        const ref = match[2].trim();
+        if (/^(data|blob):/i.test(ref) || ref.startsWith('#') || refs.size >= MAX_CSS_ASSETS) continue;
+        refs.set(ref, null);
+    }
+    if (refs.size === 0) return { css, assets: 0 };
+
+    await fs.mkdir(assetDir, { recursive: true });
+    const used = new Set();
+    for (const ref of refs.keys()) {
+        const absolute = new URL(ref, cssUrl);
+        let name = (absolute.pathname.split('/').pop() || 'asset').replace(/[^\w.-]+/g, '-');
+        while (used.has(name)) name = `${used.size}-${name}`;
+        try {
+            const { body } = await download(absolute.href);
+            await fs.writeFile(path.join(assetDir, name), body);
+            used.add(name);
+            refs.set(ref, `assets/${name}`);
+        } catch (err) {
+            console.warn(`[Mirror]    asset ${absolute.href} failed: ${err.message}`);
+        }
+    }
+
+    const rewritten = css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (whole, quote, ref) => {
+        const local = refs.get(ref.trim());
+        return local ? `url("${local}")` : whole;
+    });
+    return { css: rewritten, assets: used.size };
+}
+
+/**
+ * Download every library URL into the mirror and write the manifest
+ * @param {{libs?: object, dir?: string, force?: boolean}} [options] - libs is the catalog; force re-downloads files already mirrored
+ * @returns {Promise<object>} - The manifest
+ */
+async function downloadMirror({ libs, dir = MIRROR_DIR, force = false } = {}) {
+    if (!libs) libs = readCatalog();
+    const previous = force ? null : readMirrorManifest(dir);
+    const manifest = { generatedAt: new Date().toISOString(), entries: {}, failed: [] };
+
+    for (const { library, version: catalogVersion, url, type } of collectLibraryUrls(libs)) {
+        const existing = previous?.entries?.[url];
+        if (existing && fsSync.existsSync(path.join(dir, existing.path.slice(MIRROR_PREFIX.length)))) {
+            manifest.entries[url] = existing;
+            continue;
+        }
+
+        try {
+            const { body, finalUrl, headers } = await download(url);
+            // Catalog URLs are pinned; otherwise redirects (unpkg) and jsdelivr's header reveal the exact version
+            const version = String((isPinnedVersion(catalogVersion) && catalogVersion) ||
+                versionFromUrl(finalUrl) || headers.get('x-jsd-version') || versionFromUrl(url) || 'latest')
+                .replace(/[^\w.-]+/g, '-');
+            const relDir = path.posix.join(slugify(library), version);
+            const file = fileNameFor(url, type);
+            await fs.mkdir(path.join(dir, relDir), { recursive: true });
+
+            let content = body;
+            let assets = 0;
+            if (type === 'style') {
+                const mirrored = await mirrorCssAssets(body.toString('utf8'), finalUrl, path.join(dir, relDir, 'assets'));
+                content = Buffer.from(mirrored.css, 'utf8');
+                assets = mirrored.assets;
+            }
+            await fs.writeFile(path.join(dir, relDir, file), content);
+
+            manifest.entries[url] = {
+                library,
+                version,
+                type,
+                path: `${MIRROR_PREFIX}${relDir}/${file}`,
+                bytes: content.length,
+                integrity: `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`,
+                assets
+            };
+            console.log(`[Mirror] ✓ ${library} ${version}: ${url}`);
+        } catch (err) {
+            manifest.failed.push({ library, url, error: err.message });
+            console.warn(`[Mirror] ✗ ${library}: ${url} (${err.message})`);
+        }
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+    return manifest;
+}
+
+const manifestCache = { file: null, mtimeMs: 0, manifest: null };
+
+/**
+ * Read the mirror manifest (cached until the file changes)
+ * @param {string} [dir]
+ * @returns {object|null} - null when nothing has been mirrored
+ */
+function readMirrorManifest(dir = MIRROR_DIR) {
+    const file = path.join(dir, MANIFEST_FILE);
+    try {
+        const { mtimeMs } = fsSync.statSync(file);
+        if (manifestCache.file !== file || manifestCache.mtimeMs !== mtimeMs) {
+            const manifest = JSON.parse(fsSync.readFileSync(file, 'utf8'));
+            Object.assign(manifestCache, { file, mtimeMs, manifest });
+        }
+        return Object.keys(manifestCache.manifest.entries || {}).length > 0 ? manifestCache.manifest : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * npm package and file of a jsdelivr/unpkg URL, ignoring the version
+ */
+function packageKey(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return null;
+    }
+    const host = parsed.hostname;
+    const rest = host === 'cdn.jsdelivr.net' ? parsed.pathname.replace(/^\/npm\//, '/')
+        : host === 'unpkg.com' ? parsed.pathname
+            : null;
+    if (!rest) return null;
+    const match = rest.match(/^\/((?:@[^/]+\/)?[^/@]+)(?:@[^/]*)?(\/.*)?$/);
+    return match ? `${match[1]}${match[2] || ''}` : null;
+}
+
+/**
+ * Point CDN URLs in src/href attributes at the local mirror
+ * Exact URLs are matched first; a jsdelivr/unpkg URL for another version of
+ * a mirrored file falls back to the mirrored version.
+ * @param {string} html
+ * @param {object} manifest - From readMirrorManifest
+ * @returns {{html: string, rewritten: string[], unmatched: string[]}}
+ */
+function rewriteCdnUrls(html, manifest) {
+    const entries = manifest?.entries || {};
+    const byPackage = new Map();
+    Object.entries(entries).forEach(([url, entry]) => {
+        const key = packageKey(url);
+        if (key && !byPackage.has(key)) byPackage.set(key, entry);
+    });
+
+    const rewritten = [];
+    const unmatched = [];
+    const out = String(html || '').replace(/(\b(?:src|href)\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (whole, attr, quote, url) => {
+        const entry = entries[url] || byPackage.get(packageKey(url));
+        if (!entry) {
+            if (!unmatched.includes(url)) unmatched.push(url);
+            return whole;
+        }
+        rewritten.push(url);
+        return `${attr}${quote}${entry.path}${quote}`;
+    });
+    return { html: out, rewritten, unmatched };
+}
+
+/**
+ * Absolute path of a mirrored file, or null if the request escapes the mirror
+ * @param {string} urlPath - e.g. /vendor/chart-js/4.4.1/chart.js
+ * @param {string} [dir]
+ */
+function resolveMirrorFile(urlPath, dir = MIRROR_DIR) {
+    if (!urlPath.startsWith(MIRROR_PREFIX)) return null;
+    let rel;
+    try {
+        rel = decodeURIComponent(urlPath.slice(MIRROR_PREFIX.length));
+    } catch (e) {
+        return null;
+    }
+    const file = path.resolve(dir, rel);
+    return file.startsWith(path.resolve(dir) + path.sep) ? file : null;
+}
+
+module.exports = {
+    MIRROR_DIR,
+    MIRROR_PREFIX,
+    collectLibraryUrls,
+    downloadMirror,
+    readMirrorManifest,
+    rewriteCdnUrls,
+    resolveMirrorFile
+};
+
+if (require.main === module) {
+    downloadMirror({ force: process.argv.includes('--force') })
+        .then(manifest => {
+            const count = Object.keys(manifest.entries).length;
+            console.log(`[Mirror] ${count} files mirrored to ${MIRROR_DIR}, ${manifest.failed.length} failed`);
+            process.exit(manifest.failed.length > 0 && count === 0 ? 1 : 0);
+        })
+        .catch(err => {
+            console.error('[Mirror] Failed:', err.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,135 @@
+/**
+ * Library Selection
+ * Picks the catalog libraries a plan needs so the coder prompt lists only
+ * those instead of the whole catalog. Scoring is plain word matching against
+ * the plan's `libraries` and `ui_components` (no embeddings, works offline):
+ * - a library named in plan.libraries, or one of its globals ("dayjs"), scores highest
+ * - each of the library's catalog keywords the plan uses ("chart", "csv") adds points
+ * - a library named in ui_components adds points but isn't picked on its name alone
+ *   ("task marked complete" shouldn't pull in Marked)
+ * Libraries marked `default` are always offered. Helper functions and the
+ * runtime AI section are included only when the plan mentions them.
+ */
+
+const { enabledLibraries } = require('./catalog');
+
+const MAX_LIBRARIES = 8;
+const SCORES = {
+    namedInLibraries: 10,
+    globalInLibraries: 8,
+    namedInUi: 2,
+    keyword: 3
+};
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'your', 'use', 'using', 'data',
+    'value', 'values', 'number', 'array', 'object', 'list', 'get', 'set', 'make', 'show', 'format', 'string', 'text'
+]);
+const AI_PATTERN = /\b(?:ai|llm|geaRuntimeLLM|assistant|chatbot|summar(?:y|ies|ize|ise)|insights?)\b/i;
+
+/**
+ * Plan field values as one string (strings, or the string values of objects)
+ */
+function fieldText(values) {
+    const out = [];
+    const walk = (value) => {
+        if (typeof value === 'string') out.push(value);
+        else if (Array.isArray(value)) value.forEach(walk);
+        else if (value && typeof value === 'object') Object.values(value).forEach(walk);
+    };
+    walk(values);
+    return out.join('\n');
+}
+
+// "Chart.js" → " chart js ", so names and keywords match on word boundaries
+const spaced = (text) => ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+/**
+ * Whether spaced text contains a word or phrase (plurals included)
+ */
+function mentions(text, phrase) {
+    const words = spaced(phrase).trim();
+    return Boolean(words) && [words, `${words}s`, `${words}es`].some(form => text.includes(` ${form} `));
+}
+
+/**
+ * Ways a plan may write a library's name: "chart js", "chartjs"
+ */
+function nameVariants(lib) {
+    const words = spaced(lib.name).trim();
+    return Array.from(new Set([words, words.replace(/ /g, '')]));
+}
+
+/**
+ * Score one library against the plan text
+ * @returns {{score: number, reasons: string[]}}
+ */
+function scoreLibrary(lib, libraryText, uiText) {
+    const reasons = [];
+    let score = 0;
+    const named = (text) => nameVariants(lib).some(name => mentions(text, name));
+
+    if (named(libraryText)) {
+        score += SCORES.namedInLibraries;
+        reasons.push('named in plan.libraries');
+    } else if ((lib.globals || []).some(g => g.length > 2 && mentions(libraryText, g))) {
+        score += SCORES.globalInLibraries;
+        reasons.push('global named in plan.libraries');
+    } else if (named(uiText)) {
+        score += SCORES.namedInUi;
+        reasons.push('named in ui_components');
+    }
+
+    const keywords = (lib.keywords || []).filter(k => mentions(libraryText, k) || mentions(uiText, k));
+    if (keywords.length > 0) {
+        score += SCORES.keyword * keywords.length;
+        reasons.push(`keywords: ${keywords.join(', ')}`);
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Choose the libraries, helper functions and AI section for a plan
+ * @param {object} plan
+ * @param {object|null} catalog - From readCatalog
+ * @param {{maxLibraries?: number}} [options] - Cap on picked (non-default) libraries
+ * @returns {{libraries: string[], helpers: string[], ai: boolean, scores: Array<{name: string, score: number, reasons: string[]}>}|null}
+ *   - null without a catalog or plan (callers then list everything)
+ */
+function selectLibraries(plan, catalog, { maxLibraries = MAX_LIBRARIES } = {}) {
+    if (!catalog || !plan) return null;
+
+    const libraryText = spaced(fieldText(plan.libraries));
+    const uiText = spaced(fieldText([plan.ui_components, (plan.pages || []).map(page => page?.ui_components)]));
+
+    const scored = enabledLibraries(catalog).map(lib => ({ lib, ...scoreLibrary(lib, libraryText, uiText) }));
+    const picked = scored
+        .filter(s => s.score >= SCORES.keyword)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxLibraries);
+    scored.filter(s => s.lib.default && !picked.includes(s)).forEach(s => {
+        s.reasons.unshift('default');
+        picked.push(s);
+    });
+
+    // Helpers can be asked for anywhere in the plan (features, interactions, ...)
+    const planText = fieldText(plan);
+    const planWords = spaced(planText);
+    const helpers = (catalog.helper_functions || [])
+        .filter(h => spaced(`${h.name.replace(/([a-z])([A-Z])/g, '$1 $2')} ${h.description}`).trim().split(' ')
+            .some(word => word.length > 2 && !STOPWORDS.has(word) && mentions(planWords, word)))
+        .map(h => h.name);
+
+    return {
+        // Catalog order, so the prompt reads like the full listing
+        libraries: scored.filter(s => picked.includes(s)).map(s => s.lib.name),
+        helpers,
+        ai: AI_PATTERN.test(planText),
+        scores: picked.map(s => ({ name: s.lib.name, score: s.score, reasons: s.reasons }))
+    };
+}
+
+module.exports = {
+    selectLibraries
+};
@@ -0,0 +1,124 @@
+/**
+ * Fixture Provider
+ * Replays recorded LLM responses keyed by role and prompt hash, or records
+ * responses from an upstream provider into fixture files.
+ *
+ * Layout: <fixturesDir>/<role>/<hash>.json
+ *   { role, hash, model, promptPreview, responses: [ ... ] }
+ *
+ * Repeated calls with the same prompt walk through `responses` in order and
+ * keep returning the last one, so a fixture can script "reject, then approve".
+ * <fixturesDir>/<role>/_default.json is used when no hash matches.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_KEY = '_default';
+
+/**
+ * Remove per-run noise so the same logical prompt hashes identically across runs
+ * (run ids baked into appIds and the injected runtime helper script)
+ * @param {string} prompt
+ * @returns {string}
+ */
+function normalizePrompt(prompt) {
+    return String(prompt || '')
+        .replace(/<script id="gea-runtime-helper">[\s\S]*?<\/script>/gi, '')
+        .replace(/dsstar_\d{8}_\d{6}_\d{3}/g, 'dsstar_RUN')
+        .replace(/\r\n/g, '\n');
+}
+
+/**
+ * Stable short hash of a normalized prompt
+ * @param {string} prompt
+ * @returns {string}
+ */
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(normalizePrompt(prompt)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create a fixture provider
+ * @param {object} config
+ * @param {string} config.fixturesDir - Root folder holding <role>/<hash>.json files
+ * @param {'replay'|'record'} [config.mode] - Replay fixtures or record new ones
+ * @param {object} [config.upstream] - Provider used in record mode
+ * @returns {{name: string, streams: boolean, complete: Function, listModels: Function}}
+ */
+function createFixtureProvider({ fixturesDir, mode = 'replay', upstream = null }) {
+    if (mode === 'record' && !upstream) {
+        throw new Error('Fixture provider in record mode needs an upstream provider');
+    }
+
+    const cursors = new Map();   // replay position per fixture file
+    const recorded = new Set();  // fixture files already reset in this record session
+
+    const fixturePath = (role, key) => path.join(fixturesDir, role, `${key}.json`);
+
+    async function readFixture(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw new Error(`Invalid fixture ${file}: ${err.message}`);
+        }
+    }
+
+    async function replay(role, hash) {
+        let file = fixturePath(role, hash);
+        let fixture = await readFixture(file);
+        if (!fixture) {
+            file = fixturePath(role, DEFAULT_KEY);
+            fixture = await readFixture(file);
+        }
+        if (!fixture || !Array.isArray(fixture.responses) || fixture.responses.length === 0) {
+            throw new Error(`No recorded fixture for ${role} prompt ${hash} (record one with LLM_FIXTURE_MODE=record)`);
+        }
+
+        const position = cursors.get(file) || 0;
+        cursors.set(file, position + 1);
+        return fixture.responses[Math.min(position, fixture.responses.length - 1)];
+    }
+
+    async function record(model, prompt, options, role, hash) {
+        const response = await upstream.complete(model, prompt, options);
+
+        const file = fixturePath(role, hash);
+        const existing = recorded.has(file) ? await readFixture(file) : null;
+        recorded.add(file);
+
+        const fixture = existing || {
+            role,
+            hash,
+            model,
+            promptPreview: normalizePrompt(prompt).slice(0, 200),
+            responses: []
+        };
+        fixture.responses.push(response);
+
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify(fixture, null, 2), 'utf8');
+        return response;
+    }
+
+    async function complete(model, prompt, options = {}) {
+        const role = options.role || 'default';
+        const hash = hashPrompt(prompt);
+        return mode === 'record'
+            ? record(model, prompt, options, role, hash)
+            : replay(role, hash);
+    }
+
+    async function listModels() {
+        return upstream ? upstream.listModels() : [];
+    }
+
+    // Recording passes onToken through to a streaming upstream; replay never streams
+    const streams = mode === 'record' && Boolean(upstream.streams);
+
+    return { name: 'fixture', streams, complete, listModels };
+}
+
+module.exports = { createFixtureProvider, hashPrompt, normalizePrompt };
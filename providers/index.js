@@ -0,0 +1,173 @@
+/**
+ * LLM Provider Registry
+ * Maps provider names to factories and routes each pipeline role
+ * (planner / coder / critic / runtime) to its configured provider.
+ *
+ * Every provider exposes the same interface:
+ *   complete(model, prompt, options) → Promise<string>
+ *   listModels() → Promise<string[]>
+ *   streams (optional) → true when complete() honours options.onToken
+ *
+ * options.images ([{ mimeType, data }], base64) attaches images for multimodal
+ * models (used by the vision critic).
+ */
+
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { createFixtureProvider } = require('./fixture');
+const { cancelledError } = require('./stream');
+const path = require('path');
+
+const ROLES = ['planner', 'coder', 'critic', 'runtime', 'vision'];
+
+const factories = new Map();
+
+/**
+ * Register a provider factory
+ * @param {string} name - Provider id used in LLM_PROVIDER / <ROLE>_PROVIDER
+ * @param {Function} factory - ({ env, timeoutMs }) => provider
+ */
+function registerProvider(name, factory) {
+    factories.set(name, factory);
+}
+
+function listProviders() {
+    return Array.from(factories.keys());
+}
+
+/**
+ * Instantiate a registered provider
+ * @param {string} name - Provider id
+ * @param {{env: object, timeoutMs: number}} options
+ * @returns {object} provider
+ */
+function createProvider(name, options) {
+    const factory = factories.get(name);
+    if (!factory) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${listProviders().join(', ')}`);
+    }
+    return factory(options);
+}
+
+registerProvider('groq', ({ env, timeoutMs }) => createOpenAICompatibleProvider({
+    name: 'groq',
+    label: 'Groq API',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    apiKey: env.GROQ_API_KEY,
+    apiKeyEnv: 'GROQ_API_KEY',
+    timeoutMs
+}));
+
+registerProvider('openai', ({ env, timeoutMs }) => createOpenAICompatibleProvider({
+    name: 'openai',
+    label: 'OpenAI-compatible endpoint',
+    baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: env.OPENAI_API_KEY,
+    timeoutMs
+}));
+
+registerProvider('vllm', ({ env, timeoutMs }) => createOpenAICompatibleProvider({
+    name: 'vllm',
+    label: 'vLLM',
+    baseUrl: env.VLLM_URL || 'http://localhost:8000/v1',
+    apiKey: env.VLLM_API_KEY,
+    timeoutMs
+}));
+
+registerProvider('llamacpp', ({ env, timeoutMs }) => createOpenAICompatibleProvider({
+    name: 'llamacpp',
+    label: 'llama.cpp server',
+    baseUrl: env.LLAMACPP_URL || 'http://localhost:8080/v1',
+    timeoutMs
+}));
+
+registerProvider('ollama', ({ env, timeoutMs }) => createOllamaProvider({
+    baseUrl: env.OLLAMA_URL,
+    timeoutMs
+}));
+
+registerProvider('mock', () => createMockProvider());
+
+registerProvider('fixture', ({ env, timeoutMs }) => {
+    const mode = env.LLM_FIXTURE_MODE || 'replay';
+    return createFixtureProvider({
+        fixturesDir: env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm'),
+        mode,
+        upstream: mode === 'record'
+            ? createProvider(env.LLM_FIXTURE_UPSTREAM || 'groq', { env, timeoutMs })
+            : null
+    });
+});
+
+/**
+ * Build an LLM client that routes calls to a provider per role
+ * @param {object} config
+ * @param {string} config.defaultProvider - Provider used when a role has no override
+ * @param {object} [config.roleProviders] - e.g. { critic: 'ollama', coder: 'groq' }
+ * @param {number} config.timeoutMs - Request timeout handed to network providers
+ * @param {object} [config.env] - Environment used for provider settings
+ * @returns {{call: Function, providerFor: Function, listModels: Function, describe: Function}}
+ */
+function createLLMClient({ defaultProvider, roleProviders = {}, timeoutMs, env = process.env }) {
+    const instances = new Map();
+
+    const instance = (name) => {
+        if (!instances.has(name)) {
+            instances.set(name, createProvider(name, { env, timeoutMs }));
+        }
+        return instances.get(name);
+    };
+
+    const providerName = (role) => roleProviders[role] || defaultProvider;
+
+    // Fail fast on typos instead of at the first request
+    ROLES.forEach(role => instance(providerName(role)));
+
+    return {
+        /**
+         * Call the provider configured for options.role
+         * @param {string} model
+         * @param {string} prompt
+         * @param {{role?: string, signal?: AbortSignal, onToken?: Function, images?: Array<object>}} [options]
+         * @returns {Promise<string>}
+         */
+        async call(model, prompt, options = {}) {
+            if (options.signal?.aborted) throw cancelledError();
+            const provider = instance(providerName(options.role));
+            const text = await provider.complete(model, prompt, options);
+            // Non-streaming providers deliver the whole completion as one token
+            if (options.onToken && !provider.streams && text) options.onToken(text);
+            return text;
+        },
+
+        providerFor(role) {
+            return instance(providerName(role));
+        },
+
+        /**
+         * Union of the models advertised by every provider in use
+         * @returns {Promise<string[]>}
+         */
+        async listModels() {
+            const names = Array.from(new Set(ROLES.map(providerName)));
+            const lists = await Promise.all(names.map(name => instance(name).listModels()));
+            return Array.from(new Set(lists.flat())).sort();
+        },
+
+        describe() {
+            return ROLES.reduce((acc, role) => {
+                acc[role] = providerName(role);
+                return acc;
+            }, {});
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    registerProvider,
+    listProviders,
+    createProvider,
+    createLLMClient
+};
@@ -0,0 +1,87 @@
+/**
+ * Mock Provider
+ * Deterministic offline stand-in that answers by role without touching the network.
+ * Responses are valid enough to carry a prompt through plan → critique → code → tests.
+ */
+
+const MOCK_PLAN = {
+    title: 'Mock Tool',
+    description: 'Deterministic plan produced by the mock LLM provider',
+    pages: [{ name: 'Home', purpose: 'Single page containing the whole tool' }],
+    ui_components: ['Header with title', 'Primary action button'],
+    libraries: [],
+    state: ['clickCount'],
+    interactions: ['Clicking the button increments the counter'],
+    acceptance_criteria: ['The counter increases when the button is clicked'],
+    recommended_models: { coder: 'mock-model', critic: 'mock-model', runtime: 'mock-model' }
+};
+
+const MOCK_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Mock Tool</title>
+</head>
+<body>
+  <header><h1>Mock Tool</h1></header>
+  <main>
+    <button id="countBtn" type="button">Clicked 0 times</button>
+  </main>
+  <script>
+    let clickCount = 0;
+    document.getElementById('countBtn').addEventListener('click', (e) => {
+      clickCount++;
+      e.target.textContent = 'Clicked ' + clickCount + ' times';
+    });
+  </script>
+</body>
+</html>`;
+
+const MOCK_CRITIQUE = { approved: true, issues: [] };
+
+// Acceptance scenarios are requested from the critic role too
+const MOCK_ACCEPTANCE_TESTS = {
+    tests: [{
+        criterion: MOCK_PLAN.acceptance_criteria[0],
+        steps: [
+            { action: 'click', selector: '#countBtn' },
+            { action: 'expectText', selector: '#countBtn', text: 'Clicked 1 times' }
+        ]
+    }]
+};
+
+// Stand-in for a multimodal model: it can't look at pixels, but it does check it was shown some
+const MOCK_VISUAL_CRITIQUE = { approved: true, issues: [] };
+const MOCK_VISUAL_NO_IMAGES = {
+    approved: false,
+    issues: [{ severity: 'high', screenshot: null, message: 'No screenshot was attached', suggestedFix: 'Make sure the page renders visible content' }]
+};
+
+/**
+ * Create the mock provider
+ * @returns {{name: string, complete: Function, listModels: Function}}
+ */
+function createMockProvider() {
+    async function complete(model, prompt, options = {}) {
+        switch (options.role) {
+            case 'planner':
+                return JSON.stringify(MOCK_PLAN, null, 2);
+            case 'coder':
+                return MOCK_HTML;
+            case 'critic':
+                return JSON.stringify(/ACCEPTANCE TEST WRITER/.test(prompt) ? MOCK_ACCEPTANCE_TESTS : MOCK_CRITIQUE);
+            case 'vision':
+                return JSON.stringify(options.images?.length ? MOCK_VISUAL_CRITIQUE : MOCK_VISUAL_NO_IMAGES);
+            default:
+                return `Mock response from ${model} (${String(prompt || '').length} chars of input)`;
+        }
+    }
+
+    async function listModels() {
+        return ['mock-model'];
+    }
+
+    return { name: 'mock', complete, listModels };
+}
+
+module.exports = { createMockProvider, MOCK_PLAN, MOCK_HTML };
@@ -0,0 +1,104 @@
+/**
+ * Ollama Provider
+ * Talks to a local Ollama daemon through its /api/generate endpoint
+ */
+
+const { linkAbortSignal, cancelledError, readLines } = require('./stream');
+
+/**
+ * Create an Ollama provider
+ * @param {object} config
+ * @param {string} config.baseUrl - Daemon URL (default http://localhost:11434)
+ * @param {number} config.timeoutMs - Request timeout
+ * @returns {{name: string, streams: boolean, complete: Function, listModels: Function}}
+ */
+function createOllamaProvider({ baseUrl = 'http://localhost:11434', timeoutMs }) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    /**
+     * @param {string} model
+     * @param {string} prompt
+     * @param {{signal?: AbortSignal, onToken?: Function, images?: Array<{mimeType: string, data: string}>}} [options]
+     *   - onToken streams the completion; images go to multimodal models (e.g. llava)
+     */
+    async function complete(model, prompt, options = {}) {
+        const { signal, onToken, images = [] } = options;
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        const detach = linkAbortSignal(controller, signal);
+
+        try {
+            const res = await fetch(`${root}/api/generate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model,
+                    prompt,
+                    stream: Boolean(onToken),
+                    ...(images.length > 0 ? { images: images.map(img => img.data) } : {})
+                }),
+                signal: controller.signal,
+            });
+
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                const message = data.error || `Ollama error (${res.status})`;
+                if (message.toLowerCase().includes('model not found')) {
+                    throw new Error(`Model "${model}" not found. Run: ollama pull ${model}`);
+                }
+                throw new Error(message);
+            }
+
+            if (onToken) {
+                // Newline-delimited JSON: {"response": "...", "done": false}
+                let content = '';
+                await readLines(res.body, (line) => {
+                    let chunk;
+                    try {
+                        chunk = JSON.parse(line);
+                    } catch (e) {
+                        return;
+                    }
+                    if (chunk.error) throw new Error(chunk.error);
+                    if (chunk.response) {
+                        content += chunk.response;
+                        onToken(chunk.response);
+                    }
+                });
+                return content.trim();
+            }
+
+            const data = await res.json().catch(() => ({}));
+            return String(data.response || '').trim();
+        } catch (err) {
+            if (signal?.aborted) {
+                throw cancelledError();
+            }
+            if (err.name === 'AbortError') {
+                throw new Error(`LLM request timed out after ${timeoutMs}ms`);
+            }
+            if (err.message && err.message.includes('fetch failed')) {
+                throw new Error(`Cannot reach Ollama. Is it running on ${root} ?`);
+            }
+            throw err;
+        } finally {
+            clearTimeout(timeoutId);
+            detach();
+        }
+    }
+
+    async function listModels() {
+        try {
+            const res = await fetch(`${root}/api/tags`);
+            const data = await res.json();
+            return (data.models || []).map(m => m.name).filter(Boolean).sort();
+        } catch (err) {
+            console.warn('Failed to fetch Ollama models:', err.message);
+            return [];
+        }
+    }
+
+    return { name: 'ollama', streams: true, complete, listModels };
+}
+
+module.exports = { createOllamaProvider };
@@ -0,0 +1,129 @@
+/**
+ * OpenAI-Compatible Provider
+ * Chat-completions client shared by Groq, OpenAI, vLLM and the llama.cpp server
+ */
+
+const { linkAbortSignal, cancelledError, readLines } = require('./stream');
+
+/**
+ * Create a provider for any endpoint that speaks the OpenAI chat-completions API
+ * @param {object} config
+ * @param {string} config.name - Provider id used in error messages
+ * @param {string} config.label - Human-readable name (e.g. "Groq API")
+ * @param {string} config.baseUrl - Base URL ending in /v1
+ * @param {string} [config.apiKey] - Bearer token, if the endpoint needs one
+ * @param {string} [config.apiKeyEnv] - Env var name; when set the key is required
+ * @param {number} config.timeoutMs - Request timeout
+ * @returns {{name: string, streams: boolean, complete: Function, listModels: Function}}
+ */
+function createOpenAICompatibleProvider({ name, label, baseUrl, apiKey = '', apiKeyEnv = '', timeoutMs }) {
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const headers = () => {
+        const h = { 'Content-Type': 'application/json' };
+        if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+        return h;
+    };
+
+    /**
+     * @param {string} model
+     * @param {string} prompt
+     * @param {{signal?: AbortSignal, onToken?: Function, images?: Array<{mimeType: string, data: string}>}} [options]
+     *   - onToken streams the completion; images are sent as data-URL image parts
+     */
+    async function complete(model, prompt, options = {}) {
+        if (apiKeyEnv && !apiKey) {
+            throw new Error(`${apiKeyEnv} is not set in environment variables`);
+        }
+
+        const { signal, onToken, images = [] } = options;
+        const content = images.length === 0 ? prompt : [
+            { type: 'text', text: prompt },
+            ...images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } }))
+        ];
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        const detach = linkAbortSignal(controller, signal);
+
+        try {
+            const res = await fetch(`${root}/chat/completions`, {
+                method: 'POST',
+                headers: headers(),
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content }],
+                    temperature: 0.7,
+                    max_tokens: 8192,
+                    stream: Boolean(onToken),
+                }),
+                signal: controller.signal,
+            });
+
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                const message = data.error?.message || `${label} error (${res.status})`;
+                throw new Error(message);
+            }
+
+            if (onToken) {
+                // Server-sent events: "data: {choices:[{delta:{content}}]}" ... "data: [DONE]"
+                let content = '';
+                await readLines(res.body, (line) => {
+                    if (!line.startsWith('data:')) return;
+                    const payload = line.slice(5).trim();
+                    if (payload === '[DONE]') return;
+                    let chunk;
+                    try {
+                        chunk = JSON.parse(payload);
+                    } catch (e) {
+                        return;
+                    }
+                    const token = chunk.choices?.[0]?.delta?.content || '';
+                    if (token) {
+                        content += token;
+                        onToken(token);
+                    }
+                });
+                return content.trim();
+            }
+
+            const data = await res.json().catch(() => ({}));
+            const content = data.choices?.[0]?.message?.content || '';
+            return content.trim();
+        } catch (err) {
+            if (signal?.aborted) {
+                throw cancelledError();
+            }
+            if (err.name === 'AbortError') {
+                throw new Error(`LLM request timed out after ${timeoutMs}ms`);
+            }
+            if (err.message && err.message.includes('fetch failed')) {
+                throw new Error(`Cannot reach ${label}. Is it running on ${root} ?`);
+            }
+            throw err;
+        } finally {
+            clearTimeout(timeoutId);
+            detach();
+        }
+    }
+
+    async function listModels() {
+        if (apiKeyEnv && !apiKey) return [];
+
+        try {
+            const res = await fetch(`${root}/models`, { headers: headers() });
+            const data = await res.json();
+            return (data.data || [])
+                .filter(m => m.id && !m.id.includes('whisper'))
+                .map(m => m.id)
+                .sort();
+        } catch (err) {
+            console.warn(`Failed to fetch ${label} models:`, err.message);
+            return [];
+        }
+    }
+
+    return { name, streams: true, complete, listModels };
+}
+
+module.exports = { createOpenAICompatibleProvider };
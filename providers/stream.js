@@ -0,0 +1,54 @@
+/**
+ * Streaming helpers shared by network providers
+ */
+
+/**
+ * Abort `controller` when the caller's signal fires
+ * @param {AbortController} controller - Controller owned by the provider request
+ * @param {AbortSignal} [signal] - Caller signal (client disconnect, cancel button)
+ * @returns {Function} - Detach listener
+ */
+function linkAbortSignal(controller, signal) {
+    if (!signal) return () => { };
+    if (signal.aborted) {
+        controller.abort();
+        return () => { };
+    }
+    const onAbort = () => controller.abort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+/**
+ * Error thrown when the caller cancelled the request
+ */
+function cancelledError() {
+    const error = new Error('LLM request cancelled');
+    error.code = 'CANCELLED';
+    return error;
+}
+
+/**
+ * Read a fetch response body line by line
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onLine - Called with each non-empty line
+ */
+async function readLines(body, onLine) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) onLine(line);
+        }
+    }
+
+    const rest = (buffer + decoder.decode()).trim();
+    if (rest) onLine(rest);
+}
+
+module.exports = { linkAbortSignal, cancelledError, readLines };
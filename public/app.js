@@ -13,6 +13,7 @@ const advancedPanel = document.getElementById('advancedPanel');
 const modelTier = document.getElementById('modelTier');
 const previewFrame = document.getElementById('previewFrame');
 const previewStatus = document.getElementById('previewStatus');
+const pageTabs = document.getElementById('pageTabs');
 const previewUrl = document.getElementById('previewUrl');
 const planOutput = document.getElementById('planOutput');
 const htmlOutput = document.getElementById('htmlOutput');
@@ -37,6 +38,7 @@ const attachedFilesDisplay = document.getElementById('attachedFilesDisplay');
 const dsstarToggle = document.getElementById('dsstarToggle');
 const dsstarPanel = document.getElementById('dsstarPanel');
 const dsstarIterNum = document.getElementById('dsstar-iter-num');
+const dsstarCancelBtn = document.getElementById('dsstarCancelBtn');
 const dsstarPlanStatus = document.getElementById('dsstar-plan-status');
 const dsstarCodeStatus = document.getElementById('dsstar-code-status');
 const dsstarTestStatus = document.getElementById('dsstar-test-status');
@@ -52,11 +54,50 @@ const confirmDeploy = document.getElementById('confirmDeploy');
 const cancelDeploy = document.getElementById('cancelDeploy');
 const deployResult = document.getElementById('deployResult');
 const deployLink = document.getElementById('deployLink');
+const deployUpdateBaseline = document.getElementById('deployUpdateBaseline');
+const deployVisual = document.getElementById('deployVisual');
 const deploymentsList = document.getElementById('deploymentsList');
 const toggleAdvanced = document.getElementById('toggleAdvanced');
 const advancedIcon = document.getElementById('advancedIcon');
 const toggleFullscreen = document.getElementById('toggleFullscreen');
 const fullscreenIcon = document.getElementById('fullscreenIcon');
+const librarySection = document.getElementById('library');
+const runDetail = document.getElementById('runDetail');
+const runDetailMeta = document.getElementById('runDetailMeta');
+const runDetailPrompt = document.getElementById('runDetailPrompt');
+const runDetailBack = document.getElementById('runDetailBack');
+const runDetailIterations = document.getElementById('runDetailIterations');
+const diffFrom = document.getElementById('diffFrom');
+const diffTo = document.getElementById('diffTo');
+const diffStats = document.getElementById('diffStats');
+const diffView = document.getElementById('diffView');
+const diffPreviewFrom = document.getElementById('diffPreviewFrom');
+const diffPreviewTo = document.getElementById('diffPreviewTo');
+const diffPreviewFromLabel = document.getElementById('diffPreviewFromLabel');
+const diffPreviewToLabel = document.getElementById('diffPreviewToLabel');
+const navLibrarySettings = document.getElementById('navLibrarySettings');
+const librarySettingsList = document.getElementById('librarySettingsList');
+const refreshLibrariesBtn = document.getElementById('refreshLibrariesBtn');
+const libraryForm = document.getElementById('libraryForm');
+const libraryFormTitle = document.getElementById('libraryFormTitle');
+const libraryFormReset = document.getElementById('libraryFormReset');
+const libraryTestBtn = document.getElementById('libraryTestBtn');
+const librarySaveBtn = document.getElementById('librarySaveBtn');
+const libraryTestResult = document.getElementById('libraryTestResult');
+const libName = document.getElementById('libName');
+const libCategory = document.getElementById('libCategory');
+const libVersion = document.getElementById('libVersion');
+const libType = document.getElementById('libType');
+const libUrl = document.getElementById('libUrl');
+const libIntegrity = document.getElementById('libIntegrity');
+const libCss = document.getElementById('libCss');
+const libGlobals = document.getElementById('libGlobals');
+const libRequires = document.getElementById('libRequires');
+const libDescription = document.getElementById('libDescription');
+const libExample = document.getElementById('libExample');
+const libKeywords = document.getElementById('libKeywords');
+const libDefer = document.getElementById('libDefer');
+const libDefault = document.getElementById('libDefault');
 
 // State
 let latestHtml = '';
@@ -68,6 +109,13 @@ let attachedFiles = [];
 let attachedData = '';
 let isDSStarMode = false;
 let currentRunId = null;
+let bundlePages = [];
+let activePageIndex = 0;
+let detailRunId = null;
+let detailIterations = [];
+let catalogLibraries = [];
+let editingLibrary = null; // catalog entry open in the form, null when adding
+let lastLibraryTest = null; // { entry, passed } for the last test run from the form
 
 // ======================================
 // Toast Notifications
@@ -260,6 +308,7 @@ function setGenerating(generating) {
     generateBtnIcon.textContent = 'rocket_launch';
     generateBtnIcon.classList.remove('animate-spin');
     statusDots.classList.add('hidden');
+    if (dsstarCancelBtn) dsstarCancelBtn.classList.add('hidden');
   }
 }
 
@@ -283,6 +332,7 @@ async function generatePipeline() {
 
   setGenerating(true);
   resetProgress();
+  clearPageTabs();
   latestHtml = '';
   latestPlan = null;
   latestPromptText = prompt;
@@ -443,6 +493,7 @@ async function iterateOnBuild() {
 
     planOutput.textContent = JSON.stringify(data.plan, null, 2);
     htmlOutput.value = latestHtml;
+    clearPageTabs();
     previewFrame.srcdoc = latestHtml;
 
     completeProgress();
@@ -496,7 +547,23 @@ async function loadRuns() {
         </div>
       `;
     } else {
-      runsList.innerHTML = data.runs.map(run => `
+      runsList.innerHTML = data.runs.map(run => run.timestamp.startsWith('dsstar_') ? `
+        <div class="bg-white dark:bg-[#14292b] p-6 rounded-[1.5rem] border border-gray-100 dark:border-gray-800 hover:shadow-xl hover:-translate-y-1 transition-all group text-left w-full">
+          <div class="size-10 bg-amber-500/10 text-amber-500 rounded-xl flex items-center justify-center mb-4">
+            <span class="material-symbols-outlined">auto_awesome</span>
+          </div>
+          <h5 class="text-sm font-bold text-gray-900 dark:text-white truncate">${formatTimestamp(run.timestamp.replace('dsstar_', ''))}</h5>
+          <p class="text-xs text-gray-500 mt-2 leading-relaxed line-clamp-2">${run.prompt_preview || 'No description'}</p>
+          <div class="mt-4 flex gap-2">
+            <button onclick="loadRun('${run.timestamp}')" class="flex-1 flex items-center justify-center gap-1 py-2 bg-gray-50 dark:bg-gray-800 text-gray-500 text-[10px] font-bold uppercase tracking-widest rounded-xl hover:text-primary transition-colors">
+              <span class="material-symbols-outlined text-sm">edit_note</span> Edit
+            </button>
+            <button onclick="openRunDetail('${run.timestamp}')" class="flex-1 flex items-center justify-center gap-1 py-2 bg-gray-50 dark:bg-gray-800 text-gray-500 text-[10px] font-bold uppercase tracking-widest rounded-xl hover:text-primary transition-colors">
+              <span class="material-symbols-outlined text-sm">difference</span> Iterations
+            </button>
+          </div>
+        </div>
+      ` : `
         <button onclick="loadRun('${run.timestamp}')" class="bg-white dark:bg-[#14292b] p-6 rounded-[1.5rem] border border-gray-100 dark:border-gray-800 hover:shadow-xl hover:-translate-y-1 transition-all cursor-pointer group text-left w-full">
           <div class="size-10 bg-primary/10 text-primary rounded-xl flex items-center justify-center mb-4 group-hover:bg-primary group-hover:text-white transition-all">
             <span class="material-symbols-outlined">history</span>
@@ -565,6 +632,8 @@ async function loadRun(timestamp) {
     htmlOutput.value = latestHtml;
     previewFrame.srcdoc = latestHtml;
     previewUrl.textContent = `app.gea-hub.internal/${data.plan?.title?.toLowerCase().replace(/\s+/g, '-') || 'app'}`;
+    if (data.isDSStarRun) loadPageTabs(timestamp);
+    else clearPageTabs();
 
     copyBtn.disabled = false;
     downloadBtn.disabled = false;
@@ -620,9 +689,296 @@ generateBtn.addEventListener('click', generatePipeline);
 iterateBtn.addEventListener('click', iterateOnBuild);
 refreshRunsBtn.addEventListener('click', loadRuns);
 refreshPreview.addEventListener('click', () => {
-  if (latestHtml) previewFrame.srcdoc = latestHtml;
+  const page = bundlePages[activePageIndex];
+  if (page) previewFrame.srcdoc = page.html;
+  else if (latestHtml) previewFrame.srcdoc = latestHtml;
 });
 
+// ======================================
+// Multi-page Preview Tabs
+// ======================================
+function clearPageTabs() {
+  bundlePages = [];
+  activePageIndex = 0;
+  if (!pageTabs) return;
+  pageTabs.innerHTML = '';
+  pageTabs.classList.add('hidden');
+}
+
+function selectPageTab(index) {
+  const page = bundlePages[index];
+  if (!page) return;
+  activePageIndex = index;
+  previewFrame.srcdoc = page.html;
+  pageTabs.querySelectorAll('button').forEach((btn, i) => {
+    const active = i === index;
+    btn.classList.toggle('bg-primary', active);
+    btn.classList.toggle('text-white', active);
+    btn.classList.toggle('text-gray-500', !active);
+  });
+}
+
+// Runs with a page bundle get one tab per page; single-page runs keep the plain preview
+async function loadPageTabs(runId) {
+  clearPageTabs();
+  if (!pageTabs || !runId) return;
+
+  try {
+    const res = await fetch(`/api/run/${runId}/bundle`);
+    if (!res.ok) return;
+    const data = await res.json();
+    bundlePages = data.pages || [];
+  } catch (e) {
+    console.error('Failed to load page bundle:', e);
+    return;
+  }
+  if (bundlePages.length < 2) return;
+
+  bundlePages.forEach((page, i) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'px-4 py-1.5 rounded-full text-xs font-bold text-gray-500 hover:text-primary transition-colors whitespace-nowrap';
+    btn.textContent = page.title || page.file;
+    btn.title = page.file;
+    btn.addEventListener('click', () => selectPageTab(i));
+    pageTabs.appendChild(btn);
+  });
+  pageTabs.classList.remove('hidden');
+  selectPageTab(0);
+}
+
+// ======================================
+// Run Detail (iterations, diff, previews)
+// ======================================
+const OUTCOME_STYLES = {
+  passed: 'bg-green-100 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-500',
+  interrupted: 'bg-gray-100 text-gray-500'
+};
+const PHASE_LABELS = {
+  plan: 'Plan',
+  planCritique: 'Plan review',
+  code: 'Code',
+  security: 'Security',
+  codeCritique: 'Code review',
+  smokeTest: 'Smoke tests',
+  a11y: 'Accessibility',
+  visualCritique: 'Visual review'
+};
+const ACCEPTANCE_STYLES = {
+  passed: 'text-green-600',
+  failed: 'text-red-600'
+};
+const ACCEPTANCE_MARKS = { passed: '✓', failed: '✗', skipped: '–', untested: '?' };
+const DIFF_CONTEXT_LINES = 3;
+
+async function openRunDetail(runId) {
+  try {
+    const res = await fetch(`/api/run/${runId}/iterations`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error);
+
+    detailRunId = runId;
+    detailIterations = data.iterations || [];
+    runDetailMeta.textContent = `${runId} · ${data.status}${data.lastFailure ? ` · ${data.lastFailure}` : ''}`;
+    runDetailPrompt.textContent = data.prompt || '';
+    renderIterationList();
+
+    const withHtml = detailIterations.filter(it => it.hasHtml).map(it => it.iteration);
+    [diffFrom, diffTo].forEach(select => {
+      select.innerHTML = '';
+      withHtml.forEach(n => select.appendChild(new Option(`Iteration ${n}`, n)));
+    });
+    if (withHtml.length > 0) {
+      diffFrom.value = withHtml[Math.max(withHtml.length - 2, 0)];
+      diffTo.value = withHtml[withHtml.length - 1];
+      compareIterations();
+    } else {
+      diffView.innerHTML = '<p class="p-6 text-gray-400 font-sans font-bold">No iteration produced HTML</p>';
+      diffStats.textContent = '';
+    }
+
+    librarySection.classList.add('hidden');
+    runDetail.classList.remove('hidden');
+    runDetail.scrollIntoView({ behavior: 'smooth' });
+  } catch (err) {
+    showToast(`Failed to load run: ${err.message}`, true);
+  }
+}
+
+function closeRunDetail() {
+  detailRunId = null;
+  runDetail.classList.add('hidden');
+  librarySection.classList.remove('hidden');
+  diffPreviewFrom.srcdoc = '';
+  diffPreviewTo.srcdoc = '';
+  librarySection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function renderIterationList() {
+  runDetailIterations.innerHTML = '';
+  detailIterations.forEach(it => {
+    const item = document.createElement('li');
+    item.className = 'p-3 rounded-xl border border-gray-100 dark:border-gray-800 hover:border-primary transition-colors cursor-pointer';
+
+    const head = document.createElement('div');
+    head.className = 'flex items-center justify-between gap-2';
+    const title = document.createElement('span');
+    title.className = 'text-sm font-bold text-gray-900 dark:text-white';
+    title.textContent = `Iteration ${it.iteration}`;
+    const badge = document.createElement('span');
+    badge.className = `px-2 py-0.5 rounded-lg text-[9px] font-black uppercase ${OUTCOME_STYLES[it.outcome] || 'bg-red-100 text-red-700'}`;
+    badge.textContent = it.outcome.replace(/_/g, ' ');
+    head.append(title, badge);
+    item.appendChild(head);
+
+    const phases = document.createElement('p');
+    phases.className = 'text-[11px] text-gray-500 mt-2 leading-relaxed';
+    phases.textContent = Object.entries(it.phases || {})
+      .filter(([, result]) => result)
+      .map(([phase, result]) => `${PHASE_LABELS[phase] || phase}: ${result}`)
+      .join(' · ');
+    item.appendChild(phases);
+
+    if (it.acceptance?.length) {
+      const criteria = document.createElement('ul');
+      criteria.className = 'text-[11px] mt-1 space-y-0.5';
+      it.acceptance.forEach(a => {
+        const row = document.createElement('li');
+        row.className = ACCEPTANCE_STYLES[a.status] || 'text-gray-500';
+        row.textContent = `${ACCEPTANCE_MARKS[a.status] || '•'} ${a.criterion}${a.failedStep ? ` (failed at ${a.failedStep})` : ''}`;
+        row.title = a.error || a.status;
+        criteria.appendChild(row);
+      });
+      item.appendChild(criteria);
+    }
+
+    if (it.screenshots?.length) {
+      const shots = document.createElement('p');
+      shots.className = 'text-[11px] mt-1 flex flex-wrap gap-2';
+      it.screenshots.forEach(shot => {
+        const link = document.createElement('a');
+        link.href = `/api/run/${detailRunId}/iter/${it.iteration}/screenshots/${shot.file}`;
+        link.target = '_blank';
+        link.className = 'text-primary underline';
+        link.textContent = shot.file.replace(/\.png$/, '');
+        link.addEventListener('click', e => e.stopPropagation());
+        shots.appendChild(link);
+      });
+      item.appendChild(shots);
+    }
+
+    const notes = [];
+    if (it.patch) notes.push(it.patch.fallback ? `Patch fell back to full rewrite (${it.patch.fallback})` : `Patched (${it.patch.mode})`);
+    if (it.error) notes.push(it.error);
+    if (notes.length) {
+      const note = document.createElement('p');
+      note.className = 'text-[11px] text-amber-600 mt-1';
+      note.textContent = notes.join(' · ');
+      item.appendChild(note);
+    }
+
+    // Clicking an iteration compares it with the previous one that has HTML
+    item.addEventListener('click', () => {
+      if (!it.hasHtml) return;
+      const earlier = detailIterations.filter(o => o.hasHtml && o.iteration < it.iteration).pop();
+      diffFrom.value = earlier ? earlier.iteration : it.iteration;
+      diffTo.value = it.iteration;
+      compareIterations();
+    });
+    runDetailIterations.appendChild(item);
+  });
+}
+
+async function compareIterations() {
+  const runId = detailRunId;
+  const from = diffFrom.value;
+  const to = diffTo.value;
+  if (!runId || !from || !to) return;
+
+  diffPreviewFromLabel.textContent = `Iteration ${from}`;
+  diffPreviewToLabel.textContent = `Iteration ${to}`;
+  diffStats.textContent = 'Loading...';
+
+  try {
+    const [diffRes, fromRes, toRes] = await Promise.all([
+      fetch(`/api/run/${runId}/diff?from=${from}&to=${to}`),
+      fetch(`/api/run/${runId}/iter/${from}/html`),
+      fetch(`/api/run/${runId}/iter/${to}/html`)
+    ]);
+    const diff = await diffRes.json();
+    if (!diffRes.ok) throw new Error(diff.error);
+    if (runId !== detailRunId) return; // closed or switched while loading
+
+    diffPreviewFrom.srcdoc = fromRes.ok ? await fromRes.text() : '';
+    diffPreviewTo.srcdoc = toRes.ok ? await toRes.text() : '';
+    diffStats.textContent = diff.added || diff.removed ? `+${diff.added} / -${diff.removed} lines` : 'No changes';
+    renderDiff(diff.rows);
+  } catch (err) {
+    diffStats.textContent = '';
+    showToast(`Failed to compare iterations: ${err.message}`, true);
+  }
+}
+
+// Side-by-side table; long unchanged stretches are collapsed to keep the changes in view
+function renderDiff(rows) {
+  const visible = rows.map(() => false);
+  rows.forEach((row, i) => {
+    if (row.type === 'same') return;
+    for (let k = Math.max(0, i - DIFF_CONTEXT_LINES); k <= Math.min(rows.length - 1, i + DIFF_CONTEXT_LINES); k++) {
+      visible[k] = true;
+    }
+  });
+
+  const table = document.createElement('table');
+  table.className = 'w-full border-collapse table-fixed';
+  const cell = (side, type, changedClass) => {
+    const num = document.createElement('td');
+    num.className = 'w-12 px-2 text-right text-gray-300 select-none align-top';
+    num.textContent = side ? side.line : '';
+    const code = document.createElement('td');
+    code.className = `px-2 whitespace-pre-wrap break-all align-top ${side && type !== 'same' ? changedClass : ''}`;
+    code.textContent = side ? side.text : '';
+    return [num, code];
+  };
+
+  let hidden = 0;
+  const flushHidden = () => {
+    if (!hidden) return;
+    const tr = table.insertRow();
+    const td = tr.insertCell();
+    td.colSpan = 4;
+    td.className = 'px-4 py-1 bg-gray-50 dark:bg-gray-800 text-gray-400 font-sans text-[10px] font-bold uppercase tracking-widest';
+    td.textContent = `${hidden} unchanged line${hidden === 1 ? '' : 's'}`;
+    hidden = 0;
+  };
+
+  rows.forEach((row, i) => {
+    if (!visible[i]) {
+      hidden++;
+      return;
+    }
+    flushHidden();
+    const tr = table.insertRow();
+    tr.append(
+      ...cell(row.left, row.type, 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'),
+      ...cell(row.right, row.type, 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300')
+    );
+  });
+  flushHidden();
+
+  diffView.innerHTML = '';
+  diffView.appendChild(table);
+}
+
+window.openRunDetail = openRunDetail;
+
+if (runDetail) {
+  runDetailBack.addEventListener('click', closeRunDetail);
+  diffFrom.addEventListener('change', compareIterations);
+  diffTo.addEventListener('change', compareIterations);
+}
+
 // File attachment handling
 attachBtn.addEventListener('click', () => fileInput.click());
 
@@ -705,9 +1061,15 @@ navCreate.addEventListener('click', (e) => {
 
 navLibrary.addEventListener('click', (e) => {
   e.preventDefault();
+  if (detailRunId) closeRunDetail();
   document.getElementById('library').scrollIntoView({ behavior: 'smooth' });
 });
 
+navLibrarySettings.addEventListener('click', (e) => {
+  e.preventDefault();
+  document.getElementById('librarySettings').scrollIntoView({ behavior: 'smooth' });
+});
+
 // Model Config Toggle
 if (toggleAdvanced && advancedPanel) {
   toggleAdvanced.addEventListener('click', () => {
@@ -744,6 +1106,22 @@ if (dsstarToggle) {
   });
 }
 
+if (dsstarCancelBtn) {
+  dsstarCancelBtn.addEventListener('click', async () => {
+    if (!currentRunId) return;
+    dsstarCancelBtn.disabled = true;
+    setStatus('Cancelling DS-Star run...');
+    try {
+      const res = await fetch(`/api/run/${currentRunId}/cancel`, { method: 'POST' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Cancel failed');
+    } catch (e) {
+      showToast(e.message, true);
+      dsstarCancelBtn.disabled = false;
+    }
+  });
+}
+
 function updateDSStarStatus(status) {
   if (dsstarIterNum) dsstarIterNum.textContent = status.iteration || '-';
 
@@ -808,6 +1186,21 @@ function updateDSStarStatus(status) {
   }
 }
 
+// Streamed planner/coder output - each new plan/code phase starts a fresh buffer
+function resetStreamOutput(phase) {
+  if (phase === 'plan' && planOutput) planOutput.textContent = '';
+  if (phase === 'code' && htmlOutput) htmlOutput.value = '';
+}
+
+function appendStreamToken(data) {
+  if (data.phase === 'plan' && planOutput) {
+    planOutput.textContent += data.token;
+    planOutput.scrollTop = planOutput.scrollHeight;
+  } else if (data.phase === 'code' && htmlOutput) {
+    htmlOutput.value += data.token;
+    htmlOutput.scrollTop = htmlOutput.scrollHeight;
+  }
+}
 
 async function generateDSStarPipeline() {
   const prompt = promptInput.value.trim();
@@ -818,6 +1211,7 @@ async function generateDSStarPipeline() {
 
   setGenerating(true);
   setStatus('Starting DS-Star pipeline...');
+  clearPageTabs();
   setProgressStep('plan', 'active');
 
   // Show DS-Star panel
@@ -844,11 +1238,28 @@ async function generateDSStarPipeline() {
     eventSource.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+        if (data.type === 'token') {
+          appendStreamToken(data);
+          return;
+        }
         console.log('[DS-Star SSE]', data);
 
-        if (data.type === 'start') {
+        if (data.type === 'queue') {
+          currentRunId = data.runId;
+          if (dsstarCancelBtn) {
+            dsstarCancelBtn.disabled = false;
+            dsstarCancelBtn.classList.remove('hidden');
+          }
+          if (data.status === 'queued') {
+            setStatus(`Waiting in queue (position ${data.position})...`);
+          }
+        } else if (data.type === 'start') {
           setStatus(`DS-Star started: ${data.runId}`);
           currentRunId = data.runId;
+          if (dsstarCancelBtn) {
+            dsstarCancelBtn.disabled = false;
+            dsstarCancelBtn.classList.remove('hidden');
+          }
         } else if (data.type === 'iteration') {
           // Update iteration display
           if (dsstarIterNum) dsstarIterNum.textContent = data.iteration;
@@ -857,6 +1268,7 @@ async function generateDSStarPipeline() {
           // Update phase-specific status
           if (data.phase === 'plan' || data.phase === 'plan_critique') {
             if (data.status === 'working') {
+              if (data.phase === 'plan') resetStreamOutput('plan');
               updateDSStarStatus({ iteration: data.iteration, plan: 'working' });
               setProgressStep('plan', 'active');
             } else if (data.status === 'approved') {
@@ -868,6 +1280,7 @@ async function generateDSStarPipeline() {
             }
           } else if (data.phase === 'code' || data.phase === 'code_critique' || data.phase === 'codegen') {
             if (data.status === 'working') {
+              if (data.phase === 'code') resetStreamOutput('code');
               updateDSStarStatus({ iteration: data.iteration, planApproved: true, code: 'working' });
               setProgressStep('code', 'active');
             } else if (data.status === 'approved') {
@@ -888,13 +1301,18 @@ async function generateDSStarPipeline() {
               updateDSStarStatus({ iteration: data.iteration, planApproved: true, codeApproved: true, testsApproved: true });
               setProgressStep('done', 'complete');
             } else if (data.status === 'failed') {
-              updateDSStarStatus({ iteration: data.iteration, planApproved: true, codeApproved: true, testsApproved: false, issues: data.errors?.map(e => ({ message: e })) });
+              const acceptanceIssues = (data.acceptance || [])
+                .filter(a => a.status === 'failed')
+                .map(a => ({ message: `Acceptance failed: ${a.criterion}` }));
+              updateDSStarStatus({ iteration: data.iteration, planApproved: true, codeApproved: true, testsApproved: false, issues: [...(data.errors || []).map(e => ({ message: e })), ...acceptanceIssues] });
             }
           }
         } else if (data.type === 'success') {
           setStatus('DS-Star complete!');
           setProgressStep('done', 'complete');
           showToast('✅ DS-Star pipeline succeeded!');
+        } else if (data.type === 'cancelled') {
+          setStatus('Cancelling DS-Star run...');
         } else if (data.type === 'complete') {
           finalData = data;
           eventSource.close();
@@ -950,7 +1368,7 @@ async function handleDSStarComplete(data) {
         const htmlRes = await fetch(data.finalHtmlPath);
         if (htmlRes.ok) {
           latestHtml = await htmlRes.text();
-          if (htmlOutput) htmlOutput.textContent = latestHtml.slice(0, 5000) + (latestHtml.length > 5000 ? '...' : '');
+          if (htmlOutput) htmlOutput.value = latestHtml.slice(0, 5000) + (latestHtml.length > 5000 ? '...' : '');
           if (previewFrame) previewFrame.srcdoc = latestHtml;
           if (previewUrl) {
             previewUrl.textContent = data.finalHtmlPath;
@@ -977,11 +1395,20 @@ async function handleDSStarComplete(data) {
       });
     }
 
+    if (data.pages?.length > 1) {
+      await loadPageTabs(data.runId);
+    }
+
     latestPromptText = promptInput.value.trim();
     if (iteratePanel) iteratePanel.classList.remove('hidden');
 
-    setStatus(data.success ? 'DS-Star complete!' : `DS-Star finished after ${data.summary?.totalIterations} iterations`);
-    showToast(data.success ? '✅ DS-Star pipeline succeeded!' : '⚠️ DS-Star completed with issues - see failure report');
+    if (data.cancelled) {
+      setStatus(`DS-Star cancelled after ${data.summary?.totalIterations} iterations`);
+      showToast('DS-Star run cancelled');
+    } else {
+      setStatus(data.success ? 'DS-Star complete!' : `DS-Star finished after ${data.summary?.totalIterations} iterations`);
+      showToast(data.success ? '✅ DS-Star pipeline succeeded!' : '⚠️ DS-Star completed with issues - see failure report');
+    }
 
     loadRuns();
 
@@ -1011,6 +1438,8 @@ deployBtn.addEventListener('click', () => {
 
   deployModal.classList.remove('hidden');
   deployResult.classList.add('hidden');
+  deployVisual.classList.add('hidden');
+  deployUpdateBaseline.checked = false;
   confirmDeploy.disabled = false;
   confirmDeploy.textContent = 'Confirm Deployment';
 });
@@ -1019,6 +1448,37 @@ cancelDeploy.addEventListener('click', () => {
   deployModal.classList.add('hidden');
 });
 
+// Redeploys are screenshotted and compared with the app's baseline
+function showVisualRegression(slug, report) {
+  deployVisual.innerHTML = '';
+  if (!report || report.status === 'unchanged' || report.status === 'baseline_created') return;
+
+  const line = (text, href) => {
+    const el = document.createElement(href ? 'a' : 'p');
+    el.textContent = text;
+    if (href) {
+      el.href = href;
+      el.target = '_blank';
+      el.className = 'block underline';
+    }
+    deployVisual.appendChild(el);
+  };
+
+  if (report.status === 'changed') {
+    line(`⚠️ Visual changes above ${(report.threshold * 100).toFixed(1)}% of pixels:`);
+    report.comparisons.filter(c => c.changed).forEach(c => {
+      line(`${c.file}: ${(c.ratio * 100).toFixed(2)}% changed`, c.diffFile ? `/api/deployments/${slug}/screenshots/diff/${c.diffFile}` : null);
+    });
+    if (report.added.length) line(`New: ${report.added.join(', ')}`);
+    if (report.removed.length) line(`Gone: ${report.removed.join(', ')}`);
+    line(report.baselineUpdated ? 'Baseline updated to this deployment.' : 'Baseline kept; redeploy with "Accept visual changes" to update it.');
+    showToast('Deployed with visual changes', true);
+  } else {
+    line(`Visual check ${report.status}: ${report.reason || report.error || ''}`);
+  }
+  deployVisual.classList.remove('hidden');
+}
+
 confirmDeploy.addEventListener('click', async () => {
   const appName = deployAppName.value.trim();
   if (!appName) {
@@ -1033,7 +1493,7 @@ confirmDeploy.addEventListener('click', async () => {
     const res = await fetch(`/api/deploy/${currentRunId}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ appName })
+      body: JSON.stringify({ appName, updateBaseline: deployUpdateBaseline.checked })
     });
 
     const data = await res.json();
@@ -1042,6 +1502,7 @@ confirmDeploy.addEventListener('click', async () => {
     deployResult.classList.remove('hidden');
     deployLink.href = data.url;
     deployLink.textContent = window.location.origin + data.url;
+    showVisualRegression(data.slug, data.visualRegression);
 
     showToast('App deployed successfully!');
     confirmDeploy.textContent = 'Deployed ✅';
@@ -1056,6 +1517,251 @@ confirmDeploy.addEventListener('click', async () => {
   }
 });
 
+// ======================================
+// Library Settings
+// ======================================
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+async function loadLibrarySettings() {
+  try {
+    const res = await fetch('/api/libraries');
+    const data = await res.json();
+    if (!res.ok) throw new Error((data.issues || [data.error]).join('; '));
+
+    catalogLibraries = data.libraries || [];
+    if (!libCategory.options.length) {
+      (data.categories || []).forEach(c => libCategory.appendChild(new Option(c.replace(/_/g, ' '), c)));
+    }
+    renderLibrarySettings();
+  } catch (err) {
+    librarySettingsList.innerHTML = '';
+    const row = librarySettingsList.insertRow();
+    const cell = row.insertCell();
+    cell.colSpan = 4;
+    cell.className = 'px-4 py-6 text-sm font-bold text-red-500';
+    cell.textContent = `Failed to load libraries: ${err.message}`;
+  }
+}
+
+function renderLibrarySettings() {
+  librarySettingsList.innerHTML = '';
+  catalogLibraries.forEach(lib => {
+    const row = librarySettingsList.insertRow();
+    row.className = 'border-b border-gray-50 dark:border-gray-800 last:border-0';
+
+    const name = row.insertCell();
+    name.className = 'px-4 py-3';
+    const title = document.createElement('p');
+    title.className = 'font-bold text-gray-900 dark:text-white';
+    title.textContent = lib.name;
+    const detail = document.createElement('p');
+    detail.className = 'text-[10px] text-gray-400 font-mono';
+    detail.textContent = [lib.version, lib.globals?.join(', ')].filter(Boolean).join(' · ');
+    name.append(title, detail);
+
+    const category = row.insertCell();
+    category.className = 'px-4 py-3 text-xs text-gray-500';
+    category.textContent = lib.category.replace(/_/g, ' ');
+
+    const status = row.insertCell();
+    status.className = 'px-4 py-3';
+    const badge = document.createElement('span');
+    badge.className = lib.disabled
+      ? 'px-2 py-1 bg-gray-100 dark:bg-gray-800 text-gray-500 text-[9px] font-black uppercase rounded-lg'
+      : 'px-2 py-1 bg-green-100 text-green-700 text-[9px] font-black uppercase rounded-lg';
+    badge.textContent = lib.disabled ? 'Disabled' : 'Enabled';
+    status.appendChild(badge);
+
+    const actions = row.insertCell();
+    actions.className = 'px-4 py-3 text-right whitespace-nowrap';
+    const action = (icon, label, handler) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.title = label;
+      btn.className = 'p-1.5 rounded-lg text-gray-400 hover:text-primary hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors';
+      btn.innerHTML = `<span class="material-symbols-outlined text-lg">${icon}</span>`;
+      btn.addEventListener('click', () => handler(btn));
+      actions.appendChild(btn);
+    };
+    if (lib.url) action('science', 'Test in headless browser', (btn) => testSavedLibrary(lib, btn));
+    action(lib.disabled ? 'toggle_off' : 'toggle_on', lib.disabled ? 'Enable' : 'Disable', () => toggleLibrary(lib));
+    action('edit', 'Edit', () => fillLibraryForm(lib));
+    action('delete', 'Delete', () => deleteLibrary(lib));
+  });
+}
+
+function fillLibraryForm(lib) {
+  editingLibrary = lib;
+  lastLibraryTest = null;
+  libraryFormTitle.textContent = lib ? `Edit ${lib.name}` : 'Add Library';
+  libName.value = lib?.name || '';
+  libCategory.value = lib?.category || libCategory.options[0]?.value || '';
+  libVersion.value = lib?.version || '';
+  libType.value = lib?.type || 'script';
+  libUrl.value = lib?.url || '';
+  libIntegrity.value = lib?.integrity || '';
+  libCss.value = lib?.css || '';
+  libGlobals.value = (lib?.globals || []).join(', ');
+  libRequires.value = (lib?.requires || []).join(', ');
+  libDescription.value = lib?.description || '';
+  libExample.value = lib?.example || '';
+  libKeywords.value = (lib?.keywords || []).join(', ');
+  libDefer.checked = Boolean(lib?.defer);
+  libDefault.checked = Boolean(lib?.default);
+  libraryTestResult.classList.add('hidden');
+  if (lib) libraryForm.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// The form as a catalog entry; fields the form doesn't show (note, cssIntegrity, disabled) are kept when editing
+function libraryFromForm() {
+  const lib = { ...(editingLibrary || {}) };
+  const set = (key, value) => {
+    if (value === '' || value === false || value === undefined) delete lib[key];
+    else lib[key] = value;
+  };
+  set('name', libName.value.trim());
+  set('category', libCategory.value);
+  set('version', libVersion.value.trim());
+  set('description', libDescription.value.trim());
+  set('type', libType.value === 'style' ? 'style' : undefined);
+  set('url', libUrl.value.trim());
+  set('integrity', libIntegrity.value.trim());
+  set('css', libCss.value.trim());
+  if (!lib.css) delete lib.cssIntegrity;
+  set('defer', libDefer.checked);
+  set('default', libDefault.checked);
+  const requires = splitList(libRequires.value);
+  set('requires', requires.length ? requires : undefined);
+  const globals = splitList(libGlobals.value);
+  set('globals', globals.length || lib.type !== 'style' ? globals : undefined);
+  const keywords = splitList(libKeywords.value);
+  set('keywords', keywords.length ? keywords : undefined);
+  set('example', libExample.value.trim());
+  return lib;
+}
+
+function showLibraryTest(result) {
+  libraryTestResult.innerHTML = '';
+  const line = (text) => {
+    const p = document.createElement('p');
+    p.textContent = text;
+    libraryTestResult.appendChild(p);
+  };
+
+  let tone;
+  if (result.skipped) {
+    tone = 'bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-400';
+    line(`${result.library}: not tested (${result.skipped})`);
+  } else if (result.issues || result.error) {
+    tone = 'bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400';
+    (result.issues || [result.error]).forEach(line);
+  } else {
+    tone = result.passed
+      ? 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400'
+      : 'bg-red-50 dark:bg-red-900/20 text-red-600 dark:text-red-400';
+    line(`${result.passed ? '✓' : '✗'} ${result.library} ${result.passed ? 'loaded' : 'failed'}`);
+    result.globals.forEach(g => line(`${g.defined ? '✓' : '✗'} window.${g.name}`));
+    result.stylesheets.forEach(s => line(`${s.loaded ? '✓' : '✗'} ${s.href}`));
+    result.failedRequests.forEach(r => line(`✗ ${r}`));
+    result.errors.slice(0, 5).forEach(e => line(`✗ ${e}`));
+  }
+  libraryTestResult.className = `p-4 rounded-xl text-xs space-y-1 break-all ${tone}`;
+}
+
+async function runLibraryTest(url, body, button) {
+  const label = button.innerHTML;
+  button.disabled = true;
+  button.textContent = 'Testing...';
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json();
+    showLibraryTest(data);
+    return res.ok ? data : null;
+  } catch (err) {
+    showLibraryTest({ error: err.message });
+    return null;
+  } finally {
+    button.disabled = false;
+    button.innerHTML = label;
+  }
+}
+
+async function testSavedLibrary(lib, button) {
+  const result = await runLibraryTest(`/api/libraries/${encodeURIComponent(lib.name)}/test`, null, button);
+  if (result) showToast(result.passed ? `${lib.name} passed` : `${lib.name} ${result.skipped ? 'not tested' : 'failed'}`, !result.passed);
+}
+
+async function saveLibrary(lib, originalName = null) {
+  const res = await fetch(originalName ? `/api/libraries/${encodeURIComponent(originalName)}` : '/api/libraries', {
+    method: originalName ? 'PUT' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(lib)
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    if (data.issues) showLibraryTest(data);
+    throw new Error(data.issues ? data.issues[0] : data.error);
+  }
+  await loadLibrarySettings();
+  return data.library;
+}
+
+async function toggleLibrary(lib) {
+  try {
+    await saveLibrary({ ...lib, disabled: !lib.disabled }, lib.name);
+    showToast(`${lib.name} ${lib.disabled ? 'enabled' : 'disabled'}`);
+  } catch (err) {
+    showToast(err.message, true);
+  }
+}
+
+async function deleteLibrary(lib) {
+  if (!confirm(`Remove ${lib.name} from the library catalog?`)) return;
+  try {
+    const res = await fetch(`/api/libraries/${encodeURIComponent(lib.name)}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.issues ? data.issues[0] : data.error);
+    if (editingLibrary?.name === lib.name) fillLibraryForm(null);
+    await loadLibrarySettings();
+    showToast(`${lib.name} removed`);
+  } catch (err) {
+    showToast(err.message, true);
+  }
+}
+
+libraryTestBtn.addEventListener('click', async () => {
+  const entry = libraryFromForm();
+  const result = await runLibraryTest('/api/libraries/test', entry, libraryTestBtn);
+  lastLibraryTest = result ? { entry: JSON.stringify(entry), passed: result.passed } : null;
+});
+
+libraryForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const lib = libraryFromForm();
+  // New libraries are only offered to the coder once the same entry has passed a test
+  if (!editingLibrary) {
+    lib.disabled = !(lastLibraryTest?.passed && lastLibraryTest.entry === JSON.stringify(libraryFromForm()));
+  }
+
+  librarySaveBtn.disabled = true;
+  try {
+    const saved = await saveLibrary(lib, editingLibrary?.name);
+    showToast(`${saved.name} saved${saved.disabled ? ' (disabled until enabled)' : ''}`);
+    fillLibraryForm(null);
+  } catch (err) {
+    showToast(err.message, true);
+  } finally {
+    librarySaveBtn.disabled = false;
+  }
+});
+
+libraryFormReset.addEventListener('click', () => fillLibraryForm(null));
+refreshLibrariesBtn.addEventListener('click', loadLibrarySettings);
+
 // ======================================
 // Initialize
 // ======================================
@@ -1063,6 +1769,7 @@ initDarkMode();
 checkHealth();
 loadConfig();
 loadRuns();
+loadLibrarySettings();
 
 // Periodic health check
 setInterval(checkHealth, 30000);
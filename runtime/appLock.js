@@ -0,0 +1,31 @@
+/**
+ * App Lock
+ * Serializes async work per app, for the runtime store and database: a
+ * read-modify-write (append, update, quota check then write) runs only after
+ * every earlier write of the same app has settled, while other apps go on in
+ * parallel. server.js passes one lock to both, so an app's store and database
+ * writes share one queue.
+ */
+
+/**
+ * Create a lock keyed by app ID
+ * @returns {Function} - withAppLock(appId, fn) → fn's promise, run after the app's earlier calls settle
+ */
+function createAppLock() {
+    const tails = new Map(); // appId -> tail of that app's chain
+
+    return function withAppLock(appId, fn) {
+        const previous = tails.get(appId) || Promise.resolve();
+        const run = previous.then(fn);
+        const tail = run.catch(() => { });
+        tails.set(appId, tail);
+        tail.then(() => {
+            if (tails.get(appId) === tail) tails.delete(appId);
+        });
+        return run;
+    };
+}
+
+module.exports = {
+    createAppLock
+};
@@ -0,0 +1,522 @@
+/**
+ * Runtime Database
+ * Document collections behind window.geaRuntimeDB, for apps whose records
+ * outgrow a single geaRuntimeStore key. Each app gets a directory under
+ * <store root>/db/<appId> holding one NeDB datafile per collection
+ * (<name>.db); a collection is loaded into memory the first time it is used
+ * and dropped again once it has sat idle for idleMs, or when more than
+ * maxOpenCollections are loaded (least recently used first).
+ *
+ * Queries come from generated pages, so they are rebuilt from a small filter
+ * language instead of being handed to NeDB as-is:
+ *
+ *   { status: 'open' }                                  equality (matches array elements too)
+ *   { priority: { $gte: 2, $lt: 5 } }                   $eq $ne $gt $gte $lt $lte
+ *   { tags: { $in: ['ui', 'api'] } }                    $in $nin, $exists: true/false
+ *   { title: { $contains: 'crash' } }                   case-insensitive substring
+ *   { $or: [{ status: 'open' }, { assignee: 'me' }] }   $and / $or
+ *
+ * Documents get _id, _createdAt and _updatedAt from the server; values a page
+ * sends for those fields are ignored. Writes are refused once an app's
+ * datafiles reach maxAppBytes.
+ *
+ * Tests: test/db.test.js (npm test)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const Datastore = require('@seald-io/nedb');
+const { validateAppId } = require('./store');
+const { createAppLock } = require('./appLock');
+
+const COLLECTION_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const FIELD_PATTERN = /^[A-Za-z0-9_]{1,64}(?:\.[A-Za-z0-9_]{1,64}){0,4}$/;
+const UNSAFE_FIELDS = new Set(['__proto__', 'constructor', 'prototype']);
+const SYSTEM_FIELDS = ['_id', '_createdAt', '_updatedAt'];
+const COMPARISONS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const MAX_FILTER_DEPTH = 4;
+const MAX_IN_VALUES = 500;
+const MAX_SORT_FIELDS = 3;
+const MAX_BATCH = 500;
+const COMPACT_EVERY = 200; // update/remove calls between datafile compactions
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_MAX_PAGE_SIZE = 1000;
+const DEFAULT_MAX_DOC_BYTES = 64 * 1024;
+const DEFAULT_MAX_APP_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_COLLECTIONS = 20;
+const DEFAULT_MAX_OPEN_COLLECTIONS = 64;
+const DEFAULT_IDLE_MS = 10 * 60 * 1000;
+
+class DBError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_COLLECTION, INVALID_DB_QUERY, INVALID_DB_DOCUMENT, DB_DOCUMENT_TOO_LARGE,
+     *   DB_QUOTA_EXCEEDED or DB_PATH_ESCAPE
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @param {string} name
+ * @throws {DBError}
+ */
+function validateCollection(name) {
+    if (typeof name !== 'string' || !COLLECTION_PATTERN.test(name)) {
+        throw new DBError('Invalid collection name: use up to 64 letters, digits, "_" or "-"', 'INVALID_COLLECTION');
+    }
+}
+
+/**
+ * A field path usable in filters, sorts and patches ("status", "owner.name")
+ * @throws {DBError}
+ */
+function validateField(field, code = 'INVALID_DB_QUERY') {
+    if (typeof field !== 'string' || !FIELD_PATTERN.test(field) || field.split('.').some(part => UNSAFE_FIELDS.has(part))) {
+        throw new DBError(`Invalid field "${field}": use letters, digits and "_", with "." between nested fields`, code);
+    }
+}
+
+/**
+ * Check a document sent by a page: plain JSON whose field names NeDB can store
+ * @throws {DBError}
+ */
+function validateDocument(value, depth = 0) {
+    if (depth > 20) throw new DBError('Document is nested too deeply', 'INVALID_DB_DOCUMENT');
+    if (Array.isArray(value)) return value.forEach(item => validateDocument(item, depth + 1));
+    if (value === null || typeof value !== 'object') {
+        if (typeof value === 'number' && !Number.isFinite(value)) throw new DBError('Numbers must be finite', 'INVALID_DB_DOCUMENT');
+        return;
+    }
+    for (const [field, child] of Object.entries(value)) {
+        if (field.startsWith('$') || field.includes('.') || UNSAFE_FIELDS.has(field)) {
+            throw new DBError(`Invalid field name "${field}" (no "$" prefix or ".")`, 'INVALID_DB_DOCUMENT');
+        }
+        validateDocument(child, depth + 1);
+    }
+}
+
+/**
+ * Turn a page's filter into a NeDB query, rejecting anything outside the filter language
+ * @param {object|string|undefined} filter - Filter object, or a document _id
+ * @returns {object}
+ * @throws {DBError}
+ */
+function buildQuery(filter, depth = 0) {
+    if (filter === undefined || filter === null) return {};
+    if (typeof filter === 'string') return { _id: filter };
+    if (!isPlainObject(filter)) throw new DBError('filter must be an object or a document _id', 'INVALID_DB_QUERY');
+    if (depth > MAX_FILTER_DEPTH) throw new DBError(`Filters may nest $and/$or at most ${MAX_FILTER_DEPTH} deep`, 'INVALID_DB_QUERY');
+
+    const query = {};
+    for (const [field, condition] of Object.entries(filter)) {
+        if (field === '$and' || field === '$or') {
+            if (!Array.isArray(condition) || condition.length === 0) throw new DBError(`${field} needs a non-empty array of filters`, 'INVALID_DB_QUERY');
+            query[field] = condition.map(part => {
+                if (!isPlainObject(part)) throw new DBError(`${field} entries must be filter objects`, 'INVALID_DB_QUERY');
+                return buildQuery(part, depth + 1);
+            });
+            continue;
+        }
+        if (field.startsWith('$')) throw new DBError(`Unsupported top-level operator "${field}" (use $and or $or)`, 'INVALID_DB_QUERY');
+        validateField(field);
+        query[field] = buildCondition(field, condition);
+    }
+    return query;
+}
+
+/**
+ * One field's condition: a value to match, or an object of operators
+ */
+function buildCondition(field, condition) {
+    const operators = isPlainObject(condition) ? Object.keys(condition) : [];
+    if (!operators.some(op => op.startsWith('$'))) {
+        validateDocument(condition);
+        return condition;
+    }
+
+    const built = {};
+    for (const op of operators) {
+        const operand = condition[op];
+        if (COMPARISONS.includes(op)) {
+            if (!isScalar(operand)) throw new DBError(`${field}: ${op} takes a string, number, boolean or null`, 'INVALID_DB_QUERY');
+            built[op] = operand;
+        } else if (op === '$in' || op === '$nin') {
+            if (!Array.isArray(operand) || operand.length > MAX_IN_VALUES || !operand.every(isScalar)) {
+                throw new DBError(`${field}: ${op} takes an array of at most ${MAX_IN_VALUES} strings, numbers or booleans`, 'INVALID_DB_QUERY');
+            }
+            built[op] = operand;
+        } else if (op === '$exists') {
+            if (typeof operand !== 'boolean') throw new DBError(`${field}: $exists takes true or false`, 'INVALID_DB_QUERY');
+            built[op] = operand;
+        } else if (op === '$contains') {
+            if (typeof operand !== 'string' || operand.length > 200) throw new DBError(`${field}: $contains takes a string of up to 200 characters`, 'INVALID_DB_QUERY');
+            built.$regex = new RegExp(escapeRegex(operand), 'i');
+        } else {
+            throw new DBError(`${field}: unsupported operator "${op}" (use ${[...COMPARISONS, '$in', '$nin', '$exists', '$contains'].join(', ')})`, 'INVALID_DB_QUERY');
+        }
+    }
+    return built;
+}
+
+/**
+ * @param {object|undefined} sort - { field: 1 | -1 }
+ * @returns {object|null}
+ * @throws {DBError}
+ */
+function buildSort(sort) {
+    if (sort === undefined || sort === null) return null;
+    if (!isPlainObject(sort)) throw new DBError('sort must be an object like { _createdAt: -1 }', 'INVALID_DB_QUERY');
+    const fields = Object.entries(sort);
+    if (fields.length > MAX_SORT_FIELDS) throw new DBError(`sort takes at most ${MAX_SORT_FIELDS} fields`, 'INVALID_DB_QUERY');
+    for (const [field, direction] of fields) {
+        validateField(field);
+        if (direction !== 1 && direction !== -1) throw new DBError(`sort.${field} must be 1 or -1`, 'INVALID_DB_QUERY');
+    }
+    return fields.length ? sort : null;
+}
+
+/**
+ * Create a database rooted at the store directory
+ * @param {object} config
+ * @param {string} config.dir - Store root (runs/data_store); collections go in its db/ directory
+ * @param {number} [config.maxDocBytes] - Largest serialized document
+ * @param {number} [config.maxAppBytes] - Largest total of one app's datafiles
+ * @param {number} [config.maxCollections] - Collections one app may create
+ * @param {number} [config.maxPageSize] - Largest find() limit
+ * @param {number} [config.maxOpenCollections] - Collections kept in memory across all apps
+ * @param {number} [config.idleMs] - Unused time after which a loaded collection is dropped
+ * @param {Function} [config.appLock] - Runs one app's read-modify-write operations one at a time (createAppLock); pass the store's to share it
+ * @returns {object} - Database API (insert, find, findOne, count, update, remove, collections, usage, loadedCollections)
+ */
+function createRuntimeDB({
+    dir,
+    maxDocBytes = DEFAULT_MAX_DOC_BYTES,
+    maxAppBytes = DEFAULT_MAX_APP_BYTES,
+    maxCollections = DEFAULT_MAX_COLLECTIONS,
+    maxPageSize = DEFAULT_MAX_PAGE_SIZE,
+    maxOpenCollections = DEFAULT_MAX_OPEN_COLLECTIONS,
+    idleMs = DEFAULT_IDLE_MS,
+    appLock: withAppLock = createAppLock()
+}) {
+    const root = path.resolve(dir, 'db');
+    const open = new Map(); // "<appId>/<collection>" -> { ready: Promise<Datastore>, datastore, writes, active, lastUsed }, least recently used first
+
+    /**
+     * Canonical directory of an app, created on demand (null if it doesn't exist)
+     * @throws {StoreError|DBError} - Bad app ID, or the directory resolves outside the database (e.g. a symlink)
+     */
+    async function appDir(appId, { create = false } = {}) {
+        validateAppId(appId);
+        const target = path.join(root, appId);
+        if (create) await fs.mkdir(target, { recursive: true });
+
+        let real;
+        try {
+            real = await fs.realpath(target);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        const relative = path.relative(await fs.realpath(root), real);
+        if (relative === '' || relative.startsWith('..') || path.isAbsolute(relative) || relative.includes(path.sep)) {
+            throw new DBError('App directory is outside the database', 'DB_PATH_ESCAPE');
+        }
+        return real;
+    }
+
+    /**
+     * Collection names of an app (from its datafiles)
+     */
+    async function collectionNames(baseDir) {
+        const entries = await fs.readdir(baseDir, { withFileTypes: true });
+        return entries
+            .filter(e => e.isFile() && e.name.endsWith('.db'))
+            .map(e => e.name.slice(0, -'.db'.length))
+            .filter(name => COLLECTION_PATTERN.test(name))
+            .sort();
+    }
+
+    /**
+     * Bytes of an app's datafiles
+     * @param {string} appId
+     * @returns {Promise<number>}
+     */
+    async function usage(appId) {
+        const baseDir = await appDir(appId);
+        if (!baseDir) return 0;
+        const sizes = await Promise.all((await collectionNames(baseDir))
+            .map(name => fs.stat(path.join(baseDir, `${name}.db`)).then(s => s.size, () => 0)));
+        return sizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    /**
+     * Drop loaded collections that no call is using: those idle for longer than idleMs,
+     * then the least recently used until at most maxOpenCollections remain. NeDB has
+     * written every change to the datafile by the time a call resolves, so nothing is lost.
+     */
+    function evictIdle() {
+        const now = Date.now();
+        for (const [cacheKey, handle] of [...open]) {
+            if (handle.active > 0 || !handle.datastore) continue;
+            if (open.size <= maxOpenCollections && now - handle.lastUsed <= idleMs) continue;
+            open.delete(cacheKey);
+        }
+    }
+
+    /**
+     * Load a collection (or reuse the loaded one) and count the caller as using it
+     * @returns {Promise<object|null>} - Handle, or null when it doesn't exist and create is false
+     * @throws {DBError}
+     */
+    async function acquire(appId, name, { create = false } = {}) {
+        validateCollection(name);
+        validateAppId(appId);
+        const cacheKey = `${appId}/${name}`;
+        evictIdle();
+
+        let handle = open.get(cacheKey);
+        if (!handle) {
+            const baseDir = await appDir(appId, { create });
+            if (!baseDir) return null;
+            const filename = path.join(baseDir, `${name}.db`);
+            const exists = await fs.stat(filename).then(s => s.isFile(), () => false);
+            if (!exists) {
+                if (!create) return null;
+                if ((await collectionNames(baseDir)).length >= maxCollections) {
+                    throw new DBError(`An app may have at most ${maxCollections} collections`, 'DB_QUOTA_EXCEEDED');
+                }
+            }
+            handle = open.get(cacheKey);
+            if (!handle) {
+                handle = { datastore: null, writes: 0, active: 0, lastUsed: Date.now() };
+                handle.ready = (async () => {
+                    const datastore = new Datastore({ filename });
+                    await datastore.loadDatabaseAsync();
+                    handle.datastore = datastore;
+                })();
+                open.set(cacheKey, handle);
+            }
+        }
+
+        handle.active++;
+        try {
+            await handle.ready;
+        } catch (err) {
+            handle.active--;
+            if (open.get(cacheKey) === handle) open.delete(cacheKey);
+            throw err;
+        }
+        return handle;
+    }
+
+    /**
+     * Run fn with a loaded collection (null when it doesn't exist and create is false);
+     * the collection isn't evicted until fn settles
+     */
+    async function withCollection(appId, name, options, fn) {
+        const handle = await acquire(appId, name, options);
+        if (!handle) return fn(null);
+        try {
+            return await fn(handle);
+        } finally {
+            handle.active--;
+            handle.lastUsed = Date.now();
+            const cacheKey = `${appId}/${name}`;
+            if (open.get(cacheKey) === handle) {
+                open.delete(cacheKey); // move to the most recently used end
+                open.set(cacheKey, handle);
+            }
+            evictIdle();
+        }
+    }
+
+    /**
+     * Keys ("<appId>/<collection>") of the collections held in memory
+     * @returns {string[]}
+     */
+    function loadedCollections() {
+        return [...open.keys()];
+    }
+
+    /**
+     * Refuse a write that would add bytes past the app's quota
+     * @throws {DBError}
+     */
+    async function checkQuota(appId, addedBytes) {
+        const used = await usage(appId);
+        if (used + addedBytes > maxAppBytes) {
+            throw new DBError(`App database would reach ${used + addedBytes} bytes; the limit is ${maxAppBytes}`, 'DB_QUOTA_EXCEEDED');
+        }
+    }
+
+    /**
+     * Compact a collection's datafile every COMPACT_EVERY updates/removals (NeDB only appends to it)
+     */
+    async function noteWrite(handle) {
+        handle.writes++;
+        if (handle.writes >= COMPACT_EVERY) {
+            handle.writes = 0;
+            await handle.datastore.compactDatafileAsync();
+        }
+    }
+
+    /**
+     * Insert one document or an array of them
+     * @param {string} appId
+     * @param {string} name - Collection
+     * @param {object|object[]} docs
+     * @returns {Promise<object|object[]>} - The stored document(s), with _id, _createdAt and _updatedAt
+     */
+    async function insert(appId, name, docs) {
+        const batch = Array.isArray(docs) ? docs : [docs];
+        if (batch.length === 0 || batch.length > MAX_BATCH) throw new DBError(`Insert 1 to ${MAX_BATCH} documents at a time`, 'INVALID_DB_DOCUMENT');
+
+        const now = new Date().toISOString();
+        let bytes = 0;
+        const prepared = batch.map(doc => {
+            if (!isPlainObject(doc)) throw new DBError('Documents must be objects', 'INVALID_DB_DOCUMENT');
+            validateDocument(doc);
+            const record = { ...doc, _createdAt: now, _updatedAt: now };
+            delete record._id;
+            const size = Buffer.byteLength(JSON.stringify(record));
+            if (size > maxDocBytes) throw new DBError(`Document is ${size} bytes; the limit is ${maxDocBytes}`, 'DB_DOCUMENT_TOO_LARGE');
+            bytes += size;
+            return record;
+        });
+
+        return withAppLock(appId, async () => {
+            await checkQuota(appId, bytes);
+            const inserted = await withCollection(appId, name, { create: true }, ({ datastore }) => datastore.insertAsync(prepared));
+            return Array.isArray(docs) ? inserted : inserted[0];
+        });
+    }
+
+    /**
+     * Find documents
+     * @param {string} appId
+     * @param {string} name - Collection
+     * @param {object|string} [filter]
+     * @param {{sort?: object, skip?: number, limit?: number}} [options] - limit defaults to 100
+     * @returns {Promise<object[]>}
+     */
+    async function find(appId, name, filter, { sort, skip = 0, limit = DEFAULT_PAGE_SIZE } = {}) {
+        const query = buildQuery(filter);
+        const order = buildSort(sort);
+        if (!Number.isInteger(skip) || skip < 0) throw new DBError('skip must be a non-negative integer', 'INVALID_DB_QUERY');
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+            throw new DBError(`limit must be an integer from 1 to ${maxPageSize}`, 'INVALID_DB_QUERY');
+        }
+
+        return withCollection(appId, name, {}, async handle => {
+            if (!handle) return [];
+            let cursor = handle.datastore.findAsync(query);
+            if (order) cursor = cursor.sort(order);
+            return cursor.skip(skip).limit(limit);
+        });
+    }
+
+    /**
+     * First matching document
+     * @returns {Promise<object|null>}
+     */
+    async function findOne(appId, name, filter, { sort } = {}) {
+        return (await find(appId, name, filter, { sort, limit: 1 }))[0] || null;
+    }
+
+    /**
+     * Number of matching documents
+     * @returns {Promise<number>}
+     */
+    async function count(appId, name, filter) {
+        const query = buildQuery(filter);
+        return withCollection(appId, name, {}, handle => (handle ? handle.datastore.countAsync(query) : 0));
+    }
+
+    /**
+     * Merge a patch into every matching document (null removes a field)
+     * @param {string} appId
+     * @param {string} name - Collection
+     * @param {object|string} filter - Filter object, or a document _id
+     * @param {object} patch - { field: value }; nested fields as "a.b"
+     * @returns {Promise<{updated: number}>}
+     */
+    async function update(appId, name, filter, patch) {
+        const query = buildQuery(filter);
+        if (!isPlainObject(patch) || Object.keys(patch).length === 0) throw new DBError('patch must be a non-empty object', 'INVALID_DB_DOCUMENT');
+
+        const modifier = { $set: { _updatedAt: new Date().toISOString() } };
+        for (const [field, value] of Object.entries(patch)) {
+            if (SYSTEM_FIELDS.includes(field)) continue;
+            validateField(field, 'INVALID_DB_DOCUMENT');
+            validateDocument(value);
+            if (value === null) {
+                modifier.$unset = { ...modifier.$unset, [field]: true };
+            } else {
+                modifier.$set[field] = value;
+            }
+        }
+        const size = Buffer.byteLength(JSON.stringify(patch));
+        if (size > maxDocBytes) throw new DBError(`Patch is ${size} bytes; the limit is ${maxDocBytes}`, 'DB_DOCUMENT_TOO_LARGE');
+
+        return withAppLock(appId, () => withCollection(appId, name, {}, async handle => {
+            if (!handle) return { updated: 0 };
+            await checkQuota(appId, size);
+            const { numAffected } = await handle.datastore.updateAsync(query, modifier, { multi: true });
+            await noteWrite(handle);
+            return { updated: numAffected };
+        }));
+    }
+
+    /**
+     * Remove every matching document ({} removes all)
+     * @param {string} appId
+     * @param {string} name - Collection
+     * @param {object|string} filter - Filter object, or a document _id
+     * @returns {Promise<{removed: number}>}
+     */
+    async function remove(appId, name, filter) {
+        if (filter === undefined || filter === null) throw new DBError('remove needs a filter; pass {} to remove every document', 'INVALID_DB_QUERY');
+        const query = buildQuery(filter);
+        return withAppLock(appId, () => withCollection(appId, name, {}, async handle => {
+            if (!handle) return { removed: 0 };
+            const removed = await handle.datastore.removeAsync(query, { multi: true });
+            await noteWrite(handle);
+            return { removed };
+        }));
+    }
+
+    /**
+     * Collections of an app with their document counts
+     * @param {string} appId
+     * @returns {Promise<Array<{name: string, count: number}>>} - Sorted by name
+     */
+    async function collections(appId) {
+        const baseDir = await appDir(appId);
+        if (!baseDir) return [];
+        return Promise.all((await collectionNames(baseDir)).map(async name => ({
+            name,
+            count: await count(appId, name, {})
+        })));
+    }
+
+    return { root, insert, find, findOne, count, update, remove, collections, usage, loadedCollections, maxDocBytes, maxAppBytes, maxPageSize };
+}
+
+module.exports = {
+    DEFAULT_MAX_DOC_BYTES,
+    DEFAULT_MAX_APP_BYTES,
+    DEFAULT_MAX_COLLECTIONS,
+    DEFAULT_MAX_OPEN_COLLECTIONS,
+    DEFAULT_IDLE_MS,
+    DBError,
+    validateCollection,
+    buildQuery,
+    createRuntimeDB
+};
@@ -0,0 +1,346 @@
+/**
+ * Runtime Store
+ * The key-value storage behind window.geaRuntimeStore. Each app gets one
+ * directory ("default" uses the store root, others apps/<appId>) holding a
+ * <key>.json file per key.
+ *
+ * Keys and app IDs come from requests, so they are checked before they get
+ * near the file system:
+ * - both must match a strict pattern (letters, digits, "_", "-", "." in keys; no "..")
+ * - the resolved file must sit directly inside the app directory, which must
+ *   itself resolve (following symlinks) inside the store root
+ * - a value may be at most maxValueBytes of JSON, an app at most maxAppBytes in total
+ *
+ * Every key has a version (in the app's .versions.json) that each write bumps.
+ * update() and remove() can be given the version the caller last read and
+ * fail with STORE_VERSION_CONFLICT if another write got there first; update()
+ * and append() change the stored value in place, so concurrent callers don't
+ * overwrite each other's changes. Writes of one app run one at a time.
+ *
+ * Tests: test/store.test.js (npm test)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createAppLock } = require('./appLock');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,127}$/;
+const PREFIX_PATTERN = /^[A-Za-z0-9_.-]{0,128}$/;
+const APP_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const DEFAULT_APP = 'default';
+const VERSIONS_FILE = '.versions.json';
+const DEFAULT_MAX_VALUE_BYTES = 256 * 1024;
+const DEFAULT_MAX_APP_BYTES = 10 * 1024 * 1024;
+
+class StoreError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - INVALID_STORE_KEY, INVALID_APP_ID, INVALID_STORE_VERSION, STORE_PATH_ESCAPE,
+     *   STORE_VALUE_TOO_LARGE, STORE_QUOTA_EXCEEDED, STORE_VERSION_CONFLICT or STORE_TYPE_MISMATCH
+     */
+    constructor(message, code) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * @param {string} key
+ * @throws {StoreError}
+ */
+function validateKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.includes('..')) {
+        throw new StoreError('Invalid key: use up to 128 letters, digits, "_", "-" or "." (no "..")', 'INVALID_STORE_KEY');
+    }
+}
+
+/**
+ * @param {string} appId
+ * @throws {StoreError}
+ */
+function validateAppId(appId) {
+    if (typeof appId !== 'string' || !APP_ID_PATTERN.test(appId)) {
+        throw new StoreError('Invalid app ID: use up to 128 letters, digits, "_" or "-"', 'INVALID_APP_ID');
+    }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const describeType = (value) => Array.isArray(value) ? 'an array' : value === null ? 'null' : typeof value === 'object' ? 'an object' : `a ${typeof value}`;
+
+/**
+ * Whether child is root itself or a path inside it
+ */
+function isInside(root, child) {
+    const relative = path.relative(root, child);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Create a store rooted at a directory
+ * @param {object} config
+ * @param {string} config.dir - Store root (runs/data_store)
+ * @param {number} [config.maxValueBytes] - Largest serialized value
+ * @param {number} [config.maxAppBytes] - Largest total of one app's values
+ * @param {Function} [config.appLock] - Runs one app's read-modify-write operations one at a time (createAppLock); pass the database's to share it
+ * @returns {object} - Store API (get, getEntry, set, update, append, remove, list, usage)
+ */
+function createRuntimeStore({ dir, maxValueBytes = DEFAULT_MAX_VALUE_BYTES, maxAppBytes = DEFAULT_MAX_APP_BYTES, appLock: withAppLock = createAppLock() }) {
+    const root = path.resolve(dir);
+
+    /**
+     * Canonical directory of an app, created on demand
+     * @throws {StoreError} - Bad app ID, or the directory resolves outside the store (e.g. a symlink)
+     */
+    async function appDir(appId, { create = false } = {}) {
+        validateAppId(appId);
+        const target = appId === DEFAULT_APP ? root : path.join(root, 'apps', appId);
+        if (!isInside(root, target)) throw new StoreError('App directory is outside the store', 'STORE_PATH_ESCAPE');
+        if (create) await fs.mkdir(target, { recursive: true });
+
+        let real;
+        try {
+            real = await fs.realpath(target);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+        if (!isInside(await fs.realpath(root), real)) throw new StoreError('App directory is outside the store', 'STORE_PATH_ESCAPE');
+        return real;
+    }
+
+    /**
+     * File of a key inside a resolved app directory
+     * @throws {StoreError}
+     */
+    function keyFile(baseDir, key) {
+        validateKey(key);
+        const file = path.resolve(baseDir, `${key}.json`);
+        if (path.dirname(file) !== baseDir) throw new StoreError('Key resolves outside the app', 'STORE_PATH_ESCAPE');
+        return file;
+    }
+
+    async function writeAtomic(file, body) {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, body, 'utf8');
+        await fs.rename(tmp, file);
+    }
+
+    // Key versions live in a dotfile next to the values (keys can't start with ".")
+    async function readVersions(baseDir) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(baseDir, VERSIONS_FILE), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return {};
+            throw err;
+        }
+    }
+
+    async function readValue(baseDir, key) {
+        try {
+            return { exists: true, value: JSON.parse(await fs.readFile(keyFile(baseDir, key), 'utf8')) };
+        } catch (err) {
+            if (err.code === 'ENOENT') return { exists: false, value: null };
+            throw err;
+        }
+    }
+
+    /**
+     * Bytes stored by an app (its .json files; the default app's root excludes apps/)
+     * @param {string} appId
+     * @param {{except?: string}} [options] - Key left out of the total (the one being replaced)
+     * @returns {Promise<number>}
+     */
+    async function usage(appId, { except = null } = {}) {
+        const baseDir = await appDir(appId);
+        if (!baseDir) return 0;
+        const entries = await fs.readdir(baseDir, { withFileTypes: true });
+        const sizes = await Promise.all(entries
+            .filter(e => e.isFile() && e.name.endsWith('.json') && !e.name.startsWith('.') && e.name !== `${except}.json`)
+            .map(e => fs.stat(path.join(baseDir, e.name)).then(s => s.size, () => 0)));
+        return sizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    /**
+     * Write a key's new value and bump its version (caller holds the app lock)
+     * @returns {Promise<number>} - The new version
+     */
+    async function writeValue(appId, key, value) {
+        const body = JSON.stringify(value === undefined ? null : value, null, 2);
+        const bytes = Buffer.byteLength(body);
+        if (bytes > maxValueBytes) {
+            throw new StoreError(`Value is ${bytes} bytes; the limit is ${maxValueBytes}`, 'STORE_VALUE_TOO_LARGE');
+        }
+        const used = await usage(appId, { except: key });
+        if (used + bytes > maxAppBytes) {
+            throw new StoreError(`App storage would reach ${used + bytes} bytes; the limit is ${maxAppBytes}`, 'STORE_QUOTA_EXCEEDED');
+        }
+
+        const baseDir = await appDir(appId, { create: true });
+        const versions = await readVersions(baseDir);
+        const version = (versions[key]?.version || 0) + 1;
+        await writeAtomic(keyFile(baseDir, key), body);
+        versions[key] = { version, updatedAt: new Date().toISOString() };
+        await writeAtomic(path.join(baseDir, VERSIONS_FILE), JSON.stringify(versions, null, 2));
+        return version;
+    }
+
+    /**
+     * Reject a write whose expected version is stale
+     * @param {number|undefined} expected - Version the caller last read (undefined: no check)
+     * @param {number} current
+     * @throws {StoreError} - STORE_VERSION_CONFLICT, with .version set to the current one
+     */
+    function checkVersion(expected, current) {
+        if (expected === undefined || expected === null) return;
+        if (!Number.isInteger(expected) || expected < 0) throw new StoreError('version must be a non-negative integer', 'INVALID_STORE_VERSION');
+        if (expected !== current) {
+            const err = new StoreError(`Version conflict: expected ${expected}, the key is at ${current}`, 'STORE_VERSION_CONFLICT');
+            err.version = current;
+            throw err;
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} appId
+     * @param {string} key
+     * @returns {Promise<*>} - The value, or null when the key was never set
+     */
+    async function get(appId, key) {
+        return (await getEntry(appId, key)).value;
+    }
+
+    /**
+     * Read a value with its version (0 for a key that doesn't exist)
+     * @returns {Promise<{value: *, version: number, exists: boolean}>}
+     */
+    async function getEntry(appId, key) {
+        validateKey(key);
+        const baseDir = await appDir(appId);
+        if (!baseDir) return { value: null, version: 0, exists: false };
+        const [{ exists, value }, versions] = await Promise.all([readValue(baseDir, key), readVersions(baseDir)]);
+        return { value, version: exists ? versions[key]?.version || 0 : 0, exists };
+    }
+
+    /**
+     * Write a value (replacing any previous one)
+     * @param {string} appId
+     * @param {string} key
+     * @param {*} value - Anything JSON can represent
+     * @returns {Promise<{version: number}>}
+     * @throws {StoreError} - Invalid key/app, STORE_VALUE_TOO_LARGE or STORE_QUOTA_EXCEEDED
+     */
+    async function set(appId, key, value) {
+        validateAppId(appId);
+        validateKey(key);
+        return withAppLock(appId, async () => ({ version: await writeValue(appId, key, value) }));
+    }
+
+    /**
+     * Merge a patch into an object value (a missing key starts as {})
+     * @param {string} appId
+     * @param {string} key
+     * @param {object} patch - Top-level fields to replace; a null field is removed
+     * @param {{version?: number}} [options] - Only apply if the key is still at this version
+     * @returns {Promise<{value: object, version: number}>}
+     * @throws {StoreError} - STORE_VERSION_CONFLICT, or STORE_TYPE_MISMATCH when the value isn't an object
+     */
+    async function update(appId, key, patch, { version } = {}) {
+        validateAppId(appId);
+        validateKey(key);
+        if (!isPlainObject(patch)) throw new StoreError('patch must be an object', 'STORE_TYPE_MISMATCH');
+        return withAppLock(appId, async () => {
+            const current = await getEntry(appId, key);
+            checkVersion(version, current.version);
+            if (current.exists && !isPlainObject(current.value)) {
+                throw new StoreError(`"${key}" holds ${describeType(current.value)}, not an object; use set() instead`, 'STORE_TYPE_MISMATCH');
+            }
+            const value = { ...(current.exists ? current.value : {}) };
+            Object.entries(patch).forEach(([field, fieldValue]) => {
+                if (fieldValue === null) delete value[field];
+                else value[field] = fieldValue;
+            });
+            return { value, version: await writeValue(appId, key, value) };
+        });
+    }
+
+    /**
+     * Add an item to the end of an array value (a missing key starts as [])
+     * @returns {Promise<{length: number, version: number}>}
+     * @throws {StoreError} - STORE_TYPE_MISMATCH when the value isn't an array
+     */
+    async function append(appId, key, item) {
+        validateAppId(appId);
+        validateKey(key);
+        return withAppLock(appId, async () => {
+            const current = await getEntry(appId, key);
+            if (current.exists && !Array.isArray(current.value)) {
+                throw new StoreError(`"${key}" holds ${describeType(current.value)}, not an array; use set() instead`, 'STORE_TYPE_MISMATCH');
+            }
+            const value = (current.exists ? current.value : []).concat([item === undefined ? null : item]);
+            return { length: value.length, version: await writeValue(appId, key, value) };
+        });
+    }
+
+    /**
+     * Delete a key
+     * @param {{version?: number}} [options] - Only delete if the key is still at this version
+     * @returns {Promise<{deleted: boolean}>} - false when the key didn't exist
+     */
+    async function remove(appId, key, { version } = {}) {
+        validateAppId(appId);
+        validateKey(key);
+        return withAppLock(appId, async () => {
+            const current = await getEntry(appId, key);
+            checkVersion(version, current.version);
+            if (!current.exists) return { deleted: false };
+
+            const baseDir = await appDir(appId);
+            await fs.rm(keyFile(baseDir, key), { force: true });
+            const versions = await readVersions(baseDir);
+            delete versions[key];
+            await writeAtomic(path.join(baseDir, VERSIONS_FILE), JSON.stringify(versions, null, 2));
+            return { deleted: true };
+        });
+    }
+
+    /**
+     * Keys of an app, optionally only those starting with a prefix
+     * @param {string} appId
+     * @param {{prefix?: string, values?: boolean}} [options] - values adds each key's value
+     * @returns {Promise<Array<{key: string, version: number, size: number, updatedAt: string|null, value?: *}>>} - Sorted by key
+     */
+    async function list(appId, { prefix = '', values = false } = {}) {
+        if (typeof prefix !== 'string' || !PREFIX_PATTERN.test(prefix)) {
+            throw new StoreError('Invalid prefix: use up to 128 letters, digits, "_", "-" or "."', 'INVALID_STORE_KEY');
+        }
+        const baseDir = await appDir(appId);
+        if (!baseDir) return [];
+
+        const [dirents, versions] = await Promise.all([fs.readdir(baseDir, { withFileTypes: true }), readVersions(baseDir)]);
+        const keys = dirents
+            .filter(e => e.isFile() && e.name.endsWith('.json'))
+            .map(e => e.name.slice(0, -'.json'.length))
+            .filter(key => key.startsWith(prefix) && KEY_PATTERN.test(key) && !key.includes('..'))
+            .sort();
+
+        return Promise.all(keys.map(async key => {
+            const entry = { key, version: versions[key]?.version || 0, updatedAt: versions[key]?.updatedAt || null };
+            const file = keyFile(baseDir, key);
+            entry.size = (await fs.stat(file)).size;
+            if (values) entry.value = (await readValue(baseDir, key)).value;
+            return entry;
+        }));
+    }
+
+    return { root, get, getEntry, set, update, append, remove, list, usage, maxValueBytes, maxAppBytes };
+}
+
+module.exports = {
+    DEFAULT_MAX_VALUE_BYTES,
+    DEFAULT_MAX_APP_BYTES,
+    StoreError,
+    validateKey,
+    validateAppId,
+    createRuntimeStore
+};
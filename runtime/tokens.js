@@ -0,0 +1,103 @@
+/**
+ * Runtime Tokens
+ * Signed, expiring tokens that let a generated page use the runtime API
+ * (/api/runtime/*). The server mints one per app (deployment slug, DS-Star run
+ * id, or "default" for legacy runs) whenever it injects the runtime helper,
+ * and derives the app's store namespace from the token instead of trusting a
+ * header the page chose.
+ *
+ * Format: base64url(JSON { app, exp }) + "." + base64url(HMAC-SHA256 of the first part)
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_MS = 12 * 60 * 60 * 1000;
+
+class RuntimeTokenError extends Error {
+    constructor(message, code = 'INVALID_RUNTIME_TOKEN') {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Create a token signer/verifier
+ * @param {object} [config]
+ * @param {string} [config.secret] - HMAC key; a random one (tokens die with the process) when empty
+ * @param {number} [config.ttlMs] - How long a minted token stays valid
+ * @returns {{mint: Function, verify: Function, ttlMs: number}}
+ */
+function createRuntimeTokens({ secret = '', ttlMs = DEFAULT_TTL_MS } = {}) {
+    const key = secret || crypto.randomBytes(32).toString('hex');
+    const sign = (body) => crypto.createHmac('sha256', key).update(body).digest('base64url');
+
+    /**
+     * Token for an app
+     * @param {string} appId
+     * @returns {string}
+     */
+    function mint(appId) {
+        if (typeof appId !== 'string' || appId === '') throw new RuntimeTokenError('appId is required');
+        const body = Buffer.from(JSON.stringify({ app: appId, exp: Date.now() + ttlMs })).toString('base64url');
+        return `${body}.${sign(body)}`;
+    }
+
+    /**
+     * Check a token and read its app
+     * @param {string} token
+     * @returns {{app: string, exp: number}}
+     * @throws {RuntimeTokenError} - INVALID_RUNTIME_TOKEN (malformed or forged) or RUNTIME_TOKEN_EXPIRED
+     */
+    function verify(token) {
+        const [body, signature, ...rest] = String(token || '').split('.');
+        if (!body || !signature || rest.length > 0) throw new RuntimeTokenError('Malformed runtime token');
+
+        const expected = Buffer.from(sign(body));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new RuntimeTokenError('Runtime token signature does not match');
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (err) {
+            throw new RuntimeTokenError('Malformed runtime token');
+        }
+        if (typeof claims?.app !== 'string' || claims.app === '' || !Number.isFinite(claims.exp)) {
+            throw new RuntimeTokenError('Malformed runtime token');
+        }
+        if (claims.exp <= Date.now()) {
+            throw new RuntimeTokenError('Runtime token expired; reload the page', 'RUNTIME_TOKEN_EXPIRED');
+        }
+        return { app: claims.app, exp: claims.exp };
+    }
+
+    return { mint, verify, ttlMs };
+}
+
+/**
+ * Express middleware that answers only requests carrying a valid token
+ * ("Authorization: Bearer <token>"); req.runtimeApp is the app it was minted for
+ * @param {{verify: Function}} tokens - From createRuntimeTokens
+ * @returns {Function} - (req, res, next)
+ */
+function createTokenMiddleware(tokens) {
+    return (req, res, next) => {
+        const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        if (!match) return res.status(401).json({ error: 'Runtime token required.', code: 'RUNTIME_TOKEN_REQUIRED' });
+        try {
+            req.runtimeApp = tokens.verify(match[1]).app;
+            return next();
+        } catch (err) {
+            return res.status(401).json({ error: err.message, code: err.code });
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_TTL_MS,
+    RuntimeTokenError,
+    createRuntimeTokens,
+    createTokenMiddleware
+};
@@ -3,6 +3,31 @@ const path = require("path");
 const fs = require("fs/promises");
 const dotenv = require("dotenv");
 const { jsonrepair } = require("jsonrepair");
+const { createLLMClient } = require("./providers");
+const { createJobQueue } = require("./jobs/jobQueue");
+const { planPageFiles, readBundle, renderBundlePage, parseBundle } = require("./dsstar/bundle");
+const { SCREENSHOT_FILE, setBrowserLimit, captureAppScreenshots, compareScreenshotDirs } = require("./tests/screenshots");
+const { MIRROR_DIR, readMirrorManifest, rewriteCdnUrls } = require("./libraries/mirror");
+const {
+  CATEGORIES: LIBRARY_CATEGORIES,
+  validateCatalog,
+  readCatalog,
+  writeCatalog,
+  pickLibraryFields,
+  enabledLibraries,
+  findLibrary,
+  libraryTags,
+  applySri,
+  catalogScriptUrls,
+} = require("./libraries/catalog");
+const { selectLibraries } = require("./libraries/selection");
+const { scanForSecurityViolations } = require("./critic/securityScanner");
+const { readPolicy, describeViolations } = require("./critic/securityPolicy");
+const { stripCspMeta } = require("./critic/csp");
+const { DEFAULT_TTL_MS: DEFAULT_RUNTIME_TOKEN_TTL_MS, createRuntimeTokens, createTokenMiddleware } = require("./runtime/tokens");
+const { DEFAULT_MAX_VALUE_BYTES, DEFAULT_MAX_APP_BYTES, validateAppId, createRuntimeStore } = require("./runtime/store");
+const { DEFAULT_MAX_DOC_BYTES, DEFAULT_MAX_APP_BYTES: DEFAULT_MAX_DB_BYTES, DEFAULT_MAX_OPEN_COLLECTIONS, createRuntimeDB } = require("./runtime/db");
+const { createAppLock } = require("./runtime/appLock");
 
 dotenv.config();
 
@@ -11,15 +36,23 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || "0.0.0.0";
 
 // LLM Provider Configuration
-const LLM_PROVIDER = process.env.LLM_PROVIDER || "groq"; // "groq" or "ollama"
-const GROQ_API_KEY = process.env.GROQ_API_KEY || "";
-const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
-const OLLAMA_URL = "http://localhost:11434/api/generate";
+// LLM_PROVIDER is the default; <ROLE>_PROVIDER overrides it per role.
+// Registered providers: groq, openai, vllm, llamacpp, ollama, mock
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "groq";
+const ROLE_PROVIDERS = {
+  planner: process.env.PLANNER_PROVIDER || "",
+  coder: process.env.CODER_PROVIDER || "",
+  critic: process.env.CRITIC_PROVIDER || "",
+  runtime: process.env.RUNTIME_PROVIDER || "",
+  vision: process.env.VISION_PROVIDER || "",
+};
 
 // Model Configuration
 const PLANNER_MODEL = process.env.PLANNER_MODEL || "llama-3.3-70b-versatile";
 const CODER_MODEL = process.env.CODER_MODEL || "llama-3.3-70b-versatile";
 const RUNTIME_MODEL = process.env.RUNTIME_MODEL || "llama-3.1-8b-instant";
+// Multimodal model for the visual critic; leave empty to skip that phase
+const VISION_MODEL = process.env.VISION_MODEL || "";
 const MODEL_OPTIONS = (process.env.MODEL_OPTIONS || "")
   .split(",")
   .map((name) => name.trim())
@@ -28,58 +61,117 @@ const MODEL_OPTIONS = (process.env.MODEL_OPTIONS || "")
 const RUNS_DIR = path.join(__dirname, "runs");
 const DATA_STORE_DIR = path.join(RUNS_DIR, "data_store");
 const DEPLOYMENTS_DIR = path.join(RUNS_DIR, "deployments");
+// Deployment slugs name a directory in DEPLOYMENTS_DIR, so nothing else may reach path.join
+const DEPLOYMENT_SLUG = /^[\w-]+$/;
 const LIBRARIES_PATH = path.join(__dirname, "libraries.json");
+const SECURITY_POLICY_PATH = process.env.SECURITY_POLICY
+  ? path.resolve(process.env.SECURITY_POLICY)
+  : path.join(__dirname, "security-policy.json");
 const DASHBOARD_HTML = path.join(__dirname, "public", "index.html");
 const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || "0") || 120000;
+const JOBS_FILE = path.join(RUNS_DIR, "jobs.json");
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY || "0") || 2;
+const PATCH_MODE = process.env.PATCH_MODE === "full" ? "full" : "diff";
+const A11Y_MODE = ["blocking", "off"].includes(process.env.A11Y_MODE) ? process.env.A11Y_MODE : "advisory";
+const VISUAL_DIFF_THRESHOLD = Number(process.env.VISUAL_DIFF_THRESHOLD || "0") || 0.01;
+// Runtime API tokens: without a secret, tokens minted before a restart stop working (pages get fresh ones when served)
+const RUNTIME_TOKEN_SECRET = process.env.RUNTIME_TOKEN_SECRET || "";
+const RUNTIME_TOKEN_TTL_MS = Number(process.env.RUNTIME_TOKEN_TTL_MS || "0") || DEFAULT_RUNTIME_TOKEN_TTL_MS;
+const STORE_MAX_VALUE_BYTES = Number(process.env.STORE_MAX_VALUE_BYTES || "0") || DEFAULT_MAX_VALUE_BYTES;
+const STORE_MAX_APP_BYTES = Number(process.env.STORE_MAX_APP_BYTES || "0") || DEFAULT_MAX_APP_BYTES;
+const DB_MAX_DOC_BYTES = Number(process.env.DB_MAX_DOC_BYTES || "0") || DEFAULT_MAX_DOC_BYTES;
+const DB_MAX_APP_BYTES = Number(process.env.DB_MAX_APP_BYTES || "0") || DEFAULT_MAX_DB_BYTES;
+const DB_MAX_OPEN_COLLECTIONS = Number(process.env.DB_MAX_OPEN_COLLECTIONS || "0") || DEFAULT_MAX_OPEN_COLLECTIONS;
 const CSP_CONTENT =
   "default-src 'none'; img-src 'self' data: https: blob:; style-src 'unsafe-inline' https://fonts.googleapis.com https://cdn.jsdelivr.net https://cdnjs.cloudflare.com https://unpkg.com https://cdn.tailwindcss.com; font-src https://fonts.gstatic.com https://cdn.jsdelivr.net https://cdnjs.cloudflare.com; script-src 'unsafe-inline' https://cdn.jsdelivr.net https://cdnjs.cloudflare.com https://unpkg.com https://d3js.org https://cdn.plot.ly https://cdn.tailwindcss.com blob:; worker-src blob:; connect-src 'self' http://localhost:* http://127.0.0.1:* https://*.tile.openstreetmap.org https://cdn.jsdelivr.net; base-uri 'none'; form-action 'none';";
+// Used instead of CSP_CONTENT once libraries are mirrored locally (npm run vendor)
+const CSP_CONTENT_OFFLINE =
+  "default-src 'none'; img-src 'self' data: blob:; style-src 'self' 'unsafe-inline' http://localhost:* http://127.0.0.1:*; font-src 'self' data: http://localhost:* http://127.0.0.1:*; script-src 'self' 'unsafe-inline' http://localhost:* http://127.0.0.1:* blob:; worker-src blob:; connect-src 'self' http://localhost:* http://127.0.0.1:*; base-uri 'none'; form-action 'none';";
+// CDN_MIRROR=off keeps CDN URLs even when a mirror has been downloaded
+const CDN_MIRROR = process.env.CDN_MIRROR !== "off";
 const AVAILABLE_MODELS = Array.from(
   new Set([PLANNER_MODEL, CODER_MODEL, RUNTIME_MODEL, ...MODEL_OPTIONS])
 );
 const MAX_HTML_CONTEXT_CHARS = 8000;
 
-// Load libraries from JSON file (reads fresh each time for hot-reloading)
+const llmClient = createLLMClient({
+  defaultProvider: LLM_PROVIDER,
+  roleProviders: ROLE_PROVIDERS,
+  timeoutMs: LLM_TIMEOUT_MS,
+});
+
+// Pipelines and smoke tests run as queued jobs so concurrent requests share
+// JOB_CONCURRENCY workers instead of each starting its own LLM calls and Chromium
+const jobQueue = createJobQueue({ file: JOBS_FILE, concurrency: JOB_CONCURRENCY });
+// A DS-Star job opens browsers for its smoke tests and audit, so browsers get their own JOB_CONCURRENCY slots
+setBrowserLimit(JOB_CONCURRENCY);
+
+const runtimeTokens = createRuntimeTokens({ secret: RUNTIME_TOKEN_SECRET, ttlMs: RUNTIME_TOKEN_TTL_MS });
+// One lock for both, so an app's store and database writes run one at a time, in arrival order
+const runtimeAppLock = createAppLock();
+const runtimeStore = createRuntimeStore({
+  dir: DATA_STORE_DIR,
+  maxValueBytes: STORE_MAX_VALUE_BYTES,
+  maxAppBytes: STORE_MAX_APP_BYTES,
+  appLock: runtimeAppLock,
+});
+const runtimeDB = createRuntimeDB({
+  dir: DATA_STORE_DIR,
+  maxDocBytes: DB_MAX_DOC_BYTES,
+  maxAppBytes: DB_MAX_APP_BYTES,
+  maxOpenCollections: DB_MAX_OPEN_COLLECTIONS,
+  appLock: runtimeAppLock,
+});
+
+// Load the library catalog (re-read whenever the file changes, for hot-reloading).
+// A catalog with bad entries throws INVALID_LIBRARY_CATALOG instead of reaching the prompt.
 async function loadLibraries() {
   try {
-    const content = await fs.readFile(LIBRARIES_PATH, "utf8");
-    return JSON.parse(content);
+    return readCatalog(LIBRARIES_PATH);
   } catch (err) {
+    if (err.code !== "ENOENT") throw err;
     console.warn("Could not load libraries.json, using defaults:", err.message);
     return null;
   }
 }
 
-function formatLibrariesForPrompt(libs) {
+// selection (from selectLibraries) narrows the listing to what the plan needs;
+// without one the whole catalog is listed.
+function formatLibrariesForPrompt(libs, selection = null) {
   if (!libs) return "";
 
   let output = "";
+  const offered = selection ? new Set(selection.libraries) : null;
+  const includeAi = !selection || selection.ai;
+  const helpers = (libs.helper_functions || []).filter(h => !selection || selection.helpers.includes(h.name));
 
   const formatCategory = (items, emoji, label) => {
     if (!items?.length) return "";
     let text = `${emoji} ${label}:\n`;
     items.forEach(lib => {
-      const tag = lib.script || lib.link || lib.usage || "";
+      const tag = libraryTags(lib, libs) || lib.usage || lib.note || "";
       text += `• ${lib.name}: ${tag}\n`;
+      if (lib.globals?.length) text += `  Globals: ${lib.globals.join(", ")}\n`;
       if (lib.example) text += `  Example: ${lib.example}\n`;
       if (lib.notes) text += `  Note: ${lib.notes}\n`;
+      else if (lib.note && tag !== lib.note) text += `  Note: ${lib.note}\n`;
     });
     return text + "\n";
   };
 
-  output += formatCategory(libs.charts, "📊", "CHARTS");
-  output += formatCategory(libs.tables, "📋", "TABLES");
-  output += formatCategory(libs.analysis, "📈", "ANALYSIS & STATISTICS");
-  output += formatCategory(libs.styling, "🎨", "STYLING");
-  output += formatCategory(libs.icons, "🔣", "ICONS");
-  output += formatCategory(libs.utilities, "🛠️", "UTILITIES");
-  output += formatCategory(libs.ui_components, "✨", "UI COMPONENTS");
-  output += formatCategory(libs.maps, "🗺️", "MAPS");
-  output += formatCategory(libs.ai, "🤖", "AI FEATURES");
+  Object.entries(LIBRARY_CATEGORIES).forEach(([category, { emoji, label }]) => {
+    output += formatCategory(
+      enabledLibraries(libs).filter(lib => lib.category === category && (!offered || offered.has(lib.name))),
+      emoji,
+      label
+    );
+  });
+  if (includeAi) output += formatCategory(libs.ai, "🤖", "AI FEATURES");
 
   // Helper functions
-  if (libs.helper_functions?.length) {
+  if (helpers.length) {
     output += "📦 BUILT-IN HELPER FUNCTIONS (copy these into your code):\n";
-    libs.helper_functions.forEach(h => {
+    helpers.forEach(h => {
       output += `• ${h.name}: ${h.description}\n`;
       output += `  ${h.code}\n`;
     });
@@ -87,7 +179,7 @@ function formatLibrariesForPrompt(libs) {
   }
 
   // AI prompt examples
-  if (libs.ai_prompt_examples?.length) {
+  if (includeAi && libs.ai_prompt_examples?.length) {
     output += "🤖 AI PROMPT EXAMPLES:\n";
     libs.ai_prompt_examples.forEach(ex => {
       output += `• ${ex.name}: ${ex.example}\n`;
@@ -110,10 +202,12 @@ function formatLibrariesForPrompt(libs) {
   return output;
 }
 
+// violations: from scanForSecurityViolations; the message lists them with their fixes
 class UnsafeHtmlError extends Error {
-  constructor(message) {
-    super(message);
+  constructor(violations) {
+    super(describeViolations(violations) || "Generated HTML rejected due to forbidden patterns.");
     this.code = "UNSAFE_HTML";
+    this.violations = violations;
   }
 }
 
@@ -180,8 +274,8 @@ app.use(express.json({ limit: "1mb" }));
 function allowSandboxCors(req, res, next) {
   if (!req.path.startsWith("/api/runtime/")) return next();
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST,GET,OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-App-ID");
+  res.setHeader("Access-Control-Allow-Methods", "GET,POST,PATCH,DELETE,OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
   if (req.method === "OPTIONS") {
     return res.sendStatus(204);
   }
@@ -206,113 +300,9 @@ function timestampId() {
   );
 }
 
-// Call Groq API (OpenAI-compatible format)
-async function callGroq(model, prompt) {
-  if (!GROQ_API_KEY) {
-    throw new Error("GROQ_API_KEY is not set in environment variables");
-  }
-
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
-
-  try {
-    const res = await fetch(GROQ_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${GROQ_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-        max_tokens: 8192,
-      }),
-      signal: controller.signal,
-    });
-
-    const data = await res.json().catch(() => ({}));
-
-    if (!res.ok) {
-      const message = data.error?.message || `Groq API error (${res.status})`;
-      throw new Error(message);
-    }
-
-    const content = data.choices?.[0]?.message?.content || "";
-    return content.trim();
-  } catch (err) {
-    if (err.name === "AbortError") {
-      throw new Error(`LLM request timed out after ${LLM_TIMEOUT_MS}ms`);
-    }
-    throw err;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-// Call local Ollama
-async function callOllama(model, prompt) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
-
-  try {
-    const res = await fetch(OLLAMA_URL, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ model, prompt, stream: false }),
-      signal: controller.signal,
-    });
-
-    const data = await res.json().catch(() => ({}));
-
-    if (!res.ok) {
-      const message = data.error || `Ollama error (${res.status})`;
-      if (message.toLowerCase().includes("model not found")) {
-        throw new Error(`Model "${model}" not found. Run: ollama pull ${model}`);
-      }
-      throw new Error(message);
-    }
-
-    return String(data.response || "").trim();
-  } catch (err) {
-    if (err.name === "AbortError") {
-      throw new Error(`LLM request timed out after ${LLM_TIMEOUT_MS}ms`);
-    }
-    if (err.message && err.message.includes("fetch failed")) {
-      throw new Error("Cannot reach Ollama. Is it running on http://localhost:11434 ?");
-    }
-    throw err;
-  } finally {
-    clearTimeout(timeoutId);
-  }
-}
-
-// Unified LLM caller - uses Groq or Ollama based on LLM_PROVIDER
-async function callLLM(model, prompt) {
-  if (LLM_PROVIDER === "groq") {
-    return callGroq(model, prompt);
-  } else {
-    return callOllama(model, prompt);
-  }
-}
-
-// Fetch available models from Groq API
-async function fetchGroqModels() {
-  if (!GROQ_API_KEY) return [];
-
-  try {
-    const res = await fetch("https://api.groq.com/openai/v1/models", {
-      headers: { "Authorization": `Bearer ${GROQ_API_KEY}` },
-    });
-    const data = await res.json();
-    return (data.data || [])
-      .filter(m => m.id && !m.id.includes("whisper"))
-      .map(m => m.id)
-      .sort();
-  } catch (err) {
-    console.warn("Failed to fetch Groq models:", err.message);
-    return [];
-  }
+// Unified LLM caller - routes to the provider configured for options.role
+async function callLLM(model, prompt, options = {}) {
+  return llmClient.call(model, prompt, options);
 }
 
 function buildEnhancerPrompt(userPrompt, attachedData = "") {
@@ -340,7 +330,7 @@ function buildPlannerPrompt(userPrompt, extraDirections = "", tier = "standard",
   const example = {
     title: "...",
     description: "...",
-    pages: [{ name: "Home", purpose: "..." }],
+    pages: [{ name: "Home", purpose: "...", ui_components: ["..."] }],
     ui_components: ["..."],
     libraries: ["Chart.js for charts", "Papa Parse for CSV", "..."],
     state: ["..."],
@@ -406,9 +396,14 @@ function buildPlannerPrompt(userPrompt, extraDirections = "", tier = "standard",
 
     "🤖 AI HELPER FUNCTION:\n" +
     "• window.geaRuntimeLLM(prompt) - Call AI from the generated app\n" +
-    "• window.geaRuntimeStore.set(key, value) - Persistent storage (async)\n" +
-    "• window.geaRuntimeStore.get(key) - Retrieve storage (async)\n" +
+    "• window.geaRuntimeStore.set(key, value) / get(key) - Persistent storage (async)\n" +
+    "• window.geaRuntimeStore.list(prefix), delete(key), update(key, patch), append(key, item) - Keys by prefix,\n" +
+    "  removal, atomic merges and atomic list appends\n" +
     "• Use store for: user settings, caching AI results, saving data across sessions\n" +
+    "• window.geaRuntimeDB.collection(name).insert/find/count/update/remove - Document collections with filters,\n" +
+    "  sorting and paging\n" +
+    "• Plan record lists (tickets, tasks, contacts, entries) as geaRuntimeDB collections - never one big array\n" +
+    "  in a single store key; keep geaRuntimeStore for settings and small state\n" +
     "• Example: await window.geaRuntimeStore.set('settings', { theme: 'dark' });\n" +
     "• Returns a string response from the AI\n" +
     "• Use for: data analysis, text generation, suggestions, Q&A\n" +
@@ -419,9 +414,13 @@ function buildPlannerPrompt(userPrompt, extraDirections = "", tier = "standard",
     "❌ fetch(), axios, XMLHttpRequest (use window.geaRuntimeLLM for AI)\n" +
     "❌ <iframe>, <embed>, <object>\n" +
     "❌ External image URLs (use CSS backgrounds or SVG)\n" +
-    "❌ WebSockets, window.location changes\n" +
+    "❌ WebSockets, window.location changes, window.open\n" +
     "❌ External form submissions\n\n" +
 
+    "=== PAGES ===\n" +
+    "Use a single page unless the request clearly needs separate screens. Each page becomes its own HTML file,\n" +
+    "so list the ui_components that live on each page inside that page entry.\n\n" +
+
     "=== JSON SCHEMA ===\n" +
     JSON.stringify(example, null, 2) + "\n\n" +
 
@@ -432,8 +431,9 @@ function buildPlannerPrompt(userPrompt, extraDirections = "", tier = "standard",
 }
 
 
-function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText = "") {
+function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText = "", { multiPage = false } = {}) {
   const extra = extraDirections ? `\nAdditional guidance:\n${extraDirections}\n` : "";
+  const pageFiles = multiPage ? planPageFiles(plan) : [];
 
   // Use dynamically loaded libraries or fallback to basic info
   const librariesSection = librariesText ||
@@ -446,13 +446,21 @@ function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText
     "You are a senior front-end engineer for GE Appliances.\n\n" +
 
     "=== CRITICAL: OUTPUT FORMAT ===\n" +
-    "Output ONLY the raw HTML code. Your entire response must be valid HTML.\n" +
-    "• Start with <!DOCTYPE html> or <html>\n" +
+    (multiPage
+      ? "This app has several pages. Output a BUNDLE of files, each starting with a marker line:\n" +
+        "=== FILE: <file name> ===\n" +
+        "• One complete HTML document per page, using exactly these files:\n" +
+        pageFiles.map((p) => `    ${p.file} - ${p.name}\n`).join("") +
+        "• Optionally shared.js and shared.css for code and styles used by every page\n" +
+        "• Pages load them with <script src=\"shared.js\"></script> and <link rel=\"stylesheet\" href=\"shared.css\">\n" +
+        "• Every page has the same <nav> linking the pages with plain <a href=\"page.html\"> links\n"
+      : "Output ONLY the raw HTML code. Your entire response must be valid HTML.\n" +
+        "• Start with <!DOCTYPE html> or <html>\n") +
 
     "• Do NOT include markdown code fences (```)\n" +
     "• Do NOT include explanations, thinking, or commentary\n" +
     "• Do NOT include phrases like 'Here is the code' or 'I'll create'\n" +
-    "• ONLY output the HTML document itself\n\n" +
+    (multiPage ? "• ONLY output the bundle files\n\n" : "• ONLY output the HTML document itself\n\n") +
 
     "=== AVAILABLE LIBRARIES (via CDN) ===\n" +
     librariesSection +
@@ -470,8 +478,42 @@ function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText
     "  );\n" +
     "• Always wrap in try/catch and show loading states\n\n" +
 
+    "=== DATA STORE ===\n" +
+    "Data that must survive a reload goes through window.geaRuntimeStore (all methods are async):\n" +
+    "• get(key) → value or null; set(key, value) → true/false (value must be an object or array)\n" +
+    "• list(prefix) → [{ key, version, updatedAt }]; list(prefix, { values: true }) adds each value\n" +
+    "• delete(key) → true if it existed\n" +
+    "• update(key, patch) → { value, version } - merges the patch's fields into an object (null removes a field)\n" +
+    "• append(key, item) → { length, version } - adds to an array without rewriting it\n" +
+    "• getEntry(key) → { value, version }; pass { version } to update/delete to fail (error.code\n" +
+    "  'STORE_VERSION_CONFLICT') if someone else changed the key - then reload and retry\n" +
+    "• Keys: letters, digits, _ - . only. Use the store for settings, drafts and small state; use append for\n" +
+    "  short logs and history. Lists of records belong in geaRuntimeDB (below), not in one big array\n" +
+    "• Example:\n" +
+    "  await window.geaRuntimeStore.set('settings', { theme: 'dark' });\n" +
+    "  await window.geaRuntimeStore.update('settings', { theme: 'light' });\n" +
+    "  await window.geaRuntimeStore.append('history', { action: 'export', at: Date.now() });\n\n" +
+
+    "=== DATABASE ===\n" +
+    "Lists of records (tickets, tasks, contacts, orders) go in window.geaRuntimeDB collections, which stay fast\n" +
+    "with thousands of documents. const tickets = window.geaRuntimeDB.collection('tickets'); then (all async):\n" +
+    "• insert(doc) → doc with _id, _createdAt, _updatedAt added (insert([docs]) for several)\n" +
+    "• find(filter, { sort, skip, limit }) → array (limit defaults to 100, max 1000); findOne(filter); get(id)\n" +
+    "• count(filter) → number - use it with skip/limit for pagination\n" +
+    "• update(filterOrId, patch) → number updated - merges fields (null removes a field)\n" +
+    "• remove(filterOrId) → number removed; remove({}) empties the collection\n" +
+    "• Filters: { status: 'open' }, { priority: { $gte: 2 } } ($eq $ne $gt $gte $lt $lte), { tags: { $in: ['ui'] } },\n" +
+    "  { assignee: { $exists: true } }, { title: { $contains: 'crash' } } (case-insensitive), { $or: [ ... ] }\n" +
+    "• Sort: { _createdAt: -1 } or { priority: -1, title: 1 }. Field names: letters, digits, _ (a.b for nested)\n" +
+    "• Example:\n" +
+    "  const open = await tickets.find({ status: 'open' }, { sort: { _createdAt: -1 }, skip: page * 20, limit: 20 });\n" +
+    "  const total = await tickets.count({ status: 'open' });\n" +
+    "  await tickets.update(ticket._id, { status: 'closed' });\n\n" +
+
     "=== STRUCTURE REQUIREMENTS ===\n" +
-    "• Single HTML file with inline <style> and <script>\n" +
+    (multiPage
+      ? "• One HTML file per page; shared code in shared.js, shared styles in shared.css\n"
+      : "• Single HTML file with inline <style> and <script>\n") +
     "• Use Tailwind CSS from CDN for styling\n" +
     "• Use modern ES6+ JavaScript\n" +
     "• Make it responsive with CSS Grid/Flexbox\n" +
@@ -485,24 +527,24 @@ function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText
     "✅ ALWAYS use https://cdn.jsdelivr.net/npm/... URLs\n\n" +
     "Example - if using Lodash, Papa Parse, and Chart.js:\n" +
     "<head>\n" +
-    "  <script src='https://cdn.tailwindcss.com'></script>\n" +
-    "  <script src='https://cdn.jsdelivr.net/npm/lodash@4/lodash.min.js'></script>\n" +
-    "  <script src='https://cdn.jsdelivr.net/npm/papaparse@5/papaparse.min.js'></script>\n" +
-    "  <script src='https://cdn.jsdelivr.net/npm/chart.js'></script>\n" +
-    "  <script src='https://cdn.jsdelivr.net/npm/dayjs@1/dayjs.min.js'></script>\n" +
+    "  <script src='https://cdn.tailwindcss.com/3.4.1'></script>\n" +
+    "  <script src='https://cdn.jsdelivr.net/npm/lodash@4.17.21/lodash.min.js'></script>\n" +
+    "  <script src='https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js'></script>\n" +
+    "  <script src='https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js'></script>\n" +
+    "  <script src='https://cdn.jsdelivr.net/npm/dayjs@1.11.10/dayjs.min.js'></script>\n" +
     "</head>\n" +
-    "Copy the EXACT CDN URLs from the library docs above!\n\n" +
+    "Copy the EXACT CDN URLs from the library docs above - scripts from any other URL are rejected by the security scan!\n\n" +
 
     "=== CODE QUALITY REQUIREMENTS ===\n" +
     "⚠️ These are MANDATORY - code will be rejected without them:\n\n" +
 
     "1. LOAD ALL LIBRARIES MENTIONED IN PLAN:\n" +
-    "   - If plan mentions Day.js/dayjs → add <script src='https://cdn.jsdelivr.net/npm/dayjs@1/dayjs.min.js'>\n" +
-    "   - If plan mentions Chart.js → add <script src='https://cdn.jsdelivr.net/npm/chart.js'>\n" +
-    "   - If plan mentions Papa Parse → add <script src='https://cdn.jsdelivr.net/npm/papaparse@5/papaparse.min.js'>\n" +
-    "   - If plan mentions jsPDF → add <script src='https://cdn.jsdelivr.net/npm/jspdf@2/dist/jspdf.umd.min.js'>\n" +
-    "   - If plan mentions html2canvas → add <script src='https://cdn.jsdelivr.net/npm/html2canvas@1'>\n" +
-    "   - If plan mentions Lodash → add <script src='https://cdn.jsdelivr.net/npm/lodash@4/lodash.min.js'>\n\n" +
+    "   - If plan mentions Day.js/dayjs → add <script src='https://cdn.jsdelivr.net/npm/dayjs@1.11.10/dayjs.min.js'>\n" +
+    "   - If plan mentions Chart.js → add <script src='https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.js'>\n" +
+    "   - If plan mentions Papa Parse → add <script src='https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js'>\n" +
+    "   - If plan mentions jsPDF → add <script src='https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js'>\n" +
+    "   - If plan mentions html2canvas → add <script src='https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js'>\n" +
+    "   - If plan mentions Lodash → add <script src='https://cdn.jsdelivr.net/npm/lodash@4.17.21/lodash.min.js'>\n\n" +
 
     "2. POPULATE ALL UI ELEMENTS:\n" +
     "   - Every element referenced by ID (like #explanation, #results) MUST exist in HTML\n" +
@@ -538,15 +580,67 @@ function buildCoderPrompt(userPrompt, plan, extraDirections = "", librariesText
     "=== PLAN TO IMPLEMENT ===\n" +
     JSON.stringify(plan, null, 2) +
     "\n\n" +
-    "Now output ONLY the HTML code, starting with <!DOCTYPE html>:"
+    (multiPage
+      ? `Now output ONLY the bundle, starting with === FILE: ${pageFiles[0].file} ===:`
+      : "Now output ONLY the HTML code, starting with <!DOCTYPE html>:")
   );
 }
 
+// The security policy both the legacy endpoints and the DS-Star gate scan with (re-read when the file changes)
+function securityPolicy() {
+  return readPolicy(SECURITY_POLICY_PATH);
+}
+
+// The downloaded library mirror, or null when apps should load libraries from CDNs
+function activeMirror() {
+  return CDN_MIRROR ? readMirrorManifest(MIRROR_DIR) : null;
+}
+
+// Library catalog for synchronous callers; null when libraries.json is missing or invalid
+function currentCatalog() {
+  try {
+    return readCatalog(LIBRARIES_PATH);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Script URLs generated pages may load: catalog URLs and, with a mirror, their local copies
+function allowedScriptSources() {
+  const catalog = currentCatalog();
+  if (!catalog) return null;
+  const urls = catalogScriptUrls(catalog);
+  const mirror = activeMirror();
+  if (!mirror) return urls;
+  return urls.concat(urls.map((url) => mirror.entries[url]?.path).filter(Boolean));
+}
+
+// CSP for generated pages: the offline one while the mirror is in use
+function activeCsp() {
+  return activeMirror() ? CSP_CONTENT_OFFLINE : CSP_CONTENT;
+}
+
+// Generated pages are served with an opaque origin, like the dashboard's sandboxed previews.
+// On this origin a page could read another app's pages, and the runtime tokens baked into them.
+const PAGE_SANDBOX = "sandbox allow-scripts allow-forms";
+
+function sendGeneratedPage(res, html, csp = "") {
+  res.setHeader("Content-Security-Policy", csp ? `${csp} ${PAGE_SANDBOX}` : PAGE_SANDBOX);
+  res.type("html").send(html);
+}
+
 function ensureCspMeta(html) {
-  const hasCsp = /content-security-policy/i.test(html);
-  if (hasCsp) return html;
+  // Mirror first: mirrored stylesheets are rewritten, so their CDN hashes would not match
+  const mirror = activeMirror();
+  if (mirror) html = rewriteCdnUrls(html, mirror).html;
+  const catalog = currentCatalog();
+  if (catalog) html = applySri(html, catalog).html;
+
+  // Only the server's CSP counts: a model-written one could allow any host.
+  // Pages served again (deployments) just get theirs replaced.
+  html = stripCspMeta(html).html;
 
-  const meta = `<meta http-equiv="Content-Security-Policy" content="${CSP_CONTENT}">`;
+  const meta = `<meta http-equiv="Content-Security-Policy" content="${activeCsp()}">`;
   const headMatch = html.match(/<head[^>]*>/i);
   if (headMatch) {
     return html.replace(/<head[^>]*>/i, (m) => `${m}\n  ${meta}`);
@@ -554,14 +648,17 @@ function ensureCspMeta(html) {
   return `${meta}\n${html}`;
 }
 
+// The helper carries a token for appId (a deployment slug, DS-Star run id or "default"
+// for legacy runs); the runtime API takes the app's store namespace from it
 function injectRuntimeHelpers(html, runtimeModel, appId = "default") {
   const helperId = "gea-runtime-helper";
   const existing = html.includes(helperId);
 
+  validateAppId(appId);
   const encodedModel = JSON.stringify(runtimeModel || RUNTIME_MODEL);
-  const encodedAppId = JSON.stringify(appId);
+  const encodedToken = JSON.stringify(runtimeTokens.mint(appId));
 
-  const helperScript = `\n<script id="${helperId}">\n(function () {\n  if (window._geaRuntimeInjected) return;\n  window._geaRuntimeInjected = true;\n  \n  const defaultModel = ${encodedModel};\n  const appId = ${encodedAppId};\n  \n  // AI Helper\n  async function callRuntimeLLM(prompt, options = {}) {\n    if (!prompt || typeof prompt !== "string") {\n      throw new Error("Prompt must be a non-empty string");\n    }\n    const model = typeof options.model === 'string' && options.model.trim() ? options.model.trim() : defaultModel;\n    const response = await fetch('/api/runtime/llm', {\n      method: 'POST',\n      headers: { 'Content-Type': 'application/json' },\n      body: JSON.stringify({ prompt, model }),\n      signal: options.signal\n    });\n    if (!response.ok) {\n      const error = await response.json().catch(() => ({}));\n      throw new Error(error && error.error ? error.error : 'Runtime LLM request failed');\n    }\n    const data = await response.json().catch(() => ({}));\n    return data && data.response ? data.response : '';\n  }\n  window.geaRuntimeLLM = callRuntimeLLM;\n\n  // Data Store Helper\n  window.geaRuntimeStore = {\n    async get(key) {\n      const response = await fetch('/api/runtime/store/' + encodeURIComponent(key), {\n        headers: { 'X-App-ID': appId }\n      });\n      if (!response.ok) return null;\n      return await response.json().catch(() => null);\n    },\n    async set(key, value) {\n      const response = await fetch('/api/runtime/store/' + encodeURIComponent(key), {\n        method: 'POST',\n        headers: { 'Content-Type': 'application/json', 'X-App-ID': appId },\n        body: JSON.stringify(value)\n      });\n      return response.ok;\n    }\n  };\n})();\n</script>`;
+  const helperScript = `\n<script id="${helperId}">\n(function () {\n  if (window._geaRuntimeInjected) return;\n  window._geaRuntimeInjected = true;\n  \n  const defaultModel = ${encodedModel};\n  const runtimeToken = ${encodedToken};\n  \n  // AI Helper\n  async function callRuntimeLLM(prompt, options = {}) {\n    if (!prompt || typeof prompt !== "string") {\n      throw new Error("Prompt must be a non-empty string");\n    }\n    const model = typeof options.model === 'string' && options.model.trim() ? options.model.trim() : defaultModel;\n    const response = await fetch('/api/runtime/llm', {\n      method: 'POST',\n      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + runtimeToken },\n      body: JSON.stringify({ prompt, model }),\n      signal: options.signal\n    });\n    if (!response.ok) {\n      const error = await response.json().catch(() => ({}));\n      throw new Error(error && error.error ? error.error : 'Runtime LLM request failed');\n    }\n    const data = await response.json().catch(() => ({}));\n    return data && data.response ? data.response : '';\n  }\n  window.geaRuntimeLLM = callRuntimeLLM;\n\n  // Data Store Helper\n  async function runtimeRequest(path, options = {}) {\n    const response = await fetch(path, {\n      ...options,\n      headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + runtimeToken }\n    });\n    const data = await response.json().catch(() => null);\n    if (!response.ok) {\n      const error = new Error(data && data.error ? data.error : 'Runtime request failed');\n      error.code = data && data.code;\n      error.version = data && data.version;\n      throw error;\n    }\n    return data;\n  }\n  const storeRequest = (path, options) => runtimeRequest('/api/runtime/store' + path, options);\n  const keyPath = (key) => '/' + encodeURIComponent(key);\n  const versionQuery = (options) => options && Number.isInteger(options.version) ? '?version=' + options.version : '';\n\n  window.geaRuntimeStore = {\n    async get(key) {\n      return storeRequest(keyPath(key)).catch(() => null);\n    },\n    async set(key, value) {\n      return storeRequest(keyPath(key), { method: 'POST', body: JSON.stringify(value) }).then(() => true, () => false);\n    },\n    // { value, version } - pass the version to update/delete to detect concurrent changes\n    async getEntry(key) {\n      return storeRequest(keyPath(key) + '?meta=1');\n    },\n    // [{ key, version, size, updatedAt, value? }] for keys starting with prefix\n    async list(prefix = '', options = {}) {\n      const query = '?prefix=' + encodeURIComponent(prefix) + (options.values ? '&values=1' : '');\n      return (await storeRequest(query)).entries;\n    },\n    async delete(key, options = {}) {\n      return (await storeRequest(keyPath(key) + versionQuery(options), { method: 'DELETE' })).deleted;\n    },\n    // Merges patch into an object value; rejects with code STORE_VERSION_CONFLICT if options.version is stale\n    async update(key, patch, options = {}) {\n      return storeRequest(keyPath(key), { method: 'PATCH', body: JSON.stringify({ patch, version: options.version }) });\n    },\n    async append(key, item) {\n      return storeRequest(keyPath(key) + '/append', { method: 'POST', body: JSON.stringify({ item }) });\n    }\n  };\n\n  // Database Helper\n  const dbRequest = (name, action, body) => runtimeRequest('/api/runtime/db/' + encodeURIComponent(name) + '/' + action, {\n    method: 'POST',\n    body: JSON.stringify(body)\n  });\n\n  window.geaRuntimeDB = {\n    collection(name) {\n      return {\n        async insert(docs) {\n          const data = await dbRequest(name, 'insert', Array.isArray(docs) ? { docs } : { doc: docs });\n          return Array.isArray(docs) ? data.docs : data.doc;\n        },\n        // options: { sort: { field: 1 | -1 }, skip, limit }\n        async find(filter = {}, options = {}) {\n          return (await dbRequest(name, 'find', { filter, ...options })).docs;\n        },\n        async findOne(filter = {}, options = {}) {\n          return (await dbRequest(name, 'find', { filter, ...options, skip: 0, limit: 1 })).docs[0] || null;\n        },\n        async get(id) {\n          return (await dbRequest(name, 'find', { filter: String(id), limit: 1 })).docs[0] || null;\n        },\n        async count(filter = {}) {\n          return (await dbRequest(name, 'count', { filter })).count;\n        },\n        async update(filter, patch) {\n          return (await dbRequest(name, 'update', { filter, patch })).updated;\n        },\n        async remove(filter) {\n          return (await dbRequest(name, 'remove', { filter })).removed;\n        }\n      };\n    },\n    // [{ name, count }]\n    async collections() {\n      return (await runtimeRequest('/api/runtime/db')).collections;\n    }\n  };\n})();\n</script>`;
 
   if (existing) {
     return html.replace(/<script id="gea-runtime-helper">[\s\S]*?<\/script>/i, helperScript);
@@ -576,6 +673,21 @@ function injectRuntimeHelpers(html, runtimeModel, appId = "default") {
   return `${html}${helperScript}`;
 }
 
+// Swap the token baked into a saved page's runtime helper for a fresh one, so
+// pages stored longer than the token lifetime still work when opened again
+function refreshRuntimeToken(html, appId) {
+  validateAppId(appId);
+  return html.replace(
+    /(<script id="gea-runtime-helper">[\s\S]*?const runtimeToken = )"[^"]*"/,
+    (m, prefix) => `${prefix}${JSON.stringify(runtimeTokens.mint(appId))}`
+  );
+}
+
+// Store namespace of a saved run's pages: DS-Star runs get their own, legacy runs share "default"
+function runAppId(runId) {
+  return DSSTAR_RUN_ID.test(runId) ? runId : "default";
+}
+
 function trimHtmlForPrompt(html, maxLength = MAX_HTML_CONTEXT_CHARS) {
   if (!html) return "";
   if (html.length <= maxLength) return html;
@@ -587,7 +699,7 @@ async function requestPlan(
   prompt,
   extraDirections = "",
   modelName = PLANNER_MODEL,
-  { maxAttempts = 2, tier = "standard", availableModels = [] } = {}
+  { maxAttempts = 2, tier = "standard", availableModels = [], onToken, signal } = {}
 ) {
   let lastRaw = "";
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -596,7 +708,11 @@ async function requestPlan(
       attempt > 1
         ? `${extraDirections ? `${extraDirections}\n\n` : ""}Previous attempt returned invalid JSON. Respond with ONLY valid JSON matching the schema. No prose, no markdown.`
         : extraDirections;
-    const raw = await callLLM(modelName, buildPlannerPrompt(prompt, guidance, tier, availableModels));
+    const raw = await callLLM(modelName, buildPlannerPrompt(prompt, guidance, tier, availableModels), {
+      role: "planner",
+      onToken,
+      signal,
+    });
     lastRaw = raw;
     try {
       const plan = tryParseJson(raw);
@@ -621,115 +737,64 @@ async function requestHtml(
   plan,
   extraDirections = "",
   coderModel = CODER_MODEL,
-  runtimeModel = RUNTIME_MODEL
+  runtimeModel = RUNTIME_MODEL,
+  { signal } = {}
 ) {
   const codeStart = Date.now();
 
-  // Load libraries from JSON file
+  // Load libraries from JSON file and offer only those the plan needs
   const libs = await loadLibraries();
-  const librariesText = formatLibrariesForPrompt(libs);
+  const librarySelection = selectLibraries(plan, libs);
+  const librariesText = formatLibrariesForPrompt(libs, librarySelection);
 
-  let html = await callLLM(coderModel, buildCoderPrompt(prompt, plan, extraDirections, librariesText));
+  let html = await callLLM(coderModel, buildCoderPrompt(prompt, plan, extraDirections, librariesText), {
+    role: "coder",
+    signal,
+  });
   html = ensureCspMeta(html);
 
-  const unsafeReason = checkUnsafeHtml(html);
-  if (unsafeReason) {
-    throw new UnsafeHtmlError(unsafeReason);
+  const scan = checkUnsafeHtml(html);
+  if (!scan.passed) {
+    throw new UnsafeHtmlError(scan.violations);
   }
 
   html = injectRuntimeHelpers(html, runtimeModel);
   const durationMs = Date.now() - codeStart;
-  return { html, durationMs, model: coderModel };
+  return { html, durationMs, model: coderModel, libraries: librarySelection };
 }
 
 async function generateHtmlWithRetries(
   prompt,
   plan,
-  { maxAttempts = 2, coderModel = CODER_MODEL, runtimeModel = RUNTIME_MODEL } = {}
+  { maxAttempts = 2, coderModel = CODER_MODEL, runtimeModel = RUNTIME_MODEL, signal } = {}
 ) {
   let lastReason = "";
+  let lastViolations = [];
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     const extraDirections =
       attempt > 1 && lastReason
         ? `Previous attempt was rejected because: ${lastReason}. Remove any forbidden APIs (fetch/XMLHttpRequest/WebSocket/meta refresh) and only call the runtime helper window.geaRuntimeLLM when you need AI.`
         : "";
     try {
-      return await requestHtml(prompt, plan, extraDirections, coderModel, runtimeModel);
+      return await requestHtml(prompt, plan, extraDirections, coderModel, runtimeModel, { signal });
     } catch (err) {
       if (err.code === "UNSAFE_HTML" && attempt < maxAttempts) {
         lastReason = err.message;
+        lastViolations = err.violations;
         continue;
       }
       throw err;
     }
   }
-  throw new UnsafeHtmlError(lastReason || "Generated HTML rejected due to forbidden patterns.");
+  throw new UnsafeHtmlError(lastViolations);
 }
 
+// Scan generated HTML with the security policy (the same scan as the DS-Star gate)
 function checkUnsafeHtml(html) {
-  // Patterns that are ALWAYS forbidden
-  const checks = [
-    {
-      label: "iframe",
-      re: /<\s*iframe\b/i,
-      help: "Use div containers instead"
-    },
-    {
-      label: "object",
-      re: /<\s*object\b/i,
-      help: "Use img or svg elements instead"
-    },
-    {
-      label: "embed",
-      re: /<\s*embed\b/i,
-      help: "Use native HTML elements instead"
-    },
-    {
-      label: "fetch",
-      re: /\bfetch\s*\(/i,
-      help: "Use window.geaRuntimeLLM for AI or window.geaRuntimeStore for storage - these are the ONLY allowed network calls"
-    },
-    {
-      label: "XMLHttpRequest",
-      re: /XMLHttpRequest/i,
-      help: "Use window.geaRuntimeLLM for AI or window.geaRuntimeStore for storage instead"
-    },
-    {
-      label: "axios",
-      re: /\baxios\b/i,
-      help: "Use window.geaRuntimeLLM for AI or window.geaRuntimeStore for storage instead"
-    },
-    {
-      label: "WebSocket",
-      re: /WebSocket/i,
-      help: "Real-time connections are not allowed"
-    },
-    {
-      label: "meta refresh",
-      re: /<meta[^>]+http-equiv\s*=\s*["']?refresh/i,
-      help: "Use JavaScript navigation instead"
-    },
-    {
-      label: "window.location assignment",
-      re: /window\.location\s*=/i,
-      help: "Page navigation is not allowed"
-    },
-    {
-      label: "document.location assignment",
-      re: /document\.location\s*=/i,
-      help: "Page navigation is not allowed"
-    },
-  ];
-
-  for (const check of checks) {
-    if (check.re.test(html)) {
-      return `Forbidden: ${check.label}. ${check.help}`;
-    }
-  }
-  return null;
+  return scanForSecurityViolations(html, { allowedScripts: allowedScriptSources(), policy: securityPolicy() });
 }
 
-async function saveRun({ prompt, plan, html, durations, models, timestamp }) {
+async function saveRun({ prompt, plan, html, durations, models, libraries, timestamp }) {
   const runId = timestamp || timestampId();
   const runDir = path.join(RUNS_DIR, runId);
   await fs.mkdir(runDir, { recursive: true });
@@ -750,6 +815,7 @@ async function saveRun({ prompt, plan, html, durations, models, timestamp }) {
             runtime: RUNTIME_MODEL,
           },
         durations_ms: durations,
+        libraries: libraries || null,
       },
       null,
       2
@@ -765,33 +831,44 @@ app.get("/api/health", (req, res) => {
 });
 
 app.get("/api/config", async (req, res) => {
-  // Fetch models from Groq API if using Groq provider
-  let availableModels = AVAILABLE_MODELS;
-  if (LLM_PROVIDER === "groq") {
-    const groqModels = await fetchGroqModels();
-    if (groqModels.length > 0) {
-      availableModels = groqModels;
-    }
-  }
+  // Ask the configured providers for their models, fall back to MODEL_OPTIONS
+  const providerModels = await llmClient.listModels();
+  const availableModels = providerModels.length > 0 ? providerModels : AVAILABLE_MODELS;
 
   res.json({
     provider: LLM_PROVIDER,
+    providers: llmClient.describe(),
     models: {
       planner: PLANNER_MODEL,
       coder: CODER_MODEL,
       runtime: RUNTIME_MODEL,
     },
     available_models: availableModels,
+    libraryMirror: mirrorStatus(),
   });
 });
 
-app.post("/api/runtime/llm", async (req, res) => {
+function mirrorStatus() {
+  const mirror = activeMirror();
+  if (!mirror) return { enabled: false };
+  return {
+    enabled: true,
+    generatedAt: mirror.generatedAt,
+    files: Object.keys(mirror.entries).length,
+    failed: mirror.failed.length,
+  };
+}
+
+// /api/runtime/* answers only pages carrying a valid token; req.runtimeApp is the app it was minted for
+const requireRuntimeToken = createTokenMiddleware(runtimeTokens);
+
+app.post("/api/runtime/llm", requireRuntimeToken, async (req, res) => {
   const prompt = String(req.body && req.body.prompt ? req.body.prompt : "").trim();
   if (!prompt) return res.status(400).json({ error: "Prompt is required." });
   const requestedModel = resolveModelName(req.body && req.body.model, RUNTIME_MODEL);
 
   try {
-    const response = await callLLM(requestedModel, prompt);
+    const response = await callLLM(requestedModel, prompt, { role: "runtime" });
     res.json({ response, model: requestedModel });
   } catch (err) {
     res.status(500).json({ error: err.message || "Runtime LLM failed." });
@@ -799,74 +876,268 @@ app.post("/api/runtime/llm", async (req, res) => {
 });
 
 // Data Store API
-app.get("/api/runtime/store/:key", async (req, res) => {
-  const { key } = req.params;
-  const appId = req.headers["x-app-id"] || "default";
-  if (!key) return res.status(400).json({ error: "Key is required" });
+// Store and database errors caused by the request (bad key, query, app ID or size) answer 4xx; anything else is a server fault
+const STORE_ERROR_STATUS = {
+  INVALID_STORE_KEY: 400,
+  INVALID_APP_ID: 400,
+  STORE_PATH_ESCAPE: 400,
+  INVALID_STORE_VERSION: 400,
+  STORE_VALUE_TOO_LARGE: 413,
+  STORE_QUOTA_EXCEEDED: 413,
+  STORE_VERSION_CONFLICT: 409,
+  STORE_TYPE_MISMATCH: 409,
+  INVALID_COLLECTION: 400,
+  INVALID_DB_QUERY: 400,
+  INVALID_DB_DOCUMENT: 400,
+  DB_PATH_ESCAPE: 400,
+  DB_DOCUMENT_TOO_LARGE: 413,
+  DB_QUOTA_EXCEEDED: 413,
+};
+
+function sendStoreError(res, err, fallback) {
+  const status = STORE_ERROR_STATUS[err.code];
+  if (status) return res.status(status).json({ error: err.message, code: err.code, version: err.version });
+  console.error("[Store] Error:", err);
+  res.status(500).json({ error: fallback });
+}
 
+// Keys of the app, optionally filtered by ?prefix= (?values=1 adds each value)
+app.get("/api/runtime/store", requireRuntimeToken, async (req, res) => {
   try {
-    const baseDir = appId === "default" ? DATA_STORE_DIR : path.join(DATA_STORE_DIR, "apps", appId);
-    const filePath = path.join(baseDir, `${key}.json`);
-    const data = await fs.readFile(filePath, "utf8");
-    res.json(JSON.parse(data));
+    const prefix = String(req.query.prefix || "");
+    res.json({ entries: await runtimeStore.list(req.runtimeApp, { prefix, values: req.query.values === "1" }) });
   } catch (err) {
-    if (err.code === "ENOENT") {
-      return res.json(null);
+    sendStoreError(res, err, "Failed to list the store");
+  }
+});
+
+// The stored value, or { value, version } with ?meta=1
+app.get("/api/runtime/store/:key", requireRuntimeToken, async (req, res) => {
+  try {
+    if (req.query.meta === "1") {
+      const { value, version } = await runtimeStore.getEntry(req.runtimeApp, req.params.key);
+      return res.json({ value, version });
     }
-    res.status(500).json({ error: "Failed to read from store" });
+    res.json(await runtimeStore.get(req.runtimeApp, req.params.key));
+  } catch (err) {
+    sendStoreError(res, err, "Failed to read from store");
+  }
+});
+
+app.post("/api/runtime/store/:key", requireRuntimeToken, async (req, res) => {
+  try {
+    const { version } = await runtimeStore.set(req.runtimeApp, req.params.key, req.body);
+    res.json({ success: true, version });
+  } catch (err) {
+    sendStoreError(res, err, "Failed to save to store");
+  }
+});
+
+// { patch, version? } => { value, version }; 409 if version is stale
+app.patch("/api/runtime/store/:key", requireRuntimeToken, async (req, res) => {
+  try {
+    const { patch, version } = req.body || {};
+    res.json(await runtimeStore.update(req.runtimeApp, req.params.key, patch, { version }));
+  } catch (err) {
+    sendStoreError(res, err, "Failed to update the store");
   }
 });
 
-app.post("/api/runtime/store/:key", async (req, res) => {
-  const { key } = req.params;
-  const appId = req.headers["x-app-id"] || "default";
-  const data = req.body;
-  if (!key) return res.status(400).json({ error: "Key is required" });
+// { item } => { length, version }
+app.post("/api/runtime/store/:key/append", requireRuntimeToken, async (req, res) => {
+  try {
+    res.json(await runtimeStore.append(req.runtimeApp, req.params.key, (req.body || {}).item));
+  } catch (err) {
+    sendStoreError(res, err, "Failed to append to the store");
+  }
+});
 
+// ?version= only deletes if the key is still at that version
+app.delete("/api/runtime/store/:key", requireRuntimeToken, async (req, res) => {
   try {
-    const baseDir = appId === "default" ? DATA_STORE_DIR : path.join(DATA_STORE_DIR, "apps", appId);
-    await fs.mkdir(baseDir, { recursive: true });
-    const filePath = path.join(baseDir, `${key}.json`);
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), "utf8");
-    res.json({ success: true });
+    const version = req.query.version !== undefined ? Number(req.query.version) : undefined;
+    res.json(await runtimeStore.remove(req.runtimeApp, req.params.key, { version }));
   } catch (err) {
-    console.error("[Store] Save failed:", err);
-    res.status(500).json({ error: "Failed to save to store" });
+    sendStoreError(res, err, "Failed to delete from store");
+  }
+});
+
+// Database API (document collections of the app, see runtime/db.js)
+app.get("/api/runtime/db", requireRuntimeToken, async (req, res) => {
+  try {
+    res.json({ collections: await runtimeDB.collections(req.runtimeApp) });
+  } catch (err) {
+    sendStoreError(res, err, "Failed to list collections");
+  }
+});
+
+// { doc } => { doc }, or { docs } => { docs }
+app.post("/api/runtime/db/:collection/insert", requireRuntimeToken, async (req, res) => {
+  try {
+    const { doc, docs } = req.body || {};
+    const inserted = await runtimeDB.insert(req.runtimeApp, req.params.collection, docs !== undefined ? docs : doc);
+    res.json(docs !== undefined ? { docs: inserted } : { doc: inserted });
+  } catch (err) {
+    sendStoreError(res, err, "Failed to insert into the database");
+  }
+});
+
+// { filter, sort, skip, limit } => { docs }
+app.post("/api/runtime/db/:collection/find", requireRuntimeToken, async (req, res) => {
+  try {
+    const { filter, sort, skip, limit } = req.body || {};
+    res.json({ docs: await runtimeDB.find(req.runtimeApp, req.params.collection, filter, { sort, skip, limit }) });
+  } catch (err) {
+    sendStoreError(res, err, "Failed to query the database");
+  }
+});
+
+app.post("/api/runtime/db/:collection/count", requireRuntimeToken, async (req, res) => {
+  try {
+    res.json({ count: await runtimeDB.count(req.runtimeApp, req.params.collection, (req.body || {}).filter) });
+  } catch (err) {
+    sendStoreError(res, err, "Failed to query the database");
+  }
+});
+
+// { filter, patch } => { updated }
+app.post("/api/runtime/db/:collection/update", requireRuntimeToken, async (req, res) => {
+  try {
+    const { filter, patch } = req.body || {};
+    res.json(await runtimeDB.update(req.runtimeApp, req.params.collection, filter, patch));
+  } catch (err) {
+    sendStoreError(res, err, "Failed to update the database");
+  }
+});
+
+// { filter } => { removed }
+app.post("/api/runtime/db/:collection/remove", requireRuntimeToken, async (req, res) => {
+  try {
+    res.json(await runtimeDB.remove(req.runtimeApp, req.params.collection, (req.body || {}).filter));
+  } catch (err) {
+    sendStoreError(res, err, "Failed to remove from the database");
   }
 });
 
 // Deployment Serving API
+async function deploymentRuntimeModel(appDir) {
+  try {
+    const summary = JSON.parse(await fs.readFile(path.join(appDir, "summary.json"), "utf8"));
+    return summary.runtimeModel || RUNTIME_MODEL;
+  } catch (e) {
+    return RUNTIME_MODEL;
+  }
+}
+
+// Directory of a deployed app, or null when the name is not a valid app ID or nothing is
+// deployed under it. The name becomes the app's runtime token namespace, so check it first.
+async function deploymentDir(appName) {
+  try {
+    validateAppId(appName);
+  } catch (err) {
+    return null;
+  }
+  const appDir = path.join(DEPLOYMENTS_DIR, appName);
+  const stat = await fs.stat(appDir).catch(() => null);
+  return stat && stat.isDirectory() ? appDir : null;
+}
+
 app.get("/app/:appName", async (req, res) => {
   const { appName } = req.params;
+  if (!DEPLOYMENT_SLUG.test(appName)) return res.status(404).send("App not found");
   try {
-    const appDir = path.join(DEPLOYMENTS_DIR, appName);
-    const htmlPath = path.join(appDir, "final.html");
-    const summaryPath = path.join(appDir, "summary.json");
+    const appDir = await deploymentDir(appName);
+    if (!appDir) return res.status(404).send("App not found");
+    const saved = await readBundle(appDir);
 
-    let html = await fs.readFile(htmlPath, "utf8");
+    // Multi-page apps link pages relatively, so serve them from /app/:appName/
+    if (saved && !req.path.endsWith("/")) {
+      return res.redirect(`/app/${encodeURIComponent(appName)}/`);
+    }
 
-    // Try to get the runtime model from summary
-    let runtimeModel = RUNTIME_MODEL;
-    try {
-      const summary = JSON.parse(await fs.readFile(summaryPath, "utf8"));
-      runtimeModel = summary.runtimeModel || RUNTIME_MODEL;
-    } catch (e) { /* fallback */ }
+    let html = saved
+      ? renderBundlePage(saved.bundle, saved.bundle.pages[0])
+      : await fs.readFile(path.join(appDir, "final.html"), "utf8");
 
     // Re-inject with deployment name as appId
-    html = injectRuntimeHelpers(html, runtimeModel, appName);
+    html = injectRuntimeHelpers(ensureCspMeta(html), await deploymentRuntimeModel(appDir), appName);
 
-    res.send(html);
+    sendGeneratedPage(res, html, activeCsp());
   } catch (err) {
     res.status(404).send("App not found");
   }
 });
 
+// One page of a multi-page app (`/app/name/settings` or `/app/name/settings.html`)
+app.get("/app/:appName/:page", async (req, res) => {
+  const { appName } = req.params;
+  const page = String(req.params.page || "");
+  if (!DEPLOYMENT_SLUG.test(appName)) return res.status(404).send("App not found");
+  try {
+    const appDir = await deploymentDir(appName);
+    if (!appDir) return res.status(404).send("App not found");
+    const saved = await readBundle(appDir);
+    if (!saved) return res.status(404).send("Page not found");
+
+    const file = page.endsWith(".html") ? page : `${page}.html`;
+    let html = renderBundlePage(saved.bundle, file);
+    if (!html) return res.status(404).send("Page not found");
+
+    html = injectRuntimeHelpers(ensureCspMeta(html), await deploymentRuntimeModel(appDir), appName);
+    sendGeneratedPage(res, html, activeCsp());
+  } catch (err) {
+    res.status(404).send("App not found");
+  }
+});
+
+// Screenshot the deployed app and compare it with the deployment's baseline.
+// The first deploy (or updateBaseline) makes the new screenshots the baseline.
+async function runVisualRegression(deployDir, { updateBaseline = false, signal } = {}) {
+  const saved = await readBundle(deployDir);
+  const pages = saved
+    ? saved.bundle.pages.map((file) => ({ name: file.replace(/\.html$/i, ""), html: renderBundlePage(saved.bundle, file) }))
+    : [{ name: "index", html: await fs.readFile(path.join(deployDir, "final.html"), "utf8") }];
+
+  const currentDir = path.join(deployDir, "screenshots", "current");
+  const baselineDir = path.join(deployDir, "screenshots", "baseline");
+  const capture = await captureAppScreenshots(pages, currentDir, { signal });
+  if (capture.skipped) return { status: "skipped", reason: capture.skipped, checkedAt: new Date().toISOString() };
+  // A cancelled check leaves the baseline and the last report alone
+  if (capture.cancelled) return { status: "cancelled", cancelled: true, checkedAt: new Date().toISOString() };
+
+  const hasBaseline = (await fs.readdir(baselineDir).catch(() => [])).length > 0;
+  let report;
+  if (!hasBaseline) {
+    report = { status: "baseline_created", threshold: VISUAL_DIFF_THRESHOLD, comparisons: [], added: [], removed: [] };
+  } else {
+    report = await compareScreenshotDirs(baselineDir, currentDir, {
+      threshold: VISUAL_DIFF_THRESHOLD,
+      diffDir: path.join(deployDir, "screenshots", "diff"),
+      signal,
+    });
+    if (report.cancelled) return { status: "cancelled", cancelled: true, checkedAt: new Date().toISOString() };
+  }
+
+  if (!hasBaseline || updateBaseline) {
+    await fs.rm(baselineDir, { recursive: true, force: true });
+    await fs.cp(currentDir, baselineDir, { recursive: true });
+    report.baselineUpdated = true;
+  }
+  report.checkedAt = new Date().toISOString();
+  await fs.writeFile(path.join(deployDir, "visual_regression.json"), JSON.stringify(report, null, 2));
+  return report;
+}
+
+// Screenshots launch Chromium, so they wait their turn with the other browser jobs
+jobQueue.register("visualRegression", ({ slug, updateBaseline }, { signal }) =>
+  runVisualRegression(path.join(DEPLOYMENTS_DIR, slug), { updateBaseline, signal }));
+
 app.post("/api/deploy/:runId", async (req, res) => {
   const { runId } = req.params;
-  const { appName } = req.body;
+  const { appName, updateBaseline } = req.body;
   if (!appName) return res.status(400).json({ error: "App name is required" });
 
-  const slug = appName.toLowerCase().replace(/[^a-z0-p-]/g, "-");
+  const slug = String(appName).toLowerCase().replace(/[^a-z0-9-]/g, "-");
 
   try {
     const runDir = path.join(RUNS_DIR, runId);
@@ -878,6 +1149,14 @@ app.post("/api/deploy/:runId", async (req, res) => {
     await fs.copyFile(path.join(runDir, "final.html"), path.join(deployDir, "final.html"));
     await fs.copyFile(path.join(runDir, "summary.json"), path.join(deployDir, "summary.json"));
 
+    // Multi-page runs also carry their page bundle
+    await fs.rm(path.join(deployDir, "app"), { recursive: true, force: true });
+    await fs.rm(path.join(deployDir, "bundle.json"), { force: true });
+    if (await readBundle(runDir)) {
+      await fs.cp(path.join(runDir, "app"), path.join(deployDir, "app"), { recursive: true });
+      await fs.copyFile(path.join(runDir, "bundle.json"), path.join(deployDir, "bundle.json"));
+    }
+
     // Save deployment metadata
     const metadata = {
       runId,
@@ -887,7 +1166,20 @@ app.post("/api/deploy/:runId", async (req, res) => {
     };
     await fs.writeFile(path.join(deployDir, "metadata.json"), JSON.stringify(metadata, null, 2));
 
-    res.json({ success: true, url: `/app/${slug}`, slug });
+    const job = jobQueue.enqueue("visualRegression", { slug, updateBaseline: updateBaseline === true });
+    res.on("close", () => {
+      if (!res.writableEnded) jobQueue.cancel(job.id, "client disconnected");
+    });
+
+    let visualRegression;
+    try {
+      visualRegression = await jobQueue.wait(job.id);
+    } catch (err) {
+      console.warn(`[Deploy] Visual regression check failed: ${err.message}`);
+      visualRegression = { status: "error", error: err.message };
+    }
+
+    res.json({ success: true, url: `/app/${slug}`, slug, visualRegression });
   } catch (err) {
     console.error("[Deploy] Failed:", err);
     res.status(500).json({ error: "Failed to deploy app: " + err.message });
@@ -905,6 +1197,13 @@ app.get("/", async (req, res) => {
 
 app.use(express.static(path.join(__dirname, "public")));
 
+// Offline library mirror. Sandboxed (null-origin) apps may load these with SRI, which needs CORS.
+app.use("/vendor", express.static(MIRROR_DIR, {
+  maxAge: "1d",
+  setHeaders: (res) => res.setHeader("Access-Control-Allow-Origin", "*"),
+}));
+app.use("/vendor", (req, res) => res.status(404).send("Not found"));
+
 app.get("/api/runs", async (req, res) => {
   try {
     const entries = await fs.readdir(RUNS_DIR, { withFileTypes: true }).catch(() => []);
@@ -1008,7 +1307,7 @@ app.get("/api/run/:timestamp", async (req, res) => {
       timestamp,
       prompt,
       plan,
-      html,
+      html: refreshRuntimeToken(html, runAppId(timestamp)),
       meta,
       summary,
       isDSStarRun,
@@ -1031,7 +1330,9 @@ app.post("/api/enhance", async (req, res) => {
 
   try {
     const enhanceStart = Date.now();
-    const enhancedPrompt = await callLLM(enhancerModel, buildEnhancerPrompt(prompt, attachedData));
+    const enhancedPrompt = await callLLM(enhancerModel, buildEnhancerPrompt(prompt, attachedData), {
+      role: "planner",
+    });
     const durationMs = Date.now() - enhanceStart;
 
     res.json({
@@ -1074,7 +1375,7 @@ app.post("/api/generate", async (req, res) => {
   const runtimeModel = resolveModelName(req.body && req.body.runtime_model, RUNTIME_MODEL);
 
   try {
-    const { html, durationMs: codeMs } = await generateHtmlWithRetries(prompt, plan, {
+    const { html, durationMs: codeMs, libraries } = await generateHtmlWithRetries(prompt, plan, {
       maxAttempts: 2,
       coderModel,
       runtimeModel,
@@ -1088,13 +1389,13 @@ app.post("/api/generate", async (req, res) => {
         total: planMs != null ? planMs + codeMs : codeMs,
       };
       const models = { planner: plannerModel, coder: coderModel, runtime: runtimeModel };
-      timestamp = await saveRun({ prompt, plan, html, durations, models });
+      timestamp = await saveRun({ prompt, plan, html, durations, models, libraries });
     }
 
     res.json({ html, timestamp });
   } catch (err) {
     if (err.code === "UNSAFE_HTML") {
-      return res.status(400).json({ error: err.message });
+      return res.status(400).json({ error: err.message, violations: err.violations });
     }
     res.status(500).json({ error: err.message || "Code generation failed." });
   }
@@ -1153,7 +1454,7 @@ app.post("/api/iterate", async (req, res) => {
     : `Iteration request:\n${changesPrompt}`;
 
   try {
-    const { html: newHtml, durationMs: codeMs } = await generateHtmlWithRetries(
+    const { html: newHtml, durationMs: codeMs, libraries } = await generateHtmlWithRetries(
       mergedPrompt,
       planResult.plan,
       {
@@ -1178,6 +1479,7 @@ app.post("/api/iterate", async (req, res) => {
       html: newHtml,
       durations,
       models,
+      libraries,
     });
 
     return res.json({
@@ -1189,20 +1491,14 @@ app.post("/api/iterate", async (req, res) => {
     });
   } catch (err) {
     if (err.code === "UNSAFE_HTML") {
-      return res.status(400).json({ error: err.message });
+      return res.status(400).json({ error: err.message, violations: err.violations });
     }
     return res.status(500).json({ error: err.message || "Iteration failed." });
   }
 });
 
-app.post("/api/pipeline", async (req, res) => {
-  const prompt = String(req.body && req.body.prompt ? req.body.prompt : "").trim();
-  if (!prompt) return res.status(400).json({ error: "Prompt is required." });
-
-  const plannerModel = resolveModelName(req.body && req.body.planner_model, PLANNER_MODEL);
-  const coderModel = resolveModelName(req.body && req.body.coder_model, CODER_MODEL);
-  const runtimeModel = resolveModelName(req.body && req.body.runtime_model, RUNTIME_MODEL);
-
+// Plan + code, re-planning once if the coder keeps producing unsafe HTML
+async function runPipeline({ prompt, plannerModel, coderModel, runtimeModel }, { signal } = {}) {
   const startedAt = Date.now();
   const MAX_PLAN_ATTEMPTS = 2;
   let lastUnsafeReason = "";
@@ -1213,21 +1509,14 @@ app.post("/api/pipeline", async (req, res) => {
         ? `Previous pipeline attempt failed because: ${lastUnsafeReason}. Revise the plan to avoid features requiring forbidden APIs (fetch/XMLHttpRequest/WebSocket/meta refresh) and make sure any AI requests go through window.geaRuntimeLLM.`
         : "";
 
-    let planResult;
-    try {
-      planResult = await requestPlan(prompt, extraDirections, plannerModel);
-    } catch (err) {
-      if (err.code === "INVALID_PLAN") {
-        return res.status(500).json({ error: err.message, raw: err.raw });
-      }
-      return res.status(500).json({ error: err.message || "Planner failed." });
-    }
+    const planResult = await requestPlan(prompt, extraDirections, plannerModel, { signal });
 
     try {
-      const { html, durationMs: codeMs } = await generateHtmlWithRetries(prompt, planResult.plan, {
+      const { html, durationMs: codeMs, libraries } = await generateHtmlWithRetries(prompt, planResult.plan, {
         maxAttempts: 2,
         coderModel,
         runtimeModel,
+        signal,
       });
       const totalMs = Date.now() - startedAt;
       const models = {
@@ -1241,20 +1530,53 @@ app.post("/api/pipeline", async (req, res) => {
         html,
         durations: { planner: planResult.durationMs, coder: codeMs, total: totalMs },
         models,
+        libraries,
       });
 
-      return res.json({ plan: planResult.plan, html, timestamp, models });
+      return { plan: planResult.plan, html, timestamp, models };
     } catch (err) {
-      if (err.code === "UNSAFE_HTML") {
+      if (err.code === "UNSAFE_HTML" && attempt < MAX_PLAN_ATTEMPTS) {
         lastUnsafeReason = err.message;
-        if (attempt === MAX_PLAN_ATTEMPTS) {
-          return res.status(400).json({ error: err.message });
-        }
         continue;
       }
-      return res.status(500).json({ error: err.message || "Pipeline failed." });
+      throw err;
     }
   }
+}
+
+// Not resumable: only the request that queued it receives the result, so re-running it after a restart
+// would spend LLM calls on a page nobody collects
+jobQueue.register("pipeline", (payload, { signal }) => runPipeline(payload, { signal }));
+
+app.post("/api/pipeline", async (req, res) => {
+  const prompt = String(req.body && req.body.prompt ? req.body.prompt : "").trim();
+  if (!prompt) return res.status(400).json({ error: "Prompt is required." });
+
+  const plannerModel = resolveModelName(req.body && req.body.planner_model, PLANNER_MODEL);
+  const coderModel = resolveModelName(req.body && req.body.coder_model, CODER_MODEL);
+  const runtimeModel = resolveModelName(req.body && req.body.runtime_model, RUNTIME_MODEL);
+
+  const job = jobQueue.enqueue("pipeline", { prompt, plannerModel, coderModel, runtimeModel }, {
+    meta: { prompt: prompt.slice(0, 120) },
+  });
+  // Only drop the job if it has not started; a started run still gets saved
+  res.on("close", () => {
+    if (!res.writableEnded && jobQueue.get(job.id)?.status === "queued") {
+      jobQueue.cancel(job.id, "client disconnected");
+    }
+  });
+
+  try {
+    return res.json(await jobQueue.wait(job.id));
+  } catch (err) {
+    if (err.code === "INVALID_PLAN") {
+      return res.status(500).json({ error: err.message, raw: err.raw });
+    }
+    if (err.code === "UNSAFE_HTML") {
+      return res.status(400).json({ error: err.message, violations: err.violations });
+    }
+    return res.status(500).json({ error: err.message || "Pipeline failed." });
+  }
 });
 
 app.get("/api/run/:timestamp/page.html", async (req, res) => {
@@ -1264,7 +1586,7 @@ app.get("/api/run/:timestamp/page.html", async (req, res) => {
   const filePath = path.join(RUNS_DIR, timestamp, "page.html");
   try {
     const html = await fs.readFile(filePath, "utf8");
-    res.type("html").send(html);
+    sendGeneratedPage(res, refreshRuntimeToken(html, runAppId(timestamp)));
   } catch (err) {
     res.status(404).send("Not found");
   }
@@ -1278,7 +1600,7 @@ app.get("/api/run/:timestamp/final.html", async (req, res) => {
   const filePath = path.join(RUNS_DIR, timestamp, "final.html");
   try {
     const html = await fs.readFile(filePath, "utf8");
-    res.type("html").send(html);
+    sendGeneratedPage(res, refreshRuntimeToken(html, runAppId(timestamp)));
   } catch (err) {
     res.status(404).send("Not found");
   }
@@ -1289,6 +1611,97 @@ app.get("/api/run/:timestamp/final.html", async (req, res) => {
 // Import DS-Star modules
 const { runDSStarPipeline } = require('./dsstar/orchestrator');
 const { runSmokeTests } = require('./tests/smokeTest');
+const { DEFAULT_DEVICES, resolveDevices } = require('./tests/responsive');
+
+// Device profiles for responsive smoke checks: names (phone, tablet, desktop) or WIDTHxHEIGHT
+const SMOKE_DEVICES = resolveDevices(
+  process.env.SMOKE_DEVICES ? process.env.SMOKE_DEVICES.split(",") : DEFAULT_DEVICES
+);
+const { registerRun, cancelRun, finishRun, listActiveRuns } = require('./dsstar/runRegistry');
+const { loadResumeState, summarizeIterations } = require('./dsstar/runState');
+const { loadRunArtifacts } = require('./dsstar/artifactStore');
+const { createSideBySideDiff } = require('./dsstar/patch');
+
+// Server helpers handed to the orchestrator
+const DSSTAR_DEPS = {
+  callLLM,
+  requestPlan,
+  requestHtml,
+  checkUnsafeHtml,
+  ensureCspMeta,
+  injectRuntimeHelpers,
+  loadLibraries,
+  formatLibrariesForPrompt,
+  allowedScriptSources,
+  securityPolicy,
+  activeCsp,
+  timestampId,
+  buildCoderPrompt
+};
+
+// Queued DS-Star runs. A resume job reloads the run's state when it starts.
+jobQueue.register('dsstar', async (payload, { signal, emit }) => {
+  const { runId } = payload;
+  const controller = registerRun(runId);
+  const onAbort = () => cancelRun(runId, signal.reason);
+  signal.addEventListener('abort', onAbort);
+
+  try {
+    let options = {
+      prompt: payload.prompt,
+      plannerModel: payload.plannerModel,
+      coderModel: payload.coderModel,
+      criticModel: payload.criticModel,
+      visionModel: VISION_MODEL || null,
+      availableModels: AVAILABLE_MODELS
+    };
+    if (payload.resume) {
+      const { config, state } = await loadResumeState(RUNS_DIR, runId);
+      const models = config?.models || {};
+      options = {
+        prompt: state.prompt,
+        plannerModel: models.planner,
+        coderModel: models.coder,
+        criticModel: models.critic,
+        visionModel: models.vision === undefined ? (VISION_MODEL || null) : models.vision,
+        availableModels: config?.availableModels || AVAILABLE_MODELS,
+        resumeState: state
+      };
+    }
+
+    return await runDSStarPipeline({
+      ...options,
+      maxIters: payload.maxIters,
+      runId,
+      signal: controller.signal,
+      runsDir: RUNS_DIR,
+      onProgress: emit,
+      streamTokens: true,
+      patchMode: PATCH_MODE,
+      smokeDevices: SMOKE_DEVICES,
+      a11yMode: A11Y_MODE,
+      deps: DSSTAR_DEPS
+    });
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+    finishRun(runId);
+  }
+}, { resumable: true });
+
+jobQueue.register('smoke', (payload, { signal }) => runSmokeTests(payload.html, payload.plan, { signal, devices: SMOKE_DEVICES, csp: activeCsp() }));
+
+// Queue a DS-Star run; closing the connection cancels it whether queued or running
+function enqueueDSStarJob(res, payload) {
+  const job = jobQueue.enqueue('dsstar', payload, { meta: { runId: payload.runId } });
+  res.on('close', () => {
+    if (!res.writableEnded) jobQueue.cancel(job.id, 'client disconnected');
+  });
+  return job;
+}
+
+function findQueuedDSStarJob(runId) {
+  return jobQueue.list().find(job => job.type === 'dsstar' && job.status === 'queued' && job.meta?.runId === runId);
+}
 
 // DS-Star iterative pipeline (non-streaming)
 app.post("/api/pipeline-dsstar", async (req, res) => {
@@ -1300,30 +1713,24 @@ app.post("/api/pipeline-dsstar", async (req, res) => {
   const models = req.body.models || {};
   const maxIters = Math.min(Math.max(Number(req.body.maxIters) || 8, 1), 10);
 
-  console.log(`[DS-Star] Starting pipeline with maxIters=${maxIters}`);
+  console.log(`[DS-Star] Queueing pipeline with maxIters=${maxIters}`);
 
-  try {
-    const result = await runDSStarPipeline({
-      prompt,
-      models,
-      maxIters,
-      runsDir: RUNS_DIR,
-      deps: {
-        callLLM,
-        requestPlan,
-        requestHtml,
-        checkUnsafeHtml,
-        ensureCspMeta,
-        injectRuntimeHelpers,
-        loadLibraries,
-        formatLibrariesForPrompt,
-        timestampId,
-        buildCoderPrompt
-      }
-    });
+  const runId = `dsstar_${timestampId()}`;
+  const job = enqueueDSStarJob(res, {
+    prompt,
+    plannerModel: models.planner,
+    coderModel: models.coder,
+    criticModel: models.critic,
+    maxIters,
+    runId
+  });
 
-    res.json(result);
+  try {
+    res.json(await jobQueue.wait(job.id));
   } catch (err) {
+    if (err.code === 'CANCELLED') {
+      return res.status(409).json({ error: err.message });
+    }
     console.error('[DS-Star] Pipeline error:', err);
     res.status(500).json({ error: err.message || "DS-Star pipeline failed" });
   }
@@ -1350,44 +1757,111 @@ app.get("/api/pipeline-dsstar-stream", async (req, res) => {
   res.flushHeaders();
 
   const sendProgress = (data) => {
+    if (res.writableEnded || res.destroyed) return;
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
-  console.log(`[DS-Star SSE] Starting pipeline with planner=${plannerModel}, coder=${coderModel}, critic=${criticModel}`);
+  console.log(`[DS-Star SSE] Queueing pipeline with planner=${plannerModel}, coder=${coderModel}, critic=${criticModel}`);
 
-  try {
-    const result = await runDSStarPipeline({
-      prompt,
-      plannerModel,
-      coderModel,
-      criticModel,
-      availableModels: AVAILABLE_MODELS,
-      maxIters,
-
-      runsDir: RUNS_DIR,
-      onProgress: sendProgress, // Progress callback
-      deps: {
-        callLLM,
-        requestPlan,
-        requestHtml,
-        checkUnsafeHtml,
-        ensureCspMeta,
-        injectRuntimeHelpers,
-        loadLibraries,
-        formatLibrariesForPrompt,
-        timestampId,
-        buildCoderPrompt
-      }
-    });
+  // Cancellable via POST /api/run/:runId/cancel or by closing the EventSource
+  const runId = `dsstar_${timestampId()}`;
+  const job = enqueueDSStarJob(res, { prompt, plannerModel, coderModel, criticModel, maxIters, runId });
 
+  // Queue position updates arrive as { type: 'queue', status, position }
+  const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+    sendProgress(event.type === 'queue' ? { ...event, runId } : event);
+  });
+  sendProgress({ type: 'queue', jobId: job.id, runId, status: job.status, position: job.position });
 
+  try {
+    const result = await jobQueue.wait(job.id);
     sendProgress({ type: 'complete', ...result });
     res.end();
   } catch (err) {
-    console.error('[DS-Star SSE] Pipeline error:', err);
-    sendProgress({ type: 'error', error: err.message });
+    if (err.code === 'CANCELLED') {
+      sendProgress({ type: 'stopped', reason: err.message });
+    } else {
+      console.error('[DS-Star SSE] Pipeline error:', err);
+      sendProgress({ type: 'error', error: err.message });
+    }
     res.end();
+  } finally {
+    unsubscribe();
+  }
+});
+
+// Resume an interrupted DS-Star run from its saved iteration folders
+app.post("/api/run/:runId/resume", async (req, res) => {
+  const runId = String(req.params.runId || "");
+  if (!/^dsstar_[\w-]+$/.test(runId)) {
+    return res.status(400).json({ error: "Invalid DS-Star run id" });
+  }
+  if (listActiveRuns().some(run => run.runId === runId) || findQueuedDSStarJob(runId)) {
+    return res.status(409).json({ error: "Run is still in progress" });
+  }
+
+  let config;
+  let state;
+  try {
+    ({ config, state } = await loadResumeState(RUNS_DIR, runId));
+  } catch (err) {
+    if (err.code === 'ENOENT') return res.status(404).json({ error: "Run not found" });
+    return res.status(500).json({ error: err.message || "Failed to load run" });
+  }
+
+  if (state.success) {
+    return res.status(409).json({ error: "Run already succeeded" });
+  }
+  if (!state.prompt) {
+    return res.status(422).json({ error: "Run has no saved prompt to resume from" });
+  }
+
+  // Remaining budget comes from the original maxIters unless the caller raises it
+  const maxIters = Math.min(Math.max(Number(req.body?.maxIters) || config?.maxIters || 8, 1), 10);
+  if (state.nextIteration > maxIters) {
+    return res.status(409).json({ error: `No iterations left (maxIters=${maxIters}). Pass a larger maxIters to continue.` });
   }
+
+  console.log(`[DS-Star] Queueing resume of ${runId} at iteration ${state.nextIteration}/${maxIters}`);
+
+  const job = enqueueDSStarJob(res, { resume: true, runId, maxIters });
+
+  try {
+    res.json(await jobQueue.wait(job.id));
+  } catch (err) {
+    if (err.code === 'CANCELLED') {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('[DS-Star] Resume error:', err);
+    res.status(500).json({ error: err.message || "DS-Star resume failed" });
+  }
+});
+
+// Queued and recent jobs (pipeline, dsstar, smoke)
+app.get("/api/jobs", (req, res) => {
+  res.json({ ...jobQueue.stats(), jobs: jobQueue.list() });
+});
+
+app.get("/api/jobs/:jobId", (req, res) => {
+  const job = jobQueue.get(String(req.params.jobId || ""));
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(job);
+});
+
+// Running DS-Star pipelines
+app.get("/api/runs/active", (req, res) => {
+  res.json({ runs: listActiveRuns() });
+});
+
+// Cancel a running DS-Star pipeline
+app.post("/api/run/:runId/cancel", (req, res) => {
+  const runId = String(req.params.runId || "");
+  const queued = findQueuedDSStarJob(runId);
+  if (!cancelRun(runId) && !(queued && jobQueue.cancel(queued.id))) {
+    return res.status(404).json({ error: "Run is not active" });
+  }
+  console.log(`[DS-Star] Cancel requested for ${runId}`);
+  res.json({ success: true, runId });
 });
 
 // Smoke test endpoint
@@ -1399,15 +1873,169 @@ app.post("/api/test/smoke", async (req, res) => {
 
   const plan = req.body.plan || null;
 
+  const job = jobQueue.enqueue('smoke', { html, plan });
+  res.on('close', () => {
+    if (!res.writableEnded) jobQueue.cancel(job.id, 'client disconnected');
+  });
+
   try {
-    const result = await runSmokeTests(html, plan);
-    res.json(result);
+    res.json(await jobQueue.wait(job.id));
   } catch (err) {
     console.error('[SmokeTest] Error:', err);
     res.status(500).json({ error: err.message || "Smoke test failed" });
   }
 });
 
+// ============ LIBRARY CATALOG ============
+const { libraryTestPage, testLibrary } = require('./tests/libraryCheck');
+
+// Load one library (saved or not) in headless Chromium and check its globals and stylesheets
+jobQueue.register('libraryTest', ({ library }, { signal }) => {
+  const catalog = currentCatalog() || { libraries: [] };
+  const withEntry = { ...catalog, libraries: [...catalog.libraries.filter((lib) => lib.name !== library.name), library] };
+  // Mirrored stylesheets are rewritten, so CDN hashes only apply without a mirror
+  const mirror = activeMirror();
+  const html = libraryTestPage(library, withEntry, { sri: !mirror });
+  return testLibrary(library, mirror ? rewriteCdnUrls(html, mirror).html : html, { signal });
+});
+
+const catalogHttpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Read-modify-write libraries.json; change() edits the libraries array in place.
+// The result is validated as a whole, so a bad entry is never saved.
+async function changeCatalog(change) {
+  const catalog = structuredClone((await loadLibraries()) || { libraries: [] });
+  change(catalog.libraries);
+  writeCatalog(catalog, LIBRARIES_PATH);
+}
+
+function sendCatalogError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  if (err.code === "INVALID_LIBRARY_CATALOG") return res.status(400).json({ error: err.message, issues: err.issues });
+  console.error("[Libraries] Error:", err);
+  res.status(500).json({ error: err.message || "Library catalog update failed" });
+}
+
+app.get("/api/libraries", async (req, res) => {
+  try {
+    const catalog = await loadLibraries();
+    res.json({ libraries: catalog?.libraries || [], categories: Object.keys(LIBRARY_CATEGORIES) });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+// Add a library. It starts disabled (not offered to the coder) unless the body says otherwise.
+app.post("/api/libraries", async (req, res) => {
+  const library = { disabled: true, ...pickLibraryFields(req.body) };
+  try {
+    await changeCatalog((libraries) => {
+      if (findLibrary({ libraries }, library.name)) throw catalogHttpError(409, `Library "${library.name}" already exists`);
+      // Keep categories together in the file
+      const last = libraries.map((lib) => lib.category).lastIndexOf(library.category);
+      libraries.splice(last === -1 ? libraries.length : last + 1, 0, library);
+    });
+    res.status(201).json({ library });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+// Replace a library; renaming also updates other entries' `requires`
+app.put("/api/libraries/:name", async (req, res) => {
+  const name = String(req.params.name || "");
+  const library = pickLibraryFields(req.body);
+  try {
+    await changeCatalog((libraries) => {
+      const existing = findLibrary({ libraries }, name);
+      if (!existing) throw catalogHttpError(404, `Library "${name}" not found`);
+      if (library.name && library.name.toLowerCase() !== existing.name.toLowerCase() && findLibrary({ libraries }, library.name)) {
+        throw catalogHttpError(409, `Library "${library.name}" already exists`);
+      }
+      libraries.splice(libraries.indexOf(existing), 1, library);
+      if (library.name && library.name !== existing.name) {
+        libraries.forEach((lib) => {
+          if (lib.requires) lib.requires = lib.requires.map((dep) => (dep === existing.name ? library.name : dep));
+        });
+      }
+    });
+    res.json({ library });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+// Delete a library (refused while another library requires it)
+app.delete("/api/libraries/:name", async (req, res) => {
+  const name = String(req.params.name || "");
+  try {
+    await changeCatalog((libraries) => {
+      const existing = findLibrary({ libraries }, name);
+      if (!existing) throw catalogHttpError(404, `Library "${name}" not found`);
+      libraries.splice(libraries.indexOf(existing), 1);
+    });
+    res.json({ success: true, name });
+  } catch (err) {
+    sendCatalogError(res, err);
+  }
+});
+
+async function sendLibraryTest(res, library) {
+  const job = jobQueue.enqueue("libraryTest", { library });
+  res.on("close", () => {
+    if (!res.writableEnded) jobQueue.cancel(job.id, "client disconnected");
+  });
+
+  try {
+    res.json(await jobQueue.wait(job.id));
+  } catch (err) {
+    console.error("[Libraries] Test error:", err);
+    res.status(500).json({ error: err.message || "Library test failed" });
+  }
+}
+
+// Test an unsaved entry (body) before adding it
+app.post("/api/libraries/test", async (req, res) => {
+  const library = pickLibraryFields(req.body);
+  try {
+    const catalog = (await loadLibraries()) || { libraries: [] };
+    validateCatalog({ libraries: [...catalog.libraries.filter((lib) => lib.name !== library.name), library] });
+  } catch (err) {
+    return sendCatalogError(res, err);
+  }
+  await sendLibraryTest(res, library);
+});
+
+// Test a saved library
+app.post("/api/libraries/:name/test", async (req, res) => {
+  let library;
+  try {
+    library = findLibrary(await loadLibraries(), String(req.params.name || ""));
+  } catch (err) {
+    return sendCatalogError(res, err);
+  }
+  if (!library) return res.status(404).json({ error: "Library not found" });
+  await sendLibraryTest(res, library);
+});
+
+// Pages of a multi-page DS-Star run, rendered standalone for the dashboard tabs
+app.get("/api/run/:timestamp/bundle", async (req, res) => {
+  const timestamp = String(req.params.timestamp || "");
+  if (!DSSTAR_RUN_ID.test(timestamp)) return res.status(400).json({ error: "Invalid DS-Star run id" });
+
+  try {
+    const saved = await readBundle(path.join(RUNS_DIR, timestamp));
+    if (!saved) return res.status(404).json({ error: "Run has no page bundle" });
+
+    const pages = saved.manifest.pages
+      .filter((p) => saved.bundle.pages.includes(p.file))
+      .map((p) => ({ ...p, html: refreshRuntimeToken(renderBundlePage(saved.bundle, p.file), runAppId(timestamp)) }));
+    res.json({ pages });
+  } catch (err) {
+    res.status(500).json({ error: err.message || "Failed to load bundle" });
+  }
+});
+
 // Get DS-Star run summary
 app.get("/api/run/:timestamp/summary", async (req, res) => {
   const timestamp = String(req.params.timestamp || "");
@@ -1422,7 +2050,163 @@ app.get("/api/run/:timestamp/summary", async (req, res) => {
   }
 });
 
-app.listen(PORT, HOST, () => {
-  const displayHost = HOST === "0.0.0.0" ? "localhost" : HOST;
-  console.log(`Server running on http://${displayHost}:${PORT}`);
+// ============ RUN DETAIL (iterations, diffs) ============
+
+const DSSTAR_RUN_ID = /^dsstar_[\w-]+$/;
+
+async function readIterationHtml(runId, iteration) {
+  if (!/^\d+$/.test(String(iteration))) return null;
+  return fs.readFile(path.join(RUNS_DIR, runId, `iter_${Number(iteration)}`, "html.html"), "utf8").catch(() => null);
+}
+
+// Iterations with their phase results (older runs are summarized from iter_N folders)
+app.get("/api/run/:runId/iterations", async (req, res) => {
+  const runId = String(req.params.runId || "");
+  if (!DSSTAR_RUN_ID.test(runId)) return res.status(400).json({ error: "Invalid DS-Star run id" });
+
+  try {
+    const runDir = path.join(RUNS_DIR, runId);
+    const summary = await fs.readFile(path.join(runDir, "summary.json"), "utf8").then(JSON.parse).catch(() => null);
+    const artifacts = await loadRunArtifacts(runDir);
+    const iterations = summary?.iterations || summarizeIterations(artifacts.iterations);
+
+    res.json({
+      runId,
+      prompt: artifacts.config?.prompt || artifacts.iterations[0]?.prompt || "",
+      status: summary?.status || (listActiveRuns().some((run) => run.runId === runId) ? "running" : "incomplete"),
+      lastFailure: summary?.lastFailure || "",
+      iterations: iterations.map((it) => ({
+        ...it,
+        hasHtml: artifacts.iterations.some((a) => a.iteration === it.iteration && a.html)
+      }))
+    });
+  } catch (err) {
+    if (err.code === "ENOENT") return res.status(404).json({ error: "Run not found" });
+    res.status(500).json({ error: err.message || "Failed to load iterations" });
+  }
+});
+
+// HTML generated in one iteration; bundles render their landing page (or ?page=file)
+app.get("/api/run/:runId/iter/:iteration/html", async (req, res) => {
+  const runId = String(req.params.runId || "");
+  if (!DSSTAR_RUN_ID.test(runId)) return res.status(400).send("Invalid DS-Star run id");
+
+  const html = await readIterationHtml(runId, req.params.iteration);
+  if (html === null) return res.status(404).send("Not found");
+
+  const bundle = parseBundle(html);
+  if (!bundle) return sendGeneratedPage(res, refreshRuntimeToken(html, runId));
+
+  const page = renderBundlePage(bundle, String(req.query.page || bundle.pages[0]));
+  if (page === null) return res.status(404).send("Not found");
+  sendGeneratedPage(res, refreshRuntimeToken(page, runId));
+});
+
+// Line diff between the code of two iterations
+app.get("/api/run/:runId/diff", async (req, res) => {
+  const runId = String(req.params.runId || "");
+  if (!DSSTAR_RUN_ID.test(runId)) return res.status(400).json({ error: "Invalid DS-Star run id" });
+
+  const from = String(req.query.from || "");
+  const to = String(req.query.to || "");
+  const [before, after] = await Promise.all([readIterationHtml(runId, from), readIterationHtml(runId, to)]);
+  if (before === null || after === null) {
+    return res.status(404).json({ error: "Both iterations must have generated HTML" });
+  }
+
+  res.json({ from: Number(from), to: Number(to), ...createSideBySideDiff(before, after) });
+});
+
+// Screenshots saved by the smoke tests, per iteration
+app.get("/api/run/:runId/screenshots", async (req, res) => {
+  const runId = String(req.params.runId || "");
+  if (!DSSTAR_RUN_ID.test(runId)) return res.status(400).json({ error: "Invalid DS-Star run id" });
+
+  const runDir = path.join(RUNS_DIR, runId);
+  const entries = await fs.readdir(runDir, { withFileTypes: true }).catch(() => null);
+  if (!entries) return res.status(404).json({ error: "Run not found" });
+
+  const iterations = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^iter_\d+$/.test(entry.name)) continue;
+    const iteration = Number(entry.name.slice(5));
+    const files = (await fs.readdir(path.join(runDir, entry.name, "screenshots")).catch(() => []))
+      .filter((name) => SCREENSHOT_FILE.test(name))
+      .sort();
+    if (files.length === 0) continue;
+    iterations.push({
+      iteration,
+      screenshots: files.map((file) => ({ file, url: `/api/run/${runId}/iter/${iteration}/screenshots/${file}` })),
+    });
+  }
+  iterations.sort((a, b) => a.iteration - b.iteration);
+  res.json({ runId, iterations });
+});
+
+app.get("/api/run/:runId/iter/:iteration/screenshots/:file", (req, res) => {
+  const runId = String(req.params.runId || "");
+  const iteration = String(req.params.iteration || "");
+  const file = String(req.params.file || "");
+  if (!DSSTAR_RUN_ID.test(runId) || !/^\d+$/.test(iteration) || !SCREENSHOT_FILE.test(file)) {
+    return res.status(400).send("Invalid screenshot path");
+  }
+  res.sendFile(path.join(RUNS_DIR, runId, `iter_${Number(iteration)}`, "screenshots", file), (err) => {
+    if (err && !res.headersSent) res.status(404).send("Not found");
+  });
+});
+
+// Latest visual regression report of a deployed app
+app.get("/api/deployments/:slug/visual", async (req, res) => {
+  const slug = String(req.params.slug || "");
+  if (!DEPLOYMENT_SLUG.test(slug)) return res.status(400).json({ error: "Invalid app slug" });
+  try {
+    res.json(JSON.parse(await fs.readFile(path.join(DEPLOYMENTS_DIR, slug, "visual_regression.json"), "utf8")));
+  } catch (err) {
+    res.status(404).json({ error: "No visual regression report for this app" });
+  }
 });
+
+// Deployment screenshots: set is baseline, current or diff
+app.get("/api/deployments/:slug/screenshots/:set/:file", (req, res) => {
+  const slug = String(req.params.slug || "");
+  const set = String(req.params.set || "");
+  const file = String(req.params.file || "");
+  if (!DEPLOYMENT_SLUG.test(slug) || !["baseline", "current", "diff"].includes(set) || !SCREENSHOT_FILE.test(file)) {
+    return res.status(400).send("Invalid screenshot path");
+  }
+  res.sendFile(path.join(DEPLOYMENTS_DIR, slug, "screenshots", set, file), (err) => {
+    if (err && !res.headersSent) res.status(404).send("Not found");
+  });
+});
+
+// Only listen when run directly so scripts can drive the pipeline offline
+// (e.g. LLM_PROVIDER=fixture node -e "require('./server').runDSStarPipeline(...)")
+if (require.main === module) {
+  // Refuse to start with a broken library catalog or security policy rather than feed them to the pipeline
+  loadLibraries()
+    .catch((err) => {
+      (err.issues || [err.message]).forEach((issue) => console.error(`[Libraries] ✗ ${issue}`));
+      process.exit(1);
+    })
+    .then(() => {
+      try {
+        securityPolicy();
+      } catch (err) {
+        (err.issues || [err.message]).forEach((issue) => console.error(`[Policy] ✗ ${issue}`));
+        process.exit(1);
+      }
+      jobQueue.start().catch((err) => console.error("[JobQueue] Failed to start:", err.message));
+      app.listen(PORT, HOST, () => {
+        const displayHost = HOST === "0.0.0.0" ? "localhost" : HOST;
+        console.log(`Server running on http://${displayHost}:${PORT}`);
+      });
+    });
+}
+
+module.exports = {
+  app,
+  callLLM,
+  requestPlan,
+  requestHtml,
+  runDSStarPipeline: (options) => runDSStarPipeline({ runsDir: RUNS_DIR, patchMode: PATCH_MODE, smokeDevices: SMOKE_DEVICES, a11yMode: A11Y_MODE, visionModel: VISION_MODEL || null, ...options, deps: DSSTAR_DEPS }),
+};
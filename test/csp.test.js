@@ -0,0 +1,114 @@
+/**
+ * Content security policy: the smoke test's request matcher and CSP meta stripping
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { stripCspMeta, parseCsp, requestAllowed } = require('../critic/csp');
+
+const SELF = 'http://127.0.0.1:4173';
+
+/**
+ * Whether a policy lets the page make a request
+ * @returns {boolean}
+ */
+function allows(policy, url, resourceType = 'fetch') {
+    return requestAllowed(url, resourceType, parseCsp(policy), { selfOrigin: SELF }).allowed;
+}
+
+describe('CSP source matching', () => {
+    test('wildcard hosts cover subdomains only', () => {
+        const policy = 'connect-src https://*.tile.openstreetmap.org';
+        assert.equal(allows(policy, 'https://a.tile.openstreetmap.org/1/2/3.png'), true);
+        assert.equal(allows(policy, 'https://x.y.tile.openstreetmap.org/'), true);
+        assert.equal(allows(policy, 'https://tile.openstreetmap.org/'), false);
+        assert.equal(allows(policy, 'https://eviltile.openstreetmap.org/'), false);
+        assert.equal(allows(policy, 'https://a.tile.openstreetmap.org.evil.com/'), false);
+        assert.equal(allows('connect-src *', 'https://anything.example/'), true);
+        assert.equal(allows('connect-src *', 'ftp://anything.example/'), false);
+    });
+
+    test('ports must match unless the source allows any', () => {
+        assert.equal(allows('connect-src http://localhost:*', 'http://localhost:8080/api'), true);
+        assert.equal(allows('connect-src http://localhost:*', 'http://localhost/api'), true);
+        assert.equal(allows('connect-src https://cdn.jsdelivr.net', 'https://cdn.jsdelivr.net:443/x'), true);
+        assert.equal(allows('connect-src https://cdn.jsdelivr.net', 'https://cdn.jsdelivr.net:8443/x'), false);
+        assert.equal(allows('connect-src https://api.example:8443', 'https://api.example:8443/x'), true);
+        assert.equal(allows('connect-src https://api.example:8443', 'https://api.example/x'), false);
+        assert.equal(allows('connect-src api.example', 'https://api.example:444/'), false);
+    });
+
+    test('http sources also cover https, on the default port only', () => {
+        assert.equal(allows('connect-src http://api.example', 'https://api.example/'), true);
+        assert.equal(allows('connect-src http://api.example', 'https://api.example:8443/'), false);
+        assert.equal(allows('connect-src https://api.example', 'http://api.example/'), false);
+        assert.equal(allows('img-src http:', 'https://img.example/a.png', 'image'), true);
+        assert.equal(allows('img-src https:', 'http://img.example/a.png', 'image'), false);
+        assert.equal(allows('connect-src ws:', 'wss://live.example/', 'websocket'), true);
+    });
+
+    test("'self' is the page origin, upgraded schemes included", () => {
+        assert.equal(allows("connect-src 'self'", `${SELF}/api/runtime/store`), true);
+        assert.equal(allows("connect-src 'self'", 'ws://127.0.0.1:4173/live', 'websocket'), true);
+        assert.equal(allows("connect-src 'self'", 'http://127.0.0.1:9999/'), false);
+        assert.equal(allows("connect-src 'self'", 'http://localhost:4173/'), false);
+        assert.equal(requestAllowed(`${SELF}/`, 'fetch', parseCsp("connect-src 'self'")).allowed, false);
+    });
+
+    test('path prefixes end in a slash, other paths match exactly', () => {
+        const policy = 'script-src https://unpkg.com/leaflet@1.9.4/ https://d3js.org/d3.v7.min.js';
+        assert.equal(allows(policy, 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', 'script'), true);
+        assert.equal(allows(policy, 'https://unpkg.com/evil/leaflet.js', 'script'), false);
+        assert.equal(allows(policy, 'https://d3js.org/d3.v7.min.js', 'script'), true);
+        assert.equal(allows(policy, 'https://d3js.org/d3.v7.min.js/../x.js', 'script'), false);
+        assert.equal(allows(policy, 'https://d3js.org/d3.v7.js', 'script'), false);
+        assert.equal(allows('script-src https://cdn.example/Lib/', 'https://cdn.example/Lib/a.js', 'script'), true);
+        assert.equal(allows('script-src https://cdn.example/Lib/', 'https://cdn.example/lib/a.js', 'script'), false);
+        assert.equal(allows('script-src HTTPS://CDN.Example', 'https://cdn.example/a.js', 'script'), true);
+    });
+
+    test("'none' and keyword sources allow no URLs", () => {
+        assert.equal(allows("default-src 'none'", `${SELF}/x.png`, 'image'), false);
+        assert.equal(allows("script-src 'unsafe-inline' 'nonce-abc'", `${SELF}/app.js`, 'script'), false);
+        assert.equal(allows("default-src 'none'; img-src data:", 'data:image/png;base64,AAAA', 'image'), true);
+    });
+});
+
+describe('CSP request checks', () => {
+    test('picks the directive for the resource type, else default-src', () => {
+        const directives = parseCsp("default-src 'none'; img-src https:; connect-src 'self'");
+        assert.deepEqual(requestAllowed('https://img.example/a.png', 'image', directives), { allowed: true, directive: 'img-src' });
+        assert.deepEqual(requestAllowed('https://evil.example/', 'ping', directives), { allowed: false, directive: 'connect-src' });
+        assert.deepEqual(requestAllowed('https://font.example/a.woff2', 'font', directives), { allowed: false, directive: 'default-src' });
+    });
+
+    test('does not restrict a request no directive governs', () => {
+        assert.equal(allows("script-src 'self'", 'https://img.example/a.png', 'image'), true);
+    });
+
+    test('keeps navigations on the page origin and rejects bad URLs', () => {
+        assert.deepEqual(requestAllowed(`${SELF}/page2.html`, 'document', {}, { selfOrigin: SELF }), { allowed: true, directive: 'navigation' });
+        assert.equal(allows('default-src *', 'https://evil.example/', 'document'), false);
+        assert.deepEqual(requestAllowed('not a url', 'fetch', {}), { allowed: false, directive: 'url' });
+    });
+
+    test('the first occurrence of a directive wins', () => {
+        assert.equal(allows("connect-src 'none'; connect-src *", 'https://evil.example/'), false);
+    });
+});
+
+describe('CSP meta tags', () => {
+    test('strips every CSP meta tag whatever the attribute order or quoting', () => {
+        const html = [
+            '<head>',
+            '<meta http-equiv="Content-Security-Policy" content="default-src *">',
+            "<meta content=\"connect-src *\" http-equiv='content-security-policy-report-only'>",
+            '<META HTTP-EQUIV=Content-Security-Policy CONTENT="img-src *" />',
+            '<meta charset="utf-8">',
+            '</head>'
+        ].join('\n');
+        const { html: stripped, removed } = stripCspMeta(html);
+        assert.equal(removed, 3);
+        assert.equal(stripped, '<head>\n<meta charset="utf-8">\n</head>');
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Runtime database: names, filter language, limits, app isolation and the lock shared with the store
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { createRuntimeDB } = require('../runtime/db');
+const { createRuntimeStore } = require('../runtime/store');
+const { createAppLock } = require('../runtime/appLock');
+const { expectCode, makeSandbox } = require('./helpers');
+
+describe('runtime database', () => {
+    let sandbox;
+    let db;
+
+    before(async () => {
+        sandbox = await makeSandbox('gea-db-');
+        await fs.mkdir(path.join(sandbox.dir, 'db'));
+        await fs.writeFile(path.join(sandbox.outside, 'secret.db'), '{"_id":"s","secret":true}\n');
+        await fs.symlink(sandbox.outside, path.join(sandbox.dir, 'db', 'linked'));
+        db = createRuntimeDB({ dir: sandbox.dir, maxDocBytes: 300, maxAppBytes: 4000, maxCollections: 2 });
+    });
+
+    after(() => sandbox.cleanup());
+
+    for (const name of ['../x', '..', 'a/b', '.hidden', '', 'x'.repeat(65), 'a.db']) {
+        test(`rejects collection ${JSON.stringify(name)}`, async () => {
+            await expectCode(() => db.insert('app-1', name, { a: 1 }), 'INVALID_COLLECTION');
+        });
+    }
+
+    test('rejects apps outside the database', async () => {
+        await expectCode(() => db.find('../outside', 'secret'), 'INVALID_APP_ID');
+        await expectCode(() => db.find('linked', 'secret'), 'DB_PATH_ESCAPE');
+    });
+
+    const badFilters = [
+        { a: { $where: 'true' } }, { a: { $regex: '.*' } }, { $where: 'true' }, { 'a.__proto__': 1 },
+        { a: { $in: 'x' } }, { a: { $gt: {} } }, { $or: {} }, { a: { $exists: 1 } }, { a: { $eq: 1, b: 2 } }
+    ];
+    for (const filter of badFilters) {
+        test(`rejects filter ${JSON.stringify(filter)}`, async () => {
+            await expectCode(() => db.find('app-1', 'tickets', filter), 'INVALID_DB_QUERY');
+        });
+    }
+
+    test('rejects bad and oversized documents', async () => {
+        await expectCode(() => db.insert('app-1', 'tickets', { $set: 1 }), 'INVALID_DB_DOCUMENT');
+        await expectCode(() => db.insert('app-1', 'tickets', { a: 'x'.repeat(400) }), 'DB_DOCUMENT_TOO_LARGE');
+    });
+
+    test('inserts and queries', async () => {
+        const tickets = Array.from({ length: 12 }, (_, i) => ({ n: i, status: i % 3 ? 'open' : 'closed', title: `Bug ${i}`, tags: i % 2 ? ['ui'] : ['api'] }));
+        const inserted = await db.insert('app-1', 'tickets', tickets);
+        assert.equal(inserted.length, 12);
+        assert.ok(inserted.every(t => t._id && t._createdAt));
+
+        const ns = (docs) => docs.map(d => d.n);
+        assert.deepEqual(ns(await db.find('app-1', 'tickets', { status: 'closed' }, { sort: { n: -1 } })), [9, 6, 3, 0]);
+        assert.deepEqual(ns(await db.find('app-1', 'tickets', { n: { $gte: 4, $lt: 8 }, tags: 'ui' }, { sort: { n: 1 } })), [5, 7]);
+        assert.deepEqual(ns(await db.find('app-1', 'tickets', { title: { $contains: 'BUG 1' } }, { sort: { n: 1 } })), [1, 10, 11]);
+        assert.deepEqual(ns(await db.find('app-1', 'tickets', { $or: [{ n: 0 }, { n: { $in: [11] } }] }, { sort: { n: 1 } })), [0, 11]);
+        assert.deepEqual(ns(await db.find('app-1', 'tickets', {}, { sort: { n: 1 }, skip: 10, limit: 5 })), [10, 11]);
+        assert.equal(await db.count('app-1', 'tickets', { status: 'open' }), 8);
+    });
+
+    test('updates and removes', async () => {
+        assert.deepEqual(await db.update('app-1', 'tickets', { status: 'closed' }, { status: 'archived', tags: null, _id: 'x' }), { updated: 4 });
+        const archived = await db.findOne('app-1', 'tickets', { status: 'archived' }, { sort: { n: 1 } });
+        assert.equal(archived.n, 0);
+        assert.ok(!('tags' in archived));
+        assert.notEqual(archived._id, 'x');
+
+        assert.deepEqual(await db.remove('app-1', 'tickets', archived._id), { removed: 1 });
+        assert.deepEqual(await db.remove('app-1', 'tickets', { status: 'archived' }), { removed: 3 });
+        assert.deepEqual(await db.collections('app-1'), [{ name: 'tickets', count: 8 }]);
+        await expectCode(() => db.remove('app-1', 'tickets'), 'INVALID_DB_QUERY');
+    });
+
+    test('keeps apps apart', async () => {
+        assert.deepEqual(await db.find('app-2', 'tickets'), []);
+        assert.deepEqual(await db.collections('app-2'), []);
+    });
+
+    test('enforces the collection and app limits', async () => {
+        await db.insert('app-1', 'users', { a: 1 });
+        await expectCode(() => db.insert('app-1', 'third', { a: 1 }), 'DB_QUOTA_EXCEEDED');
+        await expectCode(async () => {
+            for (let i = 0; i < 40; i++) await db.insert('app-1', 'users', { bio: 'x'.repeat(200) });
+        }, 'DB_QUOTA_EXCEEDED');
+    });
+});
+
+describe('runtime database handles', () => {
+    let sandbox;
+
+    before(async () => {
+        sandbox = await makeSandbox('gea-db-handles-');
+    });
+
+    after(() => sandbox.cleanup());
+
+    test('drops the least recently used collections past maxOpenCollections', async () => {
+        const db = createRuntimeDB({ dir: sandbox.dir, maxOpenCollections: 2 });
+        await db.insert('app-1', 'a', { n: 1 });
+        await db.insert('app-2', 'a', { n: 2 });
+        await db.count('app-1', 'a');
+        await db.insert('app-2', 'b', { n: 3 });
+        assert.deepEqual(db.loadedCollections().sort(), ['app-1/a', 'app-2/b']);
+
+        await db.update('app-2', 'a', { n: 2 }, { seen: true });
+        assert.deepEqual(db.loadedCollections().sort(), ['app-2/a', 'app-2/b']);
+        assert.equal((await db.findOne('app-2', 'a', { n: 2 })).seen, true);
+        assert.equal((await db.findOne('app-1', 'a')).n, 1);
+    });
+
+    test('keeps collections that are in use', async () => {
+        const db = createRuntimeDB({ dir: sandbox.dir, maxOpenCollections: 1 });
+        const docs = Array.from({ length: 5 }, (_, n) => db.insert('app-3', `c${n}`, { n }));
+        await Promise.all(docs);
+        const counts = await Promise.all([0, 1, 2, 3, 4].map(n => db.count('app-3', `c${n}`)));
+        assert.deepEqual(counts, [1, 1, 1, 1, 1]);
+        assert.equal(db.loadedCollections().length, 1);
+    });
+
+    test('drops collections left idle', async () => {
+        const db = createRuntimeDB({ dir: sandbox.dir, idleMs: 20 });
+        await db.insert('app-4', 'a', { n: 1 });
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(await db.count('app-4', 'b'), 0);
+        assert.deepEqual(db.loadedCollections(), []);
+        assert.equal(await db.count('app-4', 'a'), 1);
+    });
+});
+
+describe('runtime app lock', () => {
+    test('is shared by a store and database given the same one', async () => {
+        const sandbox = await makeSandbox('gea-db-lock-');
+        try {
+            const appLock = createAppLock();
+            const store = createRuntimeStore({ dir: sandbox.dir, appLock });
+            const db = createRuntimeDB({ dir: sandbox.dir, appLock });
+            let release;
+            const held = appLock('app-1', () => new Promise(resolve => { release = resolve; }));
+
+            const done = [];
+            const writes = [
+                store.set('app-1', 'k', 1).then(() => done.push('store')),
+                db.insert('app-1', 'c', { n: 1 }).then(() => done.push('db')),
+                store.set('app-2', 'k', 1).then(() => done.push('other app'))
+            ];
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.deepEqual(done, ['other app']);
+
+            release();
+            await Promise.all([held, ...writes]);
+            assert.deepEqual(done, ['other app', 'store', 'db']);
+        } finally {
+            await sandbox.cleanup();
+        }
+    });
+});
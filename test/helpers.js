@@ -0,0 +1,40 @@
+/**
+ * Test Helpers
+ * Shared setup for the node:test suites in this directory (npm test).
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Assert that an action rejects with an error carrying a given code
+ * @param {Function} action - Returns a promise
+ * @param {string} code - Expected err.code
+ */
+async function expectCode(action, code) {
+    await assert.rejects(action, (err) => {
+        assert.equal(err.code, code, `expected ${code}, got ${err.code || err.message}`);
+        return true;
+    });
+}
+
+/**
+ * Throwaway data_store directory next to an "outside" directory the tests try to reach
+ * @param {string} prefix - mkdtemp prefix
+ * @returns {Promise<{sandbox: string, dir: string, outside: string, cleanup: Function}>}
+ */
+async function makeSandbox(prefix) {
+    const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    const dir = path.join(sandbox, 'data_store');
+    const outside = path.join(sandbox, 'outside');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.mkdir(outside);
+    return { sandbox, dir, outside, cleanup: () => fs.rm(sandbox, { recursive: true, force: true }) };
+}
+
+module.exports = {
+    expectCode,
+    makeSandbox
+};
@@ -0,0 +1,22 @@
+/**
+ * JSON responses: recovering the object from fenced or chatty LLM output
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseJsonResponse } = require('../critic/jsonResponse');
+
+describe('parseJsonResponse', () => {
+    test('parses plain, fenced and embedded JSON', () => {
+        assert.deepEqual(parseJsonResponse(' {"approved":true} '), { approved: true });
+        assert.deepEqual(parseJsonResponse('```json\n{"approved":false,"issues":[]}\n```'), { approved: false, issues: [] });
+        assert.deepEqual(parseJsonResponse('Here you go:\n```\n{"tests":[]}\n```\nThanks'), { tests: [] });
+        assert.deepEqual(parseJsonResponse('Result: {"approved":true,"issues":[{"a":1}]} as asked'), { approved: true, issues: [{ a: 1 }] });
+    });
+
+    test('gives null when there is no JSON to recover', () => {
+        for (const raw of ['', null, undefined, 42, 'not json', '```json\n{broken\n```', '{"a":1} and {"b":2}']) {
+            assert.equal(parseJsonResponse(raw), null, String(raw));
+        }
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Concurrency limiter: slot counting, arrival order and cancelled waiters
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLimiter } = require('../jobs/limiter');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('concurrency limiter', () => {
+    test('holds waiters until a slot is released, in arrival order', async () => {
+        const limiter = createLimiter(2);
+        const order = [];
+        const releases = await Promise.all([limiter.acquire(), limiter.acquire()]);
+        const third = limiter.acquire().then(release => { order.push('third'); return release; });
+        const fourth = limiter.acquire().then(release => { order.push('fourth'); return release; });
+        await tick();
+        assert.deepEqual(limiter.stats(), { active: 2, waiting: 2, max: 2 });
+        assert.deepEqual(order, []);
+
+        releases[0]();
+        releases[0](); // a second release gives back nothing
+        await tick();
+        assert.deepEqual(order, ['third']);
+        assert.deepEqual(limiter.stats(), { active: 2, waiting: 1, max: 2 });
+
+        releases[1]();
+        (await third)();
+        (await fourth)();
+        assert.deepEqual(order, ['third', 'fourth']);
+        assert.deepEqual(limiter.stats(), { active: 0, waiting: 0, max: 2 });
+    });
+
+    test('drops an aborted waiter from the line', async () => {
+        const limiter = createLimiter(1);
+        const release = await limiter.acquire();
+        const controller = new AbortController();
+        const waiter = limiter.acquire({ signal: controller.signal });
+        controller.abort();
+        await assert.rejects(waiter, { code: 'CANCELLED' });
+        assert.deepEqual(limiter.stats(), { active: 1, waiting: 0, max: 1 });
+        await assert.rejects(limiter.acquire({ signal: controller.signal }), { code: 'CANCELLED' });
+        release();
+        assert.equal(limiter.stats().active, 0);
+    });
+
+    test('lets waiters in when the limit grows', async () => {
+        const limiter = createLimiter(1);
+        await limiter.acquire();
+        const waiter = limiter.acquire();
+        limiter.setMax(2);
+        await waiter;
+        assert.deepEqual(limiter.stats(), { active: 2, waiting: 0, max: 2 });
+    });
+});
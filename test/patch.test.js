@@ -0,0 +1,118 @@
+/**
+ * Code patches: parsing SEARCH/REPLACE hunks, applying them, and unified diffs
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchReplace, applySearchReplace, createUnifiedDiff } = require('../dsstar/patch');
+
+const hunk = (search, replace) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}${replace ? '\n' : ''}>>>>>>> REPLACE`;
+
+describe('parseSearchReplace', () => {
+    test('reads every hunk and ignores the prose around them', () => {
+        const text = `Here is the fix:\n${hunk('<h1>Old</h1>', '<h1>New</h1>')}\nand\n${hunk('a', 'b')}\nDone.`;
+        assert.deepEqual(parseSearchReplace(text), [
+            { search: '<h1>Old</h1>', replace: '<h1>New</h1>' },
+            { search: 'a', replace: 'b' }
+        ]);
+    });
+
+    test('reads an empty REPLACE block as a deletion', () => {
+        assert.deepEqual(parseSearchReplace(hunk('<p>gone</p>', '')), [{ search: '<p>gone</p>', replace: '' }]);
+    });
+
+    test('accepts CRLF line endings', () => {
+        const text = '<<<<<<< SEARCH\r\n<b>x</b>\r\n=======\r\n<i>x</i>\r\n>>>>>>> REPLACE\r\n';
+        const [parsed] = parseSearchReplace(text);
+        assert.equal(parsed.search.replace(/\r/g, ''), '<b>x</b>');
+        assert.equal(parsed.replace.replace(/\r/g, ''), '<i>x</i>');
+    });
+
+    test('finds nothing in a full document', () => {
+        assert.deepEqual(parseSearchReplace('<!DOCTYPE html><html></html>'), []);
+        assert.deepEqual(parseSearchReplace(null), []);
+    });
+});
+
+describe('applySearchReplace', () => {
+    const source = '<ul>\n  <li>one</li>\n  <li>two</li>\n</ul>';
+
+    test('replaces an exact match', () => {
+        const result = applySearchReplace(source, [{ search: '  <li>two</li>', replace: '  <li>2</li>' }]);
+        assert.deepEqual(result, { ok: true, text: '<ul>\n  <li>one</li>\n  <li>2</li>\n</ul>', applied: 1 });
+    });
+
+    test('removes the lines of an empty REPLACE', () => {
+        const result = applySearchReplace(source, [{ search: '  <li>one</li>', replace: '' }]);
+        assert.equal(result.text, '<ul>\n  <li>two</li>\n</ul>');
+    });
+
+    test('matches despite indentation and trailing whitespace', () => {
+        const result = applySearchReplace(source, [{ search: '<li>two</li>   ', replace: '  <li>2</li>' }]);
+        assert.equal(result.text, '<ul>\n  <li>one</li>\n  <li>2</li>\n</ul>');
+    });
+
+    test('keeps CRLF line endings around a loose match', () => {
+        const crlf = source.replace(/\n/g, '\r\n');
+        const result = applySearchReplace(crlf, [{ search: '<li>one</li>\n<li>two</li>', replace: '  <li>both</li>' }]);
+        assert.equal(result.text, '<ul>\r\n  <li>both</li>\r\n</ul>');
+    });
+
+    test('refuses an ambiguous SEARCH, exact or loose', () => {
+        const twice = '<p>x</p>\n<div>\n  <p>x</p>\n</div>';
+        const exact = applySearchReplace('<p>x</p>\n<p>x</p>', [{ search: '<p>x</p>', replace: '<p>y</p>' }]);
+        assert.equal(exact.ok, false);
+        assert.match(exact.error, /matches 2 places/);
+
+        const loose = applySearchReplace(twice, [{ search: ' <p>x</p> ', replace: '<p>y</p>' }]);
+        assert.equal(loose.ok, false);
+        assert.match(loose.error, /matches several places/);
+        assert.equal(loose.text, twice);
+    });
+
+    test('rolls back every hunk when a later one fails', () => {
+        const result = applySearchReplace(source, [
+            { search: '<li>one</li>', replace: '<li>1</li>' },
+            { search: '<li>three</li>', replace: '<li>3</li>' }
+        ]);
+        assert.deepEqual(result, { ok: false, text: source, applied: 1, error: 'Hunk 2 SEARCH text not found' });
+    });
+
+    test('rejects empty SEARCH blocks and responses without hunks', () => {
+        assert.match(applySearchReplace(source, [{ search: '  \n', replace: 'x' }]).error, /empty SEARCH/);
+        assert.match(applySearchReplace(source, []).error, /No SEARCH\/REPLACE hunks/);
+    });
+});
+
+describe('createUnifiedDiff', () => {
+    const lines = (n) => Array.from({ length: n }, (_, i) => `line ${i + 1}`);
+
+    test('is empty when nothing changed', () => {
+        assert.equal(createUnifiedDiff('a\nb', 'a\nb'), '');
+    });
+
+    test('counts old and new lines in the hunk header', () => {
+        const before = lines(10).join('\n');
+        const after = lines(10).map(l => (l === 'line 5' ? 'line five' : l)).join('\n');
+        const diff = createUnifiedDiff(before, after, { fileName: 'index.html' });
+        assert.equal(diff, [
+            '--- a/index.html', '+++ b/index.html', '@@ -2,7 +2,7 @@',
+            ' line 2', ' line 3', ' line 4', '-line 5', '+line five', ' line 6', ' line 7', ' line 8', ''
+        ].join('\n'));
+    });
+
+    test('counts insertions and deletions separately', () => {
+        assert.match(createUnifiedDiff('a\nb', 'a\nX\nY\nb', { context: 0 }), /^@@ -1,0 \+2,2 @@$/m);
+        assert.match(createUnifiedDiff('a\nX\nY\nb', 'a\nb', { context: 0 }), /^@@ -2,2 \+1,0 @@$/m);
+        assert.match(createUnifiedDiff('', 'a\nb'), /^@@ -1,1 \+1,2 @@$/m);
+    });
+
+    test('splits distant changes into separate hunks', () => {
+        const before = lines(30);
+        const after = [...before];
+        after[2] = 'changed 3';
+        after[25] = 'changed 26';
+        const headers = createUnifiedDiff(before.join('\n'), after.join('\n')).match(/^@@ .* @@$/gm);
+        assert.deepEqual(headers, ['@@ -1,6 +1,6 @@', '@@ -23,7 +23,7 @@']);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * DS-Star pipeline, offline: replays the recorded LLM responses in test/fixtures/llm
+ *
+ * The fixture was recorded for PROMPT with LLM_FIXTURE_MODE=record. After a
+ * prompt change (planner, coder or critic), re-record it; a replay miss
+ * names the role and prompt hash that no longer match.
+ */
+
+// The provider is chosen when server.js loads
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURE_MODE = 'replay';
+process.env.LLM_FIXTURES_DIR = require('path').join(__dirname, 'fixtures', 'llm');
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { runDSStarPipeline } = require('../server');
+
+const PROMPT = 'A click counter with a reset button';
+
+describe('DS-Star pipeline with recorded responses', () => {
+    let runsDir;
+    const log = console.log;
+
+    /**
+     * Run the pipeline into the throwaway runs directory, without its progress log
+     */
+    async function run(prompt) {
+        console.log = () => {};
+        try {
+            return await runDSStarPipeline({ prompt, maxIters: 2, runsDir, visionModel: null });
+        } finally {
+            console.log = log;
+        }
+    }
+
+    before(async () => {
+        runsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gea-runs-'));
+    });
+
+    after(() => fs.rm(runsDir, { recursive: true, force: true }));
+
+    test('plans, generates and approves the app in one iteration', async () => {
+        const result = await run(PROMPT);
+        assert.equal(result.success, true, result.summary.lastFailure);
+        assert.equal(result.summary.status, 'succeeded');
+        assert.equal(result.summary.totalIterations, 1);
+        assert.equal(result.finalPlan.title, 'Click Counter');
+
+        // Acceptance scenarios are skipped where no browser is installed
+        assert.deepEqual(result.summary.acceptance.map(a => a.criterion), result.finalPlan.acceptance_criteria);
+        for (const { status } of result.summary.acceptance) assert.ok(['passed', 'skipped'].includes(status), status);
+
+        const runDir = path.join(runsDir, result.runId);
+        const html = await fs.readFile(path.join(runDir, 'final.html'), 'utf8');
+        assert.match(html, /id="resetBtn"/);
+        assert.match(html, /<meta http-equiv="Content-Security-Policy"/i);
+        const iteration = await fs.readdir(path.join(runDir, 'iter_1'));
+        for (const file of ['plan.json', 'plan_critique.json', 'html.html', 'security_scan.json', 'code_critique.json', 'smoke_test.json']) {
+            assert.ok(iteration.includes(file), file);
+        }
+    });
+
+    test('fails the run, naming the prompt, when no response was recorded', async () => {
+        const result = await run('A unit converter');
+        assert.equal(result.success, false);
+        assert.equal(result.finalPlan, null);
+        assert.match(result.summary.lastFailure, /^PLAN_GENERATION: No recorded fixture for planner prompt [0-9a-f]{16}/);
+    });
+});
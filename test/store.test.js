@@ -0,0 +1,98 @@
+/**
+ * Runtime store: path traversal, size limits, versions and concurrent writes
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { createRuntimeStore } = require('../runtime/store');
+const { expectCode, makeSandbox } = require('./helpers');
+
+describe('runtime store', () => {
+    let sandbox;
+    let dir;
+    let store;
+
+    before(async () => {
+        sandbox = await makeSandbox('gea-store-');
+        dir = sandbox.dir;
+        await fs.mkdir(path.join(dir, 'apps'));
+        await fs.writeFile(path.join(sandbox.outside, 'secret.json'), '"secret"');
+        await fs.symlink(sandbox.outside, path.join(dir, 'apps', 'linked'));
+        store = createRuntimeStore({ dir, maxValueBytes: 64, maxAppBytes: 100 });
+    });
+
+    after(() => sandbox.cleanup());
+
+    const badKeys = ['../secret', '..', '../../outside/secret', 'a/b', 'a\\b', '/etc/passwd', '.hidden', 'a..b',
+        '%2e%2e', 'key\0', '', 'x'.repeat(129), 'C:\\x'];
+    for (const key of badKeys) {
+        test(`rejects key ${JSON.stringify(key)}`, async () => {
+            await expectCode(() => store.get('default', key), 'INVALID_STORE_KEY');
+            await expectCode(() => store.set('default', key, 1), 'INVALID_STORE_KEY');
+        });
+    }
+
+    const badApps = ['..', '../outside', 'apps/../..', 'a/b', '.', '', '-x', 'a b', 'x'.repeat(129)];
+    for (const appId of badApps) {
+        test(`rejects app ${JSON.stringify(appId)}`, async () => {
+            await expectCode(() => store.set(appId, 'k', 1), 'INVALID_APP_ID');
+        });
+    }
+
+    test('rejects a symlinked app directory', async () => {
+        await expectCode(() => store.get('linked', 'secret'), 'STORE_PATH_ESCAPE');
+    });
+
+    test('rejects traversal in list, delete and append', async () => {
+        await expectCode(() => store.list('default', { prefix: '../' }), 'INVALID_STORE_KEY');
+        await expectCode(() => store.remove('default', '../x'), 'INVALID_STORE_KEY');
+        await expectCode(() => store.append('default', '../x', 1), 'INVALID_STORE_KEY');
+    });
+
+    test('enforces value and app limits', async () => {
+        await expectCode(() => store.set('app-1', 'big', 'x'.repeat(80)), 'STORE_VALUE_TOO_LARGE');
+        await store.set('app-1', 'a', 'x'.repeat(40));
+        await store.set('app-1', 'a', 'y'.repeat(40)); // replacing a value doesn't count it twice
+        await expectCode(() => store.set('app-1', 'b', 'x'.repeat(60)), 'STORE_QUOTA_EXCEEDED');
+        await store.set('app-2', 'b', 'x'.repeat(60));
+    });
+
+    test('round-trips values', async () => {
+        assert.equal(await store.get('app-1', 'a'), 'y'.repeat(40));
+        assert.equal(await store.get('app-1', 'missing'), null);
+    });
+
+    describe('versions', () => {
+        let tasks;
+        before(() => {
+            tasks = createRuntimeStore({ dir });
+        });
+
+        test('concurrent appends keep every item', async () => {
+            await Promise.all(Array.from({ length: 20 }, (_, i) => tasks.append('app-3', 'log', i)));
+            const { value, version } = await tasks.getEntry('app-3', 'log');
+            assert.equal(value.length, 20);
+            assert.equal(version, 20);
+        });
+
+        test('update merges with the current version and rejects a stale one', async () => {
+            const { version } = await tasks.update('app-3', 'task', { title: 'a', done: false }, { version: 0 });
+            const updated = await tasks.update('app-3', 'task', { done: true, title: null }, { version });
+            assert.deepEqual(updated.value, { done: true });
+            await expectCode(() => tasks.update('app-3', 'task', { done: false }, { version: 1 }), 'STORE_VERSION_CONFLICT');
+        });
+
+        test('update and append check the stored type', async () => {
+            await expectCode(() => tasks.update('app-3', 'log', { a: 1 }), 'STORE_TYPE_MISMATCH');
+            await expectCode(() => tasks.append('app-3', 'task', 1), 'STORE_TYPE_MISMATCH');
+        });
+
+        test('list and delete', async () => {
+            assert.deepEqual((await tasks.list('app-3')).map(e => `${e.key}@${e.version}`), ['log@20', 'task@2']);
+            assert.equal((await tasks.remove('app-3', 'log', { version: 20 })).deleted, true);
+            assert.equal((await tasks.list('app-3', { prefix: 'lo' })).length, 0);
+        });
+    });
+});
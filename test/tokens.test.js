@@ -0,0 +1,105 @@
+/**
+ * Runtime tokens: signing, expiry and the /api/runtime/* token check
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRuntimeTokens, createTokenMiddleware } = require('../runtime/tokens');
+
+const encode = (claims) => Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+/**
+ * Run the middleware on a request with the given Authorization header
+ * @returns {{status: number, body: object|null, app: string|undefined}} - status 0 when next() was called
+ */
+function check(middleware, authorization, headers = {}) {
+    const req = { headers: { ...headers, ...(authorization === undefined ? {} : { authorization }) } };
+    const result = { status: 0, body: null, app: undefined };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+    middleware(req, res, () => {
+        result.app = req.runtimeApp;
+    });
+    return result;
+}
+
+describe('runtime tokens', () => {
+    const tokens = createRuntimeTokens({ secret: 'test-secret' });
+
+    test('round-trips the app', () => {
+        const { app, exp } = tokens.verify(tokens.mint('app-a'));
+        assert.equal(app, 'app-a');
+        assert.ok(exp > Date.now());
+    });
+
+    test('rejects forged tokens', () => {
+        const [body, signature] = tokens.mint('app-a').split('.');
+        const forged = [
+            `${encode({ app: 'app-b', exp: Date.now() + 60000 })}.${signature}`,
+            `${body}.${signature.slice(0, -2)}AA`,
+            `${body}.`,
+            `${body}.${signature}.extra`,
+            createRuntimeTokens({ secret: 'other-secret' }).mint('app-a'),
+            'not-a-token',
+            ''
+        ];
+        for (const token of forged) {
+            assert.throws(() => tokens.verify(token), { code: 'INVALID_RUNTIME_TOKEN' }, token);
+        }
+    });
+
+    test('rejects expired tokens', async () => {
+        const shortLived = createRuntimeTokens({ secret: 'test-secret', ttlMs: 5 });
+        const token = shortLived.mint('app-a');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.throws(() => shortLived.verify(token), { code: 'RUNTIME_TOKEN_EXPIRED' });
+    });
+
+    test('requires an app to mint for', () => {
+        assert.throws(() => tokens.mint(''), { code: 'INVALID_RUNTIME_TOKEN' });
+    });
+});
+
+describe('runtime token middleware', () => {
+    const tokens = createRuntimeTokens({ secret: 'test-secret' });
+    const middleware = createTokenMiddleware(tokens);
+
+    test('passes a valid token and sets the app it was minted for', () => {
+        assert.deepEqual(check(middleware, `Bearer ${tokens.mint('app-a')}`), { status: 0, body: null, app: 'app-a' });
+    });
+
+    test('takes the app from the token, not from what the page sends', () => {
+        const result = check(middleware, `Bearer ${tokens.mint('app-a')}`, { 'x-app-id': 'app-b' });
+        assert.equal(result.app, 'app-a');
+    });
+
+    test('rejects missing, forged, wrong-app and expired tokens', async () => {
+        assert.equal(check(middleware, undefined).body.code, 'RUNTIME_TOKEN_REQUIRED');
+        assert.equal(check(middleware, tokens.mint('app-a')).body.code, 'RUNTIME_TOKEN_REQUIRED');
+
+        const [, signature] = tokens.mint('app-a').split('.');
+        const wrongApp = `${encode({ app: 'app-b', exp: Date.now() + 60000 })}.${signature}`;
+        const otherServer = createRuntimeTokens({ secret: 'other-secret' }).mint('app-b');
+        for (const token of [wrongApp, otherServer]) {
+            const result = check(middleware, `Bearer ${token}`);
+            assert.equal(result.status, 401);
+            assert.equal(result.body.code, 'INVALID_RUNTIME_TOKEN');
+            assert.equal(result.app, undefined);
+        }
+
+        const shortLived = createRuntimeTokens({ secret: 'test-secret', ttlMs: 5 });
+        const expired = shortLived.mint('app-a');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const result = check(middleware, `Bearer ${expired}`);
+        assert.equal(result.status, 401);
+        assert.equal(result.body.code, 'RUNTIME_TOKEN_EXPIRED');
+    });
+});
@@ -0,0 +1,328 @@
+/**
+ * Accessibility Audit
+ * WCAG AA checks in the style of axe-core, run inside a Playwright page:
+ * - color contrast of text against its effective background
+ * - accessible names for form fields, buttons, links and images
+ * - document language, title, main landmark and h1
+ * - keyboard focus: positive tabindex, tab order, visible focus indicator,
+ *   mouse-only click targets
+ *
+ * Each violation carries the rule, a severity (high/medium/low), up to
+ * MAX_NODES example elements and a suggestedFix for the patch loop.
+ */
+
+const { launchBrowser } = require('./screenshots');
+const { loadHtml } = require('./pageLoader');
+
+const A11Y_RULES = {
+    'color-contrast': {
+        severity: 'high',
+        help: 'Text contrast is below WCAG AA (4.5:1, or 3:1 for large text)',
+        fix: 'Darken the text or lighten its background until the contrast ratio is at least 4.5:1 (3:1 for text ≥24px or bold ≥18.66px)'
+    },
+    label: {
+        severity: 'high',
+        help: 'Form field has no accessible label',
+        fix: 'Add a <label for="id"> (or wrap the field in a <label>); use aria-label only when a visible label is impossible'
+    },
+    'button-name': {
+        severity: 'high',
+        help: 'Button has no accessible name',
+        fix: 'Give the button visible text, or an aria-label when it only shows an icon'
+    },
+    'link-name': {
+        severity: 'high',
+        help: 'Link has no accessible name',
+        fix: 'Give the link descriptive text, or an aria-label when it only shows an icon'
+    },
+    'image-alt': {
+        severity: 'high',
+        help: 'Image has no alt attribute',
+        fix: 'Add alt text describing the image, or alt="" if it is decorative'
+    },
+    'html-has-lang': {
+        severity: 'medium',
+        help: 'The <html> element has no lang attribute',
+        fix: 'Add lang="en" (or the page language) to the <html> element'
+    },
+    'document-title': {
+        severity: 'medium',
+        help: 'The document has no <title>',
+        fix: 'Add a descriptive <title> to the <head>'
+    },
+    'landmark-one-main': {
+        severity: 'medium',
+        help: 'The page has no main landmark',
+        fix: 'Wrap the primary content in a <main> element'
+    },
+    'page-has-heading-one': {
+        severity: 'low',
+        help: 'The page has no level-one heading',
+        fix: 'Add an <h1> naming the page'
+    },
+    tabindex: {
+        severity: 'medium',
+        help: 'Element has a positive tabindex, which breaks the natural focus order',
+        fix: 'Use tabindex="0" (or remove it) and order the elements in the DOM instead'
+    },
+    'focus-order': {
+        severity: 'medium',
+        help: 'Keyboard focus jumps backwards through the page',
+        fix: 'Order interactive elements in the DOM the way they should be tabbed through; avoid CSS order/absolute positioning that contradicts it'
+    },
+    'focus-visible': {
+        severity: 'medium',
+        help: 'Focused element shows no focus indicator',
+        fix: 'Do not remove outlines without a replacement; add a :focus-visible style such as outline: 2px solid or a ring'
+    },
+    'click-events-have-key-events': {
+        severity: 'medium',
+        help: 'Clickable element cannot be reached with the keyboard',
+        fix: 'Use a <button> (or add role="button", tabindex="0" and Enter/Space key handling)'
+    }
+};
+
+const SEVERITIES = ['high', 'medium', 'low'];
+const MAX_NODES = 5;
+const MAX_TABS = 40;
+
+/**
+ * Runs inside the page: static rules
+ */
+function auditDocument({ maxNodes }) {
+    const found = {};
+    const report = (rule, el, detail) => {
+        const entry = found[rule] || (found[rule] = { count: 0, nodes: [] });
+        entry.count++;
+        if (entry.nodes.length < maxNodes) entry.nodes.push(el ? { element: describe(el), ...detail } : detail || {});
+    };
+    function describe(el) {
+        const id = el.id ? `#${el.id}` : '';
+        const cls = typeof el.className === 'string' && el.className.trim()
+            ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+            : '';
+        const text = (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 30);
+        return `${el.tagName.toLowerCase()}${id}${cls}${text ? ` ("${text}")` : ''}`;
+    }
+    const visible = (el) => {
+        const r = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        return r.width > 0 && r.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    const text = (value) => String(value || '').trim();
+    const labelledBy = (el) => text((el.getAttribute('aria-labelledby') || '')
+        .split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' '));
+    const ariaName = (el) => labelledBy(el) || text(el.getAttribute('aria-label')) || text(el.getAttribute('title'));
+    const contentName = (el) => text(el.textContent) ||
+        Array.from(el.querySelectorAll('img[alt], svg title')).map(n => text(n.getAttribute?.('alt') || n.textContent)).join(' ').trim();
+
+    // Form fields
+    document.querySelectorAll('input, select, textarea').forEach(el => {
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        if (['hidden', 'submit', 'button', 'reset', 'image'].includes(type) || !visible(el)) return;
+        const explicit = el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+        if (!ariaName(el) && !text(explicit?.textContent) && !text(el.closest('label')?.textContent)) {
+            report('label', el);
+        }
+    });
+
+    // Buttons and links
+    document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"]').forEach(el => {
+        if (!visible(el)) return;
+        if (!ariaName(el) && !contentName(el) && !text(el.value)) report('button-name', el);
+    });
+    document.querySelectorAll('a[href]').forEach(el => {
+        if (!visible(el)) return;
+        if (!ariaName(el) && !contentName(el)) report('link-name', el);
+    });
+    document.querySelectorAll('img').forEach(el => {
+        if (!el.hasAttribute('alt') && el.getAttribute('role') !== 'presentation') report('image-alt', el);
+    });
+
+    // Document structure
+    if (!text(document.documentElement.getAttribute('lang'))) report('html-has-lang', null);
+    if (!text(document.title)) report('document-title', null);
+    if (!document.querySelector('main, [role="main"]')) report('landmark-one-main', null);
+    if (!document.querySelector('h1, [role="heading"][aria-level="1"]')) report('page-has-heading-one', null);
+
+    document.querySelectorAll('[tabindex]').forEach(el => {
+        if (Number(el.getAttribute('tabindex')) > 0) report('tabindex', el, { tabindex: el.getAttribute('tabindex') });
+    });
+
+    // Looks clickable but the keyboard can't reach it
+    document.querySelectorAll('[onclick], div, span, li, td, img').forEach(el => {
+        if (el.matches('a[href], button, input, select, textarea, summary, [tabindex]') || !visible(el)) return;
+        if (el.hasAttribute('onclick') || (getComputedStyle(el).cursor === 'pointer' && getComputedStyle(el.parentElement || el).cursor !== 'pointer')) {
+            report('click-events-have-key-events', el);
+        }
+    });
+
+    // Color contrast
+    const parse = (color) => {
+        const m = String(color).match(/rgba?\(([^)]+)\)/);
+        if (!m) return null;
+        const p = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        return { r: p[0], g: p[1], b: p[2], a: p[3] === undefined ? 1 : p[3] };
+    };
+    const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1
+    });
+    const luminance = ({ r, g, b }) => {
+        const channel = (v) => {
+            const c = v / 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    };
+    // null when a background image or gradient makes the background unknowable
+    const background = (el) => {
+        const layers = [];
+        for (let node = el; node; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.backgroundImage !== 'none') return null;
+            const color = parse(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) break;
+            }
+        }
+        return layers.reverse().reduce((under, layer) => blend(layer, under), { r: 255, g: 255, b: 255, a: 1 });
+    };
+
+    document.body?.querySelectorAll('*').forEach(el => {
+        const ownText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+        if (!ownText || !visible(el) || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(el.tagName)) return;
+        const style = getComputedStyle(el);
+        const bg = background(el);
+        const fg = parse(style.color);
+        if (!bg || !fg) return;
+
+        const shown = blend(fg, bg);
+        const [light, dark] = [luminance(shown), luminance(bg)].sort((a, b) => b - a);
+        const ratio = (light + 0.05) / (dark + 0.05);
+        const size = parseFloat(style.fontSize);
+        const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+        const required = large ? 3 : 4.5;
+        if (ratio < required) {
+            report('color-contrast', el, { ratio: Number(ratio.toFixed(2)), required, color: style.color, background: `rgb(${Math.round(bg.r)}, ${Math.round(bg.g)}, ${Math.round(bg.b)})` });
+        }
+    });
+
+    return found;
+}
+
+/**
+ * Tab through the page and check order and focus visibility
+ * @returns {Promise<object>} - Same shape as auditDocument's result
+ */
+async function auditFocus(page, maxNodes) {
+    const found = {};
+    const report = (rule, node) => {
+        const entry = found[rule] || (found[rule] = { count: 0, nodes: [] });
+        entry.count++;
+        if (entry.nodes.length < maxNodes) entry.nodes.push(node);
+    };
+
+    const seen = new Set();
+    let lastIndex = -1;
+    for (let i = 0; i < MAX_TABS; i++) {
+        await page.keyboard.press('Tab');
+        const focused = await page.evaluate(() => {
+            const el = document.activeElement;
+            if (!el || el === document.body || el === document.documentElement) return null;
+            const style = getComputedStyle(el);
+            const id = el.id ? `#${el.id}` : '';
+            const text = (el.textContent || el.value || '').trim().replace(/\s+/g, ' ').slice(0, 30);
+            return {
+                element: `${el.tagName.toLowerCase()}${id}${text ? ` ("${text}")` : ''}`,
+                domIndex: Array.prototype.indexOf.call(document.querySelectorAll('*'), el),
+                positiveTabindex: el.tabIndex > 0,
+                indicator: (style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0) || style.boxShadow !== 'none'
+            };
+        });
+        if (!focused) {
+            if (seen.size > 0) break; // wrapped around to the browser chrome
+            continue;
+        }
+        if (seen.has(focused.domIndex)) break; // cycled
+        seen.add(focused.domIndex);
+
+        if (!focused.indicator) report('focus-visible', { element: focused.element });
+        // Positive tabindex is reported on its own; don't double count the jump it causes
+        if (focused.domIndex < lastIndex && !focused.positiveTabindex) report('focus-order', { element: focused.element });
+        lastIndex = focused.domIndex;
+    }
+
+    return found;
+}
+
+/**
+ * Audit one loaded page
+ * @param {object} page - Playwright page with the app loaded
+ * @returns {Promise<Array<object>>} - violations
+ */
+async function auditPage(page) {
+    const staticFound = await page.evaluate(auditDocument, { maxNodes: MAX_NODES });
+    const focusFound = await auditFocus(page, MAX_NODES);
+
+    return Object.entries({ ...staticFound, ...focusFound }).map(([rule, { count, nodes }]) => ({
+        rule,
+        severity: A11Y_RULES[rule].severity,
+        message: A11Y_RULES[rule].help,
+        count,
+        nodes,
+        suggestedFix: A11Y_RULES[rule].fix
+    }));
+}
+
+/**
+ * Audit every page of an app with a browser of its own
+ * @param {Array<{name: string, html: string}>} pages - Page name and HTML
+ * @param {{signal?: AbortSignal}} [options] - signal closes the browser and ends the audit early
+ * @returns {Promise<{passed: boolean, skipped?: string, cancelled?: boolean, violations: Array<object>, counts: object}>}
+ *   - passed is false when any high-severity violation was found
+ */
+async function runA11yAudit(pages, { signal } = {}) {
+    const counts = { high: 0, medium: 0, low: 0 };
+    const { browser, skipped } = await launchBrowser({ signal });
+    if (!browser) return { passed: true, skipped, violations: [], counts };
+
+    const onAbort = () => browser.close().catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const violations = [];
+    try {
+        for (const { name, html } of pages) {
+            const context = await browser.newContext({ viewport: { width: 1280, height: 800 } });
+            try {
+                const page = await context.newPage();
+                await loadHtml(page, html);
+                await page.waitForTimeout(500); // let scripts render
+                (await auditPage(page)).forEach(v => violations.push({ page: name, ...v }));
+            } finally {
+                await context.close();
+            }
+        }
+    } catch (err) {
+        if (signal?.aborted) return { passed: false, cancelled: true, violations, counts };
+        throw err;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await browser.close().catch(() => { });
+    }
+
+    violations.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    violations.forEach(v => { counts[v.severity] += v.count; });
+    return { passed: counts.high === 0, violations, counts };
+}
+
+module.exports = {
+    A11Y_RULES,
+    auditPage,
+    runA11yAudit
+};
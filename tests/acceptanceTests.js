@@ -0,0 +1,212 @@
+/**
+ * Acceptance Tests
+ * Turns the plan's acceptance_criteria into executable browser scenarios
+ * (an LLM writes the steps) and runs them with Playwright.
+ *
+ * A scenario is { criterion, page?, steps: [{ action, selector?, value?, text?, count?, ms? }] }
+ * where action is one of STEP_ACTIONS. Each scenario runs on a fresh page so
+ * one criterion's clicks can't break the next.
+ */
+
+const { ACCEPTANCE_TEST_PROMPT } = require('../critic/prompts');
+const { parseJsonResponse } = require('../critic/jsonResponse');
+const { loadHtml } = require('./pageLoader');
+
+const STEP_ACTIONS = ['click', 'fill', 'select', 'check', 'press', 'wait', 'expectVisible', 'expectHidden', 'expectText', 'expectCount'];
+const STEP_TIMEOUT_MS = 3000;
+const MAX_STEPS = 12;
+const MAX_WAIT_MS = 2000;
+
+/**
+ * Ask the LLM for one scenario per acceptance criterion
+ * @param {Function} callLLM - LLM caller function (model, prompt, { role, signal })
+ * @param {object} planJSON - Plan with acceptance_criteria
+ * @param {string} html - Current HTML or bundle text (selectors must exist in it)
+ * @param {string} modelName
+ * @param {{signal?: AbortSignal, bundle?: boolean}} [options] - bundle scenarios name the page they run on
+ * @returns {Promise<{criteria: string[], tests: Array<object>, cancelled?: boolean, error?: string}>}
+ */
+async function generateAcceptanceTests(callLLM, planJSON, html, modelName, { signal, bundle = false } = {}) {
+    const criteria = (planJSON?.acceptance_criteria || []).map(String).filter(c => c.trim());
+    if (criteria.length === 0) return { criteria, tests: [] };
+
+    const prompt = ACCEPTANCE_TEST_PROMPT(criteria, html, { bundle });
+    const options = { role: 'critic', signal };
+
+    let raw;
+    try {
+        raw = await callLLM(modelName, prompt, options);
+    } catch (err) {
+        if (err.code === 'CANCELLED') return { criteria, tests: [], cancelled: true };
+        console.error('[AcceptanceTests] LLM call failed:', err.message);
+        return { criteria, tests: [], error: err.message };
+    }
+
+    let result = parseJsonResponse(raw);
+    if (!result) {
+        console.warn('[AcceptanceTests] Failed to parse response, retrying...');
+        try {
+            result = parseJsonResponse(await callLLM(modelName, 'You MUST return valid JSON only. ' + prompt, options));
+        } catch (err) {
+            if (err.code === 'CANCELLED') return { criteria, tests: [], cancelled: true };
+            console.error('[AcceptanceTests] Retry failed:', err.message);
+        }
+    }
+    if (!result) return { criteria, tests: [], error: 'Could not parse acceptance test response' };
+
+    return { criteria, tests: normalizeTests(result.tests, criteria) };
+}
+
+/**
+ * Drop malformed steps and scenarios for criteria that weren't asked for
+ */
+function normalizeTests(tests, criteria) {
+    if (!Array.isArray(tests)) return [];
+
+    return tests
+        .map((test, i) => {
+            // Models sometimes paraphrase the criterion; fall back to its position
+            const criterion = criteria.includes(test?.criterion) ? test.criterion : criteria[i];
+            const steps = (Array.isArray(test?.steps) ? test.steps : [])
+                .filter(step => STEP_ACTIONS.includes(step?.action))
+                .filter(step => step.action === 'wait' || step.action === 'press' || typeof step.selector === 'string')
+                .slice(0, MAX_STEPS)
+                .map(step => ({
+                    action: step.action,
+                    ...(step.selector !== undefined && { selector: String(step.selector) }),
+                    ...(step.value !== undefined && { value: String(step.value) }),
+                    ...(step.text !== undefined && { text: String(step.text) }),
+                    ...(step.count !== undefined && { count: Number(step.count) }),
+                    ...(step.ms !== undefined && { ms: Math.min(Number(step.ms) || 0, MAX_WAIT_MS) })
+                }));
+            const page = typeof test?.page === 'string' ? test.page : undefined;
+            return { criterion, ...(page && { page }), steps };
+        })
+        .filter((test, i, all) => test.criterion && test.steps.length > 0 &&
+            all.findIndex(t => t.criterion === test.criterion) === i);
+}
+
+/**
+ * Wait until a locator matches exactly `count` elements
+ */
+async function waitForCount(locator, count, timeout) {
+    const deadline = Date.now() + timeout;
+    let actual = await locator.count();
+    while (actual !== count && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        actual = await locator.count();
+    }
+    if (actual !== count) throw new Error(`expected ${count} element(s), found ${actual}`);
+}
+
+/**
+ * Run one step against a Playwright page
+ */
+async function runStep(page, step) {
+    const timeout = STEP_TIMEOUT_MS;
+    const target = () => page.locator(step.selector).first();
+
+    switch (step.action) {
+        case 'click':
+            return target().click({ timeout });
+        case 'fill':
+            return target().fill(step.value ?? '', { timeout });
+        case 'select':
+            return target().selectOption(step.value ?? '', { timeout });
+        case 'check':
+            return target().check({ timeout });
+        case 'press':
+            return step.selector
+                ? target().press(step.value || 'Enter', { timeout })
+                : page.keyboard.press(step.value || 'Enter');
+        case 'wait':
+            return page.waitForTimeout(Math.min(step.ms ?? 500, MAX_WAIT_MS));
+        case 'expectVisible':
+            return target().waitFor({ state: 'visible', timeout });
+        case 'expectHidden':
+            return page.locator(step.selector).first().waitFor({ state: 'hidden', timeout });
+        case 'expectText':
+            return page.locator(step.selector).filter({ hasText: step.text ?? '' }).first().waitFor({ state: 'visible', timeout });
+        case 'expectCount':
+            return waitForCount(page.locator(step.selector), step.count, timeout);
+        default:
+            throw new Error(`Unknown action: ${step.action}`);
+    }
+}
+
+function describeStep(step) {
+    const detail = step.text ?? step.value ?? step.count ?? step.ms;
+    return [step.action, step.selector, detail !== undefined ? JSON.stringify(detail) : null].filter(Boolean).join(' ');
+}
+
+/**
+ * Run scenarios against HTML, each on a fresh page
+ * @param {object} browser - Playwright browser
+ * @param {string} html - Page HTML
+ * @param {Array<object>} tests - From generateAcceptanceTests
+ * @returns {Promise<Array<{criterion: string, passed: boolean, steps: number, failedStep?: string, error?: string, pageErrors: string[]}>>}
+ */
+async function runAcceptanceTests(browser, html, tests) {
+    const results = [];
+
+    for (const test of tests) {
+        const context = await browser.newContext();
+        const pageErrors = [];
+        const result = { criterion: test.criterion, passed: false, steps: test.steps.length, pageErrors };
+        try {
+            const page = await context.newPage();
+            page.on('pageerror', error => pageErrors.push(error.message));
+            await loadHtml(page, html);
+            await page.waitForTimeout(500); // let scripts render
+
+            let failed = null;
+            for (const step of test.steps) {
+                try {
+                    await runStep(page, step);
+                } catch (err) {
+                    failed = { failedStep: describeStep(step), error: err.message.split('\n')[0] };
+                    break;
+                }
+            }
+            Object.assign(result, failed || { passed: true });
+        } catch (err) {
+            result.error = err.message.split('\n')[0];
+        } finally {
+            await context.close();
+        }
+        results.push(result);
+    }
+
+    return results;
+}
+
+/**
+ * Per-criterion status for summaries and SSE
+ * @param {string[]} criteria - The plan's acceptance criteria
+ * @param {Array<object>} tests - Generated scenarios
+ * @param {object} smokeResults - results from runSmokeTests / runBundleSmokeTests
+ * @returns {Array<{criterion: string, status: string, error?: string, failedStep?: string}>}
+ *   - status is 'passed', 'failed', 'skipped' (no browser) or 'untested' (no scenario generated)
+ */
+function summarizeAcceptance(criteria, tests, smokeResults) {
+    const ran = smokeResults?.acceptance || [];
+    return criteria.map(criterion => {
+        if (!tests.some(t => t.criterion === criterion)) return { criterion, status: 'untested' };
+        const result = ran.find(r => r.criterion === criterion);
+        if (!result) return { criterion, status: 'skipped' };
+        if (result.passed) return { criterion, status: 'passed' };
+        return {
+            criterion,
+            status: 'failed',
+            ...(result.failedStep && { failedStep: result.failedStep }),
+            ...(result.error && { error: result.error })
+        };
+    });
+}
+
+module.exports = {
+    STEP_ACTIONS,
+    generateAcceptanceTests,
+    runAcceptanceTests,
+    summarizeAcceptance
+};
@@ -0,0 +1,102 @@
+/**
+ * Library Check
+ * Loads one catalog library into an empty headless page before the coder is
+ * offered it, and confirms that:
+ * - every declared global exists (e.g. window.Chart)
+ * - every stylesheet loaded
+ * - no request failed and nothing threw (a wrong SRI hash blocks the file)
+ */
+
+const { launchBrowser } = require('./screenshots');
+const { loadHtml } = require('./pageLoader');
+const { libraryTags } = require('../libraries/catalog');
+
+const LOAD_TIMEOUT_MS = 20000;
+
+/**
+ * A blank page that loads the library (and what it requires)
+ * @param {object} lib - Catalog entry
+ * @param {object} catalog
+ * @param {{sri?: boolean}} [options] - sri: false leaves out integrity attributes
+ * @returns {string}
+ */
+function libraryTestPage(lib, catalog, { sri = true } = {}) {
+    return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>${lib.name}</title>\n` +
+        `${libraryTags(lib, catalog, { sri })}\n</head>\n<body></body>\n</html>`;
+}
+
+/**
+ * Runs inside the page: which globals exist and which stylesheets loaded
+ */
+function inspectLibrary(globals) {
+    const lookup = (name) => name.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+    return {
+        globals: globals.map(name => ({ name, defined: lookup(name) !== undefined })),
+        stylesheets: Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+            .map(link => ({ href: link.href, loaded: Boolean(link.sheet) }))
+    };
+}
+
+/**
+ * Load a library in Chromium and check it works
+ * @param {object} lib - Catalog entry
+ * @param {string} html - From libraryTestPage (after the server's CSP/SRI/mirror treatment)
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{library: string, passed: boolean, skipped?: string, cancelled?: boolean,
+ *   globals: Array<{name: string, defined: boolean}>, stylesheets: Array<{href: string, loaded: boolean}>,
+ *   failedRequests: string[], errors: string[], testedAt: string}>}
+ */
+async function testLibrary(lib, html, { signal } = {}) {
+    const result = {
+        library: lib.name,
+        passed: false,
+        globals: [],
+        stylesheets: [],
+        failedRequests: [],
+        errors: [],
+        testedAt: new Date().toISOString()
+    };
+
+    const { browser, skipped } = await launchBrowser({ signal });
+    if (!browser) return { ...result, skipped };
+
+    const onAbort = () => browser.close().catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        const page = await browser.newPage();
+        page.on('pageerror', error => result.errors.push(error.message));
+        page.on('console', msg => {
+            if (msg.type() === 'error') result.errors.push(msg.text());
+        });
+        page.on('requestfailed', request => {
+            result.failedRequests.push(`${request.url()} (${request.failure()?.errorText || 'failed'})`);
+        });
+        page.on('response', response => {
+            if (response.status() >= 400) result.failedRequests.push(`${response.url()} (HTTP ${response.status()})`);
+        });
+
+        await loadHtml(page, html, { timeout: LOAD_TIMEOUT_MS });
+        await page.waitForLoadState('load', { timeout: LOAD_TIMEOUT_MS });
+        await page.waitForTimeout(300); // let deferred scripts settle
+
+        Object.assign(result, await page.evaluate(inspectLibrary, lib.globals || []));
+        result.passed = result.globals.every(g => g.defined) &&
+            result.stylesheets.every(s => s.loaded) &&
+            result.failedRequests.length === 0 &&
+            result.errors.length === 0;
+    } catch (err) {
+        if (signal?.aborted) return { ...result, cancelled: true };
+        result.errors.push(err.message.split('\n')[0]);
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await browser.close().catch(() => { });
+    }
+
+    return result;
+}
+
+module.exports = {
+    libraryTestPage,
+    testLibrary
+};
@@ -0,0 +1,56 @@
+/**
+ * Page Loader
+ * Loads generated HTML into a Playwright page. Pages that use the offline
+ * library mirror reference /vendor/... URLs, which don't resolve from
+ * about:blank, so those are served from a stand-in origin whose /vendor/
+ * requests are answered from disk.
+ */
+
+const fs = require('fs/promises');
+const { MIRROR_PREFIX, resolveMirrorFile } = require('../libraries/mirror');
+
+const APP_ORIGIN = 'http://gea-app.test';
+const MIME_TYPES = {
+    '.js': 'text/javascript',
+    '.mjs': 'text/javascript',
+    '.css': 'text/css',
+    '.woff2': 'font/woff2',
+    '.woff': 'font/woff',
+    '.ttf': 'font/ttf',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+/**
+ * @param {object} page - Playwright page
+ * @param {string} html
+ * @param {{timeout?: number}} [options]
+ */
+async function loadHtml(page, html, { timeout = 15000 } = {}) {
+    if (!html.includes(`"${MIRROR_PREFIX}`) && !html.includes(`'${MIRROR_PREFIX}`)) {
+        await page.setContent(html, { waitUntil: 'domcontentloaded', timeout });
+        return;
+    }
+
+    await page.route(`${APP_ORIGIN}/**`, async (route) => {
+        const { pathname } = new URL(route.request().url());
+        if (pathname === '/') {
+            return route.fulfill({ status: 200, contentType: 'text/html', body: html });
+        }
+        const file = resolveMirrorFile(pathname);
+        if (!file) return route.fulfill({ status: 404, body: 'Not found' });
+        try {
+            const ext = file.slice(file.lastIndexOf('.')).toLowerCase();
+            return route.fulfill({
+                status: 200,
+                contentType: MIME_TYPES[ext] || 'application/octet-stream',
+                body: await fs.readFile(file)
+            });
+        } catch (err) {
+            return route.fulfill({ status: 404, body: 'Not found' });
+        }
+    });
+    await page.goto(`${APP_ORIGIN}/`, { waitUntil: 'domcontentloaded', timeout });
+}
+
+module.exports = { APP_ORIGIN, loadHtml };
@@ -0,0 +1,197 @@
+/**
+ * Responsive Layout Checks
+ * Loads a page under several device profiles and looks for the layout bugs a
+ * desktop-only smoke test misses:
+ * - horizontal overflow (the page scrolls sideways)
+ * - critical elements pushed partly or fully off-screen
+ * - interactive controls drawn on top of each other
+ *
+ * Profiles are named (see DEVICE_PROFILES) or given as WIDTHxHEIGHT.
+ */
+
+const { loadHtml } = require('./pageLoader');
+
+const DEVICE_PROFILES = {
+    phone: { name: 'phone', width: 390, height: 844, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+    tablet: { name: 'tablet', width: 820, height: 1180, isMobile: true, hasTouch: true, deviceScaleFactor: 2 },
+    desktop: { name: 'desktop', width: 1280, height: 800 }
+};
+const DEFAULT_DEVICES = ['phone', 'tablet', 'desktop'];
+
+// Share of the smaller control's area two controls may overlap before it is reported
+const OVERLAP_RATIO = 0.3;
+const MAX_REPORTS_PER_CHECK = 3;
+
+/**
+ * Turn profile names into device profiles; unknown names are skipped with a warning
+ * @param {string[]} [names] - e.g. ['phone', 'tablet', '1024x768']
+ * @returns {Array<object>}
+ */
+function resolveDevices(names = DEFAULT_DEVICES) {
+    const profiles = [];
+    for (const raw of names) {
+        const name = String(raw).trim().toLowerCase();
+        const custom = name.match(/^(\d{3,4})x(\d{3,4})$/);
+        if (DEVICE_PROFILES[name]) {
+            profiles.push(DEVICE_PROFILES[name]);
+        } else if (custom) {
+            profiles.push({ name, width: Number(custom[1]), height: Number(custom[2]) });
+        } else if (name) {
+            console.warn(`[Responsive] Unknown device profile "${raw}" ignored`);
+        }
+    }
+    return profiles;
+}
+
+/**
+ * Runs inside the page: measure layout problems at the current viewport
+ */
+function measureLayout({ criticalSelectors, overlapRatio, maxReports }) {
+    const viewportWidth = document.documentElement.clientWidth;
+    const describe = (el) => {
+        const id = el.id ? `#${el.id}` : '';
+        const cls = typeof el.className === 'string' && el.className.trim()
+            ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+            : '';
+        const text = (el.textContent || el.value || '').trim().replace(/\s+/g, ' ').slice(0, 30);
+        return `${el.tagName.toLowerCase()}${id}${cls}${text ? ` ("${text}")` : ''}`;
+    };
+    const visible = (el) => {
+        const r = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        return r.width > 0 && r.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+    };
+    // Content inside a scrolling or clipping container doesn't widen the page
+    const clipped = (el) => {
+        for (let a = el.parentElement; a && a !== document.body; a = a.parentElement) {
+            if (getComputedStyle(a).overflowX !== 'visible') return true;
+        }
+        return false;
+    };
+
+    const overflow = [];
+    const scrollWidth = document.documentElement.scrollWidth;
+    if (scrollWidth > viewportWidth + 1) {
+        for (const el of document.body.querySelectorAll('*')) {
+            const r = el.getBoundingClientRect();
+            if (r.width === 0 || r.right <= viewportWidth + 1 || clipped(el)) continue;
+            // Report the outermost culprit, not every descendant of it
+            const parent = el.parentElement;
+            if (parent && parent !== document.body && parent.getBoundingClientRect().right > viewportWidth + 1) continue;
+            overflow.push({ element: describe(el), width: Math.round(r.width), right: Math.round(r.right) });
+            if (overflow.length >= maxReports) break;
+        }
+    }
+
+    const offscreen = [];
+    for (const { selector, description } of criticalSelectors) {
+        let el = null;
+        try {
+            el = document.querySelector(selector);
+        } catch (e) { /* invalid selector */ }
+        if (!el || !visible(el) || clipped(el)) continue;
+        const r = el.getBoundingClientRect();
+        if (r.left < -1 || r.right > viewportWidth + 1) {
+            offscreen.push({ selector, description, element: describe(el), left: Math.round(r.left), right: Math.round(r.right) });
+        }
+    }
+
+    const controls = Array.from(document.querySelectorAll('button, a[href], input:not([type="hidden"]), select, textarea, [role="button"]'))
+        .filter(visible)
+        .slice(0, 60);
+    const overlaps = [];
+    for (let i = 0; i < controls.length && overlaps.length < maxReports; i++) {
+        for (let j = i + 1; j < controls.length && overlaps.length < maxReports; j++) {
+            const a = controls[i];
+            const b = controls[j];
+            if (a.contains(b) || b.contains(a)) continue;
+            const ra = a.getBoundingClientRect();
+            const rb = b.getBoundingClientRect();
+            const w = Math.min(ra.right, rb.right) - Math.max(ra.left, rb.left);
+            const h = Math.min(ra.bottom, rb.bottom) - Math.max(ra.top, rb.top);
+            if (w <= 0 || h <= 0) continue;
+            const smaller = Math.min(ra.width * ra.height, rb.width * rb.height);
+            if (smaller > 0 && (w * h) / smaller > overlapRatio) {
+                overlaps.push({ first: describe(a), second: describe(b), ratio: Number(((w * h) / smaller).toFixed(2)) });
+            }
+        }
+    }
+
+    return { viewportWidth, scrollWidth, overflow, offscreen, overlaps };
+}
+
+/**
+ * Turn measurements for one device into structured errors for the patch loop
+ */
+function layoutErrors(device, measured) {
+    const where = `${device.name} (${device.width}px)`;
+    const errors = [];
+
+    if (measured.scrollWidth > measured.viewportWidth + 1) {
+        const culprits = measured.overflow.map(o => o.element).join(', ');
+        errors.push({
+            type: 'HORIZONTAL_OVERFLOW',
+            device: device.name,
+            message: `On ${where} the page is ${measured.scrollWidth}px wide and scrolls sideways${culprits ? `; widest elements: ${culprits}` : ''}`,
+            severity: 'critical',
+            suggestedFix: `Make ${culprits || 'the widest containers'} fit ${device.width}px: replace fixed widths with max-width: 100%, use flex-wrap or a responsive grid, and wrap wide tables in an overflow-x: auto container`
+        });
+    }
+
+    measured.offscreen.forEach(o => errors.push({
+        type: 'OFFSCREEN_ELEMENT',
+        device: device.name,
+        selector: o.selector,
+        message: `On ${where} ${o.description || o.selector} (${o.element}) is outside the viewport (left ${o.left}px, right ${o.right}px)`,
+        severity: 'critical',
+        suggestedFix: `Keep ${o.description || o.selector} inside the viewport on small screens: remove fixed widths, negative margins or absolute offsets and use max-width: 100%`
+    }));
+
+    measured.overlaps.forEach(o => errors.push({
+        type: 'OVERLAPPING_CONTROLS',
+        device: device.name,
+        message: `On ${where} ${o.first} and ${o.second} overlap (${Math.round(o.ratio * 100)}% of the smaller control)`,
+        severity: 'medium',
+        suggestedFix: 'Give the controls their own space: let the row wrap (flex-wrap: wrap), add gap/margin, or stack them vertically on narrow screens instead of absolute positioning'
+    }));
+
+    return errors;
+}
+
+/**
+ * Check a page's layout under each device profile
+ * @param {object} browser - Playwright browser
+ * @param {string} html - Page HTML
+ * @param {{devices?: Array<object>, criticalSelectors?: Array<{selector: string, description?: string}>}} [options]
+ * @returns {Promise<Array<{device: string, width: number, height: number, structuredErrors: object[]}>>}
+ */
+async function checkResponsiveLayout(browser, html, { devices = resolveDevices(), criticalSelectors = [] } = {}) {
+    const reports = [];
+
+    for (const device of devices) {
+        const { name, width, height, ...emulation } = device;
+        const context = await browser.newContext({ viewport: { width, height }, ...emulation });
+        try {
+            const page = await context.newPage();
+            await loadHtml(page, html);
+            await page.waitForTimeout(500); // let scripts render
+            const measured = await page.evaluate(measureLayout, {
+                criticalSelectors,
+                overlapRatio: OVERLAP_RATIO,
+                maxReports: MAX_REPORTS_PER_CHECK
+            });
+            reports.push({ device: name, width, height, structuredErrors: layoutErrors(device, measured) });
+        } finally {
+            await context.close();
+        }
+    }
+
+    return reports;
+}
+
+module.exports = {
+    DEVICE_PROFILES,
+    DEFAULT_DEVICES,
+    resolveDevices,
+    checkResponsiveLayout
+};
@@ -0,0 +1,273 @@
+/**
+ * Screenshots & Visual Regression
+ * Captures full-page screenshots per viewport and compares them against a
+ * baseline. Pixel comparison runs inside Chromium (canvas getImageData), so
+ * no image libraries are needed beyond Playwright itself.
+ *
+ * Files are named <page>-<viewport>.png (single-page apps use page "index").
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { loadHtml } = require('./pageLoader');
+const { createLimiter } = require('../jobs/limiter');
+
+let playwright;
+try {
+    playwright = require('playwright');
+} catch (e) {
+    playwright = null; // smokeTest.js already warns about this
+}
+
+const VIEWPORTS = [
+    { name: 'desktop', width: 1280, height: 800 },
+    { name: 'mobile', width: 390, height: 844 }
+];
+
+// Per-channel difference (0-255) below which a pixel counts as unchanged (antialiasing noise)
+const PIXEL_TOLERANCE = 16;
+const SCREENSHOT_FILE = /^[a-z0-9][\w-]*\.png$/i;
+
+// Chromium instances open at once across the process (the server sets it to JOB_CONCURRENCY)
+const browserSlots = createLimiter(2);
+
+/**
+ * Set how many browsers may be open at once
+ * @param {number} max
+ */
+function setBrowserLimit(max) {
+    browserSlots.setMax(max);
+}
+
+/**
+ * Launch headless Chromium once a browser slot is free, or explain why it isn't available.
+ * The slot is given back when the browser closes (or crashes).
+ * @param {{signal?: AbortSignal}} [options] - signal gives up waiting for a slot (rejects with code CANCELLED)
+ * @returns {Promise<{browser?: object, skipped?: string}>}
+ */
+async function launchBrowser({ signal } = {}) {
+    if (!playwright) return { skipped: 'Playwright not available' };
+    const release = await browserSlots.acquire({ signal });
+    try {
+        const browser = await playwright.chromium.launch({ headless: true });
+        browser.on('disconnected', release);
+        return { browser };
+    } catch (err) {
+        release();
+        if (err.message.includes('Executable doesn\'t exist')) return { skipped: 'Browser binaries missing' };
+        throw err;
+    }
+}
+
+/**
+ * Screenshot one page at every viewport using an already-launched browser
+ * @param {object} browser - Playwright browser
+ * @param {string} html - Page HTML
+ * @param {{dir: string, page?: string, viewports?: Array<object>}} options
+ * @returns {Promise<Array<{page: string, viewport: string, file: string}>>} - file is relative to dir
+ */
+async function captureScreenshots(browser, html, { dir, page = 'index', viewports = VIEWPORTS }) {
+    await fs.mkdir(dir, { recursive: true });
+    const shots = [];
+
+    for (const viewport of viewports) {
+        const context = await browser.newContext({ viewport: { width: viewport.width, height: viewport.height } });
+        try {
+            const tab = await context.newPage();
+            await loadHtml(tab, html);
+            await tab.waitForTimeout(1000); // let scripts render
+            const file = `${page}-${viewport.name}.png`;
+            await tab.screenshot({ path: path.join(dir, file), fullPage: true });
+            shots.push({ page, viewport: viewport.name, file });
+        } finally {
+            await context.close();
+        }
+    }
+
+    return shots;
+}
+
+/**
+ * Screenshot every page of an app with a browser of its own
+ * @param {Array<{name: string, html: string}>} pages - Page name (e.g. "index") and HTML
+ * @param {string} dir - Output directory (replaced)
+ * @param {{signal?: AbortSignal}} [options] - signal closes the browser and ends the capture early
+ * @returns {Promise<{skipped: string|null, cancelled?: boolean, screenshots: Array<object>}>}
+ */
+async function captureAppScreenshots(pages, dir, { signal } = {}) {
+    const { browser, skipped } = await launchBrowser({ signal });
+    if (!browser) return { skipped, screenshots: [] };
+
+    const onAbort = () => browser.close().catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const screenshots = [];
+    try {
+        await fs.rm(dir, { recursive: true, force: true });
+        for (const { name, html } of pages) {
+            if (signal?.aborted) return { skipped: null, cancelled: true, screenshots };
+            screenshots.push(...await captureScreenshots(browser, html, { dir, page: name }));
+        }
+        return { skipped: null, screenshots };
+    } catch (err) {
+        if (signal?.aborted) return { skipped: null, cancelled: true, screenshots };
+        throw err;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await browser.close().catch(() => { });
+    }
+}
+
+/**
+ * Pixel-compare two PNGs in the browser
+ * @returns {Promise<{width: number, height: number, changedPixels: number, totalPixels: number, diffImage: string}>}
+ *   - diffImage is a PNG data URL with changed pixels in red
+ */
+async function comparePngs(browser, baseline, current) {
+    const context = await browser.newContext();
+    try {
+        const tab = await context.newPage();
+        return await tab.evaluate(async ({ a, b, tolerance }) => {
+            const load = (src) => new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Could not decode screenshot'));
+                img.src = src;
+            });
+            const [imgA, imgB] = await Promise.all([load(a), load(b)]);
+            const width = Math.max(imgA.width, imgB.width);
+            const height = Math.max(imgA.height, imgB.height);
+
+            const pixels = (img) => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                return ctx.getImageData(0, 0, width, height).data;
+            };
+            const pa = pixels(imgA);
+            const pb = pixels(imgB);
+
+            const out = document.createElement('canvas');
+            out.width = width;
+            out.height = height;
+            const octx = out.getContext('2d');
+            const diff = octx.createImageData(width, height);
+
+            let changedPixels = 0;
+            for (let i = 0; i < pa.length; i += 4) {
+                const delta = Math.max(
+                    Math.abs(pa[i] - pb[i]),
+                    Math.abs(pa[i + 1] - pb[i + 1]),
+                    Math.abs(pa[i + 2] - pb[i + 2]),
+                    Math.abs(pa[i + 3] - pb[i + 3])
+                );
+                if (delta > tolerance) {
+                    changedPixels++;
+                    diff.data.set([255, 0, 0, 255], i);
+                } else {
+                    // Faded copy of the new screenshot for orientation
+                    const grey = (pb[i] + pb[i + 1] + pb[i + 2]) / 3;
+                    diff.data.set([grey, grey, grey, 64], i);
+                }
+            }
+            octx.putImageData(diff, 0, 0);
+
+            return { width, height, changedPixels, totalPixels: width * height, diffImage: out.toDataURL('image/png') };
+        }, {
+            a: `data:image/png;base64,${baseline.toString('base64')}`,
+            b: `data:image/png;base64,${current.toString('base64')}`,
+            tolerance: PIXEL_TOLERANCE
+        });
+    } finally {
+        await context.close();
+    }
+}
+
+async function listScreenshots(dir) {
+    const names = await fs.readdir(dir).catch(() => []);
+    return names.filter(name => SCREENSHOT_FILE.test(name)).sort();
+}
+
+/**
+ * Compare a set of screenshots against a baseline set
+ * @param {string} baselineDir
+ * @param {string} currentDir
+ * @param {{threshold?: number, diffDir?: string, signal?: AbortSignal}} [options] - threshold is the changed-pixel
+ *   ratio that flags a screenshot; signal closes the browser and ends the comparison early
+ * @returns {Promise<object>} - { status: 'unchanged'|'changed'|'skipped'|'cancelled', threshold, comparisons, added, removed }
+ */
+async function compareScreenshotDirs(baselineDir, currentDir, { threshold = 0.01, diffDir = null, signal } = {}) {
+    const baseline = await listScreenshots(baselineDir);
+    const current = await listScreenshots(currentDir);
+    const report = {
+        status: 'unchanged',
+        threshold,
+        comparisons: [],
+        added: current.filter(name => !baseline.includes(name)),
+        removed: baseline.filter(name => !current.includes(name))
+    };
+
+    const { browser, skipped } = await launchBrowser({ signal });
+    if (!browser) return { ...report, status: 'skipped', reason: skipped };
+
+    const onAbort = () => browser.close().catch(() => { });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+        if (diffDir) {
+            await fs.rm(diffDir, { recursive: true, force: true });
+            await fs.mkdir(diffDir, { recursive: true });
+        }
+
+        for (const file of current.filter(name => baseline.includes(name))) {
+            if (signal?.aborted) return { ...report, status: 'cancelled', cancelled: true };
+            const [before, after] = await Promise.all([
+                fs.readFile(path.join(baselineDir, file)),
+                fs.readFile(path.join(currentDir, file))
+            ]);
+            const result = await comparePngs(browser, before, after);
+            const ratio = result.totalPixels ? result.changedPixels / result.totalPixels : 0;
+            const changed = ratio > threshold;
+
+            const comparison = {
+                file,
+                width: result.width,
+                height: result.height,
+                changedPixels: result.changedPixels,
+                ratio: Number(ratio.toFixed(5)),
+                changed,
+                diffFile: null
+            };
+            if (diffDir && result.changedPixels > 0) {
+                const png = Buffer.from(result.diffImage.split(',')[1], 'base64');
+                await fs.writeFile(path.join(diffDir, file), png);
+                comparison.diffFile = file;
+            }
+            report.comparisons.push(comparison);
+        }
+    } catch (err) {
+        if (signal?.aborted) return { ...report, status: 'cancelled', cancelled: true };
+        throw err;
+    } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await browser.close().catch(() => { });
+    }
+
+    // A page that appeared or disappeared is a visual change too
+    if (report.comparisons.some(c => c.changed) || report.added.length || report.removed.length) {
+        report.status = 'changed';
+    }
+    return report;
+}
+
+module.exports = {
+    VIEWPORTS,
+    SCREENSHOT_FILE,
+    setBrowserLimit,
+    launchBrowser,
+    captureScreenshots,
+    captureAppScreenshots,
+    compareScreenshotDirs
+};
@@ -8,8 +8,19 @@
  * - Comprehensive interaction testing
  * - Runtime helper verification
  * - Structured errors for LLM patching
+ * - Optional full-page screenshots per viewport (see screenshots.js)
+ * - Plan acceptance criteria run as generated scenarios (see acceptanceTests.js)
+ * - Layout checks under phone/tablet/desktop profiles (see responsive.js)
+ * - Every request checked against the server's CSP; one it doesn't allow fails the run
  */
 
+const { captureScreenshots, launchBrowser } = require('./screenshots');
+const { runAcceptanceTests } = require('./acceptanceTests');
+const { resolveDevices, checkResponsiveLayout } = require('./responsive');
+const { APP_ORIGIN, loadHtml } = require('./pageLoader');
+const { parseCsp, requestAllowed } = require('../critic/csp');
+const { planPageFiles } = require('../dsstar/bundle');
+
 let playwright;
 try {
     playwright = require('playwright');
@@ -21,9 +32,16 @@ try {
  * Run enhanced smoke tests on HTML content
  * @param {string} html - HTML content to test
  * @param {object} plan - Plan to derive expected elements
- * @returns {Promise<{passed: boolean, results: object, logs: string[], structuredErrors: object[]}>}
+ * @param {{signal?: AbortSignal, screenshotDir?: string, pageName?: string, acceptanceTests?: Array<object>, devices?: Array<object>, csp?: string|null}} [options]
+ *   - signal closes the browser and ends the run early
+ *   - screenshotDir saves <pageName>-<viewport>.png there (results.screenshots)
+ *   - acceptanceTests are run on fresh pages; results.acceptance has one entry per scenario
+ *   - devices are the profiles for the layout checks (default: phone, tablet, desktop); results.layout
+ *   - csp is the policy the server serves pages with; requests it doesn't allow (and navigations off the
+ *     page's origin) are aborted and listed in results.blockedRequests. Without it requests aren't checked.
+ * @returns {Promise<{passed: boolean, results: object, logs: string[], structuredErrors: object[], cancelled?: boolean}>}
  */
-async function runSmokeTests(html, plan = null) {
+async function runSmokeTests(html, plan = null, { signal, screenshotDir = null, pageName = 'index', acceptanceTests = [], devices = resolveDevices(), csp = null } = {}) {
     // Skip if Playwright not available (production without browsers installed)
     if (!playwright) {
         console.log('[SmokeTest] ⏭️  Skipping - Playwright not available (run: npx playwright install chromium)');
@@ -42,7 +60,8 @@ async function runSmokeTests(html, plan = null) {
         missingSelectors: [],
         loadSuccess: false,
         interactionResults: [],
-        runtimeHelpers: { store: false, llm: false },
+        runtimeHelpers: { store: false, llm: false, db: false },
+        blockedRequests: [],
         criticalFailures: []
     };
 
@@ -58,24 +77,30 @@ async function runSmokeTests(html, plan = null) {
     }
 
     let browser;
+    let detachAbort = () => { };
     try {
-        // Launch headless browser (with robust error handling for environments missing binaries)
-        try {
-            browser = await playwright.chromium.launch({ headless: true });
-        } catch (launchErr) {
-            console.warn(`[SmokeTest] ⚠️ Playwright launch failed: ${launchErr.message}`);
-            // Check for common specific error: "Executable doesn't exist"
-            if (launchErr.message.includes('Executable doesn\'t exist')) {
-                return {
-                    passed: true,
-                    results: { ...results, loadSuccess: true, skipped: true, reason: 'Browser binaries missing' },
-                    logs: ['[SKIP] Playwright browser binary not found (run: npx playwright install)'],
-                    structuredErrors: []
-                };
-            }
-            throw launchErr; // Re-throw other errors
+        if (signal?.aborted) throw new Error('Smoke test cancelled');
+
+        // Launch headless browser once a browser slot is free (skipped in environments missing binaries)
+        const launched = await launchBrowser({ signal });
+        if (!launched.browser) {
+            console.warn(`[SmokeTest] ⚠️ Playwright launch skipped: ${launched.skipped}`);
+            return {
+                passed: true,
+                results: { ...results, loadSuccess: true, skipped: true, reason: launched.skipped },
+                logs: ['[SKIP] Playwright browser binary not found (run: npx playwright install)'],
+                structuredErrors: []
+            };
         }
+        browser = launched.browser;
+
+        // Closing the browser makes the pending Playwright call reject
+        const onAbort = () => browser.close().catch(() => { });
+        signal?.addEventListener('abort', onAbort, { once: true });
+        detachAbort = () => signal?.removeEventListener('abort', onAbort);
+
         const context = await browser.newContext();
+        if (csp) await guardRequests(context, parseCsp(csp), { results, logs, structuredErrors });
         const page = await context.newPage();
 
         // Capture console errors with context
@@ -114,7 +139,7 @@ async function runSmokeTests(html, plan = null) {
             throw new Error('HTML content is empty');
         }
 
-        await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 15000 });
+        await loadHtml(page, html);
         results.loadSuccess = true;
         logs.push('[PASS] Page loaded successfully');
 
@@ -128,21 +153,36 @@ async function runSmokeTests(html, plan = null) {
             return {
                 storeExists: typeof window.geaRuntimeStore !== 'undefined',
                 llmExists: typeof window.geaRuntimeLLM !== 'undefined',
-                storeHasMethods: window.geaRuntimeStore &&
-                    typeof window.geaRuntimeStore.get === 'function' &&
-                    typeof window.geaRuntimeStore.set === 'function'
+                storeHasMethods: Boolean(window.geaRuntimeStore) &&
+                    ['get', 'set', 'getEntry', 'list', 'delete', 'update', 'append']
+                        .every(name => typeof window.geaRuntimeStore[name] === 'function'),
+                dbHasMethods: Boolean(window.geaRuntimeDB) && typeof window.geaRuntimeDB.collection === 'function'
             };
         });
 
         results.runtimeHelpers.store = runtimeCheck.storeExists && runtimeCheck.storeHasMethods;
         results.runtimeHelpers.llm = runtimeCheck.llmExists;
+        results.runtimeHelpers.db = runtimeCheck.dbHasMethods;
 
         if (!results.runtimeHelpers.store) {
             logs.push('[WARN] geaRuntimeStore not properly injected');
+        } else if (!results.runtimeHelpers.db) {
+            logs.push('[WARN] geaRuntimeDB not properly injected');
         } else {
             logs.push('[PASS] Runtime helpers verified');
         }
 
+        // ============ SCREENSHOTS (before interactions change the page) ============
+        if (screenshotDir) {
+            try {
+                results.screenshots = await captureScreenshots(browser, html, { dir: screenshotDir, page: pageName });
+                logs.push(`[INFO] Saved ${results.screenshots.length} screenshot(s)`);
+            } catch (e) {
+                if (signal?.aborted) throw e;
+                logs.push(`[WARN] Screenshot capture failed: ${e.message}`);
+            }
+        }
+
         // ============ PHASE 2: ELEMENT VERIFICATION ============
         if (plan) {
             const selectors = deriveSelectorsFromPlan(plan);
@@ -176,6 +216,52 @@ async function runSmokeTests(html, plan = null) {
             }
         }
 
+        // ============ PHASE 2b: ACCEPTANCE SCENARIOS ============
+        if (acceptanceTests.length > 0) {
+            logs.push(`[TEST] Running ${acceptanceTests.length} acceptance scenario(s)...`);
+            results.acceptance = await runAcceptanceTests(browser, html, acceptanceTests);
+
+            for (const result of results.acceptance) {
+                if (result.passed) {
+                    logs.push(`[PASS] Acceptance: ${result.criterion}`);
+                    continue;
+                }
+                const where = result.failedStep ? ` at "${result.failedStep}"` : '';
+                logs.push(`[FAIL] Acceptance: ${result.criterion}${where} - ${result.error}`);
+                results.criticalFailures.push(`Acceptance criterion failed: ${result.criterion}`);
+                structuredErrors.push({
+                    type: 'ACCEPTANCE_FAILED',
+                    criterion: result.criterion,
+                    message: `"${result.criterion}" failed${where}: ${result.error}`,
+                    severity: 'critical',
+                    suggestedFix: result.pageErrors.length > 0
+                        ? `Fix the JavaScript error raised during the scenario: ${result.pageErrors[0]}`
+                        : `Make sure the app satisfies: ${result.criterion}`
+                });
+            }
+        }
+
+        // ============ PHASE 2c: RESPONSIVE LAYOUT ============
+        // Overflow and off-screen critical elements fail the test; overlapping controls are advisory
+        if (devices.length > 0) {
+            logs.push(`[TEST] Checking layout on ${devices.map(d => d.name).join(', ')}...`);
+            const criticalSelectors = plan ? deriveSelectorsFromPlan(plan).filter(s => s.critical) : [];
+            results.layout = await checkResponsiveLayout(browser, html, { devices, criticalSelectors });
+
+            for (const report of results.layout) {
+                if (report.structuredErrors.length === 0) {
+                    logs.push(`[PASS] Layout OK on ${report.device} (${report.width}px)`);
+                }
+                report.structuredErrors.forEach(err => {
+                    logs.push(`[${err.severity === 'critical' ? 'FAIL' : 'WARN'}] ${err.message}`);
+                    structuredErrors.push(err);
+                    if (err.severity === 'critical') {
+                        results.criticalFailures.push(`Layout: ${err.message}`);
+                    }
+                });
+            }
+        }
+
         // ============ PHASE 3: COMPREHENSIVE INTERACTION TESTING ============
         logs.push('[TEST] Running interaction tests...');
 
@@ -235,9 +321,22 @@ async function runSmokeTests(html, plan = null) {
         }
 
 
+        detachAbort();
         await browser.close();
 
     } catch (error) {
+        detachAbort();
+        if (signal?.aborted) {
+            if (browser) await browser.close().catch(() => { });
+            logs.push('[CANCELLED] Smoke test stopped because the run was cancelled');
+            return {
+                passed: false,
+                cancelled: true,
+                results: { ...results, cancelled: true },
+                logs,
+                structuredErrors: []
+            };
+        }
         logs.push(`[FATAL] Test execution failed: ${error.message}`);
         structuredErrors.push({
             type: 'FATAL_ERROR',
@@ -283,10 +382,122 @@ async function runSmokeTests(html, plan = null) {
     logs.push(`  - Critical JS Errors: ${criticalErrors.length}`);
     logs.push(`  - Missing Elements: ${results.missingSelectors.length} (${results.missingSelectors.filter(s => s.critical).length} critical)`);
     logs.push(`  - Interactions Tested: ${results.interactionResults.length}`);
+    if (csp) {
+        logs.push(`  - Blocked Requests: ${results.blockedRequests.length}`);
+    }
+    if (results.layout) {
+        logs.push(`  - Layout Issues: ${results.layout.reduce((n, r) => n + r.structuredErrors.length, 0)} across ${results.layout.length} device(s)`);
+    }
+    if (results.acceptance) {
+        logs.push(`  - Acceptance: ${results.acceptance.filter(r => r.passed).length}/${results.acceptance.length} passed`);
+    }
 
     return { passed, results, logs, structuredErrors };
 }
 
+/**
+ * Smoke test a multi-page bundle page by page
+ * Each page is checked against the plan title, navigation and that page's own
+ * ui_components, since components listed for other pages won't be on it.
+ * @param {Array<{name: string, html: string}>} pages - Rendered pages (shared JS/CSS inlined)
+ * @param {object} plan - Plan with a pages array
+ * @param {{signal?: AbortSignal, screenshotDir?: string, acceptanceTests?: Array<object>, devices?: Array<object>}} [options]
+ *   - screenshots are named after each page; a scenario runs on its `page` (default: the landing page)
+ * @returns {Promise<{passed: boolean, results: object, logs: string[], structuredErrors: object[], cancelled?: boolean}>}
+ */
+async function runBundleSmokeTests(pages, plan = null, { signal, screenshotDir = null, acceptanceTests = [], devices, csp = null } = {}) {
+    // Pages arrive in bundle order (index.html first), not plan order, so match them by file name
+    const plannedByFile = new Map(planPageFiles(plan).map(({ file }, i) => [file, plan.pages[i]]));
+    const merged = {
+        consoleErrors: [],
+        missingSelectors: [],
+        loadSuccess: true,
+        interactionResults: [],
+        blockedRequests: [],
+        criticalFailures: [],
+        screenshots: [],
+        acceptance: [],
+        layout: [],
+        pages: {}
+    };
+    const logs = [];
+    const structuredErrors = [];
+    let passed = pages.length > 0;
+    const pageNames = pages.map(p => p.name);
+
+    for (const { name, html } of pages) {
+        const planned = plannedByFile.get(name) || {};
+        const pagePlan = plan ? {
+            title: plan.title,
+            pages: plan.pages,
+            ui_components: Array.isArray(planned.ui_components) ? planned.ui_components : []
+        } : null;
+
+        logs.push(`[PAGE] ${name}`);
+        const result = await runSmokeTests(html, pagePlan, {
+            signal,
+            screenshotDir,
+            pageName: name.replace(/\.html$/i, ''),
+            devices,
+            csp,
+            acceptanceTests: acceptanceTests.filter(t => (pageNames.includes(t.page) ? t.page : pages[0].name) === name)
+        });
+        if (result.cancelled) {
+            return { passed: false, cancelled: true, results: { ...merged, cancelled: true }, logs: logs.concat(result.logs), structuredErrors: [] };
+        }
+
+        passed = passed && result.passed;
+        merged.pages[name] = { passed: result.passed, ...result.results };
+        if (result.results?.skipped) merged.skipped = true;
+        if (result.results?.fatalError && !merged.fatalError) merged.fatalError = `${name}: ${result.results.fatalError}`;
+        merged.loadSuccess = merged.loadSuccess && result.results?.loadSuccess !== false;
+        (result.results?.consoleErrors || []).forEach(e => merged.consoleErrors.push(`[${name}] ${e}`));
+        (result.results?.missingSelectors || []).forEach(m => merged.missingSelectors.push({ ...m, page: name }));
+        (result.results?.interactionResults || []).forEach(r => merged.interactionResults.push({ ...r, page: name }));
+        (result.results?.blockedRequests || []).forEach(r => merged.blockedRequests.push({ ...r, page: name }));
+        (result.results?.criticalFailures || []).forEach(f => merged.criticalFailures.push(`[${name}] ${f}`));
+        merged.screenshots.push(...(result.results?.screenshots || []));
+        (result.results?.acceptance || []).forEach(r => merged.acceptance.push({ ...r, page: name }));
+        (result.results?.layout || []).forEach(r => merged.layout.push({ ...r, page: name }));
+        (result.structuredErrors || []).forEach(e => structuredErrors.push({ ...e, page: name, message: `[${name}] ${e.message || e.description || ''}` }));
+        logs.push(...result.logs);
+    }
+
+    return { passed, results: merged, logs, structuredErrors };
+}
+
+/**
+ * Abort every request of the context that the CSP doesn't allow and record it as a critical failure
+ * The stand-in origin's own routes (pageLoader) take precedence and never reach this handler.
+ * @param {object} context - Playwright browser context
+ * @param {Object<string, string[]>} directives - From parseCsp
+ * @param {{results: object, logs: string[], structuredErrors: object[]}} report - runSmokeTests' collectors
+ */
+async function guardRequests(context, directives, { results, logs, structuredErrors }) {
+    await context.route('**/*', (route) => {
+        const request = route.request();
+        const url = request.url();
+        const resourceType = request.resourceType();
+        const { allowed, directive } = requestAllowed(url, resourceType, directives, { selfOrigin: APP_ORIGIN });
+        if (allowed) return route.continue();
+
+        if (!results.blockedRequests.some(r => r.url === url)) {
+            results.blockedRequests.push({ url, resourceType, directive });
+            results.criticalFailures.push(`Request outside the allowed hosts: ${url}`);
+            logs.push(`[FAIL] Blocked ${resourceType} request to ${url} (not allowed by ${directive})`);
+            structuredErrors.push({
+                type: 'BLOCKED_REQUEST',
+                message: `The page requested ${url} (${resourceType}), which the content security policy doesn't allow`,
+                severity: 'critical',
+                suggestedFix: directive === 'navigation'
+                    ? 'Do not navigate away from the app; link only to its own pages'
+                    : 'Load libraries only from AVAILABLE LIBRARIES and use window.geaRuntimeLLM/geaRuntimeStore instead of other network requests'
+            });
+        }
+        return route.abort('blockedbyclient');
+    });
+}
+
 /**
  * Enhanced selector derivation from plan
  */
@@ -411,4 +622,4 @@ function suggestFix(errorText) {
     return 'Review the error and fix the underlying JavaScript issue';
 }
 
-module.exports = { runSmokeTests };
+module.exports = { runSmokeTests, runBundleSmokeTests };